@@ -11,27 +11,42 @@ import {
     calculateAverageIlluminance,
     calculateCoefficientUtilization,
     calculateUniformity,
-    calculateLuminance,
-    // Initialization functions (these might need to be created if they don't exist)
-    initPointCalculations,
-    initAverageCalculations,
-    initCoefficientCalculations,
-    initUniformityCalculations,
-    initLuminanceCalculations
+    calculateLuminance
 } from './calculations/index.js';
+import { exportCUTableCSV } from './calculations/coefficient.js';
+import { generateLayout, LAYOUT_PATTERNS } from './calculations/layout.js';
+import { getRoomPolygon, isPointInPlan, createLShapeVertices } from './calculations/geometry.js';
+import { getObstructionBoxes } from './calculations/obstructions.js';
+import { getCellBounds } from './calculations/grid.js';
 import { 
     // Visualization functions
     initCharts,
     initDiagrams,
     renderIlluminanceHeatmap,
-    renderIsolines,
     render3DIlluminanceVisualization
 } from './visualization/index.js';
+import {
+    getLuminaire,
+    getCustomLuminaires,
+    saveCustomLuminaire,
+    createLuminaireFromPhotometry,
+    getAvailablePhotometry,
+    getAllLuminaires,
+    createLuminaireLibraryUI
+} from './luminaire-library.js';
+import { createLayoutEditor } from './layout-editor.js';
+import { createLayoutOptimizerUI } from './layout-optimizer.js';
+import { createObstructionEditor } from './obstruction-editor.js';
+import { createSurfaceEditor } from './surface-editor.js';
 
 // Application state
 const appState = {
     currentCalculationType: 'point-by-point',
     currentLuminaire: 'default',
+    sessionLuminaires: [],
+    layoutInstances: [],
+    obstructions: [],
+    surfaces: [],
     units: {
         length: 'm',
         illuminance: 'lx'
@@ -41,6 +56,9 @@ const appState = {
     isCalculating: false
 };
 
+// Custom layout editor, created when the custom layout is first chosen
+let layoutEditor = null;
+
 /**
  * Initialize the application
  */
@@ -53,14 +71,19 @@ function initApp() {
     // Initialize UI components
     initUI(appState);
     
-    // Initialize calculation modules
-    initCalculationModules();
-    
     // Initialize visualization tools
     initVisualizationTools();
     
     // Set up event listeners
     setupEventListeners();
+    updateLayoutControls();
+    updateRoomShapeControls();
+    updateGridControls();
+    initObstructionEditor();
+    initSurfaceEditor();
+    
+    // Show imported luminaires in the sidebar
+    renderLuminaireList();
     
     // Apply theme
     applyTheme();
@@ -85,6 +108,22 @@ function loadPreferences() {
             if (prefs.theme) {
                 appState.theme = prefs.theme;
             }
+            
+            if (prefs.currentLuminaire && getLuminaire(prefs.currentLuminaire)) {
+                appState.currentLuminaire = prefs.currentLuminaire;
+            }
+            
+            if (Array.isArray(prefs.layoutInstances)) {
+                appState.layoutInstances = prefs.layoutInstances;
+            }
+            
+            if (Array.isArray(prefs.obstructions)) {
+                appState.obstructions = prefs.obstructions;
+            }
+            
+            if (Array.isArray(prefs.surfaces)) {
+                appState.surfaces = prefs.surfaces;
+            }
         }
     } catch (error) {
         console.error('Error loading preferences:', error);
@@ -98,7 +137,11 @@ function savePreferences() {
     try {
         const prefsToSave = {
             units: appState.units,
-            theme: appState.theme
+            theme: appState.theme,
+            currentLuminaire: appState.currentLuminaire,
+            layoutInstances: appState.layoutInstances,
+            obstructions: appState.obstructions,
+            surfaces: appState.surfaces
         };
         
         localStorage.setItem('calqlux-preferences', JSON.stringify(prefsToSave));
@@ -107,25 +150,6 @@ function savePreferences() {
     }
 }
 
-/**
- * Initialize calculation modules
- */
-function initCalculationModules() {
-    console.log("Initializing calculation modules...");
-    try {
-        // Initialize calculation modules 
-        // (Note: these functions should come from calculations/index.js, not visualization/index.js)
-        initPointCalculations(appState);
-        initAverageCalculations(appState);
-        initCoefficientCalculations(appState);
-        initUniformityCalculations(appState);
-        initLuminanceCalculations(appState);
-        console.log("Calculation modules initialized successfully");
-    } catch (error) {
-        console.error("Error initializing calculation modules:", error);
-    }
-}
-
 /**
  * Initialize visualization tools
  */
@@ -159,6 +183,34 @@ function setupEventListeners() {
     
     // Custom layout toggle
     document.getElementById('luminaire-layout').addEventListener('change', handleLayoutChange);
+    document.getElementById('add-luminaire').addEventListener('click', () => {
+        if (layoutEditor) {
+            layoutEditor.addFixture();
+        }
+    });
+    document.getElementById('layout-to-custom').addEventListener('click', convertLayoutToCustom);
+    document.getElementById('optimize-layout').addEventListener('click', openOptimizerModal);
+    document.querySelector('#optimizer-modal .close-btn').addEventListener('click', closeOptimizerModal);
+    document.getElementById('clear-layout').addEventListener('click', () => {
+        if (layoutEditor && confirm('Remove all luminaires from the custom layout?')) {
+            layoutEditor.clear();
+        }
+    });
+    
+    // The standard grid sizes itself
+    document.getElementById('grid-mode').addEventListener('change', updateGridControls);
+    
+    // Keep the layout plan in step with the room size and shape
+    ['room-length', 'room-length-unit', 'room-width', 'room-width-unit', 'room-shape',
+        'room-notch-length', 'room-notch-width', 'room-outline'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateRoomShapeControls();
+            
+            if (layoutEditor) {
+                layoutEditor.render();
+            }
+        });
+    });
     
     // Preset modal
     document.getElementById('preset-btn').addEventListener('click', openPresetModal);
@@ -172,34 +224,41 @@ function setupEventListeners() {
     // Import IES
     document.getElementById('import-ies').addEventListener('click', importIESFile);
     
-    // Tab navigation for results
-    document.querySelectorAll('.tab-btn').forEach(tabBtn => {
-        tabBtn.addEventListener('click', (e) => {
-            // Remove active class from all tab buttons
-            document.querySelectorAll('.tab-btn').forEach(btn => {
-                btn.classList.remove('active');
-            });
-            
-            // Add active class to clicked button
-            e.target.classList.add('active');
-            
-            // Hide all tab panels
-            document.querySelectorAll('.tab-panel').forEach(panel => {
-                panel.classList.remove('active');
-            });
-            
-            // Show selected panel
-            const tabId = e.target.dataset.tab;
-            document.getElementById(tabId).classList.add('active');
-            
-            // Re-render the active tab if we have results
-            if (appState.calculationResults) {
-                renderTabContent(tabId, appState.calculationResults);
-            }
-        });
+    // Luminaire library modal
+    document.getElementById('browse-library').addEventListener('click', openLibraryModal);
+    document.querySelector('#library-modal .close-btn').addEventListener('click', closeLibraryModal);
+    
+    // Tab navigation for results, including the tabs added for calculation surfaces
+    document.querySelector('.tab-headers').addEventListener('click', (e) => {
+        const tabBtn = e.target.closest('.tab-btn');
+        
+        if (tabBtn) {
+            activateTab(tabBtn.dataset.tab);
+        }
     });
 }
 
+/**
+ * Show a results tab and render its content
+ * @param {string} tabId - ID of the tab panel
+ */
+function activateTab(tabId) {
+    // Mark the tab button as active
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tabId);
+    });
+    
+    // Show only the selected panel
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+        panel.classList.toggle('active', panel.id === tabId);
+    });
+    
+    // Re-render the active tab if we have results
+    if (appState.calculationResults) {
+        renderTabContent(tabId, appState.calculationResults);
+    }
+}
+
 /**
  * Handle navigation clicks
  * @param {Event} e - Click event
@@ -337,16 +396,20 @@ function getFormData() {
     const formId = `${appState.currentCalculationType}-form`;
     const form = document.getElementById(formId) || document.getElementById('point-by-point-form');
     
+    // Selected luminaire (the default luminaire has no photometry)
+    const luminaire = findLuminaire(appState.currentLuminaire);
+    const layout = document.getElementById('luminaire-layout').value;
+    
+    // Luminaires hang below the ceiling down to the mounting height
+    const room = getRoomDimensions();
+    const mountingHeight = parseFloat(document.getElementById('luminaire-height').value);
+    const mountingHeightM = document.getElementById('luminaire-height-unit').value === 'ft' ?
+        mountingHeight * 0.3048 : mountingHeight;
+    const suspensionHeight = mountingHeightM > 0 ? Math.max(0, room.height - mountingHeightM) : 0;
+    
     // For demonstration purposes, get values from point-by-point form
     return {
-        room: {
-            length: parseFloat(document.getElementById('room-length').value),
-            lengthUnit: document.getElementById('room-length-unit').value,
-            width: parseFloat(document.getElementById('room-width').value),
-            widthUnit: document.getElementById('room-width-unit').value,
-            height: parseFloat(document.getElementById('ceiling-height').value),
-            heightUnit: document.getElementById('ceiling-height-unit').value
-        },
+        room: getRoomInput(),
         workplane: {
             height: parseFloat(document.getElementById('work-plane-height').value),
             heightUnit: document.getElementById('work-plane-height-unit').value
@@ -357,18 +420,26 @@ function getFormData() {
             floor: parseFloat(document.getElementById('floor-refl').value)
         },
         luminaires: {
-            layout: document.getElementById('luminaire-layout').value,
+            layout: layout,
             rows: parseInt(document.getElementById('luminaire-rows').value),
             columns: parseInt(document.getElementById('luminaire-columns').value),
             height: parseFloat(document.getElementById('luminaire-height').value),
             heightUnit: document.getElementById('luminaire-height-unit').value,
-            suspensionHeight: 0, // Default value
-            flux: 5000 // Default luminous flux in lumens
+            suspensionHeight: suspensionHeight, // Meters below the ceiling
+            flux: (luminaire && luminaire.luminousFlux) || 5000, // Luminous flux in lumens
+            lampFlux: luminaire ? luminaire.lampLumens : null, // Installed lamp lumens, if relamped
+            photometry: luminaire ? getAvailablePhotometry(luminaire) : null,
+            layoutOptions: getLayoutOptions(),
+            instances: layout === 'custom' ? getLayoutInstances() : null
         },
         calculation: {
+            gridMode: document.getElementById('grid-mode').value,
+            gridPoints: document.getElementById('grid-points').value,
             gridSpacing: parseFloat(document.getElementById('grid-spacing').value),
-            gridSpacingUnit: document.getElementById('grid-spacing-unit').value
+            gridSpacingUnit: document.getElementById('grid-spacing-unit').value,
+            gridOffset: parseFloat(document.getElementById('grid-offset').value) || 0
         },
+        surfaces: appState.surfaces,
         observation: {
             surface: 'workplane' // Default observation surface
         }
@@ -388,6 +459,7 @@ function resetForm(e) {
     
     // Reset form
     form.reset();
+    updateGridControls();
     
     // Hide results
     document.querySelector('.results-content').classList.add('empty');
@@ -436,11 +508,345 @@ function applyTheme() {
  * @param {Event} e - Change event
  */
 function handleLayoutChange(e) {
-    const customLayout = e.target.value === 'custom';
+    updateLayoutControls();
+    
+    if (e.target.value === 'custom') {
+        initLayoutEditor();
+    }
+}
+
+/**
+ * Show the inputs used by the selected layout pattern
+ */
+function updateLayoutControls() {
+    const layout = document.getElementById('luminaire-layout').value;
+    const pattern = LAYOUT_PATTERNS[layout];
+    
+    // Rows and columns only apply to the grid-based patterns
+    document.getElementById('luminaire-rows').disabled = !pattern || !pattern.rows;
+    document.getElementById('luminaire-columns').disabled = !pattern || !pattern.columns;
+    
+    document.querySelectorAll('.layout-options [data-layouts]').forEach(group => {
+        group.style.display = group.dataset.layouts.split(' ').includes(layout) ? '' : 'none';
+    });
+    
+    document.querySelector('.layout-options').style.display = pattern ? 'block' : 'none';
+    document.querySelector('.custom-layout').style.display = layout === 'custom' ? 'block' : 'none';
+}
+
+/**
+ * Enable the grid spacing only when the user sets it
+ */
+function updateGridControls() {
+    document.getElementById('grid-spacing').disabled = document.getElementById('grid-mode').value === 'standard';
+}
+
+/**
+ * Read the options of the layout patterns from the form. Empty or invalid
+ * fields are null so generateLayout uses its defaults.
+ * @returns {Object} - Layout options as used by generateLayout, in meters and degrees
+ */
+function getLayoutOptions() {
+    const value = (id) => {
+        const parsed = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+    const point = (prefix) => {
+        const x = value(`${prefix}-x`);
+        const y = value(`${prefix}-y`);
+        return x !== null && y !== null ? { x: x, y: y } : null;
+    };
+    
+    return {
+        offsetX: value('layout-offset-x'),
+        offsetY: value('layout-offset-y'),
+        offset: value('layout-perimeter-offset'),
+        spacing: value('layout-spacing'),
+        unitLength: value('layout-unit-length'),
+        gap: value('layout-gap'),
+        start: point('layout-start'),
+        end: point('layout-end'),
+        center: point('layout-center'),
+        radius: value('layout-radius'),
+        startAngle: value('layout-start-angle'),
+        endAngle: value('layout-end-angle'),
+        count: value('layout-count')
+    };
+}
+
+/**
+ * Turn the generated layout into placed luminaires and open them in the
+ * custom layout editor
+ */
+function convertLayoutToCustom() {
+    const layoutSelect = document.getElementById('luminaire-layout');
+    const instances = createLayoutInstances({
+        layout: layoutSelect.value,
+        rows: parseInt(document.getElementById('luminaire-rows').value),
+        columns: parseInt(document.getElementById('luminaire-columns').value),
+        layoutOptions: getLayoutOptions()
+    });
+    
+    if (instances.length === 0) {
+        showToast('This layout does not place any luminaires in the room', 'warning');
+        return;
+    }
+    
+    appState.layoutInstances = instances;
+    savePreferences();
+    
+    if (layoutEditor) {
+        layoutEditor.setInstances(instances);
+    }
+    
+    layoutSelect.value = 'custom';
+    handleLayoutChange({ target: layoutSelect });
+}
+
+/**
+ * Generate a layout pattern in the current room as editable instances
+ * @param {Object} luminaires - Layout configuration {layout, rows, columns, layoutOptions}
+ * @returns {Array} - Instances {id, luminaireId, x, y, z, rotation, tilt, aim}
+ */
+function createLayoutInstances(luminaires) {
+    const room = getRoomDimensions();
+    const round = (value) => Math.round(value * 1000) / 1000;
+    
+    return generateLayout(luminaires, room.length, room.width)
+        .filter(position => isPointInPlan(position, room))
+        .map((position, index) => ({
+            id: `L${index + 1}`,
+            luminaireId: null,
+            x: round(position.x),
+            y: round(position.y),
+            z: null,
+            rotation: round(position.rotation),
+            tilt: 0,
+            aim: null
+        }));
+}
+
+/**
+ * Create the custom layout editor, starting from the current grid when
+ * nothing has been placed yet
+ */
+function initLayoutEditor() {
+    if (layoutEditor) {
+        layoutEditor.render();
+        return;
+    }
+    
+    if (appState.layoutInstances.length === 0) {
+        appState.layoutInstances = createLayoutInstances({
+            layout: 'regular',
+            rows: parseInt(document.getElementById('luminaire-rows').value),
+            columns: parseInt(document.getElementById('luminaire-columns').value)
+        });
+    }
+    
+    layoutEditor = createLayoutEditor(document.getElementById('custom-layout-editor'), {
+        getRoom: getRoomDimensions,
+        getLuminaires: () => [...getAllLuminaires(), ...appState.sessionLuminaires],
+        instances: appState.layoutInstances,
+        onChange: (instances) => {
+            appState.layoutInstances = instances;
+            savePreferences();
+        }
+    });
+}
+
+/**
+ * Create the editor for the obstructions in the room
+ */
+function initObstructionEditor() {
+    createObstructionEditor(document.getElementById('obstruction-editor'), {
+        getRoom: getRoomDimensions,
+        obstructions: appState.obstructions,
+        onChange: (obstructions) => {
+            appState.obstructions = obstructions;
+            savePreferences();
+            
+            if (layoutEditor) {
+                layoutEditor.render();
+            }
+        }
+    });
+}
+
+/**
+ * Create the editor for the calculation surfaces
+ */
+function initSurfaceEditor() {
+    createSurfaceEditor(document.getElementById('surface-editor'), {
+        getRoom: getRoomDimensions,
+        getWorkplaneHeight: () => {
+            const height = parseFloat(document.getElementById('work-plane-height').value);
+            return document.getElementById('work-plane-height-unit').value === 'ft' ? height * 0.3048 : height;
+        },
+        surfaces: appState.surfaces,
+        onChange: (surfaces) => {
+            appState.surfaces = surfaces;
+            savePreferences();
+        }
+    });
+}
+
+/**
+ * Get the room size and floor plan from the form in meters
+ * @returns {Object} - Room {length, width, height, outline, holes, obstructions} in meters,
+ *   where length and width are the bounding box of the floor plan
+ */
+function getRoomDimensions() {
+    const room = getRoomInput();
+    const plan = getRoomPolygon(room);
     
-    // Toggle inputs for custom layout
-    document.getElementById('luminaire-rows').disabled = !customLayout;
-    document.getElementById('luminaire-columns').disabled = !customLayout;
+    return {
+        length: plan.bounds.maxX,
+        width: plan.bounds.maxY,
+        height: room.heightUnit === 'ft' ? room.height * 0.3048 : room.height,
+        outline: plan.outline,
+        holes: plan.holes,
+        obstructions: appState.obstructions
+    };
+}
+
+/**
+ * Read the room from the form. Shaped rooms add their corners in the length
+ * unit; polygon rooms take their length and width from the outline.
+ * @returns {Object} - Room {length, lengthUnit, width, widthUnit, height, heightUnit,
+ *   shape, vertices, holes, wallReflectances, obstructions} with obstructions in meters
+ */
+function getRoomInput() {
+    const value = (id) => parseFloat(document.getElementById(id).value);
+    const shape = document.getElementById('room-shape').value;
+    const lengthUnit = document.getElementById('room-length-unit').value;
+    const room = {
+        length: value('room-length'),
+        lengthUnit: lengthUnit,
+        width: value('room-width'),
+        widthUnit: document.getElementById('room-width-unit').value,
+        height: value('ceiling-height'),
+        heightUnit: document.getElementById('ceiling-height-unit').value,
+        shape: shape,
+        vertices: null,
+        holes: [],
+        wallReflectances: [],
+        obstructions: appState.obstructions
+    };
+    
+    if (shape === 'l-shape') {
+        // The cut-out is in the length unit, so the width is converted to match
+        const width = room.widthUnit === lengthUnit ? room.width :
+            (lengthUnit === 'ft' ? room.width / 0.3048 : room.width * 0.3048);
+        
+        const notchLength = Math.min(value('room-notch-length') || 0, room.length);
+        const notchWidth = Math.min(value('room-notch-width') || 0, width);
+        
+        room.vertices = createLShapeVertices(room.length, width, notchLength, notchWidth);
+    } else if (shape === 'polygon') {
+        const outline = parseRoomOutline(document.getElementById('room-outline').value);
+        
+        if (outline.vertices) {
+            const xs = outline.vertices.map(point => point.x);
+            const ys = outline.vertices.map(point => point.y);
+            
+            Object.assign(room, outline);
+            room.length = Math.max(...xs) - Math.min(...xs);
+            room.width = Math.max(...ys) - Math.min(...ys);
+            room.widthUnit = lengthUnit;
+        }
+    }
+    
+    return room;
+}
+
+/**
+ * Parse the polygon outline field: one "x, y" corner per line, optionally
+ * followed by the reflectance (%) of the wall to the next corner. A blank line
+ * starts a new ring; rings after the first are cores cut out of the room.
+ * @param {string} text - Outline text
+ * @returns {Object} - {vertices, holes, wallReflectances} (vertices is null without three corners)
+ */
+function parseRoomOutline(text) {
+    const rings = [[]];
+    const wallReflectances = [];
+    
+    text.split('\n').forEach(line => {
+        const values = line.split(/[\s,;]+/).filter(Boolean).map(parseFloat);
+        
+        if (values.length < 2 || !Number.isFinite(values[0]) || !Number.isFinite(values[1])) {
+            if (line.trim() === '' && rings[rings.length - 1].length > 0) {
+                rings.push([]);
+            }
+            return;
+        }
+        
+        rings[rings.length - 1].push({ x: values[0], y: values[1] });
+        
+        if (rings.length === 1) {
+            wallReflectances.push(Number.isFinite(values[2]) ? values[2] : null);
+        }
+    });
+    
+    const [vertices, ...holes] = rings;
+    
+    return {
+        vertices: vertices.length >= 3 ? vertices : null,
+        holes: holes.filter(hole => hole.length >= 3),
+        wallReflectances: wallReflectances
+    };
+}
+
+/**
+ * Show the inputs of the selected room shape. Polygon rooms take their length
+ * and width from the outline, so those inputs only display it.
+ */
+function updateRoomShapeControls() {
+    const shape = document.getElementById('room-shape').value;
+    const polygon = shape === 'polygon';
+    
+    document.querySelectorAll('.room-shape-options [data-shapes]').forEach(group => {
+        group.style.display = group.dataset.shapes.split(' ').includes(shape) ? '' : 'none';
+    });
+    
+    document.querySelector('.room-shape-options').style.display = shape === 'rectangle' ? 'none' : 'block';
+    document.getElementById('room-length').disabled = polygon;
+    document.getElementById('room-width').disabled = polygon;
+    document.getElementById('room-width-unit').disabled = polygon;
+    
+    if (polygon) {
+        const room = getRoomInput();
+        
+        if (room.vertices) {
+            document.getElementById('room-length').value = Math.round(room.length * 100) / 100;
+            document.getElementById('room-width').value = Math.round(room.width * 100) / 100;
+            document.getElementById('room-width-unit').value = room.lengthUnit;
+        }
+    }
+}
+
+/**
+ * Resolve the placed luminaires for the calculation. Instances without their own
+ * luminaire use the selected one; positions are in meters.
+ * @returns {Array} - Instances {x, y, z, rotation, tilt, aim, type, photometry, flux, lampFlux}
+ */
+function getLayoutInstances() {
+    return appState.layoutInstances.map(instance => {
+        const luminaire = instance.luminaireId ? findLuminaire(instance.luminaireId) : null;
+        
+        return {
+            x: instance.x,
+            y: instance.y,
+            z: instance.z,
+            rotation: instance.rotation || 0,
+            tilt: instance.tilt || 0,
+            aim: instance.aim,
+            type: luminaire ? luminaire.type : undefined,
+            photometry: luminaire ? getAvailablePhotometry(luminaire) : null,
+            flux: luminaire ? luminaire.luminousFlux : undefined,
+            lampFlux: luminaire ? luminaire.lampLumens : undefined
+        };
+    });
 }
 
 /**
@@ -461,6 +867,111 @@ function closePresetModal(e) {
     document.getElementById('preset-modal').classList.remove('active');
 }
 
+/**
+ * Open the luminaire library modal
+ * @param {Event} e - Click event
+ */
+function openLibraryModal(e) {
+    e.preventDefault();
+    
+    // Build the library the first time it is opened
+    const container = document.querySelector('#library-modal .library-browser');
+    
+    if (container.children.length === 0) {
+        createLuminaireLibraryUI(container, handleLibrarySelect, handleLibraryChange, getFormData);
+    }
+    
+    document.getElementById('library-modal').classList.add('active');
+}
+
+/**
+ * Open the layout optimizer
+ * @param {Event} e - Click event
+ */
+function openOptimizerModal(e) {
+    e.preventDefault();
+    
+    // Build the optimizer the first time it is opened
+    const container = document.querySelector('#optimizer-modal .layout-optimizer');
+    
+    if (container.children.length === 0) {
+        createLayoutOptimizerUI(container, {
+            getParams: getFormData,
+            getLuminaires: () => [...getAllLuminaires(), ...appState.sessionLuminaires],
+            getSelectedId: () => appState.currentLuminaire,
+            onApply: applyOptimizedDesign
+        });
+    }
+    
+    document.getElementById('optimizer-modal').classList.add('active');
+}
+
+/**
+ * Close the layout optimizer
+ * @param {Event} e - Click event
+ */
+function closeOptimizerModal(e) {
+    e.preventDefault();
+    document.getElementById('optimizer-modal').classList.remove('active');
+}
+
+/**
+ * Load a design from the optimizer into the form
+ * @param {Object} design - Design from optimizeLayout
+ */
+function applyOptimizedDesign(design) {
+    selectLuminaire(design.luminaire.id);
+    renderLuminaireList();
+    
+    document.getElementById('luminaire-layout').value = design.layout.layout;
+    document.getElementById('luminaire-rows').value = design.layout.rows;
+    document.getElementById('luminaire-columns').value = design.layout.columns;
+    document.getElementById('layout-offset-x').value = '';
+    document.getElementById('layout-offset-y').value = '';
+    
+    const heightUnit = document.getElementById('luminaire-height-unit').value;
+    const height = heightUnit === 'ft' ? design.mountingHeight / 0.3048 : design.mountingHeight;
+    document.getElementById('luminaire-height').value = Math.round(height * 100) / 100;
+    
+    updateLayoutControls();
+    
+    document.getElementById('optimizer-modal').classList.remove('active');
+    showToast(`Loaded ${design.count} × ${design.luminaire.name} into the form`, 'success');
+}
+
+/**
+ * Close the luminaire library modal
+ * @param {Event} e - Click event
+ */
+function closeLibraryModal(e) {
+    e.preventDefault();
+    document.getElementById('library-modal').classList.remove('active');
+}
+
+/**
+ * Use a luminaire picked in the library
+ * @param {Object} luminaire - Selected luminaire
+ */
+function handleLibrarySelect(luminaire) {
+    selectLuminaire(luminaire.id);
+    renderLuminaireList();
+    
+    document.getElementById('library-modal').classList.remove('active');
+    showToast(`Selected "${luminaire.name}"`, 'success');
+}
+
+/**
+ * Refresh the sidebar after the custom catalog was edited
+ */
+function handleLibraryChange() {
+    // Fall back to the default luminaire if the selected one was deleted
+    if (appState.currentLuminaire !== 'default' && !findLuminaire(appState.currentLuminaire)) {
+        selectLuminaire('default');
+    }
+    
+    renderLuminaireList();
+}
+
 /**
  * Export results as PDF
  * @param {Event} e - Click event
@@ -492,32 +1003,42 @@ function exportCSV(e) {
     }
     
     // Get grid data
-    const { grid } = appState.calculationResults;
+    const { grid, cuTable } = appState.calculationResults;
     
     // Create CSV content
     let csv = 'data:text/csv;charset=utf-8,';
+    let fileName = 'calqlux_results.csv';
     
-    // Add header row with X coordinates
-    csv += 'Y/X,';
-    for (let x = 0; x < grid[0].length; x++) {
-        csv += x + ',';
-    }
-    csv += '\r\n';
-    
-    // Add data rows
-    for (let y = 0; y < grid.length; y++) {
-        csv += y + ',';
-        for (let x = 0; x < grid[y].length; x++) {
-            csv += grid[y][x] + ',';
+    if (cuTable) {
+        // Lumen-method results export the luminaire's CU table
+        const luminaire = findLuminaire(appState.currentLuminaire);
+        csv += exportCUTableCSV(cuTable, luminaire ? luminaire.name : '');
+        fileName = 'calqlux_cu_table.csv';
+    } else {
+        // Add header row with X coordinates in meters
+        const { xCoords, yCoords } = appState.calculationResults.dimensions;
+        csv += 'Y/X (m),';
+        for (let x = 0; x < grid[0].length; x++) {
+            csv += xCoords[x].toFixed(3) + ',';
         }
         csv += '\r\n';
+        
+        // Add data rows, each starting with its Y coordinate
+        for (let y = 0; y < grid.length; y++) {
+            csv += yCoords[y].toFixed(3) + ',';
+            for (let x = 0; x < grid[y].length; x++) {
+                // Points outside the room are left empty
+                csv += (grid[y][x] !== null ? grid[y][x] : '') + ',';
+            }
+            csv += '\r\n';
+        }
     }
     
     // Create download link
     const encodedUri = encodeURI(csv);
     const link = document.createElement('a');
     link.setAttribute('href', encodedUri);
-    link.setAttribute('download', 'calqlux_results.csv');
+    link.setAttribute('download', fileName);
     document.body.appendChild(link);
     
     // Trigger download
@@ -540,7 +1061,7 @@ function importIESFile(e) {
     // Create file input
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = '.ies';
+    fileInput.accept = '.ies,.ldt';
     
     // Add event listener
     fileInput.addEventListener('change', (evt) => {
@@ -553,23 +1074,32 @@ function importIESFile(e) {
         
         reader.onload = (e) => {
             try {
-                // In a real implementation, this would parse the IES file
-                // and update the application state with the new luminaire data
-                console.log('IES file loaded:', file.name);
+                // Pick the parser from the file extension (EULUMDAT or IES)
+                const isLDT = /\.ldt$/i.test(file.name);
+                const parser = isLDT ? LDTParser : IESParser;
                 
-                // Show toast notification for demo purposes
-                showToast(`IES file "${file.name}" loaded successfully (parsing not implemented)`, 'success');
+                // Parse the photometric data; malformed files throw with a line number
+                const iesData = parser.parse(e.target.result);
+                console.log(`${isLDT ? 'LDT' : 'IES'} file loaded:`, file.name);
                 
-                // Add to luminaire list (demo)
-                const luminaireList = document.querySelector('.luminaire-list');
-                const newItem = document.createElement('li');
-                newItem.className = 'luminaire-item';
-                newItem.textContent = file.name;
-                luminaireList.appendChild(newItem);
+                // Build and persist the luminaire record
+                const luminaire = createLuminaireFromPhotometry(iesData, file.name);
+                
+                if (!saveCustomLuminaire(luminaire)) {
+                    // Keep it for this session only (e.g. storage quota exceeded)
+                    appState.sessionLuminaires.push(luminaire);
+                    showToast(`"${file.name}" could not be saved and will be lost on reload`, 'error');
+                }
+                
+                // Add to the luminaire list and use it for calculations
+                renderLuminaireList();
+                selectLuminaire(luminaire.id);
+                
+                showToast(`Photometric file "${file.name}" loaded successfully`, 'success');
                 
             } catch (error) {
-                console.error('Error parsing IES file:', error);
-                showToast('Error parsing IES file', 'error');
+                console.error('Error parsing photometric file:', error);
+                showToast(`Error parsing "${file.name}": ${error.message}`, 'error');
             }
         };
         
@@ -580,6 +1110,64 @@ function importIESFile(e) {
     fileInput.click();
 }
 
+/**
+ * Render the sidebar luminaire list (default luminaire plus the custom catalog)
+ */
+function renderLuminaireList() {
+    const luminaireList = document.querySelector('.luminaire-list');
+    luminaireList.innerHTML = '';
+    
+    const luminaires = [
+        { id: 'default', name: 'Default Luminaire' },
+        ...getCustomLuminaires(),
+        ...appState.sessionLuminaires
+    ];
+    
+    // Include a luminaire picked from the library
+    const selected = findLuminaire(appState.currentLuminaire);
+    
+    if (selected && !luminaires.some(luminaire => luminaire.id === selected.id)) {
+        luminaires.push(selected);
+    }
+    
+    luminaires.forEach(luminaire => {
+        const item = document.createElement('li');
+        item.className = 'luminaire-item';
+        item.dataset.id = luminaire.id;
+        item.textContent = luminaire.name;
+        item.title = luminaire.description || luminaire.name;
+        item.classList.toggle('active', luminaire.id === appState.currentLuminaire);
+        
+        item.addEventListener('click', () => selectLuminaire(luminaire.id));
+        
+        luminaireList.appendChild(item);
+    });
+}
+
+/**
+ * Find a luminaire in the library or among those imported this session
+ * @param {string} id - Luminaire ID
+ * @returns {Object} - Luminaire data or null for the default luminaire
+ */
+function findLuminaire(id) {
+    return getLuminaire(id) ||
+        appState.sessionLuminaires.find(luminaire => luminaire.id === id) ||
+        null;
+}
+
+/**
+ * Select the luminaire used by the calculations
+ * @param {string} id - Luminaire ID
+ */
+function selectLuminaire(id) {
+    appState.currentLuminaire = id;
+    savePreferences();
+    
+    document.querySelectorAll('.luminaire-list .luminaire-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.id === id);
+    });
+}
+
 /**
  * Display calculation results
  * @param {Object} results - Calculation results
@@ -605,12 +1193,69 @@ function displayResults(results) {
     summaryEl.querySelector('.summary-cards div:nth-child(4) .value').innerHTML = 
         results.uniformity;
     
-    // Show visualization tabs
-    document.querySelector('.visualization-tabs').style.display = 'block';
+    // Warn when the layout exceeds the luminaire's spacing criterion
+    if (results.spacing && results.spacing.warnings.length > 0) {
+        showToast(results.spacing.warnings.join('. '), 'warning');
+    }
     
-    // Render results in the active tab
+    // Report how far the inter-reflection solution got
+    const radiosityEl = summaryEl.querySelector('.radiosity-status');
+    radiosityEl.textContent = results.radiosity ? formatRadiosityStatus(results.radiosity) : '';
+    radiosityEl.classList.toggle('warning', !!results.radiosity && !results.radiosity.converged);
+    
+    if (results.radiosity && !results.radiosity.converged) {
+        showToast('Inter-reflections did not converge, so the indirect illuminance may be too low', 'warning');
+    }
+    
+    // Show visualization tabs, with one tab per calculation surface
+    document.querySelector('.visualization-tabs').style.display = 'block';
     const activeTabId = document.querySelector('.tab-btn.active').dataset.tab;
-    renderTabContent(activeTabId, results);
+    renderSurfaceTabs(results.surfaces || []);
+    
+    // Render results in the active tab, or the map when its surface is gone
+    activateTab(document.getElementById(activeTabId) ? activeTabId : 'illuminance-map');
+}
+
+/**
+ * Describe the state of the radiosity solution
+ * @param {Object} radiosity - Solution {iterations, converged, residual, tolerance, patchCount}
+ * @returns {string} - Summary with the residual and tolerance as percentages
+ */
+function formatRadiosityStatus(radiosity) {
+    const percent = value => Number.isFinite(value) ? `${(value * 100).toPrecision(2)}%` : '-';
+    
+    return `Inter-reflections ${radiosity.converged ? 'converged' : 'did not converge'} after ` +
+        `${radiosity.iterations} iterations over ${radiosity.patchCount} patches ` +
+        `(change ${percent(radiosity.residual)}, tolerance ${percent(radiosity.tolerance)})`;
+}
+
+/**
+ * Replace the tabs of the calculation surfaces with those of the latest results
+ * @param {Array} surfaces - Surface results from the calculation
+ */
+function renderSurfaceTabs(surfaces) {
+    const headers = document.querySelector('.tab-headers');
+    const content = document.querySelector('.visualization-tabs .tab-content');
+    
+    headers.querySelectorAll('.surface-tab').forEach(tab => tab.remove());
+    content.querySelectorAll('.surface-panel').forEach(panel => panel.remove());
+    
+    surfaces.forEach(surface => {
+        const tabBtn = document.createElement('button');
+        tabBtn.className = 'tab-btn surface-tab';
+        tabBtn.dataset.tab = `surface-${surface.id}`;
+        tabBtn.textContent = surface.name;
+        headers.appendChild(tabBtn);
+        
+        const panel = document.createElement('div');
+        panel.className = 'tab-panel surface-panel';
+        panel.id = `surface-${surface.id}`;
+        panel.innerHTML = `
+            <div class="surface-summary"></div>
+            <canvas class="surface-canvas"></canvas>
+        `;
+        content.appendChild(panel);
+    });
 }
 
 /**
@@ -632,6 +1277,13 @@ function renderTabContent(tabId, results) {
         case 'data-grid':
             renderDataGrid(results);
             break;
+        default: {
+            const surface = (results.surfaces || []).find(item => `surface-${item.id}` === tabId);
+            
+            if (surface) {
+                renderSurfaceMap(surface, (results.taskAreas || []).find(item => item.id === surface.id));
+            }
+        }
     }
 }
 
@@ -640,7 +1292,77 @@ function renderTabContent(tabId, results) {
  * @param {Object} results - Calculation results
  */
 function renderIlluminanceMap(results) {
-    const canvas = document.getElementById('illuminance-canvas');
+    drawIlluminanceGrid(document.getElementById('illuminance-canvas'), results,
+        results.dimensions.lengthM, results.dimensions.widthM);
+    
+    // Generate color scale
+    generateColorScale(results.min, results.max);
+}
+
+/**
+ * Render the heatmap and statistics of a calculation surface
+ * @param {Object} surface - Surface result from the calculation
+ * @param {Object} [taskArea] - EN 12464-1 zone results when the surface is a task area
+ */
+function renderSurfaceMap(surface, taskArea) {
+    const panel = document.getElementById(`surface-${surface.id}`);
+    const summary = panel.querySelector('.surface-summary');
+    const { xPoints, yPoints, length, width } = surface.dimensions;
+    
+    summary.innerHTML = `
+        <span>Average <strong>${surface.average} lx</strong></span>
+        <span>Min <strong>${surface.min} lx</strong></span>
+        <span>Max <strong>${surface.max} lx</strong></span>
+        <span>Uo <strong>${surface.uniformity}</strong></span>
+        <span>${length.toFixed(2)} × ${width.toFixed(2)} m, ${xPoints} × ${yPoints} points</span>
+        <span class="surface-result ${surface.pass ? 'pass' : 'fail'}">
+            ${surface.pass ? 'Pass' : 'Fail'} (target ${surface.target} lx, Uo ${surface.minUniformity})
+        </span>
+    `;
+    
+    if (taskArea) {
+        summary.innerHTML += `
+            <table class="task-zone-table">
+                <thead>
+                    <tr>
+                        <th>EN 12464-1 zone</th>
+                        <th>Em (lx)</th>
+                        <th>Required</th>
+                        <th>Uo</th>
+                        <th>Required</th>
+                        <th>Points</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${taskArea.zones.map(zone => `
+                        <tr>
+                            <td>${zone.label}</td>
+                            <td>${zone.average}</td>
+                            <td>≥ ${zone.required.average}</td>
+                            <td>${zone.uniformity}</td>
+                            <td>≥ ${zone.required.uniformity}</td>
+                            <td>${zone.pointCount} (${zone.spacing.toFixed(2)} m)</td>
+                            <td class="surface-result ${zone.pass ? 'pass' : 'fail'}">${zone.pass ? 'Pass' : 'Fail'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    drawIlluminanceGrid(panel.querySelector('.surface-canvas'), surface, length, width);
+}
+
+/**
+ * Draw a grid of illuminance values as a heatmap, each cell covering the
+ * area around its point
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} results - Results {grid, min, max, dimensions {xCoords, yCoords}}
+ * @param {number} length - Extent of the x coordinates in meters
+ * @param {number} width - Extent of the y coordinates in meters
+ */
+function drawIlluminanceGrid(canvas, results, length, width) {
     const ctx = canvas.getContext('2d');
     
     // Set canvas dimensions
@@ -650,50 +1372,54 @@ function renderIlluminanceMap(results) {
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    // Calculate cell size
-    const cellWidth = canvas.width / results.dimensions.xPoints;
-    const cellHeight = canvas.height / results.dimensions.yPoints;
+    // Cells in pixels, from the real point coordinates
+    const { xCoords, yCoords } = results.dimensions;
+    const scaleX = canvas.width / length;
+    const scaleY = canvas.height / width;
+    const columns = getCellBounds(xCoords, length);
+    const rows = getCellBounds(yCoords, width);
     
     // Draw illuminance map
-    for (let y = 0; y < results.dimensions.yPoints; y++) {
-        for (let x = 0; x < results.dimensions.xPoints; x++) {
+    for (let y = 0; y < yCoords.length; y++) {
+        for (let x = 0; x < xCoords.length; x++) {
             const illuminance = results.grid[y][x];
             
+            // Points outside the room are left blank
+            if (illuminance === null) {
+                continue;
+            }
+            
+            const left = columns[x].start * scaleX;
+            const top = rows[y].start * scaleY;
+            const cellWidth = (columns[x].end - columns[x].start) * scaleX;
+            const cellHeight = (rows[y].end - rows[y].start) * scaleY;
+            const pointX = xCoords[x] * scaleX;
+            const pointY = yCoords[y] * scaleY;
+            
             // Calculate color based on illuminance value
             const color = getIlluminanceColor(illuminance, results.min, results.max);
             
             // Draw cell
             ctx.fillStyle = color;
-            ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+            ctx.fillRect(left, top, cellWidth, cellHeight);
             
             // Draw grid lines
             ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
-            ctx.strokeRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+            ctx.strokeRect(left, top, cellWidth, cellHeight);
             
-            // Draw value if cells are large enough
+            // Draw value at the point if cells are large enough
             if (cellWidth > 40 && cellHeight > 25) {
                 ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-                ctx.fillRect(
-                    x * cellWidth + cellWidth/2 - 15, 
-                    y * cellHeight + cellHeight/2 - 7, 
-                    30, 14
-                );
+                ctx.fillRect(pointX - 15, pointY - 7, 30, 14);
                 
                 ctx.fillStyle = '#000';
                 ctx.font = '10px Arial';
                 ctx.textAlign = 'center';
                 ctx.textBaseline = 'middle';
-                ctx.fillText(
-                    `${illuminance} lx`, 
-                    x * cellWidth + cellWidth/2, 
-                    y * cellHeight + cellHeight/2
-                );
+                ctx.fillText(`${illuminance} lx`, pointX, pointY);
             }
         }
     }
-    
-    // Generate color scale
-    generateColorScale(results.min, results.max);
 }
 
 /**
@@ -715,9 +1441,10 @@ function renderIsolines(results) {
     ctx.fillStyle = '#f8f8f8';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
-    // Calculate cell size
-    const cellWidth = canvas.width / results.dimensions.xPoints;
-    const cellHeight = canvas.height / results.dimensions.yPoints;
+    // Pixels per meter, so cells sit at their real coordinates
+    const { xCoords, yCoords } = results.dimensions;
+    const scaleX = canvas.width / results.dimensions.lengthM;
+    const scaleY = canvas.height / results.dimensions.widthM;
     
     // Determine contour levels (create 10 evenly spaced levels)
     const levels = 10;
@@ -745,6 +1472,11 @@ function renderIsolines(results) {
                 const z3 = results.grid[y + 1][x + 1];
                 const z4 = results.grid[y + 1][x];
                 
+                // Cells reaching outside the room have no contour
+                if (z1 === null || z2 === null || z3 === null || z4 === null) {
+                    continue;
+                }
+                
                 // Check if contour passes through this cell
                 if ((z1 <= level && level <= z2) || (z2 <= level && level <= z1) || 
                     (z2 <= level && level <= z3) || (z3 <= level && level <= z2) || 
@@ -752,8 +1484,8 @@ function renderIsolines(results) {
                     (z4 <= level && level <= z1) || (z1 <= level && level <= z4)) {
                     
                     // Calculate cell center
-                    const centerX = (x + 0.5) * cellWidth;
-                    const centerY = (y + 0.5) * cellHeight;
+                    const centerX = (xCoords[x] + xCoords[x + 1]) / 2 * scaleX;
+                    const centerY = (yCoords[y] + yCoords[y + 1]) / 2 * scaleY;
                     
                     if (firstPoint) {
                         ctx.moveTo(centerX, centerY);
@@ -780,7 +1512,37 @@ function renderIsolines(results) {
     // Draw room boundary
     ctx.strokeStyle = '#000';
     ctx.lineWidth = 2;
-    ctx.strokeRect(0, 0, canvas.width, canvas.height);
+    traceRoomOutline(ctx, results.dimensions, scaleX, scaleY);
+    ctx.stroke();
+}
+
+/**
+ * Add the room's walls (outline and cores) to the current path
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} dimensions - Result dimensions {lengthM, widthM, outline, holes}
+ * @param {number} scaleX - Pixels per meter along the length
+ * @param {number} scaleY - Pixels per meter along the width
+ */
+function traceRoomOutline(ctx, dimensions, scaleX, scaleY) {
+    const outline = dimensions.outline || [
+        { x: 0, y: 0 },
+        { x: dimensions.lengthM, y: 0 },
+        { x: dimensions.lengthM, y: dimensions.widthM },
+        { x: 0, y: dimensions.widthM }
+    ];
+    
+    ctx.beginPath();
+    
+    [outline, ...(dimensions.holes || [])].forEach(ring => {
+        ring.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(point.x * scaleX, point.y * scaleY);
+            } else {
+                ctx.lineTo(point.x * scaleX, point.y * scaleY);
+            }
+        });
+        ctx.closePath();
+    });
 }
 
 /**
@@ -811,12 +1573,15 @@ function render3DView(results) {
     // Clear the canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    // Draw 3D visualization
-    const gridWidth = results.dimensions.xPoints;
-    const gridHeight = results.dimensions.yPoints;
+    // Draw 3D visualization, placing bars at the real point coordinates
+    // measured in grid cells
+    const { xCoords, yCoords, gridSpacingM, lengthM, widthM } = results.dimensions;
+    const toGrid = (value) => value / gridSpacingM;
+    const gridWidth = xCoords.length;
+    const gridHeight = yCoords.length;
     
     // Set up isometric projection parameters
-    const tileWidth = canvas.width / (gridWidth + gridHeight) * 0.7;
+    const tileWidth = canvas.width / (toGrid(lengthM) + toGrid(widthM) + 2) * 0.7;
     const tileHeight = tileWidth * 0.5;
     const maxBarHeight = canvas.height * 0.5;
     
@@ -833,12 +1598,17 @@ function render3DView(results) {
         for (let x = 0; x < gridWidth; x++) {
             const value = results.grid[y][x];
             
+            // Points outside the room have no bar
+            if (value === null) {
+                continue;
+            }
+            
             // Scale illuminance value to bar height
             const barHeight = (value / max) * maxBarHeight;
             
             // Calculate isometric position
-            const isoX = offsetX + (x - y) * tileWidth;
-            const isoY = offsetY + (x + y) * tileHeight;
+            const isoX = offsetX + (toGrid(xCoords[x]) - toGrid(yCoords[y])) * tileWidth;
+            const isoY = offsetY + (toGrid(xCoords[x]) + toGrid(yCoords[y])) * tileHeight;
             
             // Draw vertical bar
             
@@ -892,6 +1662,50 @@ function render3DView(results) {
         }
     }
     
+    // Obstructions as grey blocks over the bars, their height relative to the ceiling
+    const room = getRoomDimensions();
+    
+    getObstructionBoxes(appState.obstructions).forEach(box => {
+        const top = maxBarHeight * Math.min(box.top / room.height, 1);
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => {
+            const x = toGrid(box.x + u * box.halfLength * box.cos - v * box.halfWidth * box.sin);
+            const y = toGrid(box.y + u * box.halfLength * box.sin + v * box.halfWidth * box.cos);
+            
+            return { x: offsetX + (x - y) * tileWidth, y: offsetY + (x + y) * tileHeight + tileHeight };
+        });
+        
+        ctx.fillStyle = 'rgba(120, 120, 120, 0.75)';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.lineWidth = 1;
+        
+        // Sides, then the top
+        corners.forEach((corner, i) => {
+            const next = corners[(i + 1) % corners.length];
+            
+            ctx.beginPath();
+            ctx.moveTo(corner.x, corner.y);
+            ctx.lineTo(next.x, next.y);
+            ctx.lineTo(next.x, next.y - top);
+            ctx.lineTo(corner.x, corner.y - top);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        });
+        
+        ctx.beginPath();
+        corners.forEach((corner, i) => {
+            if (i === 0) {
+                ctx.moveTo(corner.x, corner.y - top);
+            } else {
+                ctx.lineTo(corner.x, corner.y - top);
+            }
+        });
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(160, 160, 160, 0.9)';
+        ctx.fill();
+        ctx.stroke();
+    });
+    
     // Draw legend
     drawLegend(ctx, canvas.width, canvas.height, min, max);
     
@@ -917,7 +1731,7 @@ function renderDataGrid(results) {
     // Column headers (X coordinates)
     for (let x = 0; x < results.dimensions.xPoints; x++) {
         const th = document.createElement('th');
-        const xCoord = (x * results.dimensions.gridSpacingM).toFixed(1);
+        const xCoord = results.dimensions.xCoords[x].toFixed(2);
         th.textContent = `${xCoord}m`;
         headerRow.appendChild(th);
     }
@@ -930,7 +1744,7 @@ function renderDataGrid(results) {
         
         // Row header (Y coordinate)
         const yHeader = document.createElement('th');
-        const yCoord = (y * results.dimensions.gridSpacingM).toFixed(1);
+        const yCoord = results.dimensions.yCoords[y].toFixed(2);
         yHeader.textContent = `${yCoord}m`;
         row.appendChild(yHeader);
         
@@ -939,6 +1753,12 @@ function renderDataGrid(results) {
             const cell = document.createElement('td');
             const value = results.grid[y][x];
             
+            // Points outside the room stay empty
+            if (value === null) {
+                row.appendChild(cell);
+                continue;
+            }
+            
             // Set cell text
             cell.textContent = `${value} lx`;
             
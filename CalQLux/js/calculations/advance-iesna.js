@@ -3,6 +3,11 @@
  * Implementation of advanced lighting calculation methods from the IESNA Handbook
  */
 
+import { getIntensityAtAngle } from './point.js';
+
+// Seated eye height used for the room glare rating in meters
+const SEATED_EYE_HEIGHT = 1.2;
+
 /**
  * Calculate Visual Comfort Probability (VCP)
  * @param {Object} luminaire - Luminaire data
@@ -191,10 +196,12 @@ function calculateDiscomfortGlareRating(
 
 /**
  * Calculate Unified Glare Rating (UGR)
- * @param {Object} luminaire - Luminaire data
+ * @param {Object} luminaire - Luminaire data with fixtures {x, y, z, area, photometry, ...}
+ *   as used by the point-by-point engine, area being the luminous area in m²
  * @param {Object} roomConfig - Room configuration
- * @param {Object} observerPosition - Observer position coordinates
- * @returns {number} - Unified Glare Rating
+ * @param {Object} observerPosition - Observer {x, y, eyeHeight, direction} where direction
+ *   is the horizontal line of sight in degrees from the x axis
+ * @returns {number} - Unified Glare Rating (0 when no luminaire is in view)
  */
 export function calculateUGR(luminaire, roomConfig, observerPosition) {
     // Background luminance
@@ -228,12 +235,91 @@ export function calculateUGR(luminaire, roomConfig, observerPosition) {
         sumOfGlareFactors += glareFactor;
     }
     
+    if (sumOfGlareFactors <= 0) {
+        return 0;
+    }
+    
     // UGR = 8 * log10(0.25 * sum(G))
     const UGR = 8 * Math.log10(0.25 * sumOfGlareFactors);
     
     return UGR;
 }
 
+/**
+ * Calculate the UGR of a room as the worst of the standard viewing positions:
+ * seated in the middle of each wall, looking across the room
+ * @param {Array} fixtures - Luminaire instances {x, y, z, area, photometry, ...}
+ * @param {Object} roomConfig - Room {length, width, height, reflectances (0-1), averageIlluminance}
+ * @param {number} eyeHeight - Observer eye height in meters
+ * @returns {number} - Highest Unified Glare Rating
+ */
+export function calculateRoomUGR(fixtures, roomConfig, eyeHeight = SEATED_EYE_HEIGHT) {
+    const { length, width } = roomConfig;
+    const observers = [
+        { x: 0, y: width / 2, direction: 0 },
+        { x: length, y: width / 2, direction: 180 },
+        { x: length / 2, y: 0, direction: 90 },
+        { x: length / 2, y: width, direction: 270 }
+    ];
+    
+    return observers.reduce((worst, observer) => Math.max(worst,
+        calculateUGR({ fixtures }, roomConfig, { ...observer, eyeHeight })), 0);
+}
+
+/**
+ * Get the luminance of a luminaire seen from the observer
+ * @param {Object} fixture - Luminaire instance with luminous area in m²
+ * @param {number} dx - X distance from the observer to the luminaire
+ * @param {number} dy - Y distance from the observer to the luminaire
+ * @param {number} dz - Height of the luminaire above the eye
+ * @returns {number} - Luminance in cd/m²
+ */
+function getLuminanceInDirection(fixture, dx, dy, dz) {
+    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    
+    // Only the underside of the luminaire is luminous
+    if (dz <= 0 || !(fixture.area > 0)) {
+        return 0;
+    }
+    
+    // Intensity towards the eye over the projected luminous area
+    const intensity = getIntensityAtAngle(fixture, -dx, -dy, dz);
+    const projectedArea = fixture.area * dz / distance;
+    
+    return intensity / projectedArea;
+}
+
+/**
+ * Calculate the Guth position index of a luminaire
+ * @param {Object} fixture - Luminaire instance {x, y, z}
+ * @param {Object} observerPosition - Observer {x, y, eyeHeight, direction}
+ * @returns {number} - Position index (Infinity for luminaires outside the field of view)
+ */
+function calculatePositionIndex(fixture, observerPosition) {
+    const direction = (observerPosition.direction || 0) * Math.PI / 180;
+    const dx = fixture.x - observerPosition.x;
+    const dy = fixture.y - observerPosition.y;
+    
+    // Distances along the line of sight (R), across it (T) and above the eye (H)
+    const R = dx * Math.cos(direction) + dy * Math.sin(direction);
+    const T = Math.abs(-dx * Math.sin(direction) + dy * Math.cos(direction));
+    const H = fixture.z - observerPosition.eyeHeight;
+    
+    if (R <= 0 || H <= 0) {
+        return Infinity;
+    }
+    
+    // α: angle of the plane through the line of sight and the luminaire from vertical
+    // β: angle between the line of sight and the luminaire
+    const alpha = Math.atan2(T, H) * (180 / Math.PI);
+    const beta = Math.atan2(Math.sqrt(T*T + H*H), R) * (180 / Math.PI);
+    
+    return Math.exp(
+        (35.2 - 0.31889 * alpha - 1.22 * Math.exp(-2 * alpha / 9)) * Math.pow(10, -3) * beta +
+        (21 + 0.26667 * alpha - 0.002963 * alpha * alpha) * Math.pow(10, -5) * beta * beta
+    );
+}
+
 /**
  * Calculate Equivalent Spherical Illuminance (ESI)
  * @param {number} horizontalIlluminance - Horizontal illuminance at point
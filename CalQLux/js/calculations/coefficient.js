@@ -3,6 +3,33 @@
  * Implements methods to calculate coefficient of utilization
  */
 
+import {
+    calculateZonalLumens,
+    classifyDistribution,
+    calculatePhotometricSpacingCriterion
+} from './photometry.js';
+
+/**
+ * Ceiling cavity / wall reflectance combinations (%) of a standard CU table
+ */
+export const CU_REFLECTANCE_COMBINATIONS = [
+    { ceiling: 80, walls: 70 }, { ceiling: 80, walls: 50 }, { ceiling: 80, walls: 30 }, { ceiling: 80, walls: 10 },
+    { ceiling: 70, walls: 70 }, { ceiling: 70, walls: 50 }, { ceiling: 70, walls: 30 }, { ceiling: 70, walls: 10 },
+    { ceiling: 50, walls: 50 }, { ceiling: 50, walls: 30 }, { ceiling: 50, walls: 10 },
+    { ceiling: 30, walls: 50 }, { ceiling: 30, walls: 30 }, { ceiling: 30, walls: 10 },
+    { ceiling: 10, walls: 50 }, { ceiling: 10, walls: 30 }, { ceiling: 10, walls: 10 },
+    { ceiling: 0, walls: 0 }
+];
+
+/**
+ * Room cavity ratios of a standard CU table
+ */
+export const CU_ROOM_CAVITY_RATIOS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+// Zonal multiplier constants K_N = exp(-A_N * RCR^B_N) for the 10° zones below 90°
+const ZONAL_MULTIPLIER_A = [0, 0.041, 0.070, 0.100, 0.136, 0.190, 0.315, 0.640, 2.10];
+const ZONAL_MULTIPLIER_B = [0, 0.98, 1.05, 1.12, 1.16, 1.25, 1.25, 1.25, 0.80];
+
 /**
  * Calculate coefficient of utilization for a space and luminaire combination
  * @param {Object} roomConfig - Room configuration data
@@ -18,8 +45,13 @@ export function calculateCoefficientOfUtilization(roomConfig, luminaire) {
     const pw = roomConfig.reflectances.walls;
     const pf = roomConfig.reflectances.floor;
     
-    // In a real implementation, the CU would be obtained from the luminaire's CU table
-    // For this example, we'll use a formula to estimate the CU based on RCR and reflectances
+    // Luminaires with photometry use their own CU table
+    if (luminaire.photometry) {
+        const table = generateCUTable(luminaire.photometry, { floorReflectance: pf * 100 });
+        return interpolateCU(table, rcr, pc * 100, pw * 100);
+    }
+    
+    // Otherwise estimate the CU from the luminaire type
     
     // Basic CU formula for direct lighting
     let cu = 0;
@@ -47,6 +79,7 @@ export function calculateCoefficientOfUtilization(roomConfig, luminaire) {
                  0.7 * calculateIndirectCU(rcr, pc, pw, pf);
             break;
         case 'direct-indirect':
+        case 'general-diffuse':
             // Direct-indirect lighting (equal amounts of light upward and downward)
             cu = 0.5 * calculateDirectCU(rcr, pc, pw, pf) + 
                  0.5 * calculateIndirectCU(rcr, pc, pw, pf);
@@ -60,6 +93,230 @@ export function calculateCoefficientOfUtilization(roomConfig, luminaire) {
     return Math.max(0, Math.min(1, cu));
 }
 
+/**
+ * Generate a zonal cavity CU table from a candela distribution
+ * @param {Object} photometry - Parsed photometric data
+ * @param {Object} options - Table options {floorReflectance (%, default 20), combinations, rcrs}
+ * @returns {Object} - Table {floorReflectance, lampLumens, combinations, rcrs, values[rcr][combination]}
+ */
+export function generateCUTable(photometry, options = {}) {
+    const floorReflectance = options.floorReflectance !== undefined ? options.floorReflectance : 20;
+    const combinations = options.combinations || CU_REFLECTANCE_COMBINATIONS;
+    const rcrs = options.rcrs || CU_ROOM_CAVITY_RATIOS;
+    
+    // Zonal lumens per lamp lumen; absolute photometry is expressed per luminaire lumen
+    const zonalLumens = calculateZonalLumens(photometry);
+    const totalLumens = zonalLumens.reduce((sum, value) => sum + value, 0);
+    const lampLumens = photometry.lumensPerLamp > 0 ?
+        photometry.lampCount * photometry.lumensPerLamp : totalLumens;
+    
+    const zonalFractions = zonalLumens.map(value => lampLumens > 0 ? value / lampLumens : 0);
+    
+    const values = rcrs.map(rcr => combinations.map(combination =>
+        calculateZonalCavityCU(
+            zonalFractions,
+            rcr,
+            combination.ceiling / 100,
+            combination.walls / 100,
+            floorReflectance / 100
+        )
+    ));
+    
+    return {
+        floorReflectance: floorReflectance,
+        lampLumens: lampLumens,
+        combinations: combinations,
+        rcrs: rcrs,
+        values: values
+    };
+}
+
+/**
+ * Calculate the CU of a room cavity with the zonal cavity method
+ * @param {Array} zonalFractions - Flux in 10° zones from nadir as a fraction of lamp lumens
+ * @param {number} rcr - Room cavity ratio
+ * @param {number} ceilingCavity - Effective ceiling cavity reflectance (0-1)
+ * @param {number} walls - Wall reflectance (0-1)
+ * @param {number} floorCavity - Effective floor cavity reflectance (0-1)
+ * @returns {number} - Coefficient of utilization
+ */
+export function calculateZonalCavityCU(zonalFractions, rcr, ceilingCavity, walls, floorCavity) {
+    const downward = zonalFractions.slice(0, 9);
+    const upward = zonalFractions.slice(9).reduce((sum, value) => sum + value, 0);
+    const downwardTotal = downward.reduce((sum, value) => sum + value, 0);
+    
+    // Direct ratio: share of the downward flux reaching the work plane directly
+    let directToFloor = 0;
+    downward.forEach((flux, n) => {
+        directToFloor += flux * getZonalMultiplier(n, rcr);
+    });
+    
+    // Three-surface enclosure: ceiling cavity (c), walls (w) and floor cavity (f).
+    // The cavity is treated as a cylinder with RCR = 5h/r for the form factors.
+    const x = rcr / 5;
+    const fcf = (2 + x * x - x * Math.sqrt(x * x + 4)) / 2;  // ceiling to floor
+    const fcw = 1 - fcf;                                        // ceiling to walls
+    const fwc = rcr > 0 ? fcw * 2.5 / rcr : 0;                 // walls to ceiling (A_c / A_w = 2.5 / RCR)
+    const fww = 1 - 2 * fwc;                                   // walls to walls
+    
+    // Initial flux on each surface
+    const initial = {
+        c: upward,
+        w: downwardTotal - directToFloor,
+        f: directToFloor
+    };
+    
+    // Flux leaving each surface, solved by iteration (reflectances are < 1)
+    const exitance = { c: 0, w: 0, f: 0 };
+    let incidentFloor = initial.f;
+    
+    for (let i = 0; i < 500; i++) {
+        const incidentCeiling = initial.c + exitance.w * fwc + exitance.f * fcf;
+        const incidentWalls = initial.w + exitance.c * fcw + exitance.w * fww + exitance.f * fcw;
+        incidentFloor = initial.f + exitance.c * fcf + exitance.w * fwc;
+        
+        const next = {
+            c: ceilingCavity * incidentCeiling,
+            w: walls * incidentWalls,
+            f: floorCavity * incidentFloor
+        };
+        
+        const change = Math.abs(next.c - exitance.c) + Math.abs(next.w - exitance.w) + Math.abs(next.f - exitance.f);
+        
+        exitance.c = next.c;
+        exitance.w = next.w;
+        exitance.f = next.f;
+        
+        if (change < 1e-9) {
+            break;
+        }
+    }
+    
+    return incidentFloor;
+}
+
+/**
+ * Interpolate a CU from a generated table
+ * @param {Object} table - Result of generateCUTable
+ * @param {number} rcr - Room cavity ratio
+ * @param {number} ceiling - Effective ceiling cavity reflectance (%)
+ * @param {number} walls - Wall reflectance (%)
+ * @returns {number} - Coefficient of utilization
+ */
+export function interpolateCU(table, rcr, ceiling, walls) {
+    const clampedRCR = Math.max(table.rcrs[0], Math.min(table.rcrs[table.rcrs.length - 1], rcr));
+    
+    // Interpolate between RCR rows
+    let rowIndex = 0;
+    while (rowIndex < table.rcrs.length - 2 && clampedRCR > table.rcrs[rowIndex + 1]) {
+        rowIndex++;
+    }
+    
+    const rcrSpan = table.rcrs[rowIndex + 1] - table.rcrs[rowIndex];
+    const rcrRatio = rcrSpan > 0 ? (clampedRCR - table.rcrs[rowIndex]) / rcrSpan : 0;
+    
+    const valueAt = index =>
+        table.values[rowIndex][index] * (1 - rcrRatio) + table.values[rowIndex + 1][index] * rcrRatio;
+    
+    // Interpolate between wall reflectances within each ceiling reflectance
+    const ceilings = Array.from(new Set(table.combinations.map(combination => combination.ceiling)))
+        .sort((a, b) => a - b);
+    
+    const valueForCeiling = ceilingValue => {
+        const columns = table.combinations
+            .map((combination, index) => ({ walls: combination.walls, value: valueAt(index) }))
+            .filter((column, index) => table.combinations[index].ceiling === ceilingValue)
+            .sort((a, b) => a.walls - b.walls);
+        
+        return interpolateLinear(columns.map(column => column.walls), columns.map(column => column.value), walls);
+    };
+    
+    return interpolateLinear(ceilings, ceilings.map(valueForCeiling), ceiling);
+}
+
+/**
+ * Export a CU table as CSV in the layout of manufacturer spec sheets
+ * @param {Object} table - Result of generateCUTable
+ * @param {string} title - Optional title line
+ * @returns {string} - CSV content
+ */
+export function exportCUTableCSV(table, title) {
+    const lines = [];
+    
+    if (title) {
+        lines.push(`"${title.replace(/"/g, '""')}"`);
+    }
+    
+    lines.push(`Coefficients of Utilization - Zonal Cavity Method,Effective floor cavity reflectance ${table.floorReflectance}%`);
+    lines.push(['RC'].concat(table.combinations.map(combination => combination.ceiling)).join(','));
+    lines.push(['RW'].concat(table.combinations.map(combination => combination.walls)).join(','));
+    
+    table.rcrs.forEach((rcr, row) => {
+        lines.push([`RCR ${rcr}`].concat(table.values[row].map(value => Math.round(value * 100))).join(','));
+    });
+    
+    return lines.join('\r\n');
+}
+
+/**
+ * Calculate an effective cavity reflectance (ceiling or floor cavity)
+ * @param {number} baseReflectance - Reflectance of the cavity base (0-1)
+ * @param {number} wallReflectance - Reflectance of the cavity walls (0-1)
+ * @param {number} cavityRatio - Cavity ratio (5h(L+W)/(LW))
+ * @returns {number} - Effective reflectance of the cavity opening (0-1)
+ */
+export function calculateEffectiveCavityReflectance(baseReflectance, wallReflectance, cavityRatio) {
+    if (cavityRatio <= 0) {
+        return baseReflectance;
+    }
+    
+    // Opening / total surface area, with wall area = base area * CR / 2.5
+    const wallShare = cavityRatio / 2.5;
+    const openingRatio = 1 / (1 + wallShare);
+    const averageReflectance = (baseReflectance + wallReflectance * wallShare) / (1 + wallShare);
+    
+    return averageReflectance * openingRatio / (1 - averageReflectance + averageReflectance * openingRatio);
+}
+
+/**
+ * Zonal multiplier for a 10° zone below the horizontal
+ * @param {number} zone - Zone index (0 = 0-10°, 8 = 80-90°)
+ * @param {number} rcr - Room cavity ratio
+ * @returns {number} - Fraction of the zone's flux reaching the work plane directly
+ */
+function getZonalMultiplier(zone, rcr) {
+    if (rcr <= 0) {
+        return 1;
+    }
+    
+    return Math.exp(-ZONAL_MULTIPLIER_A[zone] * Math.pow(rcr, ZONAL_MULTIPLIER_B[zone]));
+}
+
+/**
+ * Piecewise linear interpolation with clamping at the ends
+ * @param {Array} xs - Ascending x values
+ * @param {Array} ys - Values at xs
+ * @param {number} x - Position to interpolate at
+ * @returns {number} - Interpolated value
+ */
+function interpolateLinear(xs, ys, x) {
+    if (xs.length === 1 || x <= xs[0]) {
+        return ys[0];
+    }
+    
+    if (x >= xs[xs.length - 1]) {
+        return ys[ys.length - 1];
+    }
+    
+    let i = 0;
+    while (x > xs[i + 1]) {
+        i++;
+    }
+    
+    const ratio = (x - xs[i]) / (xs[i + 1] - xs[i]);
+    return ys[i] * (1 - ratio) + ys[i + 1] * ratio;
+}
+
 /**
  * Calculate room cavity ratio
  * @param {Object} roomConfig - Room configuration data
@@ -141,11 +398,13 @@ function calculateIndirectCU(rcr, pc, pw, pf) {
  * @param {Object} luminaire - Luminaire data
  * @returns {string} - Distribution type
  */
-function getLuminaireDistributionType(luminaire) {
-    // In a real implementation, this would analyze the photometric data
-    // For this example, we'll use the luminaire type to determine distribution
+export function getLuminaireDistributionType(luminaire) {
+    // Classify from the up/down flux split when photometry is available
+    if (luminaire.photometry) {
+        return classifyDistribution(luminaire.photometry);
+    }
     
-    // Default to direct if no type is specified
+    // Otherwise guess from the luminaire type, defaulting to direct
     if (!luminaire.type) {
         return 'direct';
     }
@@ -176,12 +435,17 @@ function getLuminaireDistributionType(luminaire) {
 /**
  * Calculate spacing criterion for a luminaire
  * @param {Object} luminaire - Luminaire data
- * @returns {Object} - Spacing criterion in x and y directions
+ * @returns {Object} - Spacing criterion in x (0°) and y (90°) directions, plus the
+ *                     diagonal when it can be derived from photometry
  */
 export function calculateSpacingCriterion(luminaire) {
-    // In a real implementation, this would be calculated from photometric data
-    // For this example, we'll use luminaire type to estimate
+    // IES spacing criterion from the candela curves (x follows the C0 plane)
+    if (luminaire.photometry) {
+        const sc = calculatePhotometricSpacingCriterion(luminaire.photometry);
+        return { x: sc.c0, y: sc.c90, diagonal: sc.diagonal, source: 'photometry' };
+    }
     
+    // Without photometry, estimate from the luminaire type
     let scx, scy;
     
     switch (luminaire.type?.toLowerCase()) {
@@ -218,14 +482,14 @@ export function calculateSpacingCriterion(luminaire) {
         scy *= Math.min(1.5, Math.max(0.7, factor));
     }
     
-    return { x: scx, y: scy };
+    return { x: scx, y: scy, diagonal: null, source: 'estimate' };
 }
 
 /**
  * Calculate recommended luminaire spacing
  * @param {Object} luminaire - Luminaire data
  * @param {number} mountingHeight - Mounting height above work plane
- * @returns {Object} - Recommended spacing in x and y directions
+ * @returns {Object} - Maximum spacing in x, y and diagonal directions
  */
 export function calculateRecommendedSpacing(luminaire, mountingHeight) {
     const sc = calculateSpacingCriterion(luminaire);
@@ -234,11 +498,16 @@ export function calculateRecommendedSpacing(luminaire, mountingHeight) {
     const spacingX = sc.x * mountingHeight;
     const spacingY = sc.y * mountingHeight;
     
+    // A photometric SC is already the maximum spacing; type-based estimates allow some margin
+    const margin = sc.source === 'photometry' ? 1 : 1.5;
+    
     return {
         x: spacingX,
         y: spacingY,
-        maxX: spacingX * 1.5, // Maximum recommended spacing
-        maxY: spacingY * 1.5
+        diagonal: sc.diagonal !== null ? sc.diagonal * mountingHeight : null,
+        maxX: spacingX * margin, // Maximum recommended spacing
+        maxY: spacingY * margin,
+        spacingCriterion: sc
     };
 }
 
@@ -253,19 +522,45 @@ export function calculateRecommendedSpacing(luminaire, mountingHeight) {
 export function evaluateSpacing(luminaire, spacingX, spacingY, mountingHeight) {
     const recommended = calculateRecommendedSpacing(luminaire, mountingHeight);
     
-    const ratioX = spacingX / recommended.x;
-    const ratioY = spacingY / recommended.y;
+    const ratioX = spacingX / recommended.maxX;
+    const ratioY = spacingY / recommended.maxY;
+    
+    // Within the maximum spacing is good, up to 25% beyond it is acceptable
+    const getStatus = ratio => ratio <= 1 ? 'good' : (ratio <= 1.25 ? 'acceptable' : 'poor');
+    
+    const xStatus = getStatus(ratioX);
+    const yStatus = getStatus(ratioY);
+    
+    // Diagonal spacing of a rectangular grid, checked against the 45° SC. The cell
+    // centre also receives light from the other two luminaires of the cell, so the
+    // diagonal may be up to √2 times the axial limit.
+    const diagonalSpacing = Math.sqrt(spacingX * spacingX + spacingY * spacingY);
+    const ratioDiagonal = recommended.diagonal ? diagonalSpacing / (recommended.diagonal * Math.SQRT2) : null;
+    const diagonalStatus = ratioDiagonal !== null ? getStatus(ratioDiagonal) : 'good';
+    
+    const statuses = [xStatus, yStatus, diagonalStatus];
     
-    // Check if spacing is within recommended range
-    const xStatus = ratioX <= 1.5 ? 'good' : (ratioX <= 2.0 ? 'acceptable' : 'poor');
-    const yStatus = ratioY <= 1.5 ? 'good' : (ratioY <= 2.0 ? 'acceptable' : 'poor');
+    const warnings = [];
+    
+    if (xStatus !== 'good') {
+        warnings.push(`Spacing along the length (${spacingX.toFixed(2)} m) exceeds SC ${recommended.spacingCriterion.x} × mounting height`);
+    }
+    
+    if (yStatus !== 'good') {
+        warnings.push(`Spacing along the width (${spacingY.toFixed(2)} m) exceeds SC ${recommended.spacingCriterion.y} × mounting height`);
+    }
+    
+    if (diagonalStatus !== 'good') {
+        warnings.push(`Diagonal spacing (${diagonalSpacing.toFixed(2)} m) exceeds the diagonal SC ${recommended.spacingCriterion.diagonal}`);
+    }
     
     return {
         recommended: recommended,
-        actual: { x: spacingX, y: spacingY },
-        ratio: { x: ratioX, y: ratioY },
-        status: { x: xStatus, y: yStatus },
-        overall: (xStatus === 'poor' || yStatus === 'poor') ? 'poor' : 
-                (xStatus === 'acceptable' || yStatus === 'acceptable') ? 'acceptable' : 'good'
+        actual: { x: spacingX, y: spacingY, diagonal: diagonalSpacing },
+        ratio: { x: ratioX, y: ratioY, diagonal: ratioDiagonal },
+        status: { x: xStatus, y: yStatus, diagonal: diagonalStatus },
+        overall: statuses.includes('poor') ? 'poor' : 
+                statuses.includes('acceptable') ? 'acceptable' : 'good',
+        warnings: warnings
     };
 }
\ No newline at end of file
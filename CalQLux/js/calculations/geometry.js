@@ -0,0 +1,300 @@
+/**
+ * CalQLux - Room Geometry Module
+ * Polygon room outlines with cores, their walls and plan-view visibility
+ */
+
+// Distance in meters within which a point on a wall counts as inside the room
+const EDGE_TOLERANCE = 1e-6;
+
+/**
+ * Get the floor plan of a room in meters, moved so that its bounding box
+ * starts at the origin. Rooms without vertices are the rectangle length × width.
+ * @param {Object} room - Room {length, lengthUnit, width, widthUnit, vertices, holes,
+ *   wallReflectances} where vertices and holes are points {x, y} in the length unit,
+ *   holes are cores cut out of the floor and wallReflectances gives the reflectance (%)
+ *   of the wall from each outline vertex to the next (null for the room default)
+ * @returns {Object} - Plan {outline, holes, wallReflectances, area, perimeter, bounds}
+ */
+export function getRoomPolygon(room) {
+    const toMeters = room.lengthUnit === 'ft' ? 0.3048 : 1;
+    const hasVertices = Array.isArray(room.vertices) && room.vertices.length >= 3;
+    const origin = hasVertices ? getBounds(room.vertices) : { minX: 0, minY: 0 };
+    const convert = ring => ring.map(point => ({
+        x: (point.x - origin.minX) * toMeters,
+        y: (point.y - origin.minY) * toMeters
+    }));
+    let outline;
+    
+    if (hasVertices) {
+        outline = convert(room.vertices);
+    } else {
+        const lengthM = room.length * toMeters;
+        const widthM = room.widthUnit === 'ft' ? room.width * 0.3048 : room.width;
+        outline = [{ x: 0, y: 0 }, { x: lengthM, y: 0 }, { x: lengthM, y: widthM }, { x: 0, y: widthM }];
+    }
+    
+    let wallReflectances = Array.isArray(room.wallReflectances) ? room.wallReflectances.slice(0, outline.length) : [];
+    
+    // Walls are walked counterclockwise so their inward normal is on the left
+    if (getSignedArea(outline) < 0) {
+        outline = outline.slice().reverse();
+        
+        // Wall i ran from vertex i to i + 1; reversed, it runs from n - 2 - i to n - 1 - i
+        const reversed = [];
+        for (let i = 0; i < outline.length; i++) {
+            reversed[(2 * outline.length - 2 - i) % outline.length] = wallReflectances[i];
+        }
+        wallReflectances = reversed;
+    }
+    
+    // Cores are walked clockwise, so the room is on the left of their walls too
+    const holes = (room.holes || [])
+        .filter(hole => Array.isArray(hole) && hole.length >= 3)
+        .map(hole => {
+            const ring = convert(hole);
+            return getSignedArea(ring) > 0 ? ring.reverse() : ring;
+        });
+    
+    const area = Math.abs(getSignedArea(outline)) -
+        holes.reduce((total, hole) => total + Math.abs(getSignedArea(hole)), 0);
+    const perimeter = [outline, ...holes].reduce((total, ring) => total + getRingLength(ring), 0);
+    
+    return {
+        outline: outline,
+        holes: holes,
+        wallReflectances: outline.map((point, i) =>
+            Number.isFinite(wallReflectances[i]) ? wallReflectances[i] : null),
+        area: area,
+        perimeter: perimeter,
+        bounds: getBounds(outline)
+    };
+}
+
+/**
+ * Check whether a plan is a plain rectangle aligned with the axes
+ * @param {Object} plan - Result of getRoomPolygon
+ * @returns {boolean} - Whether the plan is a rectangle without cores
+ */
+export function isRectangularPlan(plan) {
+    const { outline, holes, bounds } = plan;
+    
+    return holes.length === 0 && outline.length === 4 && outline.every(point =>
+        (Math.abs(point.x - bounds.minX) < EDGE_TOLERANCE || Math.abs(point.x - bounds.maxX) < EDGE_TOLERANCE) &&
+        (Math.abs(point.y - bounds.minY) < EDGE_TOLERANCE || Math.abs(point.y - bounds.maxY) < EDGE_TOLERANCE));
+}
+
+/**
+ * Check whether a point lies on the floor of a plan (walls count as inside)
+ * @param {Object} point - Point {x, y}
+ * @param {Object} plan - Result of getRoomPolygon
+ * @returns {boolean} - Whether the point is inside the outline and outside every core
+ */
+export function isPointInPlan(point, plan) {
+    if (!isPointInRing(point, plan.outline) && !isPointOnRing(point, plan.outline)) {
+        return false;
+    }
+    
+    return plan.holes.every(hole => !isPointInRing(point, hole) || isPointOnRing(point, hole));
+}
+
+/**
+ * Get the walls of a plan, each facing into the room
+ * @param {Object} plan - Result of getRoomPolygon
+ * @returns {Array} - Walls {start, end, normal, reflectance} where the reflectance (%)
+ *   is null for walls that use the room default
+ */
+export function getWalls(plan) {
+    const walls = [];
+    
+    [plan.outline, ...plan.holes].forEach((ring, ringIndex) => {
+        ring.forEach((start, i) => {
+            const end = ring[(i + 1) % ring.length];
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const length = Math.sqrt(dx*dx + dy*dy);
+            const own = ringIndex === 0 ? plan.wallReflectances[i] : null;
+            
+            if (length > 0) {
+                walls.push({
+                    start: start,
+                    end: end,
+                    normal: { x: -dy / length, y: dx / length, z: 0 },
+                    reflectance: own
+                });
+            }
+        });
+    });
+    
+    return walls;
+}
+
+/**
+ * Create a test for whether two points in the room can see each other. Walls
+ * run floor to ceiling, so this is decided in plan. Convex rooms without cores
+ * need no test and get null.
+ * @param {Object} plan - Result of getRoomPolygon
+ * @returns {Function|null} - (a, b) => boolean for points {x, y}, or null
+ */
+export function createPlanVisibility(plan) {
+    if (plan.holes.length === 0 && isConvex(plan.outline)) {
+        return null;
+    }
+    
+    const edges = [];
+    
+    [plan.outline, ...plan.holes].forEach(ring => {
+        ring.forEach((start, i) => {
+            edges.push([start, ring[(i + 1) % ring.length]]);
+        });
+    });
+    
+    return (a, b) => !edges.some(([start, end]) => segmentsCross(a, b, start, end));
+}
+
+/**
+ * Vertices of an L-shaped room: the rectangle length × width with a
+ * rectangular notch cut from the far corner
+ * @param {number} length - Overall length
+ * @param {number} width - Overall width
+ * @param {number} notchLength - Length of the notch along x
+ * @param {number} notchWidth - Width of the notch along y
+ * @returns {Array} - Vertices {x, y}, counterclockwise
+ */
+export function createLShapeVertices(length, width, notchLength, notchWidth) {
+    return [
+        { x: 0, y: 0 },
+        { x: length, y: 0 },
+        { x: length, y: width - notchWidth },
+        { x: length - notchLength, y: width - notchWidth },
+        { x: length - notchLength, y: width },
+        { x: 0, y: width }
+    ];
+}
+
+/**
+ * Signed area of a ring (positive when counterclockwise)
+ * @param {Array} ring - Vertices {x, y}
+ * @returns {number} - Area
+ */
+function getSignedArea(ring) {
+    let area = 0;
+    
+    ring.forEach((point, i) => {
+        const next = ring[(i + 1) % ring.length];
+        area += point.x * next.y - next.x * point.y;
+    });
+    
+    return area / 2;
+}
+
+/**
+ * Length of a closed ring
+ * @param {Array} ring - Vertices {x, y}
+ * @returns {number} - Perimeter
+ */
+function getRingLength(ring) {
+    return ring.reduce((total, point, i) => {
+        const next = ring[(i + 1) % ring.length];
+        return total + Math.hypot(next.x - point.x, next.y - point.y);
+    }, 0);
+}
+
+/**
+ * Bounding box of a ring
+ * @param {Array} ring - Vertices {x, y}
+ * @returns {Object} - {minX, minY, maxX, maxY}
+ */
+function getBounds(ring) {
+    return {
+        minX: Math.min(...ring.map(point => point.x)),
+        minY: Math.min(...ring.map(point => point.y)),
+        maxX: Math.max(...ring.map(point => point.x)),
+        maxY: Math.max(...ring.map(point => point.y))
+    };
+}
+
+/**
+ * Check whether a ring is convex
+ * @param {Array} ring - Vertices {x, y}
+ * @returns {boolean} - Whether every turn goes the same way
+ */
+function isConvex(ring) {
+    let sign = 0;
+    
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        const c = ring[(i + 2) % ring.length];
+        const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+        
+        if (Math.abs(cross) > EDGE_TOLERANCE) {
+            if (sign !== 0 && Math.sign(cross) !== sign) {
+                return false;
+            }
+            sign = Math.sign(cross);
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Even-odd test for a point inside a ring
+ * @param {Object} point - Point {x, y}
+ * @param {Array} ring - Vertices {x, y}
+ * @returns {boolean} - Whether the point is strictly inside
+ */
+function isPointInRing(point, ring) {
+    let inside = false;
+    
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i];
+        const b = ring[j];
+        
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    
+    return inside;
+}
+
+/**
+ * Check whether a point lies on the boundary of a ring
+ * @param {Object} point - Point {x, y}
+ * @param {Array} ring - Vertices {x, y}
+ * @returns {boolean} - Whether the point is on one of the edges
+ */
+function isPointOnRing(point, ring) {
+    return ring.some((start, i) => {
+        const end = ring[(i + 1) % ring.length];
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx*dx + dy*dy;
+        const t = lengthSquared > 0 ?
+            Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared)) : 0;
+        
+        return Math.hypot(start.x + t * dx - point.x, start.y + t * dy - point.y) < EDGE_TOLERANCE;
+    });
+}
+
+/**
+ * Check whether two segments cross. Touching at an end point does not count,
+ * so points on a wall can still see along it.
+ * @param {Object} a - First segment start
+ * @param {Object} b - First segment end
+ * @param {Object} c - Second segment start
+ * @param {Object} d - Second segment end
+ * @returns {boolean} - Whether the segments properly intersect
+ */
+function segmentsCross(a, b, c, d) {
+    const side = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const d1 = side(c, d, a);
+    const d2 = side(c, d, b);
+    const d3 = side(a, b, c);
+    const d4 = side(a, b, d);
+    
+    return ((d1 > EDGE_TOLERANCE && d2 < -EDGE_TOLERANCE) || (d1 < -EDGE_TOLERANCE && d2 > EDGE_TOLERANCE)) &&
+        ((d3 > EDGE_TOLERANCE && d4 < -EDGE_TOLERANCE) || (d3 < -EDGE_TOLERANCE && d4 > EDGE_TOLERANCE));
+}
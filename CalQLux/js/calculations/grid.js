@@ -0,0 +1,123 @@
+/**
+ * CalQLux - Calculation Grid Module
+ * Grid sizing to EN 12464-1 and CIE x045 and the positions of grid points
+ */
+
+// Largest spacing in meters the standard formula allows
+const MAX_STANDARD_SPACING = 10;
+
+/**
+ * Largest grid spacing for an area, p = 0.2 × 5^log10(d)
+ * @param {number} size - Longer side d of the area in meters
+ * @returns {number} - Spacing in meters
+ */
+export function getStandardSpacing(size) {
+    if (!(size > 0)) {
+        return 0;
+    }
+    
+    return Math.min(0.2 * Math.pow(5, Math.log10(size)), MAX_STANDARD_SPACING);
+}
+
+/**
+ * Number of grid points along one side: the smallest whole number of cells
+ * that keeps them no wider than the spacing
+ * @param {number} size - Length of the side in meters
+ * @param {number} spacing - Largest spacing in meters
+ * @returns {number} - Number of points, at least one
+ */
+export function getPointCount(size, spacing) {
+    if (!(size > 0) || !(spacing > 0)) {
+        return 1;
+    }
+    
+    return Math.max(Math.ceil(size / spacing - 1e-9), 1);
+}
+
+/**
+ * Positions of points at the centres of equal cells along one side
+ * @param {number} size - Length of the side
+ * @param {number} count - Number of cells
+ * @returns {Array} - Distances from the start of the side
+ */
+export function getCellCentredPositions(size, count) {
+    return Array.from({ length: count }, (value, i) => (i + 0.5) * size / count);
+}
+
+/**
+ * Create the standard grid of a rectangular area: the spacing comes from
+ * the longer side and the points sit at the centres of the cells
+ * @param {number} length - Length of the area in meters
+ * @param {number} width - Width of the area in meters
+ * @returns {Object} - Grid {spacing, xPositions, yPositions} with positions measured
+ *   from the corner of the area
+ */
+export function createStandardGrid(length, width) {
+    const spacing = getStandardSpacing(Math.max(length, width));
+    
+    return {
+        spacing: spacing,
+        xPositions: getCellCentredPositions(length, getPointCount(length, spacing)),
+        yPositions: getCellCentredPositions(width, getPointCount(width, spacing))
+    };
+}
+
+/**
+ * Create the calculation grid of a room. A border is kept clear along the
+ * walls. Cells are sized to at most the spacing, which is p for standard
+ * grids and the user's value otherwise. Centre points sit in the middle of
+ * each cell, edge points on the cell corners, including the border line.
+ * @param {number} length - Length of the room in meters
+ * @param {number} width - Width of the room in meters
+ * @param {Object} options - Grid {mode, spacing, offset, points} where mode is 'standard'
+ *   or 'spacing', points is 'centre' or 'edge' and spacing and offset are in meters
+ * @returns {Object} - Grid {spacing, xCoords, yCoords} with the point coordinates in meters
+ */
+export function createRoomGrid(length, width, options = {}) {
+    const offset = Math.max(options.offset || 0, 0);
+    const areaLength = Math.max(length - 2 * offset, 0);
+    const areaWidth = Math.max(width - 2 * offset, 0);
+    const spacing = options.mode === 'standard' ?
+        getStandardSpacing(Math.max(areaLength, areaWidth)) : options.spacing;
+    
+    const place = (size, roomSize) => {
+        if (!(size > 0) || !(spacing > 0)) {
+            return [roomSize / 2];
+        }
+        
+        const cells = getPointCount(size, spacing);
+        const positions = options.points === 'centre' ?
+            getCellCentredPositions(size, cells) :
+            Array.from({ length: cells + 1 }, (value, i) => i * size / cells);
+        
+        return positions.map(position => offset + position);
+    };
+    
+    return {
+        spacing: spacing,
+        xCoords: place(areaLength, length),
+        yCoords: place(areaWidth, width)
+    };
+}
+
+/**
+ * Extent of the cell around each grid point along one axis, for drawing:
+ * cells meet halfway between points and the outer ones reach half a cell
+ * beyond the last point, within the side
+ * @param {Array} coords - Point coordinates, ascending
+ * @param {number} size - Length of the side
+ * @returns {Array} - Cells {start, end}
+ */
+export function getCellBounds(coords, size) {
+    if (coords.length === 1) {
+        return [{ start: 0, end: size }];
+    }
+    
+    return coords.map((coord, i) => {
+        const before = i > 0 ? (coords[i - 1] + coord) / 2 : coord - (coords[1] - coord) / 2;
+        const after = i < coords.length - 1 ? (coord + coords[i + 1]) / 2 :
+            coord + (coord - coords[i - 1]) / 2;
+        
+        return { start: Math.max(before, 0), end: Math.min(after, size) };
+    });
+}
@@ -3,6 +3,22 @@
  * Calculation Modules Entry Point
  */
 
+import { calculatePointIlluminance, getIntensityScale, createOrientation } from './point.js';
+import { solveRadiosity, calculateIndirectIlluminanceAtPoint } from './radiosity.js';
+import { generateLayout } from './layout.js';
+import { getRoomPolygon, isPointInPlan } from './geometry.js';
+import { getObstructionBoxes, createVisibilityTest, isPointInObstruction } from './obstructions.js';
+import { calculateSurfaces } from './surfaces.js';
+import { calculateTaskAreas } from './task-areas.js';
+import { createRoomGrid } from './grid.js';
+import {
+    generateCUTable,
+    interpolateCU,
+    calculateEffectiveCavityReflectance,
+    evaluateSpacing,
+    getLuminaireDistributionType
+} from './coefficient.js';
+
 /**
  * Calculate point-by-point illuminance values
  * @param {Object} params - Calculation parameters
@@ -11,72 +27,86 @@
 export function calculatePointByPoint(params) {
     const { room, luminaires, reflectances, workplane } = params;
     
-    // Convert dimensions to meters for consistency
-    const lengthM = room.lengthUnit === 'ft' ? room.length * 0.3048 : room.length;
-    const widthM = room.widthUnit === 'ft' ? room.width * 0.3048 : room.width;
+    // Floor plan in meters; the grid covers its bounding box
+    const plan = getRoomPolygon(room);
+    const obstructions = getObstructionBoxes(room.obstructions);
+    const lengthM = plan.bounds.maxX;
+    const widthM = plan.bounds.maxY;
     const heightM = room.heightUnit === 'ft' ? room.height * 0.3048 : room.height;
     const workplaneHeightM = workplane.heightUnit === 'ft' ? workplane.height * 0.3048 : workplane.height;
     
-    // Calculate grid points
-    const gridSpacingM = params.calculation.gridSpacing;
-    const xPoints = Math.floor(lengthM / gridSpacingM) + 1;
-    const yPoints = Math.floor(widthM / gridSpacingM) + 1;
+    // Calculate grid points; spacing and border share the grid unit
+    const { calculation } = params;
+    const toMeters = calculation.gridSpacingUnit === 'ft' ? 0.3048 : 1;
+    const roomGrid = createRoomGrid(lengthM, widthM, {
+        mode: calculation.gridMode || 'spacing',
+        spacing: calculation.gridSpacing * toMeters,
+        offset: (calculation.gridOffset || 0) * toMeters,
+        points: calculation.gridPoints || 'edge'
+    });
+    const { xCoords, yCoords } = roomGrid;
+    const gridSpacingM = roomGrid.spacing;
+    const xPoints = xCoords.length;
+    const yPoints = yCoords.length;
+    
+    // Luminaire instances with position, orientation and photometry
+    const fixtures = createFixtures(luminaires, plan, heightM);
+    
+    // Solve inter-reflections between ceiling, walls and floor
+    const radiosity = solveRadiosity({
+        length: lengthM,
+        width: widthM,
+        height: heightM,
+        plan: plan,
+        obstructions: obstructions,
+        reflectances: {
+            ceiling: reflectances.ceiling / 100,
+            walls: reflectances.walls / 100,
+            floor: reflectances.floor / 100
+        }
+    }, fixtures, {
+        tolerance: calculation.radiosityTolerance,
+        maxIterations: calculation.radiosityMaxIterations
+    });
+    const up = { x: 0, y: 0, z: 1 };
+    
+    // Walls of non-convex rooms and obstructions block direct light from some luminaires
+    const isVisible = createVisibilityTest(plan, obstructions);
     
     // Generate illuminance grid
     const illuminanceGrid = [];
     let minIlluminance = Number.MAX_VALUE;
     let maxIlluminance = 0;
     let totalIlluminance = 0;
+    let pointCount = 0;
     
     // Create grid with illuminance values at each point
     for (let y = 0; y < yPoints; y++) {
         const row = [];
         for (let x = 0; x < xPoints; x++) {
-            // Calculate relative position in room (0-1)
-            const xPos = x / (xPoints - 1);
-            const yPos = y / (yPoints - 1);
+            const point = {
+                x: xCoords[x],
+                y: yCoords[y],
+                z: workplaneHeightM
+            };
             
-            // Calculate actual coordinates
-            const xCoord = xPos * lengthM;
-            const yCoord = yPos * widthM;
+            // Points outside the floor plan or inside an obstruction have no value
+            if (!isPointInPlan(point, plan) || isPointInObstruction(point, obstructions)) {
+                row.push(null);
+                continue;
+            }
             
-            // Calculate illuminance at this point using inverse square law
+            // Contribution from each luminaire, using its candela distribution
             let pointIlluminance = 0;
             
-            // Contribution from each luminaire
-            for (let lr = 0; lr < luminaires.rows; lr++) {
-                for (let lc = 0; lc < luminaires.columns; lc++) {
-                    // Luminaire position
-                    const lxPos = (lc + 0.5) * (lengthM / luminaires.columns);
-                    const lyPos = (lr + 0.5) * (widthM / luminaires.rows);
-                    const lzPos = heightM - luminaires.suspensionHeight;
-                    
-                    // Distance from point to luminaire
-                    const dx = xCoord - lxPos;
-                    const dy = yCoord - lyPos;
-                    const dz = lzPos - workplaneHeightM;
-                    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-                    
-                    // Calculate illuminance using inverse square law
-                    const cosTheta = dz / distance; // Cosine of angle of incidence
-                    
-                    // Luminous intensity in cd (simplified - would use IES data in full implementation)
-                    const luminousIntensity = luminaires.flux / (4 * Math.PI);
-                    
-                    // Illuminance contribution from this luminaire
-                    const contrib = (luminousIntensity * Math.pow(cosTheta, 3)) / (distance * distance);
-                    pointIlluminance += contrib;
+            for (const fixture of fixtures) {
+                if (!isVisible || isVisible(point, fixture)) {
+                    pointIlluminance += calculatePointIlluminance(point, fixture, {});
                 }
             }
             
-            // Apply room surface reflectances (simplified)
-            const reflectionFactor = 1 + (
-                (reflectances.ceiling / 100) * 0.4 + 
-                (reflectances.walls / 100) * 0.4 + 
-                (reflectances.floor / 100) * 0.2
-            );
-            
-            pointIlluminance *= reflectionFactor;
+            // Add the inter-reflected component from the radiosity solution
+            pointIlluminance += calculateIndirectIlluminanceAtPoint(point, up, radiosity);
             
             // Round to nearest lux
             const finalIlluminance = Math.round(pointIlluminance);
@@ -86,28 +116,224 @@ export function calculatePointByPoint(params) {
             minIlluminance = Math.min(minIlluminance, finalIlluminance);
             maxIlluminance = Math.max(maxIlluminance, finalIlluminance);
             totalIlluminance += finalIlluminance;
+            pointCount++;
         }
         illuminanceGrid.push(row);
     }
     
-    // Calculate average illuminance
-    const avgIlluminance = Math.round(totalIlluminance / (xPoints * yPoints));
+    // Calculate average illuminance (zero when no grid point lies in the room)
+    const avgIlluminance = pointCount > 0 ? Math.round(totalIlluminance / pointCount) : 0;
     
     // Calculate uniformity ratio (min/avg)
-    const uniformity = minIlluminance / avgIlluminance;
+    const uniformity = avgIlluminance > 0 ? minIlluminance / avgIlluminance : 0;
+    
+    // Check the layout against the luminaire's spacing criterion
+    const luminaireData = { photometry: luminaires.photometry || null, type: luminaires.type };
+    const layoutSpacing = getLayoutSpacing(fixtures, lengthM, widthM);
+    const mountingHeight = fixtures.length > 0 ?
+        fixtures.reduce((total, fixture) => total + fixture.z, 0) / fixtures.length - workplaneHeightM :
+        heightM - luminaires.suspensionHeight - workplaneHeightM;
+    const spacing = evaluateSpacing(
+        luminaireData,
+        layoutSpacing.x,
+        layoutSpacing.y,
+        mountingHeight
+    );
+    
+    // Grids on the user's walls, tilted planes and task areas, and the
+    // EN 12464-1 zones around the task areas
+    const surfaceContext = { fixtures, radiosity, isVisible, plan, obstructions, heightM };
+    const surfaces = calculateSurfaces(params.surfaces, surfaceContext);
+    const taskAreas = calculateTaskAreas(params.surfaces, surfaceContext, params.spaceType);
     
     return {
         grid: illuminanceGrid,
         average: avgIlluminance,
-        min: minIlluminance,
+        min: pointCount > 0 ? minIlluminance : 0,
         max: maxIlluminance,
         uniformity: uniformity.toFixed(2),
         dimensions: {
             xPoints, yPoints, 
+            xCoords, yCoords,
             gridSpacingM,
-            lengthM, widthM
-        }
+            gridMode: calculation.gridMode || 'spacing',
+            gridPoints: calculation.gridPoints || 'edge',
+            lengthM, widthM,
+            area: plan.area,
+            perimeter: plan.perimeter,
+            outline: plan.outline,
+            holes: plan.holes
+        },
+        luminaireCount: fixtures.length,
+        radiosity: {
+            iterations: radiosity.iterations,
+            converged: radiosity.converged,
+            residual: radiosity.residual,
+            tolerance: radiosity.tolerance,
+            patchCount: radiosity.patches.length
+        },
+        spacing: spacing,
+        distribution: getLuminaireDistributionType(luminaireData),
+        surfaces: surfaces,
+        taskAreas: taskAreas
+    };
+}
+
+/**
+ * Get the luminaire instances the point-by-point engine places in the room
+ * @param {Object} params - Calculation parameters
+ * @returns {Array} - Luminaire instances {x, y, z, rotation, tilt, aim, orientation,
+ *   photometry, flux, intensityScale} in meters
+ */
+export function createLuminaireInstances(params) {
+    const { room, luminaires } = params;
+    
+    const heightM = room.heightUnit === 'ft' ? room.height * 0.3048 : room.height;
+    
+    return createFixtures(luminaires, getRoomPolygon(room), heightM);
+}
+
+/**
+ * Build luminaire instances for the point-by-point engine. Placed instances
+ * (luminaires.instances) are used as given; otherwise the layout pattern is
+ * generated below the ceiling. Luminaires outside the floor plan are left out.
+ * @param {Object} luminaires - Luminaire configuration from the calculation parameters.
+ *   Each instance may have {x, y, z, rotation, tilt, aim, type, photometry, flux, lampFlux};
+ *   a missing z is the mounting height and missing photometry that of the configuration.
+ *   lampFlux is the installed lamp output in lumens, for relative photometry.
+ * @param {Object} plan - Floor plan from getRoomPolygon
+ * @param {number} heightM - Room height in meters
+ * @returns {Array} - Luminaire instances {x, y, z, rotation, tilt, aim, orientation,
+ *   photometry, flux, intensityScale}
+ */
+function createFixtures(luminaires, plan, heightM) {
+    const photometry = luminaires.photometry || null;
+    
+    // Candela values are used as measured unless a different lamp output is installed
+    const intensityScale = photometry ? getIntensityScale(photometry, luminaires.lampFlux) : 1;
+    const fixtures = [];
+    
+    if (hasInstances(luminaires)) {
+        const mountingHeight = luminaires.heightUnit === 'ft' ? luminaires.height * 0.3048 : luminaires.height;
+        const defaultZ = mountingHeight > 0 ? mountingHeight : heightM - luminaires.suspensionHeight;
+        
+        getPlacedInstances(luminaires, plan).forEach(instance => {
+            const ownPhotometry = instance.photometry || photometry;
+            const flux = instance.flux || luminaires.flux;
+            
+            fixtures.push({
+                x: instance.x,
+                y: instance.y,
+                z: Number.isFinite(instance.z) ? instance.z : defaultZ,
+                rotation: instance.rotation || 0,
+                tilt: instance.tilt || 0,
+                aim: instance.aim || null,
+                photometry: ownPhotometry,
+                flux: flux,
+                intensityScale: !ownPhotometry ? 1 :
+                    (instance.photometry ? getIntensityScale(ownPhotometry, instance.lampFlux) : intensityScale)
+            });
+        });
+    } else {
+        getLayoutPositions(luminaires, plan).forEach(position => {
+            fixtures.push({
+                x: position.x,
+                y: position.y,
+                z: heightM - luminaires.suspensionHeight,
+                rotation: (luminaires.rotation || 0) + position.rotation,
+                tilt: 0,
+                aim: null,
+                photometry: photometry,
+                flux: luminaires.flux,
+                intensityScale: intensityScale
+            });
+        });
+    }
+    
+    // The orientation is the same for every point, so work it out once
+    fixtures.forEach(fixture => {
+        fixture.orientation = createOrientation(fixture);
+    });
+    
+    return fixtures;
+}
+
+/**
+ * Check whether the configuration places its luminaires individually
+ * @param {Object} luminaires - Luminaire configuration from the calculation parameters
+ * @returns {boolean} - Whether luminaires.instances should be used
+ */
+function hasInstances(luminaires) {
+    return Array.isArray(luminaires.instances) && luminaires.instances.length > 0;
+}
+
+/**
+ * Get the placed luminaires that are inside the room
+ * @param {Object} luminaires - Luminaire configuration from the calculation parameters
+ * @param {Object} plan - Floor plan from getRoomPolygon
+ * @returns {Array} - Instances from luminaires.instances
+ */
+function getPlacedInstances(luminaires, plan) {
+    return luminaires.instances.filter(instance => isPointInPlan(instance, plan));
+}
+
+/**
+ * Get the positions of the layout pattern that are inside the room
+ * @param {Object} luminaires - Luminaire configuration from the calculation parameters
+ * @param {Object} plan - Floor plan from getRoomPolygon
+ * @returns {Array} - Positions {x, y, rotation} in meters and degrees
+ */
+function getLayoutPositions(luminaires, plan) {
+    return generateLayout(luminaires, plan.bounds.maxX, plan.bounds.maxY)
+        .filter(position => isPointInPlan(position, plan));
+}
+
+/**
+ * Get the number of luminaires in the configuration
+ * @param {Object} luminaires - Luminaire configuration from the calculation parameters
+ * @param {Object} plan - Floor plan from getRoomPolygon
+ * @returns {number} - Number of luminaires
+ */
+function getLuminaireCount(luminaires, plan) {
+    return hasInstances(luminaires) ?
+        getPlacedInstances(luminaires, plan).length :
+        getLayoutPositions(luminaires, plan).length;
+}
+
+/**
+ * Get the luminaire spacing along the room length and width as the widest gap
+ * between nearest neighbours in each direction (the cell size for a regular grid)
+ * @param {Array} fixtures - Luminaire instances
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @returns {Object} - Spacing {x, y} in meters
+ */
+function getLayoutSpacing(fixtures, lengthM, widthM) {
+    // Neighbours within 45° of an axis count as spaced along that axis
+    const widestGap = (along, across, roomSize) => {
+        let widest = 0;
+        
+        fixtures.forEach(fixture => {
+            let nearest = Infinity;
+            
+            fixtures.forEach(other => {
+                const distance = Math.abs(other[along] - fixture[along]);
+                
+                if (other !== fixture && distance > 0 && Math.abs(other[across] - fixture[across]) <= distance) {
+                    nearest = Math.min(nearest, distance);
+                }
+            });
+            
+            if (nearest < Infinity) {
+                widest = Math.max(widest, nearest);
+            }
+        });
+        
+        // A single row or column is spaced by the room itself
+        return widest > 0 ? widest : roomSize;
     };
+    
+    return { x: widestGap('x', 'y', lengthM), y: widestGap('y', 'x', widthM) };
 }
 
 /**
@@ -116,31 +342,27 @@ export function calculatePointByPoint(params) {
  * @returns {Object} - Calculation results
  */
 export function calculateAverageIlluminance(params) {
-    const { room, luminaires, reflectances, workplane } = params;
-    
-    // Convert dimensions to meters
-    const lengthM = room.lengthUnit === 'ft' ? room.length * 0.3048 : room.length;
-    const widthM = room.widthUnit === 'ft' ? room.width * 0.3048 : room.width;
-    const heightM = room.heightUnit === 'ft' ? room.height * 0.3048 : room.height;
-    const workplaneHeightM = workplane.heightUnit === 'ft' ? workplane.height * 0.3048 : workplane.height;
+    const { room, luminaires, reflectances } = params;
     
-    // Calculate room cavity ratios
-    const roomArea = lengthM * widthM;
-    const roomPerimeter = 2 * (lengthM + widthM);
-    const cavityHeight = heightM - workplaneHeightM;
+    // Floor plan in meters
+    const plan = getRoomPolygon(room);
+    const roomArea = plan.area;
     
-    const roomCavityRatio = (2.5 * cavityHeight * roomPerimeter) / roomArea;
+    // Coefficient of utilization from the luminaire's CU table
+    const utilization = calculateLumenMethodCU(params);
+    let coefficientOfUtilization = utilization.cu;
     
-    // Calculate coefficient of utilization (simplified approach)
-    // In a real implementation, this would use CU tables based on luminaire type
-    const reflectanceAvg = (reflectances.ceiling + reflectances.walls + reflectances.floor) / 3;
-    const coefficientOfUtilization = 0.6 + (0.3 * (reflectanceAvg / 100));
+    if (coefficientOfUtilization === null) {
+        // Without photometry, estimate from the average reflectance
+        const reflectanceAvg = (reflectances.ceiling + reflectances.walls + reflectances.floor) / 3;
+        coefficientOfUtilization = 0.6 + (0.3 * (reflectanceAvg / 100));
+    }
     
     // Calculate light loss factor (simplified)
     const lightLossFactor = 0.8; // Typical value, would vary based on environment and maintenance
     
     // Calculate total lumens from all luminaires
-    const totalLumens = luminaires.flux * luminaires.rows * luminaires.columns;
+    const totalLumens = utilization.lampLumens * getLuminaireCount(luminaires, plan);
     
     // Calculate average illuminance using lumen method formula
     const averageIlluminance = (totalLumens * coefficientOfUtilization * lightLossFactor) / roomArea;
@@ -158,7 +380,9 @@ export function calculateAverageIlluminance(params) {
         max: maxIlluminance,
         uniformity: uniformity.toFixed(2),
         coefficientOfUtilization: coefficientOfUtilization.toFixed(2),
-        lightLossFactor: lightLossFactor.toFixed(2)
+        lightLossFactor: lightLossFactor.toFixed(2),
+        roomCavityRatio: utilization.rcr.toFixed(2),
+        cuTable: utilization.table
     };
 }
 
@@ -170,26 +394,20 @@ export function calculateAverageIlluminance(params) {
 export function calculateCoefficientUtilization(params) {
     const { room, luminaires, reflectances } = params;
     
-    // Convert dimensions to meters
-    const lengthM = room.lengthUnit === 'ft' ? room.length * 0.3048 : room.length;
-    const widthM = room.widthUnit === 'ft' ? room.width * 0.3048 : room.width;
-    const heightM = room.heightUnit === 'ft' ? room.height * 0.3048 : room.height;
-    
-    // Calculate room index (k) - European method
-    const roomArea = lengthM * widthM;
-    const mountingHeight = heightM - 0.85; // Assume 0.85m workplane height
-    const roomIndex = roomArea / (mountingHeight * (lengthM + widthM));
+    // Floor plan in meters
+    const plan = getRoomPolygon(room);
+    const roomArea = plan.area;
     
-    // Calculate effective ceiling cavity reflectance
-    const ceilingReflectance = reflectances.ceiling / 100;
-    const wallReflectance = reflectances.walls / 100;
+    // CU and room cavity ratio; the room index (k) is the European equivalent, k = 5 / RCR
+    const utilization = calculateLumenMethodCU(params);
+    const roomIndex = utilization.rcr > 0 ? 5 / utilization.rcr : Infinity;
     
-    // Calculate coefficient of utilization based on zonal cavity method (simplified)
-    // In a real implementation, this would use specific luminaire photometric data
-    const cu = calculateCU(roomIndex, ceilingReflectance, wallReflectance);
+    // Without photometry, estimate the CU from the room index
+    const cu = utilization.cu !== null ? utilization.cu :
+        calculateCU(roomIndex, reflectances.ceiling / 100, reflectances.walls / 100);
     
     // Calculate illuminance for the space using this CU
-    const totalLumens = luminaires.flux * luminaires.rows * luminaires.columns;
+    const totalLumens = utilization.lampLumens * getLuminaireCount(luminaires, plan);
     const lightLossFactor = 0.8;
     const averageIlluminance = (totalLumens * cu * lightLossFactor) / roomArea;
     
@@ -204,7 +422,58 @@ export function calculateCoefficientUtilization(params) {
         max: maxIlluminance,
         uniformity: uniformity.toFixed(2),
         coefficientOfUtilization: cu.toFixed(2),
-        roomIndex: roomIndex.toFixed(2)
+        roomIndex: roomIndex.toFixed(2),
+        roomCavityRatio: utilization.rcr.toFixed(2),
+        cuTable: utilization.table
+    };
+}
+
+/**
+ * Determine the coefficient of utilization for the lumen method.
+ * Luminaires with photometry are interpolated from their zonal cavity CU table.
+ * @param {Object} params - Calculation parameters
+ * @returns {Object} - {cu, rcr, lampLumens, table} (cu and table are null without photometry)
+ */
+function calculateLumenMethodCU(params) {
+    const { room, luminaires, reflectances, workplane } = params;
+    
+    // Convert dimensions to meters
+    const plan = getRoomPolygon(room);
+    const heightM = room.heightUnit === 'ft' ? room.height * 0.3048 : room.height;
+    const workplaneHeightM = workplane ?
+        (workplane.heightUnit === 'ft' ? workplane.height * 0.3048 : workplane.height) : 0.85;
+    const suspensionM = luminaires.suspensionHeight || 0;
+    
+    // Cavity ratios: CR = 2.5h * perimeter / area, which is 5h(L + W) / (L * W) for rectangles
+    const shape = 2.5 * plan.perimeter / plan.area;
+    const roomCavityRatio = shape * (heightM - suspensionM - workplaneHeightM);
+    const ceilingCavityRatio = shape * suspensionM;
+    const floorCavityRatio = shape * workplaneHeightM;
+    
+    const ceilingRefl = reflectances.ceiling / 100;
+    const wallRefl = reflectances.walls / 100;
+    const floorRefl = reflectances.floor / 100;
+    
+    if (!luminaires.photometry) {
+        return {
+            cu: null,
+            rcr: roomCavityRatio,
+            lampLumens: luminaires.flux,
+            table: null
+        };
+    }
+    
+    // Effective ceiling and floor cavity reflectances
+    const ceilingCavityRefl = calculateEffectiveCavityReflectance(ceilingRefl, wallRefl, ceilingCavityRatio);
+    const floorCavityRefl = calculateEffectiveCavityReflectance(floorRefl, wallRefl, floorCavityRatio);
+    
+    const table = generateCUTable(luminaires.photometry, { floorReflectance: floorCavityRefl * 100 });
+    
+    return {
+        cu: interpolateCU(table, roomCavityRatio, ceilingCavityRefl * 100, reflectances.walls),
+        rcr: roomCavityRatio,
+        lampLumens: luminaires.lampFlux || table.lampLumens,
+        table: table
     };
 }
 
@@ -216,8 +485,7 @@ export function calculateCoefficientUtilization(params) {
  * @returns {number} - Coefficient of utilization
  */
 function calculateCU(roomIndex, ceilingRefl, wallRefl) {
-    // Simplified CU calculation - in real implementation, this would use interpolation
-    // from photometric data tables specific to the luminaire
+    // Simplified CU calculation used when no photometric data is available
     let baseCU = 0.4;
     
     // Adjust for room index - larger rooms have higher CU
@@ -262,8 +530,11 @@ export function calculateUniformity(params) {
     
     for (let y = 0; y < grid.length; y++) {
         for (let x = 0; x < grid[y].length; x++) {
-            sumSquaredDifferences += Math.pow(grid[y][x] - average, 2);
-            count++;
+            // Points outside the floor plan are null
+            if (grid[y][x] !== null) {
+                sumSquaredDifferences += Math.pow(grid[y][x] - average, 2);
+                count++;
+            }
         }
     }
     
@@ -0,0 +1,294 @@
+/**
+ * CalQLux - Layout Module
+ * Generators that turn a layout pattern into explicit luminaire positions
+ */
+
+/**
+ * Layout patterns and the configuration they use. Rows and columns apply to
+ * the grid-based patterns; the others are set by their layout options.
+ */
+export const LAYOUT_PATTERNS = {
+    regular: { label: 'Regular Grid', rows: true, columns: true },
+    perimeter: { label: 'Perimeter', rows: false, columns: false },
+    staggered: { label: 'Staggered', rows: true, columns: true },
+    checkerboard: { label: 'Checkerboard', rows: true, columns: true },
+    linear: { label: 'Continuous Rows', rows: true, columns: false },
+    line: { label: 'Along a Line', rows: false, columns: false },
+    arc: { label: 'Along an Arc', rows: false, columns: false }
+};
+
+// Defaults for the layout options in meters and degrees
+const DEFAULT_PERIMETER_OFFSET = 0.5;
+const DEFAULT_PERIMETER_SPACING = 1.5;
+const DEFAULT_UNIT_LENGTH = 1.2;
+
+// Positions this close outside the room still count as inside (rounding)
+const ROOM_TOLERANCE = 1e-6;
+
+/**
+ * Generate luminaire positions for a layout pattern. Unknown patterns (and the
+ * custom layout without placed luminaires) fall back to the regular grid.
+ * @param {Object} luminaires - Luminaire configuration {layout, rows, columns, layoutOptions}
+ *   where layoutOptions may hold offsetX, offsetY, offset, spacing, unitLength, gap,
+ *   start, end, center, radius, startAngle, endAngle and count (meters and degrees)
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @returns {Array} - Positions {x, y, rotation} in meters and degrees
+ */
+export function generateLayout(luminaires, lengthM, widthM) {
+    const options = luminaires.layoutOptions || {};
+    const rows = Math.max(1, luminaires.rows || 1);
+    const columns = Math.max(1, luminaires.columns || 1);
+    let positions;
+    
+    switch (luminaires.layout) {
+        case 'perimeter':
+            positions = generatePerimeter(lengthM, widthM, options);
+            break;
+        case 'staggered':
+            positions = generateStaggered(lengthM, widthM, rows, columns, options);
+            break;
+        case 'checkerboard':
+            positions = generateGrid(lengthM, widthM, rows, columns, options)
+                .filter(position => (position.row + position.column) % 2 === 0);
+            break;
+        case 'linear':
+            positions = generateLinearRows(lengthM, widthM, rows, options);
+            break;
+        case 'line':
+            positions = generateLine(lengthM, widthM, options);
+            break;
+        case 'arc':
+            positions = generateArc(lengthM, widthM, options);
+            break;
+        default:
+            positions = generateGrid(lengthM, widthM, rows, columns, options);
+    }
+    
+    return positions
+        .filter(position =>
+            position.x >= -ROOM_TOLERANCE && position.x <= lengthM + ROOM_TOLERANCE &&
+            position.y >= -ROOM_TOLERANCE && position.y <= widthM + ROOM_TOLERANCE)
+        .map(position => ({
+            x: position.x,
+            y: position.y,
+            rotation: (((position.rotation || 0) % 360) + 360) % 360
+        }));
+}
+
+/**
+ * Positions of evenly spaced luminaires along one room dimension. Without a wall
+ * offset each luminaire sits in the middle of its share of the room, so the
+ * offset is half the spacing.
+ * @param {number} size - Room dimension in meters
+ * @param {number} count - Number of luminaires
+ * @param {number} offset - Distance from the wall to the outer luminaires, or null
+ * @returns {Array} - Coordinates in meters
+ */
+function distribute(size, count, offset) {
+    const coordinates = [];
+    
+    for (let i = 0; i < count; i++) {
+        if (!Number.isFinite(offset)) {
+            coordinates.push((i + 0.5) * (size / count));
+        } else if (count === 1) {
+            coordinates.push(size / 2);
+        } else {
+            coordinates.push(offset + i * (size - 2 * offset) / (count - 1));
+        }
+    }
+    
+    return coordinates;
+}
+
+/**
+ * Regular grid of rows × columns
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @param {number} rows - Number of rows (along the width)
+ * @param {number} columns - Number of columns (along the length)
+ * @param {Object} options - Wall offsets {offsetX, offsetY}
+ * @returns {Array} - Positions {x, y, row, column}
+ */
+function generateGrid(lengthM, widthM, rows, columns, options) {
+    const xs = distribute(lengthM, columns, options.offsetX);
+    const ys = distribute(widthM, rows, options.offsetY);
+    const positions = [];
+    
+    ys.forEach((y, row) => {
+        xs.forEach((x, column) => {
+            positions.push({ x, y, row, column });
+        });
+    });
+    
+    return positions;
+}
+
+/**
+ * Grid with every other row shifted by half a column, so those rows have one
+ * luminaire fewer
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns in the full rows
+ * @param {Object} options - Wall offsets {offsetX, offsetY}
+ * @returns {Array} - Positions {x, y}
+ */
+function generateStaggered(lengthM, widthM, rows, columns, options) {
+    const xs = distribute(lengthM, columns, options.offsetX);
+    const shifted = columns > 1 ? xs.slice(1).map((x, i) => (x + xs[i]) / 2) : xs;
+    const ys = distribute(widthM, rows, options.offsetY);
+    const positions = [];
+    
+    ys.forEach((y, row) => {
+        (row % 2 === 0 ? xs : shifted).forEach(x => {
+            positions.push({ x, y });
+        });
+    });
+    
+    return positions;
+}
+
+/**
+ * Luminaires around the room, set in from the walls, with one in each corner
+ * and the rest spaced evenly along each side. Luminaires along the width are
+ * turned by 90° to follow the wall.
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @param {Object} options - {offset, spacing} in meters
+ * @returns {Array} - Positions {x, y, rotation}
+ */
+function generatePerimeter(lengthM, widthM, options) {
+    const offset = Number.isFinite(options.offset) ? options.offset : DEFAULT_PERIMETER_OFFSET;
+    const spacing = options.spacing > 0 ? options.spacing : DEFAULT_PERIMETER_SPACING;
+    const sideX = lengthM - 2 * offset;
+    const sideY = widthM - 2 * offset;
+    
+    if (sideX < 0 || sideY < 0) {
+        return [];
+    }
+    
+    // With the offset taking up a whole side the perimeter is a single line
+    if (sideX === 0 || sideY === 0) {
+        return generateLine(lengthM, widthM, {
+            start: { x: offset, y: offset },
+            end: { x: lengthM - offset, y: widthM - offset },
+            count: Math.max(1, Math.round(Math.max(sideX, sideY) / spacing) + 1)
+        });
+    }
+    
+    const countX = Math.max(1, Math.round(sideX / spacing));
+    const countY = Math.max(1, Math.round(sideY / spacing));
+    const positions = [];
+    
+    // Walk round the inset rectangle; each side starts at its corner
+    for (let i = 0; i < countX; i++) {
+        positions.push({ x: offset + i * sideX / countX, y: offset, rotation: 0 });
+    }
+    for (let i = 0; i < countY; i++) {
+        positions.push({ x: lengthM - offset, y: offset + i * sideY / countY, rotation: 90 });
+    }
+    for (let i = 0; i < countX; i++) {
+        positions.push({ x: lengthM - offset - i * sideX / countX, y: widthM - offset, rotation: 0 });
+    }
+    for (let i = 0; i < countY; i++) {
+        positions.push({ x: offset, y: widthM - offset - i * sideY / countY, rotation: 90 });
+    }
+    
+    return positions;
+}
+
+/**
+ * Continuous rows of linear luminaires along the room length, laid end to end
+ * with a gap between units and centred between the wall offsets
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @param {number} rows - Number of rows
+ * @param {Object} options - {unitLength, gap, offsetX, offsetY} in meters
+ * @returns {Array} - Positions {x, y, rotation}
+ */
+function generateLinearRows(lengthM, widthM, rows, options) {
+    const unitLength = options.unitLength > 0 ? options.unitLength : DEFAULT_UNIT_LENGTH;
+    const gap = Math.max(options.gap || 0, 0);
+    const offsetX = Number.isFinite(options.offsetX) ? options.offsetX : 0;
+    const available = lengthM - 2 * offsetX;
+    const count = Math.floor((available + gap) / (unitLength + gap) + ROOM_TOLERANCE);
+    
+    if (count < 1) {
+        return [];
+    }
+    
+    const runLength = count * unitLength + (count - 1) * gap;
+    const start = (lengthM - runLength) / 2 + unitLength / 2;
+    const positions = [];
+    
+    distribute(widthM, rows, options.offsetY).forEach(y => {
+        for (let i = 0; i < count; i++) {
+            positions.push({ x: start + i * (unitLength + gap), y: y, rotation: 0 });
+        }
+    });
+    
+    return positions;
+}
+
+/**
+ * Luminaires evenly spaced from a start point to an end point (inclusive),
+ * turned to follow the line. The default line runs along the middle of the room.
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @param {Object} options - {start, end, count} with points {x, y} in meters
+ * @returns {Array} - Positions {x, y, rotation}
+ */
+function generateLine(lengthM, widthM, options) {
+    const start = options.start || { x: 0.5, y: widthM / 2 };
+    const end = options.end || { x: lengthM - 0.5, y: widthM / 2 };
+    const count = Math.max(1, Math.round(options.count) || 1);
+    const rotation = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
+    const positions = [];
+    
+    for (let i = 0; i < count; i++) {
+        const t = count === 1 ? 0.5 : i / (count - 1);
+        
+        positions.push({
+            x: start.x + t * (end.x - start.x),
+            y: start.y + t * (end.y - start.y),
+            rotation: rotation
+        });
+    }
+    
+    return positions;
+}
+
+/**
+ * Luminaires evenly spaced along a circular arc, turned to follow it. Angles
+ * are measured from the room's x axis towards y; a full circle does not repeat
+ * its first position. The default is a circle in the middle of the room.
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @param {Object} options - {center, radius, startAngle, endAngle, count}
+ * @returns {Array} - Positions {x, y, rotation}
+ */
+function generateArc(lengthM, widthM, options) {
+    const center = options.center || { x: lengthM / 2, y: widthM / 2 };
+    const radius = options.radius > 0 ? options.radius : Math.min(lengthM, widthM) / 3;
+    const startAngle = Number.isFinite(options.startAngle) ? options.startAngle : 0;
+    const endAngle = Number.isFinite(options.endAngle) ? options.endAngle : 360;
+    const count = Math.max(1, Math.round(options.count) || 1);
+    const sweep = endAngle - startAngle;
+    const fullCircle = Math.abs(sweep) >= 360;
+    const positions = [];
+    
+    for (let i = 0; i < count; i++) {
+        const t = count === 1 ? 0.5 : i / (fullCircle ? count : count - 1);
+        const angle = startAngle + t * sweep;
+        const radians = angle * Math.PI / 180;
+        
+        positions.push({
+            x: center.x + radius * Math.cos(radians),
+            y: center.y + radius * Math.sin(radians),
+            rotation: angle + 90
+        });
+    }
+    
+    return positions;
+}
@@ -0,0 +1,197 @@
+/**
+ * CalQLux - Obstructions Module
+ * Boxes and partition panels inside the room that block and reflect light
+ */
+
+import { createPlanVisibility } from './geometry.js';
+
+/**
+ * Obstruction types. Panels are boxes with a fixed small thickness.
+ */
+export const OBSTRUCTION_TYPES = {
+    box: { label: 'Box (racking, column)', thickness: null },
+    panel: { label: 'Panel (partition)', thickness: 0.05 }
+};
+
+// Defaults for obstructions missing a value, in meters and percent
+const DEFAULT_SIZE = 1;
+const DEFAULT_REFLECTANCE = 50;
+
+// Overlap in meters a line of sight needs with an obstruction to count as blocked
+const OCCLUSION_TOLERANCE = 1e-6;
+
+/**
+ * Normalize obstructions from the room model for the calculations
+ * @param {Array} obstructions - Obstructions {type, x, y, length, width, height, elevation,
+ *   rotation, reflectance} where x and y are the centre of the footprint, length runs along
+ *   the rotated x axis, elevation is the height of the underside and reflectance is in percent
+ *   (meters and degrees)
+ * @returns {Array} - Boxes {x, y, halfLength, halfWidth, bottom, top, cos, sin, reflectance}
+ *   with the reflectance as a fraction
+ */
+export function getObstructionBoxes(obstructions) {
+    if (!Array.isArray(obstructions)) {
+        return [];
+    }
+    
+    return obstructions
+        .filter(obstruction => Number.isFinite(obstruction.x) && Number.isFinite(obstruction.y))
+        .map(obstruction => {
+            const type = OBSTRUCTION_TYPES[obstruction.type] || OBSTRUCTION_TYPES.box;
+            const length = obstruction.length > 0 ? obstruction.length : DEFAULT_SIZE;
+            const width = type.thickness !== null ? type.thickness :
+                (obstruction.width > 0 ? obstruction.width : DEFAULT_SIZE);
+            const bottom = Math.max(obstruction.elevation || 0, 0);
+            const radians = (obstruction.rotation || 0) * Math.PI / 180;
+            const reflectance = Number.isFinite(obstruction.reflectance) ? obstruction.reflectance : DEFAULT_REFLECTANCE;
+            
+            return {
+                x: obstruction.x,
+                y: obstruction.y,
+                halfLength: length / 2,
+                halfWidth: width / 2,
+                bottom: bottom,
+                top: bottom + (obstruction.height > 0 ? obstruction.height : DEFAULT_SIZE),
+                cos: Math.cos(radians),
+                sin: Math.sin(radians),
+                reflectance: Math.min(Math.max(reflectance, 0), 100) / 100
+            };
+        });
+}
+
+/**
+ * Create the line-of-sight test for a room: walls of non-convex floor plans
+ * and obstructions both block light. Rooms where everything sees everything
+ * get null.
+ * @param {Object} plan - Floor plan from getRoomPolygon
+ * @param {Array} boxes - Boxes from getObstructionBoxes
+ * @returns {Function|null} - (a, b) => boolean for points {x, y, z}, or null
+ */
+export function createVisibilityTest(plan, boxes) {
+    const isPlanVisible = createPlanVisibility(plan);
+    
+    if (boxes.length === 0) {
+        return isPlanVisible;
+    }
+    
+    return (a, b) => (!isPlanVisible || isPlanVisible(a, b)) && !boxes.some(box => segmentHitsBox(a, b, box));
+}
+
+/**
+ * Check whether a point lies inside an obstruction or on its surface
+ * @param {Object} point - Point {x, y, z}
+ * @param {Array} boxes - Boxes from getObstructionBoxes
+ * @returns {boolean} - Whether any box contains the point
+ */
+export function isPointInObstruction(point, boxes) {
+    return boxes.some(box => {
+        const local = toLocal(point, box);
+        
+        return Math.abs(local.u) <= box.halfLength + OCCLUSION_TOLERANCE &&
+            Math.abs(local.v) <= box.halfWidth + OCCLUSION_TOLERANCE &&
+            point.z >= box.bottom - OCCLUSION_TOLERANCE && point.z <= box.top + OCCLUSION_TOLERANCE;
+    });
+}
+
+/**
+ * Get the outer faces of a box for the radiosity solver. Boxes standing on the
+ * floor have no underside.
+ * @param {Object} box - Box from getObstructionBoxes
+ * @returns {Array} - Faces {origin, u, v, normal} as rectangles origin + s*u + t*v
+ */
+export function getObstructionFaces(box) {
+    const { halfLength, halfWidth, bottom, top, cos, sin } = box;
+    const height = top - bottom;
+    const corner = (u, v, z) => ({ x: box.x + u * cos - v * sin, y: box.y + u * sin + v * cos, z: z });
+    const alongLength = { x: 2 * halfLength * cos, y: 2 * halfLength * sin, z: 0 };
+    const alongWidth = { x: -2 * halfWidth * sin, y: 2 * halfWidth * cos, z: 0 };
+    const up = { x: 0, y: 0, z: height };
+    
+    const faces = [
+        { origin: corner(halfLength, -halfWidth, bottom), u: alongWidth, v: up, normal: { x: cos, y: sin, z: 0 } },
+        { origin: corner(-halfLength, -halfWidth, bottom), u: alongWidth, v: up, normal: { x: -cos, y: -sin, z: 0 } },
+        { origin: corner(-halfLength, halfWidth, bottom), u: alongLength, v: up, normal: { x: -sin, y: cos, z: 0 } },
+        { origin: corner(-halfLength, -halfWidth, bottom), u: alongLength, v: up, normal: { x: sin, y: -cos, z: 0 } },
+        { origin: corner(-halfLength, -halfWidth, top), u: alongLength, v: alongWidth, normal: { x: 0, y: 0, z: 1 } }
+    ];
+    
+    if (bottom > 0) {
+        faces.push({
+            origin: corner(-halfLength, -halfWidth, bottom),
+            u: alongLength,
+            v: alongWidth,
+            normal: { x: 0, y: 0, z: -1 }
+        });
+    }
+    
+    return faces;
+}
+
+/**
+ * Surface area of a box
+ * @param {Object} box - Box from getObstructionBoxes
+ * @returns {number} - Area of the faces from getObstructionFaces in m²
+ */
+export function getObstructionArea(box) {
+    const length = 2 * box.halfLength;
+    const width = 2 * box.halfWidth;
+    const height = box.top - box.bottom;
+    
+    return 2 * (length + width) * height + length * width * (box.bottom > 0 ? 2 : 1);
+}
+
+/**
+ * Convert a point to the box's own axes, centred on its footprint
+ * @param {Object} point - Point {x, y}
+ * @param {Object} box - Box from getObstructionBoxes
+ * @returns {Object} - {u, v} along the length and width
+ */
+function toLocal(point, box) {
+    const dx = point.x - box.x;
+    const dy = point.y - box.y;
+    
+    return { u: dx * box.cos + dy * box.sin, v: -dx * box.sin + dy * box.cos };
+}
+
+/**
+ * Check whether the segment between two points passes through a box (slab
+ * method). Segments that only touch its surface, such as those leaving one of
+ * its faces, are not blocked.
+ * @param {Object} a - Segment start {x, y, z}
+ * @param {Object} b - Segment end {x, y, z}
+ * @param {Object} box - Box from getObstructionBoxes
+ * @returns {boolean} - Whether the segment runs through the inside of the box
+ */
+function segmentHitsBox(a, b, box) {
+    const start = toLocal(a, box);
+    const end = toLocal(b, box);
+    const slabs = [
+        [start.u, end.u - start.u, -box.halfLength, box.halfLength],
+        [start.v, end.v - start.v, -box.halfWidth, box.halfWidth],
+        [a.z, b.z - a.z, box.bottom, box.top]
+    ];
+    let enter = 0;
+    let exit = 1;
+    
+    for (const [origin, direction, min, max] of slabs) {
+        if (Math.abs(direction) < OCCLUSION_TOLERANCE) {
+            // Parallel to the slab: blocked only when strictly between its faces
+            if (origin <= min + OCCLUSION_TOLERANCE || origin >= max - OCCLUSION_TOLERANCE) {
+                return false;
+            }
+        } else {
+            const t1 = (min - origin) / direction;
+            const t2 = (max - origin) / direction;
+            
+            enter = Math.max(enter, Math.min(t1, t2));
+            exit = Math.min(exit, Math.max(t1, t2));
+        }
+    }
+    
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = b.z - a.z;
+    const length = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    
+    return (exit - enter) * length > OCCLUSION_TOLERANCE;
+}
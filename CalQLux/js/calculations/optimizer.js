@@ -0,0 +1,317 @@
+/**
+ * CalQLux - Layout Optimizer Module
+ * Searches grid layouts, luminaires and mounting heights for designs that meet
+ * an illuminance target, using the point-by-point engine
+ */
+
+import { calculatePointByPoint, createLuminaireInstances } from './index.js';
+import { calculateRoomUGR } from './advance-iesna.js';
+import { getRoomPolygon } from './geometry.js';
+
+/**
+ * Default design constraints
+ */
+export const DEFAULT_CONSTRAINTS = {
+    target: 500,        // Average maintained illuminance in lux
+    minUniformity: 0.6, // Uo = Emin / Eavg
+    maxUGR: null,
+    maxLPD: null,       // W/m²
+    mountingHeights: null,
+    maxResults: 10
+};
+
+// Share of the lamp lumens assumed to reach the workplane for the first estimate
+const ESTIMATED_UTILIZATION = 0.5;
+
+// Search limits per luminaire and mounting height
+const MAX_EVALUATIONS = 16;
+const MAX_FIXTURES = 400;
+const FEASIBLE_PER_GROUP = 3;
+
+// Grids whose spacing along the length and width differ more than this are skipped
+const MAX_SPACING_RATIO = 2;
+
+// Designs are judged on the standard grid with centre points and this border in
+// meters, whatever grid the user displays; points on the walls would hold Uo down
+const EVALUATION_BORDER = 0.5;
+
+// Grids in a row that reach the average without raising Uo by the gain before a group stops
+const MAX_STALLED = 2;
+const MIN_UNIFORMITY_GAIN = 0.01;
+
+/**
+ * Find layouts that meet the design constraints, cheapest first. Every
+ * candidate luminaire is tried at each mounting height with regular grids of
+ * increasing size, starting from a lumen-method estimate; each group stops
+ * once a few feasible grids are found, as more luminaires only add power, or
+ * once the average is met but more luminaires no longer improve Uo.
+ * @param {Object} params - Calculation parameters as used by calculatePointByPoint
+ * @param {Array} candidates - Candidates {luminaire, photometry} (photometry may be null)
+ * @param {Object} constraints - {target, minUniformity, maxUGR, maxLPD, mountingHeights, maxResults};
+ *   mounting heights are in meters and default to the current mounting height
+ * @param {Function} onProgress - Called with {luminaire, mountingHeight, evaluated} before each group
+ * @returns {Promise<Object>} - {designs, closest, evaluated} where designs are ranked by W/m², then
+ *   luminaire count, then uniformity: {luminaire, photometry, layout, mountingHeight, count,
+ *   average, min, uniformity, ugr, lpd, spacing, shortfall}, and closest are the failing designs
+ *   nearest the constraints, for when none is feasible
+ */
+export async function optimizeLayout(params, candidates, constraints = {}, onProgress = null) {
+    const options = { ...DEFAULT_CONSTRAINTS, ...constraints };
+    const { room, workplane, luminaires } = params;
+    
+    const plan = getRoomPolygon(room);
+    const lengthM = plan.bounds.maxX;
+    const widthM = plan.bounds.maxY;
+    const heightM = room.heightUnit === 'ft' ? room.height * 0.3048 : room.height;
+    const workplaneHeightM = workplane.heightUnit === 'ft' ? workplane.height * 0.3048 : workplane.height;
+    const area = plan.area;
+    
+    // Mounting heights have to leave the luminaires above the workplane
+    const currentHeight = heightM - (luminaires.suspensionHeight || 0);
+    const mountingHeights = (options.mountingHeights && options.mountingHeights.length > 0 ?
+        options.mountingHeights : [currentHeight])
+        .filter(height => height > workplaneHeightM && height <= heightM);
+    
+    if (mountingHeights.length === 0) {
+        throw new Error('No mounting height between the workplane and the ceiling');
+    }
+    
+    const designs = [];
+    const failed = [];
+    let evaluated = 0;
+    
+    for (const candidate of candidates) {
+        const flux = candidate.luminaire.luminousFlux || luminaires.flux;
+        
+        if (!(flux > 0)) {
+            continue;
+        }
+        
+        for (const mountingHeight of mountingHeights) {
+            if (onProgress) {
+                onProgress({ luminaire: candidate.luminaire, mountingHeight, evaluated });
+            }
+            
+            // Start a little below the lumen-method estimate and work upwards
+            const estimate = Math.ceil(options.target * area / (flux * ESTIMATED_UTILIZATION));
+            const grids = getGridOptions(lengthM, widthM, Math.max(1, Math.floor(estimate * 0.5)), MAX_FIXTURES);
+            let skipBelow = 0;
+            let feasible = 0;
+            let tried = 0;
+            let bestUniformity = 0;
+            let stalled = 0;
+            
+            for (const grid of grids) {
+                if (tried >= MAX_EVALUATIONS || feasible >= FEASIBLE_PER_GROUP || stalled >= MAX_STALLED) {
+                    break;
+                }
+                
+                if (grid.rows * grid.columns < skipBelow) {
+                    continue;
+                }
+                
+                const design = evaluateDesign(params, candidate, grid, mountingHeight, options, heightM);
+                tried++;
+                evaluated++;
+                
+                if (design.feasible) {
+                    designs.push(design);
+                    feasible++;
+                } else {
+                    failed.push(design);
+                    
+                    if (design.average < options.target) {
+                        // Illuminance grows roughly with the count, so skip grids that cannot reach the target
+                        skipBelow = Math.max(skipBelow, Math.floor(design.count * options.target / Math.max(design.average, 1) * 0.9));
+                    } else if (design.uniformity < options.minUniformity) {
+                        stalled = design.uniformity >= bestUniformity + MIN_UNIFORMITY_GAIN ? 0 : stalled + 1;
+                    }
+                }
+                
+                bestUniformity = Math.max(bestUniformity, design.uniformity);
+                
+                // Let the page repaint between the room calculations
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+    
+    designs.sort((a, b) =>
+        (a.lpd === null) - (b.lpd === null) ||
+        (a.lpd || 0) - (b.lpd || 0) ||
+        a.count - b.count ||
+        b.uniformity - a.uniformity);
+    
+    failed.sort((a, b) => a.shortfall - b.shortfall || a.count - b.count);
+    
+    return {
+        designs: designs.slice(0, options.maxResults),
+        closest: designs.length === 0 ? failed.slice(0, options.maxResults) : [],
+        evaluated: evaluated
+    };
+}
+
+/**
+ * Calculate one layout and check it against the constraints
+ * @param {Object} params - Calculation parameters
+ * @param {Object} candidate - Candidate {luminaire, photometry}
+ * @param {Object} grid - Grid {rows, columns}
+ * @param {number} mountingHeight - Mounting height in meters
+ * @param {Object} options - Design constraints
+ * @param {number} heightM - Ceiling height in meters
+ * @returns {Object} - Design with a feasible flag and its shortfall, the summed relative
+ *   amounts by which it misses the constraints (0 when feasible)
+ */
+function evaluateDesign(params, candidate, grid, mountingHeight, options, heightM) {
+    const { luminaire, photometry } = candidate;
+    const designParams = {
+        ...params,
+        luminaires: {
+            ...params.luminaires,
+            layout: 'regular',
+            layoutOptions: null,
+            instances: null,
+            rows: grid.rows,
+            columns: grid.columns,
+            height: mountingHeight,
+            heightUnit: 'm',
+            suspensionHeight: heightM - mountingHeight,
+            type: luminaire.type,
+            flux: luminaire.luminousFlux || params.luminaires.flux,
+            lampFlux: luminaire.lampLumens,
+            photometry: photometry
+        },
+        calculation: {
+            ...params.calculation,
+            gridMode: 'standard',
+            gridPoints: 'centre',
+            gridOffset: EVALUATION_BORDER,
+            gridSpacingUnit: 'm'
+        }
+    };
+    
+    const result = calculatePointByPoint(designParams);
+    const count = result.luminaireCount;
+    const floorArea = result.dimensions.area;
+    const uniformity = parseFloat(result.uniformity);
+    const lpd = luminaire.wattage > 0 && floorArea > 0 ? luminaire.wattage * count / floorArea : null;
+    
+    const design = {
+        luminaire: luminaire,
+        photometry: photometry,
+        layout: { layout: 'regular', rows: grid.rows, columns: grid.columns },
+        mountingHeight: mountingHeight,
+        count: count,
+        average: result.average,
+        min: result.min,
+        uniformity: uniformity,
+        ugr: null,
+        lpd: lpd,
+        spacing: result.spacing,
+        feasible: false,
+        shortfall: 0
+    };
+    
+    const short = (value, required) => required > 0 && value < required ? 1 - value / required : 0;
+    const over = (value, limit) => limit && value > limit ? value / limit - 1 : 0;
+    
+    // Power and glare limits can only be checked when known
+    const meetsLighting = result.average >= options.target && uniformity >= options.minUniformity;
+    const meetsPower = !options.maxLPD || (lpd !== null && lpd <= options.maxLPD);
+    
+    design.shortfall = short(result.average, options.target) + short(uniformity, options.minUniformity) +
+        over(lpd, options.maxLPD);
+    
+    if (!meetsLighting || !meetsPower) {
+        return design;
+    }
+    
+    const luminousArea = getLuminousArea(luminaire, photometry);
+    
+    if (luminousArea > 0) {
+        const fixtures = createLuminaireInstances(designParams).map(fixture => ({ ...fixture, area: luminousArea }));
+        
+        design.ugr = calculateRoomUGR(fixtures, {
+            length: result.dimensions.lengthM,
+            width: result.dimensions.widthM,
+            height: heightM,
+            reflectances: {
+                ceiling: params.reflectances.ceiling / 100,
+                walls: params.reflectances.walls / 100,
+                floor: params.reflectances.floor / 100
+            },
+            averageIlluminance: result.average
+        });
+    }
+    
+    design.feasible = !options.maxUGR || (design.ugr !== null && design.ugr <= options.maxUGR);
+    design.shortfall += over(design.ugr, options.maxUGR);
+    
+    return design;
+}
+
+/**
+ * Regular grids with at least a minimum number of luminaires, smallest first.
+ * Grids of the same size are ordered by how evenly they space the luminaires.
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @param {number} minCount - Minimum number of luminaires
+ * @param {number} maxCount - Maximum number of luminaires
+ * @returns {Array} - Grids {rows, columns}
+ */
+function getGridOptions(lengthM, widthM, minCount, maxCount) {
+    const grids = [];
+    
+    for (let columns = 1; columns <= maxCount; columns++) {
+        for (let rows = 1; rows * columns <= maxCount; rows++) {
+            const count = rows * columns;
+            const ratio = (lengthM / columns) / (widthM / rows);
+            
+            // A single row or column is allowed in narrow rooms
+            const even = ratio <= MAX_SPACING_RATIO && ratio >= 1 / MAX_SPACING_RATIO;
+            
+            if (count >= minCount && (even || (rows === 1 && widthM < lengthM / MAX_SPACING_RATIO) ||
+                (columns === 1 && lengthM < widthM / MAX_SPACING_RATIO))) {
+                grids.push({ rows, columns, count, skew: Math.abs(Math.log(ratio)) });
+            }
+        }
+    }
+    
+    grids.sort((a, b) => a.count - b.count || a.skew - b.skew);
+    
+    return grids.map(grid => ({ rows: grid.rows, columns: grid.columns }));
+}
+
+/**
+ * Luminous area of a luminaire for the glare rating, from its catalog
+ * dimensions or else from its photometric file
+ * @param {Object} luminaire - Luminaire record
+ * @param {Object} photometry - Parsed photometric data, or null
+ * @returns {number} - Area in m² (0 if unknown)
+ */
+function getLuminousArea(luminaire, photometry) {
+    const dimensions = luminaire.dimensions || {};
+    
+    if (dimensions.diameter > 0) {
+        return Math.PI * dimensions.diameter * dimensions.diameter / 4;
+    }
+    
+    if (dimensions.length > 0 && dimensions.width > 0) {
+        return dimensions.length * dimensions.width;
+    }
+    
+    if (photometry) {
+        // Unit type 1 is feet; negative dimensions describe round openings
+        const toMeters = photometry.unitType === 1 ? 0.3048 : 1;
+        const width = Math.abs(photometry.width || 0) * toMeters;
+        const length = Math.abs(photometry.length || 0) * toMeters;
+        
+        if (photometry.width < 0) {
+            return Math.PI * width * width / 4;
+        }
+        
+        return width * length;
+    }
+    
+    return 0;
+}
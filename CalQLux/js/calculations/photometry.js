@@ -0,0 +1,554 @@
+/**
+ * CalQLux - Photometric Analysis Module
+ * Zonal lumens, efficiency and beam characteristics derived from candela data
+ */
+
+import { getIntensityScale } from './point.js';
+
+/**
+ * Zones reported in the zonal lumen summary (vertical angles from nadir)
+ */
+export const LUMEN_ZONES = [
+    { id: '0-30', from: 0, to: 30 },
+    { id: '0-40', from: 0, to: 40 },
+    { id: '0-60', from: 0, to: 60 },
+    { id: '0-90', from: 0, to: 90 },
+    { id: '90-180', from: 90, to: 180 },
+    { id: '0-180', from: 0, to: 180 }
+];
+
+// Integration steps in degrees
+const VERTICAL_STEP = 1;
+const HORIZONTAL_STEP = 5;
+
+/**
+ * Analyze a photometric distribution
+ * @param {Object} photometry - Parsed photometric data (IESParser/LDTParser)
+ * @returns {Object} - Zonal lumens, efficiency, beam/field angles and flux fractions
+ */
+export function analyzePhotometry(photometry) {
+    const intensity = createIntensityFunction(photometry);
+    
+    // Flux in each 1° band from nadir: Φ = ∫∫ I(θ, φ) sin θ dθ dφ
+    const bandLumens = calculateBandLumens(intensity);
+    
+    const zonalLumens = {};
+    LUMEN_ZONES.forEach(zone => {
+        zonalLumens[zone.id] = Math.round(sumBands(bandLumens, zone.from, zone.to));
+    });
+    
+    const luminaireLumens = zonalLumens['0-180'];
+    
+    // Relative photometry is measured against the rated lamp lumens;
+    // absolute photometry (lumens per lamp = -1) has no lamp reference
+    const lampLumens = photometry.lumensPerLamp > 0 ?
+        photometry.lampCount * photometry.lumensPerLamp : null;
+    
+    const efficiency = lampLumens ? luminaireLumens / lampLumens * 100 : null;
+    
+    // Beam (50%) and field (10%) angles in the two principal planes
+    const beamC0 = calculateSpreadAngle(intensity, 0, 0.5);
+    const beamC90 = calculateSpreadAngle(intensity, 90, 0.5);
+    const fieldC0 = calculateSpreadAngle(intensity, 0, 0.1);
+    const fieldC90 = calculateSpreadAngle(intensity, 90, 0.1);
+    
+    return {
+        zonalLumens: zonalLumens,
+        luminaireLumens: luminaireLumens,
+        lampLumens: lampLumens,
+        efficiency: efficiency !== null ? Math.round(efficiency * 10) / 10 : null,
+        beamAngle: Math.round((beamC0 + beamC90) / 2),
+        beamAngles: { c0: Math.round(beamC0), c90: Math.round(beamC90) },
+        fieldAngle: Math.round((fieldC0 + fieldC90) / 2),
+        fieldAngles: { c0: Math.round(fieldC0), c90: Math.round(fieldC90) },
+        downwardFraction: luminaireLumens > 0 ? zonalLumens['0-90'] / luminaireLumens : 0,
+        upwardFraction: luminaireLumens > 0 ? zonalLumens['90-180'] / luminaireLumens : 0,
+        maxIntensity: Math.round(Math.max(...[0, 90, 180, 270].map(phi => findPlanePeak(intensity, phi))))
+    };
+}
+
+/**
+ * Lumens in equal zones from nadir to zenith (10° zones by default, as used
+ * by the zonal cavity method)
+ * @param {Object} photometry - Parsed photometric data
+ * @param {number} zoneSize - Zone size in degrees (a divisor of 180)
+ * @returns {Array} - Lumens per zone, starting at nadir
+ */
+export function calculateZonalLumens(photometry, zoneSize = 10) {
+    const bandLumens = calculateBandLumens(createIntensityFunction(photometry));
+    const zones = [];
+    
+    for (let from = 0; from < 180; from += zoneSize) {
+        zones.push(sumBands(bandLumens, from, from + zoneSize));
+    }
+    
+    return zones;
+}
+
+/**
+ * Calculate the CIE flux code N1 N2 N3 N4 N5
+ * (N1-N3: flux within 41.4°, 60° and 75.5° as % of the downward flux,
+ * N4: downward flux as % of the total, N5: total as % of lamp lumens)
+ * @param {Object} photometry - Parsed photometric data
+ * @returns {Object} - {n1, n2, n3, n4, n5, code}
+ */
+export function calculateCIEFluxCode(photometry) {
+    const bandLumens = calculateBandLumens(createIntensityFunction(photometry));
+    
+    const downward = cumulativeLumens(bandLumens, 90);
+    const total = cumulativeLumens(bandLumens, 180);
+    const lampLumens = photometry.lumensPerLamp > 0 ?
+        photometry.lampCount * photometry.lumensPerLamp : total;
+    
+    const percent = (value, reference) => reference > 0 ? Math.round(value / reference * 100) : 0;
+    
+    const flux = {
+        n1: percent(cumulativeLumens(bandLumens, 41.4), downward),
+        n2: percent(cumulativeLumens(bandLumens, 60), downward),
+        n3: percent(cumulativeLumens(bandLumens, 75.5), downward),
+        n4: percent(downward, total),
+        n5: percent(total, lampLumens)
+    };
+    
+    flux.code = [flux.n1, flux.n2, flux.n3, flux.n4, flux.n5].join(' ');
+    
+    return flux;
+}
+
+/**
+ * Classify a distribution by its upward/downward flux split (IES/CIE classes)
+ * @param {Object} photometry - Parsed photometric data
+ * @returns {string} - 'direct', 'semi-direct', 'general-diffuse', 'direct-indirect',
+ *                     'semi-indirect' or 'indirect'
+ */
+export function classifyDistribution(photometry) {
+    const bandLumens = calculateBandLumens(createIntensityFunction(photometry));
+    const total = cumulativeLumens(bandLumens, 180);
+    
+    if (total <= 0) {
+        return 'direct';
+    }
+    
+    const downwardFraction = cumulativeLumens(bandLumens, 90) / total;
+    
+    if (downwardFraction >= 0.9) {
+        return 'direct';
+    }
+    
+    if (downwardFraction >= 0.6) {
+        return 'semi-direct';
+    }
+    
+    if (downwardFraction >= 0.4) {
+        // Both classes split the flux evenly; direct-indirect luminaires emit
+        // little light near the horizontal (60°-120°)
+        const nearHorizontal = (cumulativeLumens(bandLumens, 120) - cumulativeLumens(bandLumens, 60)) / total;
+        return nearHorizontal < 0.2 ? 'direct-indirect' : 'general-diffuse';
+    }
+    
+    if (downwardFraction >= 0.1) {
+        return 'semi-indirect';
+    }
+    
+    return 'indirect';
+}
+
+/**
+ * Calculate the IES spacing criterion in the 0°, 90° and diagonal planes.
+ * SC is the spacing-to-mounting-height ratio at which the illuminance midway between
+ * two luminaires equals the illuminance directly below one of them.
+ * @param {Object} photometry - Parsed photometric data
+ * @returns {Object} - Spacing criterion {c0, c90, diagonal}
+ */
+export function calculatePhotometricSpacingCriterion(photometry) {
+    const intensity = createIntensityFunction(photometry);
+    
+    // Horizontal illuminance at mounting height 1: E = I(θ) cos³θ with tan θ = d
+    const illuminance = (distance, phi) => {
+        const theta = Math.atan(distance);
+        return intensity(theta * 180 / Math.PI, phi) * Math.pow(Math.cos(theta), 3);
+    };
+    
+    const spacingCriterion = plane => {
+        const nadir = illuminance(0, plane);
+        
+        if (nadir <= 0) {
+            return 0;
+        }
+        
+        for (let ratio = 0.01; ratio <= 4; ratio += 0.01) {
+            const midpoint = illuminance(ratio / 2, plane) + illuminance(ratio / 2, plane + 180);
+            
+            if (midpoint < nadir) {
+                return Math.round((ratio - 0.01) * 100) / 100;
+            }
+        }
+        
+        return 4;
+    };
+    
+    return {
+        c0: spacingCriterion(0),
+        c90: spacingCriterion(90),
+        diagonal: spacingCriterion(45)
+    };
+}
+
+/**
+ * Compare catalog values of a luminaire with its photometric analysis
+ * @param {Object} luminaire - Luminaire record with luminousFlux, wattage, efficacy and beamAngle
+ * @param {Object} analysis - Result of analyzePhotometry
+ * @param {number} tolerance - Allowed relative difference (default 10%)
+ * @returns {Array} - Warning messages, empty if the values agree
+ */
+export function compareWithCatalog(luminaire, analysis, tolerance = 0.1) {
+    const warnings = [];
+    const differs = (catalog, measured) =>
+        catalog > 0 && measured > 0 && Math.abs(catalog - measured) / measured > tolerance;
+    
+    if (differs(luminaire.luminousFlux, analysis.luminaireLumens)) {
+        warnings.push(`Catalog flux ${luminaire.luminousFlux} lm differs from the photometric ` +
+            `${analysis.luminaireLumens} lm`);
+    }
+    
+    if (luminaire.wattage > 0) {
+        const efficacy = analysis.luminaireLumens / luminaire.wattage;
+        
+        if (differs(luminaire.efficacy, efficacy)) {
+            warnings.push(`Catalog efficacy ${luminaire.efficacy} lm/W differs from the photometric ` +
+                `${efficacy.toFixed(1)} lm/W`);
+        }
+    }
+    
+    if (differs(luminaire.beamAngle, analysis.beamAngle)) {
+        warnings.push(`Catalog beam angle ${luminaire.beamAngle}° differs from the photometric ` +
+            `${analysis.beamAngle}°`);
+    }
+    
+    return warnings;
+}
+
+/**
+ * Intensity curves in vertical C-planes for polar plots
+ * @param {Object} photometry - Parsed photometric data
+ * @param {Array} planes - C-planes in degrees (default C0, C90, C180 and C270)
+ * @param {number} step - Angle step from nadir in degrees
+ * @returns {Array} - Curves {plane, angles, values} with values in candelas
+ */
+export function calculatePlaneCurves(photometry, planes = [0, 90, 180, 270], step = 2.5) {
+    const intensity = createIntensityFunction(photometry);
+    
+    return planes.map(plane => {
+        const angles = [];
+        const values = [];
+        
+        for (let theta = 0; theta <= 180; theta += step) {
+            angles.push(theta);
+            values.push(intensity(theta, plane));
+        }
+        
+        return { plane: plane, angles: angles, values: values };
+    });
+}
+
+/**
+ * Beam diameter and centre-beam illuminance at several distances below the luminaire
+ * @param {Object} photometry - Parsed photometric data
+ * @param {Array} heights - Distances from the luminaire in meters
+ * @returns {Object} - Beam angle, nadir intensity and levels {height, diameter, illuminance}
+ */
+export function calculateLightCone(photometry, heights = [1, 2, 3, 4, 5]) {
+    const intensity = createIntensityFunction(photometry);
+    
+    const beamC0 = calculateSpreadAngle(intensity, 0, 0.5);
+    const beamC90 = calculateSpreadAngle(intensity, 90, 0.5);
+    const beamAngle = (beamC0 + beamC90) / 2;
+    const centerIntensity = intensity(0, 0);
+    
+    // Beams of 180° and more never close, so the diameter is unbounded
+    const halfAngle = beamAngle / 2 * Math.PI / 180;
+    const levels = heights.map(height => ({
+        height: height,
+        diameter: beamAngle < 180 ? 2 * height * Math.tan(halfAngle) : Infinity,
+        illuminance: centerIntensity / (height * height)
+    }));
+    
+    return {
+        beamAngle: Math.round(beamAngle),
+        beamAngles: { c0: Math.round(beamC0), c90: Math.round(beamC90) },
+        centerIntensity: centerIntensity,
+        levels: levels
+    };
+}
+
+/**
+ * Scale photometry to a different lamp output or dimming level
+ * @param {Object} photometry - Parsed photometric data
+ * @param {Object} options - Target lamp lumens (relative photometry only), dimming
+ *   level (0-1) and input watts of the result
+ * @returns {Object} - New photometric data with scaled candela values
+ */
+export function scalePhotometry(photometry, { lumens, dimming = 1, inputWatts } = {}) {
+    const ratedLumens = photometry.lampCount * photometry.lumensPerLamp;
+    let factor = dimming;
+    let lumensPerLamp = photometry.lumensPerLamp;
+    
+    // A new lamp output scales the candela values and the rated lumens together
+    if (lumens && photometry.lumensPerLamp > 0 && ratedLumens > 0) {
+        factor *= lumens / ratedLumens;
+        lumensPerLamp = lumens / photometry.lampCount;
+    }
+    
+    return {
+        ...photometry,
+        lumensPerLamp: lumensPerLamp,
+        inputWatts: inputWatts !== undefined ? inputWatts : photometry.inputWatts,
+        candela: photometry.candela.map(values => values.map(value => value * factor))
+    };
+}
+
+/**
+ * Average several photometric distributions of the same photometric type.
+ * Values are sampled on the union of the angles of all inputs (on the full
+ * web if their symmetries differ) and written as absolute candelas.
+ * @param {Array} photometries - Parsed photometric data
+ * @returns {Object} - Averaged photometric data
+ */
+export function averagePhotometry(photometries) {
+    if (photometries.length === 0) {
+        throw new Error('No photometry to average');
+    }
+    
+    const first = photometries[0];
+    
+    if (photometries.some(photometry => photometry.photometricType !== first.photometricType)) {
+        throw new Error('Only distributions of the same photometric type can be averaged');
+    }
+    
+    const symmetry = IESParser.getSymmetry(first);
+    const sameSymmetry = photometries.every(photometry => IESParser.getSymmetry(photometry) === symmetry);
+    const webs = photometries.map(photometry => sameSymmetry ? photometry : IESParser.getFullWeb(photometry));
+    const union = lists => Array.from(new Set(lists.flat())).sort((a, b) => a - b);
+    
+    const verticalAngles = union(webs.map(web => web.verticalAngles));
+    let horizontalAngles = union(webs.map(web => web.horizontalAngles));
+    
+    // Full Type C webs are kept to 0-360, dropping the wrap-around copies
+    if (!sameSymmetry && first.photometricType === 1) {
+        horizontalAngles = union([[0, 360], horizontalAngles.filter(angle => angle > 0 && angle < 360)]);
+    }
+    
+    const scales = photometries.map(photometry => getIntensityScale(photometry));
+    const average = values => values.reduce((total, value) => total + value, 0) / values.length;
+    
+    const candela = horizontalAngles.map(horizontal => verticalAngles.map(vertical =>
+        average(photometries.map((photometry, i) =>
+            IESParser.getIntensityAtAngle(photometry, vertical, horizontal) * scales[i]))));
+    
+    // Relative photometry keeps a lamp reference only if every input has one
+    const relative = photometries.every(photometry => photometry.lumensPerLamp > 0);
+    
+    return {
+        ...first,
+        lumensPerLamp: relative ?
+            average(photometries.map(photometry => photometry.lampCount * photometry.lumensPerLamp)) / first.lampCount :
+            -1,
+        candleMultiplier: 1,
+        ballastFactor: 1,
+        ballastLampFactor: 1,
+        inputWatts: average(photometries.map(photometry => photometry.inputWatts)),
+        angleCount: verticalAngles.length,
+        horizontalAngleCount: horizontalAngles.length,
+        verticalAngles: verticalAngles,
+        horizontalAngles: horizontalAngles,
+        candela: candela
+    };
+}
+
+/**
+ * Difference in shape between two distributions. Both are normalized to the
+ * same flux so only the shape counts, and compared over the whole sphere
+ * weighted by solid angle.
+ * @param {Object} reference - Parsed photometric data of the reference luminaire
+ * @param {Object} candidate - Parsed photometric data to compare with it
+ * @param {number} rotation - Rotation of the candidate about the vertical axis in degrees
+ * @returns {number} - RMS difference relative to the reference (0 for identical shapes)
+ */
+export function calculateDistributionDifference(reference, candidate, rotation = 0) {
+    const step = 5;
+    const referenceIntensity = createIntensityFunction(reference);
+    const candidateIntensity = createIntensityFunction(candidate);
+    const samples = [];
+    
+    for (let theta = step / 2; theta < 180; theta += step) {
+        const weight = Math.sin(theta * Math.PI / 180);
+        
+        for (let phi = step / 2; phi < 360; phi += step * 3) {
+            samples.push({
+                weight: weight,
+                a: referenceIntensity(theta, phi),
+                b: candidateIntensity(theta, phi + rotation)
+            });
+        }
+    }
+    
+    // Flux of each distribution up to a common constant
+    const fluxA = samples.reduce((total, sample) => total + sample.a * sample.weight, 0);
+    const fluxB = samples.reduce((total, sample) => total + sample.b * sample.weight, 0);
+    
+    if (fluxA <= 0 || fluxB <= 0) {
+        return fluxA === fluxB ? 0 : 1;
+    }
+    
+    let difference = 0;
+    let magnitude = 0;
+    
+    samples.forEach(sample => {
+        const a = sample.a / fluxA;
+        const b = sample.b / fluxB;
+        
+        difference += sample.weight * (a - b) * (a - b);
+        magnitude += sample.weight * a * a;
+    });
+    
+    return Math.sqrt(difference / magnitude);
+}
+
+/**
+ * Create a function returning scaled intensity by angle from nadir and azimuth
+ * @param {Object} photometry - Parsed photometric data
+ * @returns {Function} - Intensity function (theta, phi) in candelas
+ */
+function createIntensityFunction(photometry) {
+    const scale = getIntensityScale(photometry);
+    
+    return (theta, phi) => getIntensityInDirection(photometry, theta, phi) * scale;
+}
+
+/**
+ * Intensity in a direction given by angle from nadir and azimuth
+ * @param {Object} photometry - Parsed photometric data
+ * @param {number} theta - Angle from nadir in degrees
+ * @param {number} phi - Azimuth from the C0 plane in degrees
+ * @returns {number} - Tabulated intensity in candelas
+ */
+function getIntensityInDirection(photometry, theta, phi) {
+    const t = theta * Math.PI / 180;
+    const p = phi * Math.PI / 180;
+    
+    return IESParser.getIntensityInDirection(photometry, {
+        x: Math.sin(t) * Math.cos(p),
+        y: Math.sin(t) * Math.sin(p),
+        z: -Math.cos(t)
+    });
+}
+
+/**
+ * Integrate the distribution into 1° bands from nadir to zenith
+ * @param {Function} intensity - Intensity function (theta, phi) in candelas
+ * @returns {Array} - Lumens per band, index i covers i..i+1 degrees
+ */
+function calculateBandLumens(intensity) {
+    const bands = [];
+    const dTheta = VERTICAL_STEP * Math.PI / 180;
+    const dPhi = HORIZONTAL_STEP * Math.PI / 180;
+    
+    for (let theta = 0; theta < 180; theta += VERTICAL_STEP) {
+        // Midpoint rule over the band
+        const middle = theta + VERTICAL_STEP / 2;
+        const sinTheta = Math.sin(middle * Math.PI / 180);
+        let flux = 0;
+        
+        for (let phi = 0; phi < 360; phi += HORIZONTAL_STEP) {
+            flux += intensity(middle, phi + HORIZONTAL_STEP / 2) * sinTheta * dTheta * dPhi;
+        }
+        
+        bands.push(flux);
+    }
+    
+    return bands;
+}
+
+/**
+ * Sum band lumens between two vertical angles
+ * @param {Array} bands - Lumens per 1° band
+ * @param {number} from - Start angle in degrees
+ * @param {number} to - End angle in degrees
+ * @returns {number} - Zonal lumens
+ */
+function sumBands(bands, from, to) {
+    let sum = 0;
+    
+    for (let i = from / VERTICAL_STEP; i < to / VERTICAL_STEP; i++) {
+        sum += bands[i];
+    }
+    
+    return sum;
+}
+
+/**
+ * Cumulative lumens from nadir up to an angle (partial bands are prorated)
+ * @param {Array} bands - Lumens per 1° band
+ * @param {number} angle - Angle from nadir in degrees
+ * @returns {number} - Lumens between nadir and the angle
+ */
+function cumulativeLumens(bands, angle) {
+    const whole = Math.floor(angle / VERTICAL_STEP);
+    let sum = sumBands(bands, 0, whole * VERTICAL_STEP);
+    
+    if (whole < bands.length) {
+        sum += bands[whole] * (angle / VERTICAL_STEP - whole);
+    }
+    
+    return sum;
+}
+
+/**
+ * Full angle at which intensity in a plane falls to a fraction of the plane's peak
+ * @param {Function} intensity - Intensity function (theta, phi) in candelas
+ * @param {number} plane - C-plane in degrees (the opposite half-plane is included)
+ * @param {number} fraction - Fraction of the peak (0.5 beam, 0.1 field)
+ * @returns {number} - Spread angle in degrees
+ */
+function calculateSpreadAngle(intensity, plane, fraction) {
+    const step = 0.1;
+    const halves = [plane, plane + 180];
+    
+    // Peak over both halves of the plane
+    const peak = Math.max(...halves.map(phi => findPlanePeak(intensity, phi)));
+    
+    if (peak <= 0) {
+        return 0;
+    }
+    
+    const threshold = peak * fraction;
+    
+    // Outermost angle from nadir in each half that still reaches the threshold
+    return halves.reduce((total, phi) => {
+        let edge = 0;
+        
+        for (let theta = 0; theta <= 180; theta += step) {
+            if (intensity(theta, phi) >= threshold) {
+                edge = theta;
+            }
+        }
+        
+        return total + edge;
+    }, 0);
+}
+
+/**
+ * Peak intensity in a half-plane
+ * @param {Function} intensity - Intensity function (theta, phi) in candelas
+ * @param {number} phi - C-plane in degrees
+ * @returns {number} - Peak intensity in candelas
+ */
+function findPlanePeak(intensity, phi) {
+    let peak = 0;
+    
+    for (let theta = 0; theta <= 180; theta += 1) {
+        peak = Math.max(peak, intensity(theta, phi));
+    }
+    
+    return peak;
+}
@@ -18,8 +18,19 @@ export function calculatePointIlluminance(point, luminaire, options) {
     
     const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
     
-    // Cosine of the angle of incidence
-    const cosTheta = dz / distance;
+    if (distance === 0) {
+        return 0;
+    }
+    
+    // Cosine of the angle of incidence on the receiving surface
+    // (horizontal, facing up, unless a surface normal is given)
+    const normal = (options && options.normal) || { x: 0, y: 0, z: 1 };
+    const cosTheta = (-dx * normal.x - dy * normal.y + dz * normal.z) / distance;
+    
+    // Light arriving from behind the surface does not contribute
+    if (cosTheta <= 0) {
+        return 0;
+    }
     
     // Base illuminance calculation (inverse square law)
     // E = I * cos(θ) / d²
@@ -39,28 +50,129 @@ export function calculatePointIlluminance(point, luminaire, options) {
  * @param {Object} luminaire - Luminaire data including IES distribution
  * @param {number} dx - X distance from luminaire to point
  * @param {number} dy - Y distance from luminaire to point
- * @param {number} dz - Z distance from luminaire to point
+ * @param {number} dz - Height of the luminaire above the point
  * @returns {number} - Luminous intensity in candelas
  */
-function getIntensityAtAngle(luminaire, dx, dy, dz) {
-    // This would implement interpolation from the IES photometric data
-    // For now, we'll use a simplified model
+export function getIntensityAtAngle(luminaire, dx, dy, dz) {
+    // Without photometry the luminaire is treated as an isotropic source
+    if (!luminaire.photometry) {
+        return (luminaire.flux || 0) / (4 * Math.PI);
+    }
     
-    // Calculate horizontal and vertical angles
+    // Direction from the luminaire to the point (z up), turned into the
+    // luminaire's own axes so the C0 plane and nadir follow its orientation
     const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    const [m0, m1, m2] = luminaire.orientation || createOrientation(luminaire);
+    const room = { x: dx / distance, y: dy / distance, z: -dz / distance };
     
-    // Vertical angle (from nadir)
-    const verticalAngle = Math.acos(dz / distance) * (180 / Math.PI);
+    const direction = {
+        x: m0[0] * room.x + m0[1] * room.y + m0[2] * room.z,
+        y: m1[0] * room.x + m1[1] * room.y + m1[2] * room.z,
+        z: m2[0] * room.x + m2[1] * room.y + m2[2] * room.z
+    };
     
-    // Horizontal angle
-    const horizontalAngle = Math.atan2(dy, dx) * (180 / Math.PI);
+    // Type A, B and C photometry each map the direction to their own angles
+    const candela = IESParser.getIntensityInDirection(luminaire.photometry, direction);
     
-    // For demonstration, we'll use a simple cosine distribution
-    // In a real implementation, this would look up values from the IES data
-    const maxIntensity = luminaire.maxIntensity || 1000; // candelas
-    const intensity = maxIntensity * Math.cos((verticalAngle * Math.PI) / 180);
+    // Scale tabulated candela to the installed lamp output
+    const scale = luminaire.intensityScale !== undefined ?
+        luminaire.intensityScale : getIntensityScale(luminaire.photometry, luminaire.flux);
     
-    return Math.max(0, intensity);
+    return Math.max(0, candela * scale);
+}
+
+/**
+ * Get the transform from room directions to a luminaire's own axes.
+ * The luminaire is turned by its rotation about the vertical, then tilted so
+ * its nadir swings towards its C0 plane. With an aim point, heading and tilt
+ * point the nadir at the aim point and the rotation spins the luminaire about
+ * its own axis instead.
+ * @param {Object} luminaire - Luminaire instance {x, y, z, rotation, tilt, aim} (angles in degrees)
+ * @returns {Array} - 3x3 matrix as rows, applied to room direction vectors
+ */
+export function createOrientation(luminaire) {
+    let heading = luminaire.rotation || 0;
+    let tilt = luminaire.tilt || 0;
+    let spin = 0;
+    
+    if (luminaire.aim) {
+        const dx = luminaire.aim.x - luminaire.x;
+        const dy = luminaire.aim.y - luminaire.y;
+        const dz = luminaire.aim.z - luminaire.z;
+        const horizontal = Math.sqrt(dx*dx + dy*dy);
+        
+        if (horizontal > 0 || dz !== 0) {
+            tilt = Math.atan2(horizontal, -dz) * 180 / Math.PI;
+            heading = horizontal > 0 ? Math.atan2(dy, dx) * 180 / Math.PI : 0;
+            spin = luminaire.rotation || 0;
+        }
+    }
+    
+    // Undo the spin, tilt and heading in reverse order of applying them
+    return multiplyMatrices(rotationZ(-spin), multiplyMatrices(rotationY(tilt), rotationZ(-heading)));
+}
+
+/**
+ * Rotation matrix about the vertical axis
+ * @param {number} angle - Angle in degrees, counterclockwise seen from above
+ * @returns {Array} - 3x3 matrix as rows
+ */
+function rotationZ(angle) {
+    const a = angle * Math.PI / 180;
+    
+    return [
+        [Math.cos(a), -Math.sin(a), 0],
+        [Math.sin(a), Math.cos(a), 0],
+        [0, 0, 1]
+    ];
+}
+
+/**
+ * Rotation matrix about the y axis
+ * @param {number} angle - Angle in degrees
+ * @returns {Array} - 3x3 matrix as rows
+ */
+function rotationY(angle) {
+    const a = angle * Math.PI / 180;
+    
+    return [
+        [Math.cos(a), 0, Math.sin(a)],
+        [0, 1, 0],
+        [-Math.sin(a), 0, Math.cos(a)]
+    ];
+}
+
+/**
+ * Multiply two 3x3 matrices
+ * @param {Array} a - Left matrix as rows
+ * @param {Array} b - Right matrix as rows
+ * @returns {Array} - Product a·b as rows
+ */
+function multiplyMatrices(a, b) {
+    return a.map(row => [0, 1, 2].map(column =>
+        row[0] * b[0][column] + row[1] * b[1][column] + row[2] * b[2][column]));
+}
+
+/**
+ * Get the factor that converts tabulated candela values into installed intensity
+ * @param {Object} photometry - Parsed photometric data
+ * @param {number} flux - Installed luminous flux in lumens (optional)
+ * @returns {number} - Intensity scale factor
+ */
+export function getIntensityScale(photometry, flux) {
+    let scale = (photometry.candleMultiplier || 1) *
+        (photometry.ballastFactor || 1) *
+        (photometry.ballastLampFactor || 1);
+    
+    // Relative photometry is scaled to the lamp lumens actually installed.
+    // Absolute photometry (lumens per lamp = -1) is used as measured.
+    const ratedLumens = photometry.lampCount * photometry.lumensPerLamp;
+    
+    if (flux && photometry.lumensPerLamp > 0 && ratedLumens > 0) {
+        scale *= flux / ratedLumens;
+    }
+    
+    return scale;
 }
 
 /**
@@ -104,35 +216,3 @@ export function calculateDirectIlluminanceGrid(room, luminaires, workPlane, grid
     
     return illuminanceGrid;
 }
-
-/**
- * Calculate indirect illuminance using radiosity method
- * @param {Object} room - Room dimensions and reflectances
- * @param {Array} directIlluminance - Direct illuminance grid
- * @returns {Array} - 2D array of indirect illuminance values
- */
-export function calculateIndirectIlluminance(room, directIlluminance) {
-    // This would implement a radiosity calculation for interreflections
-    // For simplicity, we'll estimate indirect as a percentage of direct
-    
-    const indirectFactor = estimateIndirectFactor(room.reflectances);
-    
-    // Apply indirect factor to direct illuminance
-    return directIlluminance.map(row => 
-        row.map(value => value * indirectFactor)
-    );
-}
-
-/**
- * Estimate indirect factor based on room reflectances
- * @param {Object} reflectances - Room surface reflectances
- * @returns {number} - Indirect factor
- */
-function estimateIndirectFactor(reflectances) {
-    // Simple estimation based on average reflectance
-    const avgReflectance = (reflectances.ceiling + reflectances.walls + reflectances.floor) / 3;
-    
-    // The higher the reflectance, the more indirect light
-    // This is a simplification - real calculation would use room geometry and form factors
-    return avgReflectance * 0.5; // Scale factor for demonstration
-}
\ No newline at end of file
@@ -0,0 +1,384 @@
+/**
+ * CalQLux - Radiosity Calculation Module
+ * Patch-based inter-reflection solver for rooms with vertical walls
+ */
+
+import { calculatePointIlluminance } from './point.js';
+import { getRoomPolygon, getWalls, isPointInPlan } from './geometry.js';
+import { createVisibilityTest, getObstructionFaces, getObstructionArea } from './obstructions.js';
+
+/**
+ * Default solver settings
+ */
+const DEFAULT_OPTIONS = {
+    maxPatches: 400,       // Upper bound on the number of surface patches
+    minPatchSize: 0.25,    // meters
+    tolerance: 0.001,      // Relative change in exitance between iterations
+    maxIterations: 100
+};
+
+// Samples per side used to find how much of a ceiling or floor patch is inside the plan
+const COVERAGE_SAMPLES = 4;
+
+/**
+ * Solve the inter-reflected light distribution in a room
+ * @param {Object} room - Room {length, width, height} in meters, reflectances {ceiling, walls, floor} (0-1)
+ *   and optionally a floor plan from getRoomPolygon (without one the room is rectangular) and
+ *   obstructions as boxes from getObstructionBoxes
+ * @param {Array} fixtures - Luminaire instances used by the point-by-point engine
+ * @param {Object} options - Solver options (patchSize, maxPatches, tolerance, maxIterations)
+ * @returns {Object} - Solved patches with exitance plus convergence information
+ */
+export function solveRadiosity(room, fixtures, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS };
+    
+    // Unset options fall back to the defaults
+    Object.keys(options).forEach(key => {
+        if (options[key] !== undefined) {
+            settings[key] = options[key];
+        }
+    });
+    
+    // Split the room surfaces into patches
+    const plan = room.plan || getRoomPolygon({ length: room.length, width: room.width });
+    const obstructions = room.obstructions || [];
+    const patches = createRoomPatches(room, plan, obstructions, settings);
+    
+    // Walls of non-convex rooms and obstructions hide surfaces from each other
+    const isVisible = createVisibilityTest(plan, obstructions);
+    
+    // Direct illuminance on each patch
+    patches.forEach(patch => {
+        patch.directIlluminance = 0;
+        
+        for (const fixture of fixtures) {
+            if (!isVisible || isVisible(patch.center, fixture)) {
+                patch.directIlluminance += calculatePointIlluminance(patch.center, fixture, { normal: patch.normal });
+            }
+        }
+    });
+    
+    // Form factors between every pair of patches
+    const formFactors = calculateFormFactors(patches, isVisible);
+    
+    // Initial exitance is the reflected direct light: B = ρ * E
+    const exitance = patches.map(patch => patch.reflectance * patch.directIlluminance);
+    
+    // Gauss-Seidel iteration of B_i = ρ_i * (E_i + Σ F_ij * B_j)
+    let iterations = 0;
+    let residual = Infinity;
+    
+    while (iterations < settings.maxIterations && residual > settings.tolerance) {
+        let maxChange = 0;
+        let maxExitance = 0;
+        
+        for (let i = 0; i < patches.length; i++) {
+            const row = formFactors[i];
+            let incident = 0;
+            
+            for (let j = 0; j < patches.length; j++) {
+                incident += row[j] * exitance[j];
+            }
+            
+            const updated = patches[i].reflectance * (patches[i].directIlluminance + incident);
+            
+            maxChange = Math.max(maxChange, Math.abs(updated - exitance[i]));
+            maxExitance = Math.max(maxExitance, updated);
+            exitance[i] = updated;
+        }
+        
+        residual = maxExitance > 0 ? maxChange / maxExitance : 0;
+        iterations++;
+    }
+    
+    patches.forEach((patch, i) => {
+        patch.exitance = exitance[i];
+    });
+    
+    return {
+        patches: patches,
+        isVisible: isVisible,
+        iterations: iterations,
+        converged: residual <= settings.tolerance,
+        residual: residual,
+        tolerance: settings.tolerance
+    };
+}
+
+/**
+ * Calculate the inter-reflected (indirect) illuminance at a point
+ * @param {Object} point - Point coordinates {x, y, z}
+ * @param {Object} normal - Unit normal of the receiving surface {x, y, z}
+ * @param {Object} solution - Result of solveRadiosity
+ * @returns {number} - Indirect illuminance in lux
+ */
+export function calculateIndirectIlluminanceAtPoint(point, normal, solution) {
+    let illuminance = 0;
+    
+    for (const patch of solution.patches) {
+        if (patch.exitance > 0 && (!solution.isVisible || solution.isVisible(point, patch.center))) {
+            illuminance += patch.exitance * pointToPatchFormFactor(point, normal, patch);
+        }
+    }
+    
+    return illuminance;
+}
+
+/**
+ * Calculate indirect illuminance over a horizontal grid
+ * @param {Object} room - Room dimensions and reflectances (0-1)
+ * @param {Array} luminaires - Luminaire instances
+ * @param {Object} workPlane - Work plane height
+ * @param {Object} grid - Grid spacing information
+ * @returns {Array} - 2D array of indirect illuminance values
+ */
+export function calculateIndirectIlluminance(room, luminaires, workPlane, grid) {
+    const solution = solveRadiosity(room, luminaires, grid.radiosity);
+    const up = { x: 0, y: 0, z: 1 };
+    
+    const xPoints = Math.floor(room.length / grid.spacing) + 1;
+    const yPoints = Math.floor(room.width / grid.spacing) + 1;
+    
+    const indirectGrid = [];
+    
+    for (let y = 0; y < yPoints; y++) {
+        const row = [];
+        for (let x = 0; x < xPoints; x++) {
+            const point = {
+                x: x * grid.spacing,
+                y: y * grid.spacing,
+                z: workPlane.height
+            };
+            
+            row.push(calculateIndirectIlluminanceAtPoint(point, up, solution));
+        }
+        indirectGrid.push(row);
+    }
+    
+    return indirectGrid;
+}
+
+/**
+ * Split ceiling, walls, floor and obstructions into patches. Ceiling and floor
+ * follow the floor plan and every wall of the plan gets its own column of patches.
+ * @param {Object} room - Room dimensions and reflectances
+ * @param {Object} plan - Floor plan from getRoomPolygon
+ * @param {Array} obstructions - Boxes from getObstructionBoxes
+ * @param {Object} settings - Solver settings
+ * @returns {Array} - Patches {center, normal, area, reflectance, surface}
+ */
+function createRoomPatches(room, plan, obstructions, settings) {
+    const height = room.height;
+    const walls = getWalls(plan);
+    
+    // Choose a patch size that keeps the patch count within bounds
+    const totalArea = 2 * plan.area + plan.perimeter * height +
+        obstructions.reduce((total, box) => total + getObstructionArea(box), 0);
+    const patchSize = settings.patchSize ||
+        Math.max(settings.minPatchSize, Math.sqrt(totalArea / settings.maxPatches));
+    
+    const patches = [];
+    
+    // Ceiling (facing down) and floor (facing up)
+    addPlanPatches(patches, plan, {
+        z: height,
+        normal: { x: 0, y: 0, z: -1 },
+        reflectance: room.reflectances.ceiling,
+        surface: 'ceiling'
+    }, patchSize);
+    
+    addPlanPatches(patches, plan, {
+        z: 0,
+        normal: { x: 0, y: 0, z: 1 },
+        reflectance: room.reflectances.floor,
+        surface: 'floor'
+    }, patchSize);
+    
+    // Walls, each facing into the room; reflectances set per wall are in percent
+    walls.forEach(wall => {
+        addRectanglePatches(patches, {
+            origin: { x: wall.start.x, y: wall.start.y, z: 0 },
+            u: { x: wall.end.x - wall.start.x, y: wall.end.y - wall.start.y, z: 0 },
+            v: { x: 0, y: 0, z: height },
+            normal: wall.normal,
+            reflectance: wall.reflectance !== null ? wall.reflectance / 100 : room.reflectances.walls,
+            surface: 'walls'
+        }, patchSize);
+    });
+    
+    // Outer faces of the obstructions
+    obstructions.forEach(box => {
+        getObstructionFaces(box).forEach(face => {
+            addRectanglePatches(patches, {
+                ...face,
+                reflectance: box.reflectance,
+                surface: 'obstruction'
+            }, patchSize);
+        });
+    });
+    
+    return patches;
+}
+
+/**
+ * Subdivide a horizontal surface covering the floor plan into patches. Cells of
+ * the bounding box that straddle a wall keep only the part inside the plan.
+ * @param {Array} patches - Patch list to append to
+ * @param {Object} plan - Floor plan from getRoomPolygon
+ * @param {Object} surface - Surface {z, normal, reflectance, surface}
+ * @param {number} patchSize - Target patch edge length in meters
+ */
+function addPlanPatches(patches, plan, surface, patchSize) {
+    const { minX, minY, maxX, maxY } = plan.bounds;
+    const uCount = Math.max(1, Math.ceil((maxX - minX) / patchSize));
+    const vCount = Math.max(1, Math.ceil((maxY - minY) / patchSize));
+    const cellLength = (maxX - minX) / uCount;
+    const cellWidth = (maxY - minY) / vCount;
+    
+    for (let i = 0; i < uCount; i++) {
+        for (let j = 0; j < vCount; j++) {
+            let inside = 0;
+            let sumX = 0;
+            let sumY = 0;
+            
+            // Sample the cell to find its share inside the plan and the centre of that share
+            for (let a = 0; a < COVERAGE_SAMPLES; a++) {
+                for (let b = 0; b < COVERAGE_SAMPLES; b++) {
+                    const sample = {
+                        x: minX + (i + (a + 0.5) / COVERAGE_SAMPLES) * cellLength,
+                        y: minY + (j + (b + 0.5) / COVERAGE_SAMPLES) * cellWidth
+                    };
+                    
+                    if (isPointInPlan(sample, plan)) {
+                        inside++;
+                        sumX += sample.x;
+                        sumY += sample.y;
+                    }
+                }
+            }
+            
+            if (inside === 0) {
+                continue;
+            }
+            
+            // Whole cells keep their exact centre
+            const whole = inside === COVERAGE_SAMPLES * COVERAGE_SAMPLES;
+            
+            patches.push({
+                center: {
+                    x: whole ? minX + (i + 0.5) * cellLength : sumX / inside,
+                    y: whole ? minY + (j + 0.5) * cellWidth : sumY / inside,
+                    z: surface.z
+                },
+                normal: surface.normal,
+                area: cellLength * cellWidth * inside / (COVERAGE_SAMPLES * COVERAGE_SAMPLES),
+                reflectance: surface.reflectance,
+                surface: surface.surface
+            });
+        }
+    }
+}
+
+/**
+ * Subdivide a rectangular surface into patches
+ * @param {Array} patches - Patch list to append to
+ * @param {Object} surface - Surface {origin, u, v, normal, reflectance, surface}
+ * @param {number} patchSize - Target patch edge length in meters
+ */
+function addRectanglePatches(patches, surface, patchSize) {
+    const uLength = vectorLength(surface.u);
+    const vLength = vectorLength(surface.v);
+    
+    const uCount = Math.max(1, Math.ceil(uLength / patchSize));
+    const vCount = Math.max(1, Math.ceil(vLength / patchSize));
+    const area = (uLength / uCount) * (vLength / vCount);
+    
+    for (let i = 0; i < uCount; i++) {
+        for (let j = 0; j < vCount; j++) {
+            const s = (i + 0.5) / uCount;
+            const t = (j + 0.5) / vCount;
+            
+            patches.push({
+                center: {
+                    x: surface.origin.x + s * surface.u.x + t * surface.v.x,
+                    y: surface.origin.y + s * surface.u.y + t * surface.v.y,
+                    z: surface.origin.z + s * surface.u.z + t * surface.v.z
+                },
+                normal: surface.normal,
+                area: area,
+                reflectance: surface.reflectance,
+                surface: surface.surface
+            });
+        }
+    }
+}
+
+/**
+ * Calculate the form factor matrix between patches
+ * @param {Array} patches - Room patches
+ * @param {Function} isVisible - Plan visibility test, or null when every patch sees every other
+ * @returns {Array} - Matrix where [i][j] is the fraction of flux leaving i that reaches j
+ */
+function calculateFormFactors(patches, isVisible) {
+    const formFactors = patches.map(patch => {
+        const row = new Float64Array(patches.length);
+        
+        patches.forEach((other, j) => {
+            if (other !== patch && (!isVisible || isVisible(patch.center, other.center))) {
+                row[j] = pointToPatchFormFactor(patch.center, patch.normal, other);
+            }
+        });
+        
+        // The room is a closed enclosure, so every row must sum to one.
+        // Normalizing removes the discretization error of the approximation.
+        const sum = row.reduce((total, value) => total + value, 0);
+        
+        if (sum > 0) {
+            for (let j = 0; j < row.length; j++) {
+                row[j] /= sum;
+            }
+        }
+        
+        return row;
+    });
+    
+    return formFactors;
+}
+
+/**
+ * Form factor from a differential area to a patch (disk approximation)
+ * @param {Object} point - Receiving point {x, y, z}
+ * @param {Object} normal - Receiving surface normal {x, y, z}
+ * @param {Object} patch - Emitting patch
+ * @returns {number} - Form factor
+ */
+function pointToPatchFormFactor(point, normal, patch) {
+    const rx = patch.center.x - point.x;
+    const ry = patch.center.y - point.y;
+    const rz = patch.center.z - point.z;
+    const distanceSquared = rx*rx + ry*ry + rz*rz;
+    
+    if (distanceSquared === 0) {
+        return 0;
+    }
+    
+    const distance = Math.sqrt(distanceSquared);
+    const cosReceiver = (rx * normal.x + ry * normal.y + rz * normal.z) / distance;
+    const cosEmitter = -(rx * patch.normal.x + ry * patch.normal.y + rz * patch.normal.z) / distance;
+    
+    if (cosReceiver <= 0 || cosEmitter <= 0) {
+        return 0;
+    }
+    
+    // F = cos θi * cos θj * A / (π r² + A), which stays finite for adjacent patches
+    return cosReceiver * cosEmitter * patch.area / (Math.PI * distanceSquared + patch.area);
+}
+
+/**
+ * Length of a vector
+ * @param {Object} vector - Vector {x, y, z}
+ * @returns {number} - Vector length
+ */
+function vectorLength(vector) {
+    return Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+}
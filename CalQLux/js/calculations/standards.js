@@ -0,0 +1,165 @@
+/**
+ * CalQLux - Lighting Standards Module
+ * Illuminance, uniformity, glare and color rendering requirements by space type
+ */
+
+/**
+ * Lighting requirements of each space type, by standard
+ */
+export const LIGHTING_STANDARDS = {
+    offices: {
+        name: 'Office Spaces',
+        standards: [
+            {
+                name: 'EN 12464-1 (Europe)',
+                requirements: {
+                    avgIlluminance: 500, // lux
+                    uniformity: 0.6,     // min/avg ratio
+                    ugr: 19,             // max UGR
+                    cri: 80              // min CRI
+                }
+            },
+            {
+                name: 'IES Handbook (North America)',
+                requirements: {
+                    avgIlluminance: 500, // lux
+                    uniformity: 0.7,     // min/avg ratio
+                    vcp: 70,             // min VCP
+                    cri: 80              // min CRI
+                }
+            }
+        ]
+    },
+    industrial: {
+        name: 'Industrial Areas',
+        standards: [
+            {
+                name: 'EN 12464-1 (Europe)',
+                requirements: {
+                    avgIlluminance: 300, // lux
+                    uniformity: 0.5,     // min/avg ratio
+                    ugr: 25,             // max UGR
+                    cri: 80              // min CRI
+                }
+            },
+            {
+                name: 'IES Handbook (North America)',
+                requirements: {
+                    avgIlluminance: 300, // lux
+                    uniformity: 0.6,     // min/avg ratio
+                    cri: 70              // min CRI
+                }
+            }
+        ]
+    },
+    educational: {
+        name: 'Educational Facilities',
+        standards: [
+            {
+                name: 'EN 12464-1 (Europe)',
+                requirements: {
+                    avgIlluminance: 300, // lux
+                    uniformity: 0.6,     // min/avg ratio
+                    ugr: 19,             // max UGR
+                    cri: 80              // min CRI
+                }
+            },
+            {
+                name: 'IES Handbook (North America)',
+                requirements: {
+                    avgIlluminance: 400, // lux
+                    uniformity: 0.7,     // min/avg ratio
+                    cri: 80              // min CRI
+                }
+            }
+        ]
+    },
+    retail: {
+        name: 'Retail Spaces',
+        standards: [
+            {
+                name: 'EN 12464-1 (Europe)',
+                requirements: {
+                    avgIlluminance: 300, // lux
+                    uniformity: 0.4,     // min/avg ratio
+                    ugr: 22,             // max UGR
+                    cri: 80              // min CRI
+                }
+            },
+            {
+                name: 'IES Handbook (North America)',
+                requirements: {
+                    avgIlluminance: 500, // lux
+                    uniformity: 0.6,     // min/avg ratio
+                    cri: 80              // min CRI
+                }
+            }
+        ]
+    },
+    healthcare: {
+        name: 'Healthcare Facilities',
+        standards: [
+            {
+                name: 'EN 12464-1 (Europe)',
+                requirements: {
+                    avgIlluminance: 500, // lux
+                    uniformity: 0.6,     // min/avg ratio
+                    ugr: 19,             // max UGR
+                    cri: 90              // min CRI
+                }
+            },
+            {
+                name: 'IES Handbook (North America)',
+                requirements: {
+                    avgIlluminance: 500, // lux
+                    uniformity: 0.7,     // min/avg ratio
+                    cri: 90              // min CRI
+                }
+            }
+        ]
+    },
+    outdoor: {
+        name: 'Outdoor Areas',
+        standards: [
+            {
+                name: 'EN 13201 (Europe)',
+                requirements: {
+                    avgIlluminance: 20,  // lux
+                    uniformity: 0.4,     // min/avg ratio
+                    cri: 70              // min CRI
+                }
+            },
+            {
+                name: 'IES RP-8 (North America)',
+                requirements: {
+                    avgIlluminance: 20,  // lux
+                    uniformity: 0.3,     // min/avg ratio
+                    cri: 70              // min CRI
+                }
+            }
+        ]
+    }
+};
+
+// Standard whose requirements also set the minimum for task areas
+const TASK_AREA_STANDARD = 'EN 12464-1';
+
+/**
+ * Get the least a task area in a space type has to achieve
+ * @param {string} spaceType - Space type (e.g., 'offices', 'industrial')
+ * @returns {Object|null} - {average, uniformity} in lux and as min/avg, or null when
+ *   the space type has no EN 12464-1 requirements
+ */
+export function getTaskAreaMinimum(spaceType) {
+    const space = LIGHTING_STANDARDS[spaceType];
+    const standard = space && space.standards.find(item => item.name.startsWith(TASK_AREA_STANDARD));
+    
+    if (!standard) {
+        return null;
+    }
+    
+    return {
+        average: standard.requirements.avgIlluminance || 0,
+        uniformity: standard.requirements.uniformity || 0
+    };
+}
@@ -0,0 +1,212 @@
+/**
+ * CalQLux - Calculation Surfaces Module
+ * User-defined rectangular grids on walls, tilted planes and task areas
+ */
+
+import { calculatePointIlluminance } from './point.js';
+import { calculateIndirectIlluminanceAtPoint } from './radiosity.js';
+import { isPointInPlan } from './geometry.js';
+import { isPointInObstruction } from './obstructions.js';
+
+/**
+ * Starting values of the surface presets in meters, degrees, lux and as a
+ * ratio. Positions are filled in from the room when a surface is added.
+ * Surfaces with task set are also evaluated as EN 12464-1 task areas.
+ */
+export const SURFACE_PRESETS = {
+    task: { name: 'Task area', task: true, length: 1.6, width: 0.8, rotation: 0, tilt: 0, spacing: 0.2, offset: 0, target: 500, minUniformity: 0.6 },
+    wall: { name: 'Wall', rotation: 180, tilt: 90, spacing: 0.5, offset: 0.5, target: 150, minUniformity: 0.1 },
+    tilted: { name: 'Tilted plane', length: 1.2, width: 0.9, rotation: 0, tilt: 30, spacing: 0.1, offset: 0, target: 750, minUniformity: 0.7 }
+};
+
+// Defaults for surfaces missing a value
+const DEFAULT_SIZE = 1;
+const DEFAULT_SPACING = 0.25;
+
+// Largest number of points along one side of a surface grid
+const MAX_POINTS = 100;
+
+/**
+ * Get the axes of a surface. It starts horizontal and facing up with its
+ * length along x, is turned by rotation about the vertical, then tipped by
+ * tilt about its length axis; a tilt of 90° makes it a vertical plane.
+ * @param {Object} surface - Surface {x, y, z, length, width, rotation, tilt} where
+ *   x, y, z is the centre in meters and rotation and tilt are in degrees
+ * @returns {Object} - Frame {origin, u, v, normal} where u runs along the length,
+ *   v along the width and origin is the corner at the start of both
+ */
+export function getSurfaceFrame(surface) {
+    const rotation = (surface.rotation || 0) * Math.PI / 180;
+    const tilt = (surface.tilt || 0) * Math.PI / 180;
+    const cosR = Math.cos(rotation);
+    const sinR = Math.sin(rotation);
+    const cosT = Math.cos(tilt);
+    const sinT = Math.sin(tilt);
+    const length = surface.length > 0 ? surface.length : DEFAULT_SIZE;
+    const width = surface.width > 0 ? surface.width : DEFAULT_SIZE;
+    
+    const u = { x: cosR, y: sinR, z: 0 };
+    const v = { x: -sinR * cosT, y: cosR * cosT, z: sinT };
+    
+    return {
+        origin: {
+            x: surface.x - (u.x * length + v.x * width) / 2,
+            y: surface.y - (u.y * length + v.y * width) / 2,
+            z: surface.z - (u.z * length + v.z * width) / 2
+        },
+        u: u,
+        v: v,
+        normal: { x: sinR * sinT, y: -cosR * sinT, z: cosT }
+    };
+}
+
+/**
+ * Calculate the illuminance on each calculation surface, facing its normal
+ * @param {Array} surfaces - Surfaces {id, name, task, x, y, z, length, width, rotation, tilt,
+ *   spacing, offset, target, minUniformity} in meters and degrees, where offset keeps
+ *   the grid away from the edges, target is the required average in lux and
+ *   minUniformity the required min/avg ratio
+ * @param {Object} context - Room solution {fixtures, radiosity, isVisible, plan,
+ *   obstructions, heightM} from the point-by-point calculation
+ * @returns {Array} - Surface results {id, name, grid, average, min, max, uniformity,
+ *   target, minUniformity, pass, dimensions} where grid rows run along the width and
+ *   the dimensions give the point positions from the surface corner in meters
+ */
+export function calculateSurfaces(surfaces, context) {
+    if (!Array.isArray(surfaces)) {
+        return [];
+    }
+    
+    return surfaces.map((surface, index) => calculateSurface(surface, index, context));
+}
+
+/**
+ * Calculate the grid of one surface
+ * @param {Object} surface - Surface, as for calculateSurfaces
+ * @param {number} index - Position in the list, for surfaces without an id
+ * @param {Object} context - Room solution, as for calculateSurfaces
+ * @returns {Object} - Surface result
+ */
+function calculateSurface(surface, index, context) {
+    const frame = getSurfaceFrame(surface);
+    const length = surface.length > 0 ? surface.length : DEFAULT_SIZE;
+    const width = surface.width > 0 ? surface.width : DEFAULT_SIZE;
+    const spacing = surface.spacing > 0 ? surface.spacing : DEFAULT_SPACING;
+    const offset = Math.max(surface.offset || 0, 0);
+    const uPositions = getGridPositions(length, spacing, offset);
+    const vPositions = getGridPositions(width, spacing, offset);
+    
+    const grid = [];
+    let min = Number.MAX_VALUE;
+    let max = 0;
+    let total = 0;
+    let pointCount = 0;
+    
+    vPositions.forEach(t => {
+        const row = [];
+        
+        uPositions.forEach(s => {
+            const point = {
+                x: frame.origin.x + s * frame.u.x + t * frame.v.x,
+                y: frame.origin.y + s * frame.u.y + t * frame.v.y,
+                z: frame.origin.z + s * frame.u.z + t * frame.v.z
+            };
+            
+            const value = getIlluminanceAtPoint(point, frame.normal, context);
+            row.push(value);
+            
+            if (value === null) {
+                return;
+            }
+            
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+            total += value;
+            pointCount++;
+        });
+        
+        grid.push(row);
+    });
+    
+    const average = pointCount > 0 ? Math.round(total / pointCount) : 0;
+    const uniformity = average > 0 ? min / average : 0;
+    const target = surface.target > 0 ? surface.target : 0;
+    const minUniformity = surface.minUniformity > 0 ? surface.minUniformity : 0;
+    
+    return {
+        id: surface.id || `S${index + 1}`,
+        name: surface.name || `Surface ${index + 1}`,
+        grid: grid,
+        average: average,
+        min: pointCount > 0 ? min : 0,
+        max: max,
+        uniformity: uniformity.toFixed(2),
+        target: target,
+        minUniformity: minUniformity,
+        pass: pointCount > 0 && average >= target && uniformity >= minUniformity,
+        dimensions: {
+            xPoints: uPositions.length,
+            yPoints: vPositions.length,
+            xCoords: uPositions,
+            yCoords: vPositions,
+            spacing: spacing,
+            length: length,
+            width: width,
+            normal: frame.normal
+        }
+    };
+}
+
+/**
+ * Calculate the direct and inter-reflected illuminance at a point
+ * @param {Object} point - Point {x, y, z} in meters
+ * @param {Object} normal - Unit normal of the receiving surface
+ * @param {Object} context - Room solution, as for calculateSurfaces
+ * @returns {number|null} - Illuminance in lux, rounded, or null for points outside the
+ *   room or inside an obstruction
+ */
+export function getIlluminanceAtPoint(point, normal, context) {
+    const { fixtures, radiosity, isVisible, plan, obstructions, heightM } = context;
+    
+    if (!isPointInPlan(point, plan) || point.z < 0 || point.z > heightM ||
+        isPointInObstruction(point, obstructions)) {
+        return null;
+    }
+    
+    let illuminance = 0;
+    
+    for (const fixture of fixtures) {
+        if (!isVisible || isVisible(point, fixture)) {
+            illuminance += calculatePointIlluminance(point, fixture, { normal: normal });
+        }
+    }
+    
+    illuminance += calculateIndirectIlluminanceAtPoint(point, normal, radiosity);
+    
+    return Math.round(illuminance);
+}
+
+/**
+ * Positions of the grid points along one side of a surface, spread evenly
+ * between the edge offsets. Sides shorter than twice the offset get one
+ * point in the middle.
+ * @param {number} size - Length of the side in meters
+ * @param {number} spacing - Target spacing in meters
+ * @param {number} offset - Distance kept from both edges in meters
+ * @returns {Array} - Distances from the start of the side
+ */
+function getGridPositions(size, spacing, offset) {
+    const span = size - 2 * offset;
+    
+    if (span <= 0) {
+        return [size / 2];
+    }
+    
+    const count = Math.min(Math.floor(span / spacing + 1e-9) + 1, MAX_POINTS);
+    
+    if (count === 1) {
+        return [size / 2];
+    }
+    
+    return Array.from({ length: count }, (value, i) => offset + span * i / (count - 1));
+}
@@ -0,0 +1,241 @@
+/**
+ * CalQLux - Synthetic Photometry Module
+ * Builds plausible candela tables for luminaires that ship without photometric files
+ */
+
+/**
+ * Distribution model used for each luminaire type when none is given
+ */
+export const DISTRIBUTION_MODELS = {
+    panel: 'lambertian',
+    ceiling: 'batwing',
+    pendant: 'batwing',
+    highbay: 'cosine-power',
+    downlight: 'cosine-power',
+    floodlight: 'cosine-power',
+    track: 'cosine-power',
+    wallwash: 'wallwash'
+};
+
+// Angle grid of the generated tables in degrees
+const VERTICAL_STEP = 2.5;
+const HORIZONTAL_STEP = 15;
+
+// Aiming angle of the wall wash lobe from nadir towards C0
+const WALLWASH_AIM = 35;
+
+// Strength of the off-axis peaks of a batwing across the C0 plane
+const BATWING_STRENGTH = 1.5;
+
+/**
+ * Generate photometry for a luminaire from its catalog data
+ * @param {Object} luminaire - Luminaire record with type, beamAngle, luminousFlux,
+ *   wattage and dimensions (and optionally distribution)
+ * @returns {Object} - Parsed-file structure {header, tilt, photometric} as returned by IESParser.parse
+ */
+export function generatePhotometry(luminaire) {
+    const model = luminaire.distribution || DISTRIBUTION_MODELS[luminaire.type] || 'cosine-power';
+    const beamAngle = Math.min(Math.max(luminaire.beamAngle || 120, 5), 170);
+    
+    // The exponent sets the spread; Lambertian is cos θ by definition
+    const exponent = model === 'lambertian' ? 1 : fitExponent(model, beamAngle);
+    const shape = (theta, phi) => getShapeValue(model, exponent, theta, phi);
+    
+    const verticalAngles = createAngles(0, 90, VERTICAL_STEP);
+    const horizontalAngles = getHorizontalAngles(model);
+    
+    // Scale the shape so the table emits the catalog luminaire flux
+    const scale = luminaire.luminousFlux > 0 ? luminaire.luminousFlux / integrateFlux(shape) : 0;
+    
+    const candela = horizontalAngles.map(phi =>
+        verticalAngles.map(theta => Math.round(shape(theta, phi) * scale * 10) / 10));
+    
+    const dimensions = luminaire.dimensions || {};
+    const round = dimensions.diameter !== undefined;
+    
+    return {
+        header: {
+            keywords: {
+                TEST: 'Synthetic',
+                MANUFAC: 'CalQLux',
+                LUMINAIRE: luminaire.name,
+                OTHER: `Generated ${model} distribution, ${beamAngle}° beam`
+            },
+            text: [],
+            format: null,
+            version: null
+        },
+        tilt: {
+            type: 'NONE',
+            angles: []
+        },
+        photometric: {
+            lampCount: 1,
+            // Absolute photometry: the values are the luminaire's own output
+            lumensPerLamp: -1,
+            candleMultiplier: 1,
+            angleCount: verticalAngles.length,
+            horizontalAngleCount: horizontalAngles.length,
+            photometricType: 1,
+            unitType: 2,
+            // Round openings use negative dimensions as in LM-63
+            width: round ? -dimensions.diameter : (dimensions.width || 0),
+            length: round ? -dimensions.diameter : (dimensions.length || 0),
+            height: dimensions.height || 0,
+            ballastFactor: 1,
+            ballastLampFactor: 1,
+            inputWatts: luminaire.wattage || 0,
+            verticalAngles: verticalAngles,
+            horizontalAngles: horizontalAngles,
+            candela: candela
+        }
+    };
+}
+
+/**
+ * Relative intensity of a distribution model
+ * @param {string} model - 'lambertian', 'cosine-power', 'batwing' or 'wallwash'
+ * @param {number} exponent - Cosine exponent controlling the spread
+ * @param {number} theta - Angle from nadir in degrees
+ * @param {number} phi - C-plane in degrees
+ * @returns {number} - Relative intensity
+ */
+function getShapeValue(model, exponent, theta, phi) {
+    if (theta >= 90) {
+        return 0;
+    }
+    
+    const t = theta * Math.PI / 180;
+    const p = phi * Math.PI / 180;
+    
+    switch (model) {
+        case 'batwing': {
+            // Off-axis peaks across the luminaire (C0-C180), cosine along it (C90-C270)
+            const across = Math.pow(Math.cos(p), 2);
+            return Math.pow(Math.cos(t), exponent) * (1 + BATWING_STRENGTH * across * Math.pow(Math.sin(t), 2));
+        }
+        case 'wallwash': {
+            // Single lobe aimed towards the wall at C0
+            const aim = WALLWASH_AIM * Math.PI / 180;
+            const cosine = Math.sin(t) * Math.cos(p) * Math.sin(aim) + Math.cos(t) * Math.cos(aim);
+            return cosine > 0 ? Math.pow(cosine, exponent) : 0;
+        }
+        default:
+            return Math.pow(Math.cos(t), exponent);
+    }
+}
+
+/**
+ * Find the cosine exponent that gives a model the requested beam angle
+ * @param {string} model - Distribution model
+ * @param {number} beamAngle - Beam angle (50% of peak) in degrees
+ * @returns {number} - Exponent
+ */
+function fitExponent(model, beamAngle) {
+    // Spread narrows as the exponent grows, so bisect on a log scale
+    let low = Math.log(0.05);
+    let high = Math.log(1000);
+    
+    for (let i = 0; i < 40; i++) {
+        const middle = (low + high) / 2;
+        const exponent = Math.exp(middle);
+        const shape = (theta, phi) => getShapeValue(model, exponent, theta, phi);
+        
+        if (calculateBeamAngle(shape) > beamAngle) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    
+    return Math.exp((low + high) / 2);
+}
+
+/**
+ * Beam angle of a shape, averaged over the C0-C180 and C90-C270 planes
+ * (the same definition as the photometric analysis)
+ * @param {Function} shape - Relative intensity (theta, phi)
+ * @returns {number} - Beam angle in degrees
+ */
+function calculateBeamAngle(shape) {
+    const spread = plane => {
+        const halves = [plane, plane + 180];
+        let peak = 0;
+        
+        halves.forEach(phi => {
+            for (let theta = 0; theta <= 90; theta += 0.5) {
+                peak = Math.max(peak, shape(theta, phi));
+            }
+        });
+        
+        // Outermost angle in each half that still reaches half the peak
+        return halves.reduce((total, phi) => {
+            let edge = 0;
+            
+            for (let theta = 0; theta <= 90; theta += 0.5) {
+                if (shape(theta, phi) >= peak / 2) {
+                    edge = theta;
+                }
+            }
+            
+            return total + edge;
+        }, 0);
+    };
+    
+    return (spread(0) + spread(90)) / 2;
+}
+
+/**
+ * Total flux of a shape: Φ = ∫∫ I(θ, φ) sin θ dθ dφ
+ * @param {Function} shape - Relative intensity (theta, phi)
+ * @returns {number} - Flux in lumens per unit intensity
+ */
+function integrateFlux(shape) {
+    const dTheta = 1;
+    const dPhi = 5;
+    const solidAngle = (dTheta * Math.PI / 180) * (dPhi * Math.PI / 180);
+    let flux = 0;
+    
+    for (let theta = dTheta / 2; theta < 90; theta += dTheta) {
+        const sine = Math.sin(theta * Math.PI / 180);
+        
+        for (let phi = dPhi / 2; phi < 360; phi += dPhi) {
+            flux += shape(theta, phi) * sine * solidAngle;
+        }
+    }
+    
+    return flux;
+}
+
+/**
+ * Horizontal angles covering the symmetry of a model
+ * @param {string} model - Distribution model
+ * @returns {Array} - Horizontal angles in degrees
+ */
+function getHorizontalAngles(model) {
+    switch (model) {
+        case 'batwing':
+            return createAngles(0, 90, HORIZONTAL_STEP);  // Quadrant symmetry
+        case 'wallwash':
+            return createAngles(0, 180, HORIZONTAL_STEP); // Symmetric about C0-C180
+        default:
+            return [0];                                   // Rotational symmetry
+    }
+}
+
+/**
+ * Evenly spaced angles including both ends
+ * @param {number} from - First angle
+ * @param {number} to - Last angle
+ * @param {number} step - Step size
+ * @returns {Array} - Angles in degrees
+ */
+function createAngles(from, to, step) {
+    const angles = [];
+    
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+        angles.push(angle);
+    }
+    
+    return angles;
+}
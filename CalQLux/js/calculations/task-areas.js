@@ -0,0 +1,188 @@
+/**
+ * CalQLux - Task Areas Module
+ * EN 12464-1 task area, immediate surrounding and background evaluation
+ */
+
+import { createStandardGrid } from './grid.js';
+import { getIlluminanceAtPoint } from './surfaces.js';
+import { getTaskAreaMinimum } from './standards.js';
+
+/**
+ * Widths in meters of the bands the standard places around a task area
+ */
+export const SURROUNDING_WIDTH = 0.5;
+export const BACKGROUND_WIDTH = 3;
+
+// Immediate surrounding illuminance for a task illuminance: [task at least, surrounding]
+const SURROUNDING_ILLUMINANCE = [
+    [750, 500],
+    [500, 300],
+    [300, 200]
+];
+
+// Task illuminance at or below which the surrounding needs the same value
+const SURROUNDING_SAME_AS_TASK = 200;
+
+const SURROUNDING_UNIFORMITY = 0.4;
+const BACKGROUND_UNIFORMITY = 0.1;
+
+const ZONE_LABELS = {
+    task: 'Task area',
+    surrounding: 'Immediate surrounding',
+    background: 'Background'
+};
+
+/**
+ * Get the requirements of each zone from those of the task
+ * @param {number} target - Maintained illuminance of the task in lux
+ * @param {number} uniformity - Uniformity (min/avg) of the task
+ * @returns {Object} - {task, surrounding, background}, each {average, uniformity}
+ */
+export function getZoneRequirements(target, uniformity) {
+    const step = SURROUNDING_ILLUMINANCE.find(([task]) => target >= task);
+    const surrounding = step ? step[1] : Math.min(target, SURROUNDING_SAME_AS_TASK);
+    
+    return {
+        task: { average: target, uniformity: uniformity },
+        surrounding: { average: surrounding, uniformity: SURROUNDING_UNIFORMITY },
+        background: { average: Math.round(surrounding / 3), uniformity: BACKGROUND_UNIFORMITY }
+    };
+}
+
+/**
+ * Evaluate the task areas among the calculation surfaces. Each gets a 0.5 m
+ * immediate surrounding and a 3 m background band, all on the horizontal
+ * plane at the task's height, and every zone is calculated on its own
+ * standard grid. Surroundings leave out other task areas; backgrounds leave
+ * out every task area and its surrounding.
+ * @param {Array} surfaces - Calculation surfaces; those with task set are task areas
+ * @param {Object} context - Room solution, as for calculateSurfaces
+ * @param {string} spaceType - Space type whose EN 12464-1 requirements are the least a task
+ *   area may ask for, or null to use each area's own target and uniformity
+ * @returns {Array} - Task areas {id, name, pass, zones} where zones are {zone, label,
+ *   average, min, max, uniformity, pointCount, spacing, required, pass}; zones with no
+ *   points in the room are left out
+ */
+export function calculateTaskAreas(surfaces, context, spaceType = null) {
+    if (!Array.isArray(surfaces)) {
+        return [];
+    }
+    
+    const minimum = getTaskAreaMinimum(spaceType) || { average: 0, uniformity: 0 };
+    const tasks = surfaces.filter(surface => surface.task).map(surface => ({
+        surface: surface,
+        rect: getTaskRect(surface)
+    }));
+    
+    return tasks.map(({ surface, rect }, index) => {
+        const requirements = getZoneRequirements(Math.max(surface.target > 0 ? surface.target : 0, minimum.average),
+            Math.max(surface.minUniformity > 0 ? surface.minUniformity : 0, minimum.uniformity));
+        const outside = margin => point => tasks.every(task => !isPointInRect(point, task.rect, margin));
+        
+        const zones = [
+            calculateZone('task', rect, 0, () => true, requirements.task, context),
+            calculateZone('surrounding', rect, SURROUNDING_WIDTH, outside(0), requirements.surrounding, context),
+            calculateZone('background', rect, SURROUNDING_WIDTH + BACKGROUND_WIDTH,
+                outside(SURROUNDING_WIDTH), requirements.background, context)
+        ].filter(zone => zone.pointCount > 0);
+        
+        return {
+            id: surface.id || `S${index + 1}`,
+            name: surface.name || `Task area ${index + 1}`,
+            pass: zones.every(zone => zone.pass),
+            zones: zones
+        };
+    });
+}
+
+/**
+ * Calculate one zone on the standard grid of the task rectangle grown by a margin
+ * @param {string} zone - Zone key
+ * @param {Object} rect - Task rectangle from getTaskRect
+ * @param {number} margin - Distance in meters the zone reaches beyond the task
+ * @param {Function} includes - point => boolean for points that belong to the zone
+ * @param {Object} required - Requirement {average, uniformity}
+ * @param {Object} context - Room solution, as for calculateSurfaces
+ * @returns {Object} - Zone result
+ */
+function calculateZone(zone, rect, margin, includes, required, context) {
+    const length = 2 * (rect.halfLength + margin);
+    const width = 2 * (rect.halfWidth + margin);
+    const grid = createStandardGrid(length, width);
+    const up = { x: 0, y: 0, z: 1 };
+    const values = [];
+    
+    grid.yPositions.forEach(t => {
+        grid.xPositions.forEach(s => {
+            const u = s - length / 2;
+            const v = t - width / 2;
+            const point = {
+                x: rect.x + u * rect.cos - v * rect.sin,
+                y: rect.y + u * rect.sin + v * rect.cos,
+                z: rect.z
+            };
+            
+            if (!includes(point)) {
+                return;
+            }
+            
+            const value = getIlluminanceAtPoint(point, up, context);
+            
+            if (value !== null) {
+                values.push(value);
+            }
+        });
+    });
+    
+    const pointCount = values.length;
+    const average = pointCount > 0 ? Math.round(values.reduce((total, value) => total + value, 0) / pointCount) : 0;
+    const min = pointCount > 0 ? Math.min(...values) : 0;
+    const uniformity = average > 0 ? min / average : 0;
+    
+    return {
+        zone: zone,
+        label: ZONE_LABELS[zone],
+        average: average,
+        min: min,
+        max: pointCount > 0 ? Math.max(...values) : 0,
+        uniformity: uniformity.toFixed(2),
+        pointCount: pointCount,
+        spacing: grid.spacing,
+        required: required,
+        pass: average >= required.average && uniformity >= required.uniformity
+    };
+}
+
+/**
+ * Footprint of a task area on its horizontal plane
+ * @param {Object} surface - Calculation surface {x, y, z, length, width, rotation}
+ * @returns {Object} - Rectangle {x, y, z, halfLength, halfWidth, cos, sin}
+ */
+function getTaskRect(surface) {
+    const radians = (surface.rotation || 0) * Math.PI / 180;
+    
+    return {
+        x: surface.x,
+        y: surface.y,
+        z: surface.z,
+        halfLength: (surface.length > 0 ? surface.length : 0) / 2,
+        halfWidth: (surface.width > 0 ? surface.width : 0) / 2,
+        cos: Math.cos(radians),
+        sin: Math.sin(radians)
+    };
+}
+
+/**
+ * Check whether a point lies within a task rectangle grown by a margin
+ * @param {Object} point - Point {x, y}
+ * @param {Object} rect - Rectangle from getTaskRect
+ * @param {number} margin - Growth on every side in meters
+ * @returns {boolean} - Whether the point is inside
+ */
+function isPointInRect(point, rect, margin) {
+    const dx = point.x - rect.x;
+    const dy = point.y - rect.y;
+    
+    return Math.abs(dx * rect.cos + dy * rect.sin) <= rect.halfLength + margin &&
+        Math.abs(-dx * rect.sin + dy * rect.cos) <= rect.halfWidth + margin;
+}
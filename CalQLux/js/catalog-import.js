@@ -0,0 +1,509 @@
+/**
+ * CalQLux - Catalog Import Module
+ * Bulk import of manufacturer product lists (CSV/JSON) with their IES/LDT files
+ */
+
+import {
+    createLuminaireFromPhotometry,
+    createCustomLuminaire,
+    getCustomLuminaires,
+    validateLuminaire,
+    MOUNTING_TYPES,
+    saveCustomLuminaires
+} from './luminaire-library.js';
+
+/**
+ * Product list columns recognized by the importer, by luminaire field.
+ * Headers are compared in lower case with spaces, dashes and underscores removed.
+ */
+const COLUMN_ALIASES = {
+    name: ['name', 'productname', 'product', 'luminaire'],
+    description: ['longdescription', 'details', 'notes'],
+    catalogNumber: ['catalognumber', 'catalogno', 'catno', 'catalog', 'article', 'articlenumber', 'sku', 'lumcat', 'partnumber'],
+    manufacturer: ['manufacturer', 'brand', 'manufac'],
+    category: ['category', 'family', 'application'],
+    file: ['file', 'filename', 'iesfile', 'ldtfile', 'photometry', 'photometricfile'],
+    wattage: ['wattage', 'watts', 'power', 'w', 'inputwatts'],
+    luminousFlux: ['luminousflux', 'flux', 'lumens', 'lm', 'output'],
+    lampLumens: ['lamplumens', 'lampflux', 'lamplm', 'ratedlumens'],
+    colorTemperature: ['colortemperature', 'colourtemperature', 'cct', 'k'],
+    cri: ['cri', 'ra'],
+    beamAngle: ['beamangle', 'beam'],
+    price: ['price', 'unitprice', 'listprice', 'cost'],
+    type: ['type', 'mounting', 'mountingtype'],
+    length: ['length', 'lengthm', 'lengthmm'],
+    width: ['width', 'widthm', 'widthmm'],
+    height: ['height', 'heightm', 'heightmm'],
+    diameter: ['diameter', 'diameterm', 'diametermm']
+};
+
+// Dimension columns, converted from millimetres when the header says so
+const DIMENSION_FIELDS = ['length', 'width', 'height', 'diameter'];
+
+// Numeric columns, which may use a decimal comma
+const NUMERIC_FIELDS = ['wattage', 'luminousFlux', 'lampLumens', 'colorTemperature', 'cri', 'beamAngle', 'price', ...DIMENSION_FIELDS];
+
+/**
+ * Import a manufacturer catalog into the custom library
+ * @param {Array} files - Files picked by the user: one or more CSV/JSON product lists,
+ *   IES/LDT files and zip archives containing any of them
+ * @returns {Promise} - Promise resolving to {luminaires, report, updated, saved} where report
+ *   lists {row, product, severity, message} for every row or file that needs attention and
+ *   updated counts the luminaires that replaced catalog entries with the same catalog number
+ */
+export async function importManufacturerCatalog(files) {
+    const report = [];
+    const entries = [];
+    
+    // Expand archives so their contents are treated like picked files
+    for (const file of files) {
+        if (/\.zip$/i.test(file.name)) {
+            try {
+                entries.push(...await readZipArchive(file));
+            } catch (error) {
+                report.push({ row: null, product: file.name, severity: 'error', message: error.message });
+            }
+        } else {
+            entries.push({ name: file.name, text: await file.text() });
+        }
+    }
+    
+    const photometry = parsePhotometricFiles(entries.filter(entry => /\.(ies|ldt)$/i.test(entry.name)), report);
+    const lists = entries.filter(entry => /\.(csv|json)$/i.test(entry.name));
+    
+    if (lists.length === 0) {
+        throw new Error('No CSV or JSON product list was selected');
+    }
+    
+    const luminaires = [];
+    const usedFiles = new Set();
+    const existing = getCustomLuminaires();
+    let updated = 0;
+    
+    lists.forEach(list => {
+        let rows;
+        
+        try {
+            rows = parseProductList(list.text, list.name);
+        } catch (error) {
+            report.push({ row: null, product: list.name, severity: 'error', message: error.message });
+            return;
+        }
+        
+        rows.forEach((row, index) => {
+            // Row numbers as seen in a spreadsheet (the header is row 1)
+            const rowNumber = /\.csv$/i.test(list.name) ? index + 2 : index + 1;
+            
+            try {
+                const result = createLuminaireFromRow(row, photometry);
+                
+                if (result.file) {
+                    usedFiles.add(result.file.name);
+                } else {
+                    report.push({
+                        row: rowNumber,
+                        product: result.luminaire.name,
+                        severity: 'warning',
+                        message: 'No photometric file matched; photometry will be generated'
+                    });
+                }
+                
+                // Re-importing a catalog updates its products instead of duplicating them
+                const previous = findExistingLuminaire(result.luminaire, existing);
+                
+                if (previous) {
+                    result.luminaire.id = previous.id;
+                    updated++;
+                } else if (luminaires.some(luminaire => luminaire.id === result.luminaire.id)) {
+                    result.luminaire.id += `-${rowNumber}`;
+                }
+                
+                luminaires.push(result.luminaire);
+            } catch (error) {
+                report.push({ row: rowNumber, product: row.name || row.catalogNumber || '', severity: 'error', message: error.message });
+            }
+        });
+    });
+    
+    photometry.forEach(file => {
+        if (!usedFiles.has(file.name)) {
+            report.push({ row: null, product: file.name, severity: 'warning', message: 'Photometric file not used by any row' });
+        }
+    });
+    
+    return {
+        luminaires: luminaires,
+        report: report,
+        updated: updated,
+        saved: luminaires.length > 0 && saveCustomLuminaires(luminaires)
+    };
+}
+
+/**
+ * Parse a CSV or JSON product list into rows keyed by luminaire field
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {Array} - Rows with recognized fields
+ */
+export function parseProductList(text, fileName) {
+    let records;
+    
+    if (/\.json$/i.test(fileName)) {
+        let data;
+        
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+        }
+        
+        records = Array.isArray(data) ? data : data && (data.products || data.luminaires || data.items);
+        
+        if (!Array.isArray(records)) {
+            throw new Error(`${fileName} has no list of products`);
+        }
+    } else {
+        records = parseCSV(text);
+    }
+    
+    return records.map(record => normalizeRow(record));
+}
+
+/**
+ * Parse CSV text with a header row. Handles quoted fields, and comma,
+ * semicolon or tab separators (spreadsheets in many locales use semicolons).
+ * @param {string} text - CSV content
+ * @returns {Array} - Rows as objects keyed by header
+ */
+export function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    
+    // Use the separator that splits the header into the most columns
+    const separator = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best);
+    
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    const nonEmpty = rows.filter(values => values.some(value => value.trim() !== ''));
+    
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+    
+    const headers = nonEmpty[0].map(header => header.trim());
+    
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        
+        headers.forEach((header, i) => {
+            record[header] = values[i] !== undefined ? values[i].trim() : '';
+        });
+        
+        return record;
+    });
+}
+
+/**
+ * Read the files in a zip archive
+ * @param {Blob} file - Zip archive
+ * @returns {Promise} - Promise resolving to entries {name, text}
+ */
+export async function readZipArchive(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+    
+    // The end of central directory record sits in the last 64 KB (plus its own 22 bytes)
+    let end = -1;
+    
+    for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 65557); offset--) {
+        if (view.getUint32(offset, true) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    
+    if (end === -1) {
+        throw new Error(`${file.name} is not a zip archive`);
+    }
+    
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    
+    const entries = [];
+    const decoder = new TextDecoder();
+    
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error(`${file.name} has a damaged central directory`);
+        }
+        
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        
+        offset += 46 + nameLength + extraLength + commentLength;
+        
+        // Skip folders and macOS resource forks
+        if (path.endsWith('/') || path.startsWith('__MACOSX/')) {
+            continue;
+        }
+        
+        // File data follows the local header, whose extra field may differ from the central one
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) +
+            view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+        
+        let bytes;
+        
+        if (method === 0) {
+            bytes = data;
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            throw new Error(`${path} in ${file.name} uses an unsupported compression method (${method})`);
+        }
+        
+        entries.push({
+            name: path.split('/').pop(),
+            text: decoder.decode(bytes)
+        });
+    }
+    
+    return entries;
+}
+
+/**
+ * Parse the photometric files of an import
+ * @param {Array} entries - Files {name, text}
+ * @param {Array} report - Import report to add parse errors to
+ * @returns {Array} - Parsed files {name, data, catalogNumber}
+ */
+function parsePhotometricFiles(entries, report) {
+    const parsed = [];
+    
+    entries.forEach(entry => {
+        try {
+            const parser = /\.ldt$/i.test(entry.name) ? LDTParser : IESParser;
+            const data = parser.parse(entry.text);
+            
+            parsed.push({
+                name: entry.name,
+                data: data,
+                catalogNumber: data.header.keywords.LUMCAT || ''
+            });
+        } catch (error) {
+            report.push({ row: null, product: entry.name, severity: 'error', message: error.message });
+        }
+    });
+    
+    return parsed;
+}
+
+/**
+ * Build a luminaire from a product row and its matching photometric file
+ * @param {Object} row - Normalized product row
+ * @param {Array} photometry - Parsed photometric files
+ * @returns {Object} - {luminaire, file} where file is the matched photometric file or null
+ */
+function createLuminaireFromRow(row, photometry) {
+    const file = matchPhotometricFile(row, photometry);
+    
+    if (row.file && !file) {
+        throw new Error(`Photometric file "${row.file}" was not found or could not be parsed`);
+    }
+    
+    // Values in the row override those derived from the photometry
+    const fields = {};
+    
+    Object.keys(row).forEach(key => {
+        if (row[key] !== '' && row[key] !== null && row[key] !== undefined && key !== 'file') {
+            fields[key] = row[key];
+        }
+    });
+    
+    if (fields.type) {
+        fields.type = getMountingType(fields.type);
+    }
+    
+    // Lists without a name column often describe the product instead
+    if (!fields.name) {
+        fields.name = fields.description || fields.catalogNumber;
+    }
+    
+    const dimensions = {};
+    
+    DIMENSION_FIELDS.forEach(key => {
+        if (fields[key] !== undefined) {
+            dimensions[key] = fields[key];
+            delete fields[key];
+        }
+    });
+    
+    let luminaire;
+    
+    if (file) {
+        const base = createLuminaireFromPhotometry(file.data, file.name);
+        
+        luminaire = createCustomLuminaire({
+            ...base,
+            ...fields,
+            dimensions: Object.keys(dimensions).length > 0 ? dimensions : base.dimensions
+        }, base);
+    } else {
+        luminaire = createCustomLuminaire({ ...fields, dimensions: dimensions });
+    }
+    
+    const errors = validateLuminaire(luminaire);
+    
+    if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+    }
+    
+    return { luminaire: luminaire, file: file };
+}
+
+/**
+ * Map a mounting type from a product list to one of the library's types
+ * @param {string} text - Mounting type as written in the list, e.g. "Recessed panel"
+ * @returns {string} - Key of MOUNTING_TYPES ('custom' if none fits)
+ */
+function getMountingType(text) {
+    const value = String(text).toLowerCase().replace(/[^a-z]/g, '');
+    const types = Object.keys(MOUNTING_TYPES);
+    
+    return types.find(type => type === value) ||
+        types.find(type => MOUNTING_TYPES[type].toLowerCase().replace(/[^a-z]/g, '') === value) ||
+        types.find(type => value.includes(type)) ||
+        'custom';
+}
+
+/**
+ * Find the custom catalog entry an imported luminaire replaces
+ * @param {Object} luminaire - Imported luminaire
+ * @param {Array} catalog - Current custom luminaires
+ * @returns {Object} - Entry with the same manufacturer and catalog number, or null
+ */
+function findExistingLuminaire(luminaire, catalog) {
+    if (!luminaire.catalogNumber) {
+        return null;
+    }
+    
+    const key = item => `${item.manufacturer}|${item.catalogNumber}`.toLowerCase();
+    
+    return catalog.find(item => item.catalogNumber && key(item) === key(luminaire)) || null;
+}
+
+/**
+ * Find the photometric file for a row, by file name or by catalog number
+ * (in the file name or the file's [LUMCAT] keyword)
+ * @param {Object} row - Normalized product row
+ * @param {Array} photometry - Parsed photometric files
+ * @returns {Object} - Matching file or null
+ */
+function matchPhotometricFile(row, photometry) {
+    const normalize = text => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const baseName = name => normalize(name.replace(/\.[^.]+$/, ''));
+    
+    if (row.file) {
+        const wanted = String(row.file).split(/[\\/]/).pop().toLowerCase();
+        
+        return photometry.find(file => file.name.toLowerCase() === wanted) ||
+            photometry.find(file => baseName(file.name) === baseName(wanted)) ||
+            null;
+    }
+    
+    const catalogNumber = normalize(row.catalogNumber);
+    
+    if (!catalogNumber) {
+        return null;
+    }
+    
+    return photometry.find(file => baseName(file.name) === catalogNumber) ||
+        photometry.find(file => normalize(file.catalogNumber) === catalogNumber) ||
+        null;
+}
+
+/**
+ * Map a product record's columns to luminaire fields
+ * @param {Object} record - Raw record from the CSV or JSON list
+ * @returns {Object} - Row keyed by luminaire field
+ */
+function normalizeRow(record) {
+    if (!record || typeof record !== 'object') {
+        return {};
+    }
+    
+    const row = {};
+    
+    Object.keys(record).forEach(header => {
+        const key = header.toLowerCase().replace(/[\s_\-()[\]]/g, '');
+        const fields = Object.keys(COLUMN_ALIASES);
+        const field = fields.find(name => name.toLowerCase() === key) ||
+            fields.find(name => COLUMN_ALIASES[name].includes(key));
+        
+        if (!field || row[field] !== undefined) {
+            return;
+        }
+        
+        let value = record[header];
+        
+        if (NUMERIC_FIELDS.includes(field) && typeof value === 'string') {
+            value = value.replace(/^(-?\d+),(\d+)/, '$1.$2');
+        }
+        
+        // Spreadsheets often give sizes in millimetres
+        if (DIMENSION_FIELDS.includes(field) && key.endsWith('mm') && value !== '' && value !== null) {
+            value = parseFloat(value) / 1000;
+        }
+        
+        row[field] = value;
+    });
+    
+    return row;
+}
@@ -0,0 +1,399 @@
+/**
+ * CalQLux - Layout Editor Module
+ * Interactive plan for placing luminaires individually with rotation, tilt and aiming
+ */
+
+import { renderRoomLayout } from './visualization/diagrams.js';
+
+// Default snap grid in meters
+const DEFAULT_SNAP = 0.5;
+
+// Rotation step for the keyboard shortcuts in degrees
+const ROTATION_STEP = 15;
+
+// Distance in pixels within which a click picks a luminaire
+const PICK_RADIUS = 12;
+
+/**
+ * Create the custom layout editor
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - {getRoom, getLuminaires, instances, onChange} where getRoom returns
+ *   the room {length, width, height, outline, holes} in meters, getLuminaires the luminaires {id, name, type}
+ *   that can be assigned and onChange is called with the instances after every edit
+ * @returns {Object} - Editor {render, addFixture, clear, getInstances, setInstances}
+ */
+export function createLayoutEditor(container, options = {}) {
+    const { getRoom, getLuminaires = () => [], onChange = () => {} } = options;
+    
+    let instances = (options.instances || []).map(instance => ({ ...instance }));
+    let selectedId = null;
+    let transform = null;
+    let dragging = null;
+    
+    container.innerHTML = `
+        <div class="layout-editor-toolbar">
+            <label><input type="checkbox" class="layout-snap" checked> Snap to grid</label>
+            <input type="number" class="layout-snap-size" value="${DEFAULT_SNAP}" min="0.05" step="0.05">
+            <span class="unit">m</span>
+            <span class="layout-count"></span>
+        </div>
+        <canvas class="layout-canvas" tabindex="0"></canvas>
+        <p class="layout-hint">Drag to move. R / Shift+R rotates by ${ROTATION_STEP}°, arrow keys nudge, Delete removes.</p>
+        <div class="layout-properties"></div>
+    `;
+    
+    const canvas = container.querySelector('.layout-canvas');
+    const snapInput = container.querySelector('.layout-snap');
+    const snapSizeInput = container.querySelector('.layout-snap-size');
+    const countLabel = container.querySelector('.layout-count');
+    const properties = container.querySelector('.layout-properties');
+    
+    const getSnapSize = () => parseFloat(snapSizeInput.value) || DEFAULT_SNAP;
+    const getSelected = () => instances.find(instance => instance.id === selectedId) || null;
+    
+    const snap = value => {
+        if (!snapInput.checked) {
+            return Math.round(value * 1000) / 1000;
+        }
+        
+        const size = getSnapSize();
+        return Math.round(Math.round(value / size) * size * 1000) / 1000;
+    };
+    
+    const clampToRoom = (instance) => {
+        const room = getRoom();
+        instance.x = Math.min(Math.max(instance.x, 0), room.length);
+        instance.y = Math.min(Math.max(instance.y, 0), room.width);
+    };
+    
+    const changed = () => {
+        render();
+        onChange(getInstances());
+    };
+    
+    function render() {
+        const room = getRoom();
+        
+        if (!(room.length > 0) || !(room.width > 0) || canvas.clientWidth === 0) {
+            return;
+        }
+        
+        const luminaires = getLuminaires();
+        const drawn = instances.map(instance => {
+            const luminaire = luminaires.find(item => item.id === instance.luminaireId);
+            
+            return {
+                ...instance,
+                type: luminaire ? luminaire.type : 'downlight'
+            };
+        });
+        
+        transform = renderRoomLayout(canvas, room, drawn, {
+            showGrid: snapInput.checked,
+            gridSpacing: getSnapSize(),
+            showCoordinates: true,
+            selectedId: selectedId
+        });
+        
+        countLabel.textContent = `${instances.length} luminaire${instances.length === 1 ? '' : 's'}`;
+    }
+    
+    function renderProperties() {
+        const instance = getSelected();
+        
+        if (!instance) {
+            properties.innerHTML = '<p class="layout-hint">Select a luminaire to edit its position and aiming.</p>';
+            return;
+        }
+        
+        const aim = instance.aim || { x: instance.x, y: instance.y, z: 0 };
+        
+        properties.innerHTML = `
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Luminaire:</label>
+                    <select data-field="luminaireId">
+                        <option value="">Selected luminaire</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>X (m):</label>
+                    <input type="number" data-field="x" step="0.1" value="${instance.x}">
+                </div>
+                <div class="form-group">
+                    <label>Y (m):</label>
+                    <input type="number" data-field="y" step="0.1" value="${instance.y}">
+                </div>
+                <div class="form-group">
+                    <label>Height (m):</label>
+                    <input type="number" data-field="z" step="0.1" min="0" placeholder="Mounting height"
+                        value="${Number.isFinite(instance.z) ? instance.z : ''}">
+                </div>
+                <div class="form-group">
+                    <label>Rotation (°):</label>
+                    <input type="number" data-field="rotation" step="${ROTATION_STEP}" value="${instance.rotation || 0}">
+                </div>
+                <div class="form-group">
+                    <label>Tilt (°):</label>
+                    <input type="number" data-field="tilt" step="5" min="0" max="180" value="${instance.tilt || 0}"
+                        ${instance.aim ? 'disabled' : ''}>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" data-field="aimed" ${instance.aim ? 'checked' : ''}> Aim at point</label>
+                </div>
+                <div class="form-group">
+                    <label>Aim X / Y / Z (m):</label>
+                    <div class="layout-aim">
+                        <input type="number" data-field="aim-x" step="0.1" value="${aim.x}" ${instance.aim ? '' : 'disabled'}>
+                        <input type="number" data-field="aim-y" step="0.1" value="${aim.y}" ${instance.aim ? '' : 'disabled'}>
+                        <input type="number" data-field="aim-z" step="0.1" value="${aim.z}" ${instance.aim ? '' : 'disabled'}>
+                    </div>
+                </div>
+            </div>
+            <div class="layout-actions">
+                <button type="button" class="btn-secondary" data-action="duplicate">Duplicate</button>
+                <button type="button" class="btn-secondary" data-action="delete">Delete</button>
+            </div>
+        `;
+        
+        // Catalog names are free text, so the options are built as elements
+        const luminaireSelect = properties.querySelector('[data-field="luminaireId"]');
+        
+        getLuminaires().forEach(luminaire => {
+            const option = document.createElement('option');
+            option.value = luminaire.id;
+            option.textContent = luminaire.name;
+            option.selected = luminaire.id === instance.luminaireId;
+            luminaireSelect.appendChild(option);
+        });
+        
+        properties.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => updateSelected(input));
+        });
+        
+        properties.querySelector('[data-action="duplicate"]').addEventListener('click', () => {
+            const snapSize = getSnapSize();
+            addFixture({ ...instance, id: undefined, x: instance.x + snapSize, y: instance.y + snapSize });
+        });
+        properties.querySelector('[data-action="delete"]').addEventListener('click', removeSelected);
+    }
+    
+    function updateSelected(input) {
+        const instance = getSelected();
+        const field = input.dataset.field;
+        const value = parseFloat(input.value);
+        
+        if (!instance) {
+            return;
+        }
+        
+        if (field === 'luminaireId') {
+            instance.luminaireId = input.value || null;
+        } else if (field === 'z') {
+            instance.z = Number.isFinite(value) ? value : null;
+        } else if (field === 'aimed') {
+            instance.aim = input.checked ? { x: instance.x, y: instance.y, z: 0 } : null;
+            renderProperties();
+        } else if (field.startsWith('aim-')) {
+            if (instance.aim && Number.isFinite(value)) {
+                instance.aim[field.slice(4)] = value;
+            }
+        } else if (Number.isFinite(value)) {
+            instance[field] = value;
+            clampToRoom(instance);
+        }
+        
+        changed();
+    }
+    
+    function removeSelected() {
+        if (!getSelected()) {
+            return;
+        }
+        
+        instances = instances.filter(instance => instance.id !== selectedId);
+        selectedId = null;
+        renderProperties();
+        changed();
+    }
+    
+    /**
+     * Add a luminaire to the layout and select it
+     * @param {Object} fields - Instance fields; defaults to the room centre
+     * @returns {Object} - The new instance
+     */
+    function addFixture(fields = {}) {
+        const room = getRoom();
+        const instance = {
+            luminaireId: null,
+            x: room.length / 2,
+            y: room.width / 2,
+            z: null,
+            rotation: 0,
+            tilt: 0,
+            aim: null,
+            ...fields,
+            id: createInstanceId()
+        };
+        
+        if (instance.aim) {
+            instance.aim = { ...instance.aim };
+        }
+        
+        clampToRoom(instance);
+        instances.push(instance);
+        selectedId = instance.id;
+        renderProperties();
+        changed();
+        
+        return instance;
+    }
+    
+    /**
+     * Remove every luminaire from the layout
+     */
+    function clear() {
+        instances = [];
+        selectedId = null;
+        renderProperties();
+        changed();
+    }
+    
+    /**
+     * Get a copy of the placed luminaires
+     * @returns {Array} - Instances {id, luminaireId, x, y, z, rotation, tilt, aim}
+     */
+    function getInstances() {
+        return instances.map(instance => ({ ...instance, aim: instance.aim ? { ...instance.aim } : null }));
+    }
+    
+    /**
+     * Replace the placed luminaires
+     * @param {Array} list - Instances {id, luminaireId, x, y, z, rotation, tilt, aim}
+     */
+    function setInstances(list) {
+        instances = list.map(instance => ({ ...instance, id: instance.id || createInstanceId() }));
+        selectedId = null;
+        renderProperties();
+        render();
+    }
+    
+    const createInstanceId = () => {
+        let index = instances.length + 1;
+        
+        while (instances.some(instance => instance.id === `L${index}`)) {
+            index++;
+        }
+        
+        return `L${index}`;
+    };
+    
+    // Convert a pointer event to room coordinates in meters
+    const toRoom = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        
+        return {
+            x: (e.clientX - rect.left - transform.offsetX) / transform.scale,
+            y: (e.clientY - rect.top - transform.offsetY) / transform.scale
+        };
+    };
+    
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!transform) {
+            return;
+        }
+        
+        const point = toRoom(e);
+        const radius = PICK_RADIUS / transform.scale;
+        let picked = null;
+        let nearest = radius;
+        
+        instances.forEach(instance => {
+            const distance = Math.hypot(instance.x - point.x, instance.y - point.y);
+            
+            if (distance <= nearest) {
+                nearest = distance;
+                picked = instance;
+            }
+        });
+        
+        selectedId = picked ? picked.id : null;
+        
+        if (picked) {
+            dragging = { instance: picked, moved: false };
+            canvas.setPointerCapture(e.pointerId);
+        }
+        
+        canvas.focus();
+        renderProperties();
+        render();
+    });
+    
+    canvas.addEventListener('pointermove', (e) => {
+        if (!dragging) {
+            return;
+        }
+        
+        const point = toRoom(e);
+        dragging.instance.x = snap(point.x);
+        dragging.instance.y = snap(point.y);
+        dragging.moved = true;
+        clampToRoom(dragging.instance);
+        render();
+    });
+    
+    const endDrag = () => {
+        if (dragging && dragging.moved) {
+            renderProperties();
+            onChange(getInstances());
+        }
+        
+        dragging = null;
+    };
+    
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    
+    canvas.addEventListener('keydown', (e) => {
+        const instance = getSelected();
+        
+        if (!instance) {
+            return;
+        }
+        
+        const step = getSnapSize();
+        const moves = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step]
+        };
+        
+        if (e.key === 'r' || e.key === 'R') {
+            const rotation = (instance.rotation || 0) + (e.shiftKey ? -ROTATION_STEP : ROTATION_STEP);
+            instance.rotation = ((rotation % 360) + 360) % 360;
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            removeSelected();
+            e.preventDefault();
+            return;
+        } else if (moves[e.key]) {
+            instance.x = snap(instance.x + moves[e.key][0]);
+            instance.y = snap(instance.y + moves[e.key][1]);
+            clampToRoom(instance);
+        } else {
+            return;
+        }
+        
+        e.preventDefault();
+        renderProperties();
+        changed();
+    });
+    
+    snapInput.addEventListener('change', render);
+    snapSizeInput.addEventListener('input', render);
+    
+    renderProperties();
+    render();
+    
+    return { render, addFixture, clear, getInstances, setInstances };
+}
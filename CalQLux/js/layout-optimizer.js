@@ -0,0 +1,208 @@
+/**
+ * CalQLux - Layout Optimizer UI Module
+ * Form for the design constraints and a ranked list of layouts that meet them
+ */
+
+import { optimizeLayout, DEFAULT_CONSTRAINTS } from './calculations/optimizer.js';
+import { getLuminairePhotometry } from './luminaire-library.js';
+
+/**
+ * Create the layout optimizer
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - {getParams, getLuminaires, getSelectedId, onApply} where getParams
+ *   returns the current calculation parameters, getLuminaires the luminaires to choose from,
+ *   getSelectedId the luminaire selected for the calculation and onApply receives a design
+ */
+export function createLayoutOptimizerUI(container, { getParams, getLuminaires, getSelectedId, onApply }) {
+    container.innerHTML = `
+        <div class="optimizer-constraints form-grid">
+            <div class="form-group">
+                <label for="optimizer-target">Target Average (lx):</label>
+                <input type="number" id="optimizer-target" value="${DEFAULT_CONSTRAINTS.target}" min="1" step="any">
+            </div>
+            <div class="form-group">
+                <label for="optimizer-uniformity">Minimum Uo:</label>
+                <input type="number" id="optimizer-uniformity" value="0.4" min="0" max="1" step="0.05">
+            </div>
+            <div class="form-group">
+                <label for="optimizer-ugr">Maximum UGR:</label>
+                <input type="number" id="optimizer-ugr" min="10" max="30" step="1" placeholder="Any">
+            </div>
+            <div class="form-group">
+                <label for="optimizer-lpd">Maximum W/m²:</label>
+                <input type="number" id="optimizer-lpd" min="0" step="0.1" placeholder="Any">
+            </div>
+            <div class="form-group">
+                <label for="optimizer-heights">Mounting Heights (m):</label>
+                <input type="text" id="optimizer-heights" placeholder="Current, or e.g. 2.5, 2.8, 3">
+            </div>
+        </div>
+        <h4>Candidate Luminaires</h4>
+        <div class="optimizer-candidates"></div>
+        <div class="optimizer-actions">
+            <button type="button" class="btn-primary optimizer-run">Find Layouts</button>
+            <span class="optimizer-status"></span>
+        </div>
+        <div class="optimizer-results"></div>
+    `;
+    
+    const candidateList = container.querySelector('.optimizer-candidates');
+    const runButton = container.querySelector('.optimizer-run');
+    const status = container.querySelector('.optimizer-status');
+    const results = container.querySelector('.optimizer-results');
+    
+    renderCandidates(candidateList, getLuminaires(), getSelectedId());
+    
+    runButton.addEventListener('click', async () => {
+        const luminaires = getLuminaires();
+        const selected = Array.from(candidateList.querySelectorAll('input:checked'))
+            .map(input => luminaires.find(luminaire => luminaire.id === input.value))
+            .filter(Boolean);
+        
+        if (selected.length === 0) {
+            status.textContent = 'Choose at least one candidate luminaire';
+            return;
+        }
+        
+        const value = id => parseFloat(container.querySelector(`#${id}`).value);
+        const constraints = {
+            target: value('optimizer-target') || DEFAULT_CONSTRAINTS.target,
+            minUniformity: value('optimizer-uniformity') || 0,
+            maxUGR: value('optimizer-ugr') || null,
+            maxLPD: value('optimizer-lpd') || null,
+            mountingHeights: container.querySelector('#optimizer-heights').value
+                .split(/[,;\s]+/)
+                .map(parseFloat)
+                .filter(Number.isFinite)
+        };
+        
+        runButton.disabled = true;
+        results.innerHTML = '';
+        
+        try {
+            const candidates = [];
+            
+            for (const luminaire of selected) {
+                let photometry = null;
+                
+                try {
+                    photometry = await getLuminairePhotometry(luminaire);
+                } catch (error) {
+                    console.error(`Error loading photometry for ${luminaire.name}:`, error);
+                }
+                
+                candidates.push({ luminaire, photometry });
+            }
+            
+            const { designs, closest, evaluated } = await optimizeLayout(getParams(), candidates, constraints, progress => {
+                status.textContent = `Trying ${progress.luminaire.name} at ${progress.mountingHeight.toFixed(2)} m ` +
+                    `(${progress.evaluated} layouts calculated)...`;
+            });
+            
+            if (designs.length === 0) {
+                status.textContent = `No layout met all constraints (${evaluated} layouts calculated). ` +
+                    (closest.length > 0 ? 'The closest designs are listed below. ' : '') +
+                    'Try a lower uniformity or more candidates.';
+                
+                if (closest.length > 0) {
+                    results.appendChild(createDesignTable(closest, onApply));
+                }
+                return;
+            }
+            
+            status.textContent = `${designs.length} feasible designs from ${evaluated} layouts calculated`;
+            results.appendChild(createDesignTable(designs, onApply));
+        } catch (error) {
+            console.error('Error optimizing layout:', error);
+            status.textContent = `Error optimizing layout: ${error.message}`;
+        } finally {
+            runButton.disabled = false;
+        }
+    });
+}
+
+/**
+ * Render the candidate checkboxes, selected luminaire first and checked
+ * @param {HTMLElement} container - Candidate list element
+ * @param {Array} luminaires - Luminaires to choose from
+ * @param {string} selectedId - ID of the luminaire selected for the calculation
+ */
+function renderCandidates(container, luminaires, selectedId) {
+    const ordered = [
+        ...luminaires.filter(luminaire => luminaire.id === selectedId),
+        ...luminaires.filter(luminaire => luminaire.id !== selectedId)
+    ];
+    
+    container.innerHTML = '';
+    
+    ordered.forEach(luminaire => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        
+        checkbox.type = 'checkbox';
+        checkbox.value = luminaire.id;
+        checkbox.checked = luminaire.id === selectedId;
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${luminaire.name}`));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Build the ranked table of designs
+ * @param {Array} designs - Designs from optimizeLayout
+ * @param {Function} onApply - Called with the design to load into the form
+ * @returns {HTMLTableElement} - Results table
+ */
+function createDesignTable(designs, onApply) {
+    const number = (value, decimals = 0) => Number.isFinite(value) ? value.toFixed(decimals) : '-';
+    const table = document.createElement('table');
+    
+    table.className = 'optimizer-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>#</th>
+                <th>Luminaire</th>
+                <th>Layout</th>
+                <th>Height (m)</th>
+                <th>Count</th>
+                <th>Eavg (lx)</th>
+                <th>Emin (lx)</th>
+                <th>Uo</th>
+                <th>UGR</th>
+                <th>W/m²</th>
+                <th></th>
+            </tr>
+        </thead>
+        <tbody></tbody>
+    `;
+    
+    const body = table.querySelector('tbody');
+    
+    designs.forEach((design, index) => {
+        const row = document.createElement('tr');
+        
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td class="design-luminaire"></td>
+            <td>${design.layout.rows} × ${design.layout.columns}</td>
+            <td>${number(design.mountingHeight, 2)}</td>
+            <td>${design.count}</td>
+            <td>${design.average}</td>
+            <td>${design.min}</td>
+            <td>${number(design.uniformity, 2)}</td>
+            <td>${number(design.ugr, 1)}</td>
+            <td>${number(design.lpd, 2)}</td>
+            <td><button type="button" class="btn-secondary">Use</button></td>
+        `;
+        
+        // Set as text so catalog names need no escaping
+        row.querySelector('.design-luminaire').textContent = design.luminaire.name;
+        row.querySelector('button').addEventListener('click', () => onApply(design));
+        body.appendChild(row);
+    });
+    
+    return table;
+}
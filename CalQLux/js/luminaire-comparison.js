@@ -0,0 +1,379 @@
+/**
+ * CalQLux - Luminaire Comparison Module
+ * Side-by-side specs, photometry and room results for 2-4 candidate luminaires
+ */
+
+import { calculatePointByPoint } from './calculations/index.js';
+import {
+    analyzePhotometry,
+    calculatePhotometricSpacingCriterion,
+    LUMEN_ZONES
+} from './calculations/photometry.js';
+import { renderPolarComparisonPlot } from './visualization/charts.js';
+import { getLuminairePhotometry } from './luminaire-library.js';
+
+/**
+ * Number of luminaires that can be compared at once
+ */
+export const MIN_COMPARED = 2;
+export const MAX_COMPARED = 4;
+
+// Default maintained illuminance target in lux
+const DEFAULT_TARGET = 500;
+
+// Limits of the search for the layout that reaches the target
+const MAX_LAYOUT_ATTEMPTS = 6;
+const MAX_FIXTURES = 400;
+
+/**
+ * Evaluate one candidate luminaire in the current room
+ * @param {Object} luminaire - Luminaire record
+ * @param {Object} photometry - Parsed photometric data, or null
+ * @param {Object} params - Calculation parameters as used by calculatePointByPoint, or null
+ *   to skip the room calculation
+ * @param {number} target - Target average illuminance in lux
+ * @returns {Object} - {luminaire, photometry, analysis, spacingCriterion, efficacy, room, required}
+ *   where room is the result with the current layout {average, min, uniformity, count, lpd}
+ *   and required the smallest grid layout found to reach the target (null if none)
+ */
+export function evaluateLuminaire(luminaire, photometry, params, target) {
+    const evaluation = {
+        luminaire: luminaire,
+        photometry: photometry,
+        analysis: photometry ? analyzePhotometry(photometry) : null,
+        spacingCriterion: photometry ? calculatePhotometricSpacingCriterion(photometry) : null,
+        efficacy: luminaire.wattage > 0 ? luminaire.luminousFlux / luminaire.wattage : null,
+        room: null,
+        required: null
+    };
+    
+    if (!params) {
+        return evaluation;
+    }
+    
+    const current = runLayout(params, luminaire, photometry, null);
+    evaluation.room = current;
+    
+    if (current.average > 0 && target > 0) {
+        evaluation.required = findRequiredLayout(params, luminaire, photometry, target, current);
+    }
+    
+    return evaluation;
+}
+
+/**
+ * Evaluate several luminaires, loading their photometry as needed
+ * @param {Array} luminaires - Luminaire records
+ * @param {Object} params - Calculation parameters, or null to skip the room calculation
+ * @param {number} target - Target average illuminance in lux
+ * @returns {Promise} - Promise resolving to the evaluations, in the same order
+ */
+export async function compareLuminaires(luminaires, params, target = DEFAULT_TARGET) {
+    const evaluations = [];
+    
+    for (const luminaire of luminaires) {
+        let photometry = null;
+        
+        try {
+            photometry = await getLuminairePhotometry(luminaire);
+        } catch (error) {
+            console.error(`Error loading photometry for ${luminaire.name}:`, error);
+        }
+        
+        evaluations.push(evaluateLuminaire(luminaire, photometry, params, target));
+        
+        // Let the page repaint between the room calculations
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    return evaluations;
+}
+
+/**
+ * Show the comparison of a set of luminaires
+ * @param {HTMLElement} container - Container for the comparison view
+ * @param {Array} luminaires - 2-4 luminaire records
+ * @param {Function} getParams - Returns the current calculation parameters (may be null)
+ * @param {Function} onClose - Callback when the view is closed
+ */
+export function createComparisonView(container, luminaires, getParams, onClose) {
+    container.innerHTML = `
+        <div class="comparison-header">
+            <h3>Compare Luminaires</h3>
+            <label for="comparison-target">Target (lx):</label>
+            <input type="number" id="comparison-target" min="1" step="any" value="${DEFAULT_TARGET}">
+            <button type="button" class="btn-primary comparison-run">Recalculate</button>
+            <button type="button" class="btn-secondary comparison-close">Close</button>
+        </div>
+        <div class="comparison-status"></div>
+        <div class="comparison-body">
+            <canvas class="comparison-polar" width="360" height="400"></canvas>
+            <div class="comparison-table-container"></div>
+        </div>
+    `;
+    
+    const status = container.querySelector('.comparison-status');
+    const targetInput = container.querySelector('#comparison-target');
+    const runButton = container.querySelector('.comparison-run');
+    const canvas = container.querySelector('.comparison-polar');
+    const tableContainer = container.querySelector('.comparison-table-container');
+    
+    const run = async () => {
+        const target = parseFloat(targetInput.value) || DEFAULT_TARGET;
+        let params = null;
+        
+        try {
+            params = getParams ? getParams() : null;
+        } catch (error) {
+            console.error('Error reading calculation parameters:', error);
+        }
+        
+        runButton.disabled = true;
+        status.textContent = params ? 'Calculating the current room for each luminaire...' :
+            'Room results are not available without the calculation form';
+        
+        try {
+            const evaluations = await compareLuminaires(luminaires, params, target);
+            
+            const series = evaluations
+                .filter(evaluation => evaluation.photometry)
+                .map(evaluation => ({ photometry: evaluation.photometry, label: evaluation.luminaire.name }));
+            
+            if (series.length > 0) {
+                renderPolarComparisonPlot(series, canvas);
+            }
+            
+            tableContainer.innerHTML = '';
+            tableContainer.appendChild(createComparisonTable(evaluations, target));
+            
+            if (params) {
+                status.textContent = `Room results for the current room and layout, target ${target} lx`;
+            }
+        } catch (error) {
+            console.error('Error comparing luminaires:', error);
+            status.textContent = `Error comparing luminaires: ${error.message}`;
+        } finally {
+            runButton.disabled = false;
+        }
+    };
+    
+    runButton.addEventListener('click', run);
+    container.querySelector('.comparison-close').addEventListener('click', () => {
+        container.innerHTML = '';
+        onClose();
+    });
+    
+    container.scrollIntoView({ block: 'nearest' });
+    run();
+}
+
+/**
+ * Run the point-by-point calculation for a luminaire
+ * @param {Object} params - Calculation parameters
+ * @param {Object} luminaire - Luminaire record
+ * @param {Object} photometry - Parsed photometric data, or null
+ * @param {Object} layout - Regular grid {rows, columns} replacing the current layout
+ *   (and any placed luminaires), or null
+ * @returns {Object} - {average, min, uniformity, rows, columns, count, lpd, lengthM, widthM}
+ */
+function runLayout(params, luminaire, photometry, layout) {
+    // Placed luminaires all become the candidate; a grid override replaces them
+    const candidate = {
+        type: luminaire.type,
+        flux: luminaire.luminousFlux,
+        lampFlux: luminaire.lampLumens,
+        photometry: photometry
+    };
+    const instances = !layout && params.luminaires.instances && params.luminaires.instances.length > 0 ?
+        params.luminaires.instances.map(instance => ({ ...instance, ...candidate })) : null;
+    
+    const result = calculatePointByPoint({
+        ...params,
+        luminaires: {
+            ...params.luminaires,
+            ...(layout ? { layout: 'regular', layoutOptions: null, ...layout } : {}),
+            ...candidate,
+            instances: instances
+        }
+    });
+    
+    const rows = layout ? layout.rows : params.luminaires.rows;
+    const columns = layout ? layout.columns : params.luminaires.columns;
+    const count = result.luminaireCount;
+    // Floor area of the plan less any holes, as the optimizer uses
+    const area = result.dimensions.area;
+    
+    return {
+        average: result.average,
+        min: result.min,
+        uniformity: parseFloat(result.uniformity),
+        rows: rows,
+        columns: columns,
+        count: count,
+        // Lighting power density in W/m²
+        lpd: area > 0 ? luminaire.wattage * count / area : null,
+        lengthM: result.dimensions.lengthM,
+        widthM: result.dimensions.widthM
+    };
+}
+
+/**
+ * Find the smallest regular grid of luminaires whose average reaches the target.
+ * Illuminance scales roughly with the number of luminaires, so each attempt
+ * rescales the count from the last result and checks it with a full calculation.
+ * @param {Object} params - Calculation parameters
+ * @param {Object} luminaire - Luminaire record
+ * @param {Object} photometry - Parsed photometric data, or null
+ * @param {number} target - Target average illuminance in lux
+ * @param {Object} current - Result with the current layout
+ * @returns {Object} - Layout result as from runLayout, or null if none was found
+ */
+function findRequiredLayout(params, luminaire, photometry, target, current) {
+    let count = Math.max(1, Math.ceil(current.count * target / current.average));
+    let best = null;
+    
+    for (let attempt = 0; attempt < MAX_LAYOUT_ATTEMPTS && count <= MAX_FIXTURES; attempt++) {
+        const layout = getGridLayout(count, current.lengthM, current.widthM);
+        const result = runLayout(params, luminaire, photometry, layout);
+        
+        if (result.average >= target) {
+            best = result;
+            break;
+        }
+        
+        count = Math.max(result.count + 1, Math.ceil(result.count * target / Math.max(result.average, 1)));
+    }
+    
+    return best;
+}
+
+/**
+ * Arrange a number of luminaires in a grid that follows the room's proportions
+ * @param {number} count - Minimum number of luminaires
+ * @param {number} lengthM - Room length in meters
+ * @param {number} widthM - Room width in meters
+ * @returns {Object} - Grid {rows, columns} with at least count luminaires
+ */
+function getGridLayout(count, lengthM, widthM) {
+    const columns = Math.max(1, Math.round(Math.sqrt(count * lengthM / widthM)));
+    const rows = Math.max(1, Math.ceil(count / columns));
+    
+    return { rows: rows, columns: columns };
+}
+
+/**
+ * Build the side-by-side table, marking the best value of each comparable row
+ * @param {Array} evaluations - Results of evaluateLuminaire
+ * @param {number} target - Target average illuminance in lux
+ * @returns {HTMLTableElement} - Comparison table
+ */
+function createComparisonTable(evaluations, target) {
+    const number = (value, decimals = 0) => Number.isFinite(value) ?
+        value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }) : '-';
+    const analysis = evaluation => evaluation.analysis || {};
+    const dimensions = luminaire => {
+        const size = luminaire.dimensions || {};
+        const values = size.diameter !== undefined ?
+            [`Ø${size.diameter}`, size.height] :
+            [size.length, size.width, size.height];
+        
+        return values.filter(value => value !== undefined && value !== null).join(' × ') + ' m';
+    };
+    
+    // Each row: label, value per luminaire, display text and which end is better
+    const sections = [
+        ['Specifications', [
+            { label: 'Power (W)', value: e => e.luminaire.wattage, better: 'low' },
+            { label: 'Luminous flux (lm)', value: e => e.luminaire.luminousFlux, better: 'high' },
+            { label: 'Efficacy (lm/W)', value: e => e.efficacy, text: e => number(e.efficacy, 1), better: 'high' },
+            { label: 'CCT (K)', value: e => e.luminaire.colorTemperature },
+            { label: 'CRI', value: e => e.luminaire.cri, better: 'high' },
+            { label: 'Beam angle (°)', value: e => e.luminaire.beamAngle },
+            { label: 'Dimensions', text: e => dimensions(e.luminaire) },
+            { label: 'Price', value: e => e.luminaire.price, better: 'low' }
+        ]],
+        ['Photometry', [
+            { label: 'Luminaire lumens', value: e => analysis(e).luminaireLumens },
+            ...LUMEN_ZONES.filter(zone => zone.id !== '0-180').map(zone => ({
+                label: `Zonal lumens ${zone.id}°`,
+                text: e => {
+                    const data = analysis(e);
+                    
+                    if (!data.zonalLumens) {
+                        return '-';
+                    }
+                    
+                    const share = data.luminaireLumens > 0 ?
+                        ` (${Math.round(data.zonalLumens[zone.id] / data.luminaireLumens * 100)}%)` : '';
+                    return number(data.zonalLumens[zone.id]) + share;
+                }
+            })),
+            { label: 'Beam / field angle (°)', text: e => e.analysis ? `${e.analysis.beamAngle} / ${e.analysis.fieldAngle}` : '-' },
+            { label: 'Peak intensity (cd)', value: e => analysis(e).maxIntensity },
+            {
+                label: 'Spacing criterion C0 / C90',
+                value: e => e.spacingCriterion ? Math.min(e.spacingCriterion.c0, e.spacingCriterion.c90) : null,
+                text: e => e.spacingCriterion ? `${e.spacingCriterion.c0} / ${e.spacingCriterion.c90}` : '-',
+                better: 'high'
+            }
+        ]],
+        ['Current room and layout', [
+            { label: 'Luminaires', value: e => e.room && e.room.count },
+            { label: 'Average (lx)', value: e => e.room && e.room.average, better: 'high' },
+            { label: 'Minimum (lx)', value: e => e.room && e.room.min, better: 'high' },
+            { label: 'Uniformity (Emin/Eavg)', value: e => e.room && e.room.uniformity, text: e => number(e.room && e.room.uniformity, 2), better: 'high' },
+            { label: 'LPD (W/m²)', value: e => e.room && e.room.lpd, text: e => number(e.room && e.room.lpd, 2), better: 'low' }
+        ]],
+        [`To reach ${target} lx`, [
+            { label: 'Luminaires needed', value: e => e.required && e.required.count, better: 'low' },
+            { label: 'Layout (rows × columns)', text: e => e.required ? `${e.required.rows} × ${e.required.columns}` : '-' },
+            { label: 'Average (lx)', value: e => e.required && e.required.average },
+            { label: 'Uniformity (Emin/Eavg)', value: e => e.required && e.required.uniformity, text: e => number(e.required && e.required.uniformity, 2), better: 'high' },
+            { label: 'LPD (W/m²)', value: e => e.required && e.required.lpd, text: e => number(e.required && e.required.lpd, 2), better: 'low' }
+        ]]
+    ];
+    
+    const table = document.createElement('table');
+    table.className = 'comparison-table';
+    
+    const head = table.createTHead().insertRow();
+    head.appendChild(document.createElement('th'));
+    
+    evaluations.forEach(evaluation => {
+        const th = document.createElement('th');
+        th.textContent = evaluation.luminaire.name;
+        head.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    
+    sections.forEach(([title, rows]) => {
+        const sectionRow = body.insertRow();
+        sectionRow.className = 'comparison-section';
+        
+        const sectionCell = sectionRow.insertCell();
+        sectionCell.colSpan = evaluations.length + 1;
+        sectionCell.textContent = title;
+        
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            const labelCell = tr.insertCell();
+            labelCell.textContent = row.label;
+            
+            const values = evaluations.map(evaluation => row.value ? row.value(evaluation) : null);
+            const known = values.filter(Number.isFinite);
+            
+            // Only mark a winner when the values actually differ
+            const best = row.better && known.length > 1 && Math.min(...known) !== Math.max(...known) ?
+                (row.better === 'high' ? Math.max(...known) : Math.min(...known)) : null;
+            
+            evaluations.forEach((evaluation, index) => {
+                const cell = tr.insertCell();
+                cell.textContent = row.text ? row.text(evaluation) : number(values[index]);
+                cell.classList.toggle('best', best !== null && values[index] === best);
+            });
+        });
+    });
+    
+    return table;
+}
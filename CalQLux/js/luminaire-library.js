@@ -1,8 +1,23 @@
 /**
  * CalQLux - Standard Luminaires Library
- * Collection of pre-defined luminaires with IES data
+ * Collection of pre-defined luminaires with IES data, plus the user's custom catalog
  */
 
+import {
+    analyzePhotometry,
+    compareWithCatalog,
+    calculateDistributionDifference
+} from './calculations/photometry.js';
+import { generatePhotometry } from './calculations/synthetic-photometry.js';
+import { importManufacturerCatalog } from './catalog-import.js';
+import { createComparisonView, MIN_COMPARED, MAX_COMPARED } from './luminaire-comparison.js';
+import {
+    renderPolarCandelaPlot,
+    createPolarCandelaSVG,
+    renderConeDiagram,
+    createConeDiagramSVG
+} from './visualization/charts.js';
+
 export const standardLuminaires = [
     {
         id: 'ce-2x40w-led',
@@ -20,7 +35,7 @@ export const standardLuminaires = [
         colorTemperature: 4000, // K
         cri: 80, // Color Rendering Index
         beamAngle: 120, // degrees
-        iesFile: 'ies/ce-2x40w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/ce-2x40w-led.png',
         category: 'office'
     },
@@ -39,7 +54,7 @@ export const standardLuminaires = [
         colorTemperature: 5000, // K
         cri: 75, // Color Rendering Index
         beamAngle: 90, // degrees
-        iesFile: 'ies/hb-500w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/hb-500w-led.png',
         category: 'industrial'
     },
@@ -59,7 +74,7 @@ export const standardLuminaires = [
         colorTemperature: 5700, // K
         cri: 70, // Color Rendering Index
         beamAngle: 60, // degrees
-        iesFile: 'ies/fl-250w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/fl-250w-led.png',
         category: 'outdoor'
     },
@@ -78,7 +93,7 @@ export const standardLuminaires = [
         colorTemperature: 3000, // K
         cri: 90, // Color Rendering Index
         beamAngle: 60, // degrees
-        iesFile: 'ies/dl-30w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/dl-30w-led.png',
         category: 'commercial'
     },
@@ -98,7 +113,7 @@ export const standardLuminaires = [
         colorTemperature: 4000, // K
         cri: 85, // Color Rendering Index
         beamAngle: 120, // degrees
-        iesFile: 'ies/lp-60w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/lp-60w-led.png',
         category: 'office'
     },
@@ -117,7 +132,7 @@ export const standardLuminaires = [
         colorTemperature: 3000, // K
         cri: 95, // Color Rendering Index
         beamAngle: 25, // degrees
-        iesFile: 'ies/tr-20w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/tr-20w-led.png',
         category: 'retail'
     },
@@ -137,7 +152,7 @@ export const standardLuminaires = [
         colorTemperature: 3500, // K
         cri: 92, // Color Rendering Index
         beamAngle: 120, // degrees (asymmetric)
-        iesFile: 'ies/wb-40w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/wb-40w-led.png',
         category: 'architectural'
     },
@@ -157,19 +172,442 @@ export const standardLuminaires = [
         colorTemperature: 4000, // K
         cri: 85, // Color Rendering Index
         beamAngle: 120, // degrees
-        iesFile: 'ies/hl-100w-led.ies',
+        iesFile: null,
         thumbnail: 'assets/thumbnails/hl-100w-led.png',
         category: 'office'
     }
 ];
 
+// localStorage key for the custom catalog (created, duplicated and imported luminaires)
+const CUSTOM_LUMINAIRES_KEY = 'calqlux-custom-luminaires';
+
+// Format identifier of exported catalog files
+const CATALOG_FORMAT = 'calqlux-luminaire-catalog';
+
+// Custom catalog as last read from or written to localStorage, null until first read
+let customLuminaires = null;
+
+// Photometry loaded from the IES files of standard luminaires (or generated
+// for those without one), by ID
+const loadedPhotometry = new Map();
+
+/**
+ * Mounting types offered in the editor and the library filters
+ */
+export const MOUNTING_TYPES = {
+    ceiling: 'Surface Ceiling',
+    panel: 'Recessed Panel',
+    downlight: 'Downlight',
+    pendant: 'Pendant',
+    track: 'Track',
+    wallwash: 'Wall Washer',
+    highbay: 'High-bay',
+    floodlight: 'Floodlight',
+    imported: 'Imported',
+    custom: 'Custom'
+};
+
+/**
+ * Orders the library can be sorted in
+ */
+export const SORT_OPTIONS = {
+    name: 'Name',
+    'efficacy-desc': 'Efficacy (highest first)',
+    'lumens-desc': 'Lumens (highest first)',
+    'lumens-asc': 'Lumens (lowest first)',
+    'wattage-asc': 'Power (lowest first)',
+    'price-asc': 'Price (lowest first)'
+};
+
+// Facet tests; each passes when its filter is not set. Values a luminaire
+// does not specify never match a set filter.
+const FACET_TESTS = {
+    category: (luminaire, filters) => !filters.category || filters.category === 'all' ||
+        luminaire.category === filters.category,
+    query: (luminaire, filters) => {
+        if (!filters.query) {
+            return true;
+        }
+        
+        const query = filters.query.toLowerCase();
+        
+        return [luminaire.name, luminaire.description, luminaire.manufacturer, luminaire.catalogNumber]
+            .some(text => String(text || '').toLowerCase().includes(query));
+    },
+    types: (luminaire, filters) => !filters.types || filters.types.length === 0 ||
+        filters.types.includes(luminaire.type),
+    cct: (luminaire, filters) => !filters.cct || filters.cct.length === 0 ||
+        filters.cct.includes(luminaire.colorTemperature),
+    lumens: (luminaire, filters) => isInRange(luminaire.luminousFlux, filters.lumens),
+    wattage: (luminaire, filters) => isInRange(luminaire.wattage, filters.wattage),
+    efficacy: (luminaire, filters) => isInRange(getEfficacy(luminaire), filters.efficacy),
+    cri: (luminaire, filters) => isInRange(luminaire.cri, filters.cri),
+    beamAngle: (luminaire, filters) => isInRange(luminaire.beamAngle, filters.beamAngle),
+    dimensions: (luminaire, filters) => {
+        const limits = filters.dimensions || {};
+        const size = getLuminaireSize(luminaire);
+        
+        return ['length', 'width', 'height'].every(key =>
+            !Number.isFinite(limits[key]) || (size[key] !== null && size[key] <= limits[key]));
+    }
+};
+
+// Weights of the similarity components in equivalent-luminaire scores
+const EQUIVALENCE_WEIGHTS = {
+    distribution: 0.45,
+    output: 0.25,
+    color: 0.15,
+    size: 0.15
+};
+
+// Facets that list values, and those that show the range of values on offer
+const LIST_FACETS = { category: 'category', types: 'type', cct: 'colorTemperature' };
+const RANGE_FACETS = {
+    lumens: luminaire => luminaire.luminousFlux,
+    wattage: luminaire => luminaire.wattage,
+    efficacy: getEfficacy,
+    cri: luminaire => luminaire.cri,
+    beamAngle: luminaire => luminaire.beamAngle
+};
+
 /**
  * Get luminaire by ID
  * @param {string} id - Luminaire ID
  * @returns {Object} - Luminaire data or null if not found
  */
 export function getLuminaire(id) {
-    return standardLuminaires.find(luminaire => luminaire.id === id) || null;
+    return getAllLuminaires().find(luminaire => luminaire.id === id) || null;
+}
+
+/**
+ * Get the standard luminaires followed by the custom catalog
+ * @returns {Array} - Array of all luminaires
+ */
+export function getAllLuminaires() {
+    return [...standardLuminaires, ...getCustomLuminaires()];
+}
+
+/**
+ * Check whether a luminaire belongs to the user-managed catalog
+ * @param {Object} luminaire - Luminaire record
+ * @returns {boolean} - True unless it is a standard luminaire
+ */
+export function isCustomLuminaire(luminaire) {
+    return !standardLuminaires.some(item => item.id === luminaire.id);
+}
+
+/**
+ * Get luminaires in the custom catalog
+ * @returns {Array} - Array of custom luminaires
+ */
+export function getCustomLuminaires() {
+    if (!customLuminaires) {
+        try {
+            const saved = localStorage.getItem(CUSTOM_LUMINAIRES_KEY);
+            customLuminaires = saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Error loading custom luminaires:', error);
+            customLuminaires = [];
+        }
+    }
+    
+    return [...customLuminaires];
+}
+
+/**
+ * Save a luminaire to the custom catalog, replacing any record with the same ID
+ * @param {Object} luminaire - Luminaire record
+ * @returns {boolean} - Whether the luminaire was saved
+ */
+export function saveCustomLuminaire(luminaire) {
+    const luminaires = getCustomLuminaires().filter(item => item.id !== luminaire.id);
+    luminaires.push(luminaire);
+    
+    return writeCustomLuminaires(luminaires);
+}
+
+/**
+ * Save several luminaires to the custom catalog at once
+ * @param {Array} luminaires - Luminaire records, replacing any with the same IDs
+ * @returns {boolean} - Whether the luminaires were saved
+ */
+export function saveCustomLuminaires(luminaires) {
+    const ids = new Set(luminaires.map(luminaire => luminaire.id));
+    const kept = getCustomLuminaires().filter(item => !ids.has(item.id));
+    
+    return writeCustomLuminaires([...kept, ...luminaires]);
+}
+
+/**
+ * Delete a luminaire from the custom catalog
+ * @param {string} id - Luminaire ID
+ * @returns {boolean} - Whether the luminaire was deleted
+ */
+export function deleteCustomLuminaire(id) {
+    const luminaires = getCustomLuminaires();
+    const remaining = luminaires.filter(luminaire => luminaire.id !== id);
+    
+    if (remaining.length === luminaires.length) {
+        return false;
+    }
+    
+    return writeCustomLuminaires(remaining);
+}
+
+/**
+ * Build a custom luminaire record from form or catalog fields
+ * @param {Object} fields - Luminaire fields (name, type, wattage, luminousFlux, lampLumens,
+ *   colorTemperature, cri, price, dimensions, category, photometry...) where lampLumens is the
+ *   installed lamp output when it differs from that of the photometric file
+ * @param {Object} existing - Record being edited, if any
+ * @returns {Object} - Luminaire record
+ */
+export function createCustomLuminaire(fields, existing = null) {
+    const number = value => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+    
+    const name = String(fields.name || '').trim();
+    const wattage = number(fields.wattage) || 0;
+    const luminousFlux = number(fields.luminousFlux) || 0;
+    
+    const dimensions = {};
+    
+    Object.keys(fields.dimensions || {}).forEach(key => {
+        const value = number(fields.dimensions[key]);
+        
+        if (value !== null) {
+            dimensions[key] = value;
+        }
+    });
+    
+    return {
+        ...(existing || {}),
+        id: existing ? existing.id : `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${Date.now()}`,
+        name: name,
+        description: String(fields.description || '').trim(),
+        type: fields.type || (existing ? existing.type : 'custom'),
+        wattage: wattage,
+        dimensions: dimensions,
+        luminousFlux: luminousFlux,
+        lampLumens: number(fields.lampLumens),
+        efficacy: wattage > 0 ? Math.round(luminousFlux / wattage * 100) / 100 : 0,
+        colorTemperature: number(fields.colorTemperature),
+        cri: number(fields.cri),
+        beamAngle: number(fields.beamAngle),
+        price: number(fields.price),
+        iesFile: null,
+        thumbnail: null,
+        category: String(fields.category || 'custom').trim().toLowerCase() || 'custom',
+        source: existing ? existing.source : 'custom',
+        manufacturer: String(fields.manufacturer || '').trim(),
+        catalogNumber: String(fields.catalogNumber || '').trim(),
+        photometry: fields.photometry !== undefined ? fields.photometry : (existing ? existing.photometry : null),
+        fileName: fields.fileName !== undefined ? fields.fileName : (existing ? existing.fileName : null)
+    };
+}
+
+/**
+ * Check a luminaire record before it goes into the catalog
+ * @param {Object} luminaire - Luminaire record
+ * @returns {Array} - Problems found, empty if the record is valid
+ */
+export function validateLuminaire(luminaire) {
+    const errors = [];
+    
+    if (!luminaire || typeof luminaire !== 'object') {
+        return ['Not a luminaire record'];
+    }
+    
+    if (!luminaire.name || !String(luminaire.name).trim()) {
+        errors.push('Name is required');
+    }
+    
+    if (!(luminaire.luminousFlux > 0)) {
+        errors.push('Luminous flux must be a positive number');
+    }
+    
+    if (!(luminaire.wattage >= 0)) {
+        errors.push('Wattage must be zero or more');
+    }
+    
+    if (luminaire.cri !== null && luminaire.cri !== undefined && !(luminaire.cri >= 0 && luminaire.cri <= 100)) {
+        errors.push('CRI must be between 0 and 100');
+    }
+    
+    if (luminaire.photometry && !Array.isArray(luminaire.photometry.candela)) {
+        errors.push('Attached photometry has no candela table');
+    }
+    
+    return errors;
+}
+
+/**
+ * Copy a luminaire into the custom catalog under a new ID
+ * @param {string} id - ID of a standard or custom luminaire
+ * @returns {Object} - The saved copy, or null if it could not be saved
+ */
+export function duplicateLuminaire(id) {
+    const original = getLuminaire(id);
+    
+    if (!original) {
+        return null;
+    }
+    
+    const copy = createCustomLuminaire({
+        ...original,
+        name: `${original.name} (copy)`
+    });
+    
+    // Copies of standard luminaires keep pointing at their photometric file
+    copy.iesFile = original.iesFile || null;
+    
+    return saveCustomLuminaire(copy) ? copy : null;
+}
+
+/**
+ * Export the custom catalog as JSON
+ * @returns {string} - Catalog JSON
+ */
+export function exportCustomCatalog() {
+    return JSON.stringify({
+        format: CATALOG_FORMAT,
+        version: 1,
+        exported: new Date().toISOString(),
+        luminaires: getCustomLuminaires()
+    }, null, 2);
+}
+
+/**
+ * Import a catalog exported by exportCustomCatalog. Records are merged by ID,
+ * so importing a colleague's catalog updates the luminaires it shares with ours.
+ * Every record is rebuilt field by field; records reusing the ID of a standard
+ * luminaire get a new one.
+ * @param {string} json - Catalog JSON
+ * @param {Object} options - Import options (replace: drop the current catalog first)
+ * @returns {Object} - Import summary {added, updated, errors}
+ */
+export function importCustomCatalog(json, { replace = false } = {}) {
+    let data;
+    
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Catalog is not valid JSON: ${error.message}`);
+    }
+    
+    const records = Array.isArray(data) ? data : data && data.luminaires;
+    
+    if (!Array.isArray(records)) {
+        throw new Error('Catalog has no luminaires list');
+    }
+    
+    const luminaires = replace ? [] : getCustomLuminaires();
+    const summary = { added: 0, updated: 0, errors: [] };
+    
+    records.forEach((record, index) => {
+        const problems = validateLuminaire(record);
+        
+        if (problems.length > 0) {
+            const label = record && record.name ? `"${record.name}"` : `#${index + 1}`;
+            summary.errors.push(`Luminaire ${label}: ${problems.join(', ')}`);
+            return;
+        }
+        
+        const keepId = typeof record.id === 'string' && record.id !== '' &&
+            !standardLuminaires.some(item => item.id === record.id);
+        const luminaire = createCustomLuminaire(record, keepId ?
+            { id: record.id, source: record.source === 'imported' ? 'imported' : 'custom' } : null);
+        const existing = luminaires.findIndex(item => item.id === luminaire.id);
+        
+        if (existing !== -1) {
+            luminaires[existing] = luminaire;
+            summary.updated++;
+        } else {
+            luminaires.push(luminaire);
+            summary.added++;
+        }
+    });
+    
+    if (!writeCustomLuminaires(luminaires)) {
+        throw new Error('Catalog could not be saved');
+    }
+    
+    return summary;
+}
+
+/**
+ * Persist the custom catalog
+ * @param {Array} luminaires - Custom luminaires
+ * @returns {boolean} - Whether the catalog was saved
+ */
+function writeCustomLuminaires(luminaires) {
+    try {
+        localStorage.setItem(CUSTOM_LUMINAIRES_KEY, JSON.stringify(luminaires));
+    } catch (error) {
+        console.error('Error saving custom luminaires:', error);
+        return false;
+    }
+    
+    customLuminaires = [...luminaires];
+    
+    // Generated photometry depends on the record, so regenerate it on next use
+    luminaires.forEach(luminaire => loadedPhotometry.delete(luminaire.id));
+    
+    return true;
+}
+
+/**
+ * Build a luminaire record from a parsed IES or LDT file
+ * @param {Object} data - Result of IESParser.parse or LDTParser.parse
+ * @param {string} fileName - Name of the imported file
+ * @returns {Object} - Luminaire record with photometry
+ */
+export function createLuminaireFromPhotometry(data, fileName) {
+    const keywords = data.header.keywords || {};
+    const photometric = data.photometric;
+    const lampSet = data.ldt ? data.ldt.lampSets[0] : null;
+    
+    // Luminous opening dimensions in meters (negative values describe round openings)
+    const toMeters = photometric.unitType === 1 ? 0.3048 : 1;
+    const width = Math.abs(photometric.width) * toMeters;
+    const length = Math.abs(photometric.length) * toMeters;
+    const height = Math.abs(photometric.height) * toMeters;
+    
+    const dimensions = photometric.width < 0 ?
+        { diameter: width, height: height } :
+        { length: length, width: width, height: height };
+    
+    // Luminaire output and beam derived from the candela table
+    const analysis = analyzePhotometry(photometric);
+    const luminousFlux = analysis.luminaireLumens;
+    const wattage = photometric.inputWatts || 0;
+    
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    
+    return {
+        id: `imported-${baseName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now()}`,
+        name: keywords.LUMINAIRE || keywords.LUMCAT || baseName,
+        description: [keywords.MANUFAC, keywords.LUMCAT, keywords.LAMP].filter(Boolean).join(' - ') ||
+            `Imported from ${fileName}`,
+        type: 'imported',
+        wattage: wattage,
+        dimensions: dimensions,
+        luminousFlux: luminousFlux,
+        efficacy: wattage > 0 ? Math.round(luminousFlux / wattage * 100) / 100 : 0,
+        colorTemperature: lampSet ? parseFloat(lampSet.colorTemperature) || null : null,
+        cri: lampSet ? parseFloat(lampSet.colorRendering) || null : null,
+        beamAngle: analysis.beamAngle,
+        iesFile: null,
+        thumbnail: null,
+        category: 'imported',
+        source: 'imported',
+        fileName: fileName,
+        manufacturer: keywords.MANUFAC || '',
+        catalogNumber: keywords.LUMCAT || '',
+        photometry: photometric
+    };
 }
 
 /**
@@ -178,7 +616,7 @@ export function getLuminaire(id) {
  * @returns {Array} - Array of luminaires in the category
  */
 export function getLuminairesByCategory(category) {
-    return standardLuminaires.filter(luminaire => luminaire.category === category);
+    return getAllLuminaires().filter(luminaire => luminaire.category === category);
 }
 
 /**
@@ -189,7 +627,7 @@ export function getLuminairesByCategory(category) {
 export function searchLuminaires(query) {
     const lowercaseQuery = query.toLowerCase();
     
-    return standardLuminaires.filter(luminaire => 
+    return getAllLuminaires().filter(luminaire => 
         luminaire.name.toLowerCase().includes(lowercaseQuery) || 
         luminaire.description.toLowerCase().includes(lowercaseQuery)
     );
@@ -202,13 +640,157 @@ export function searchLuminaires(query) {
 export function getAllCategories() {
     const categories = new Set();
     
-    standardLuminaires.forEach(luminaire => {
+    getAllLuminaires().forEach(luminaire => {
         categories.add(luminaire.category);
     });
     
     return Array.from(categories);
 }
 
+/**
+ * Filter luminaires by the library facets
+ * @param {Array} luminaires - Luminaires to filter
+ * @param {Object} filters - Facet filters, all optional:
+ *   category, query, types (mounting types), cct (color temperatures in K),
+ *   lumens, wattage, efficacy, cri and beamAngle ranges {min, max},
+ *   dimensions maxima {length, width, height} in meters
+ * @returns {Array} - Luminaires matching every filter
+ */
+export function filterLuminaireList(luminaires, filters) {
+    return luminaires.filter(luminaire => matchesFilters(luminaire, filters));
+}
+
+/**
+ * Sort luminaires for display
+ * @param {Array} luminaires - Luminaires to sort
+ * @param {string} sortBy - Key of SORT_OPTIONS
+ * @returns {Array} - Sorted copy; luminaires without the sorted value come last
+ */
+export function sortLuminaires(luminaires, sortBy) {
+    const [field, direction] = (sortBy || 'name').split('-');
+    const getValue = {
+        efficacy: getEfficacy,
+        lumens: luminaire => luminaire.luminousFlux,
+        wattage: luminaire => luminaire.wattage,
+        price: luminaire => luminaire.price
+    }[field];
+    
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    
+    if (!getValue) {
+        return [...luminaires].sort(byName);
+    }
+    
+    return [...luminaires].sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        const knownA = Number.isFinite(valueA);
+        const knownB = Number.isFinite(valueB);
+        
+        if (!knownA || !knownB) {
+            return knownA === knownB ? byName(a, b) : (knownA ? -1 : 1);
+        }
+        
+        return (direction === 'desc' ? valueB - valueA : valueA - valueB) || byName(a, b);
+    });
+}
+
+/**
+ * Count the luminaires behind each facet value. Each facet is counted with
+ * every other filter applied but not its own, so the counts show what
+ * choosing a value would give.
+ * @param {Array} luminaires - All luminaires
+ * @param {Object} filters - Current facet filters
+ * @returns {Object} - {category, types, cct} value counts and
+ *   {lumens, wattage, efficacy, cri, beamAngle} ranges {min, max} on offer
+ */
+export function getFacetCounts(luminaires, filters) {
+    const counts = {};
+    
+    Object.keys(LIST_FACETS).forEach(facet => {
+        const field = LIST_FACETS[facet];
+        counts[facet] = {};
+        
+        luminaires.forEach(luminaire => {
+            const value = luminaire[field];
+            
+            if (value !== null && value !== undefined && matchesFilters(luminaire, filters, facet)) {
+                counts[facet][value] = (counts[facet][value] || 0) + 1;
+            }
+        });
+    });
+    
+    Object.keys(RANGE_FACETS).forEach(facet => {
+        const values = luminaires
+            .filter(luminaire => matchesFilters(luminaire, filters, facet))
+            .map(RANGE_FACETS[facet])
+            .filter(Number.isFinite);
+        
+        counts[facet] = values.length > 0 ?
+            { min: Math.min(...values), max: Math.max(...values) } :
+            { min: null, max: null };
+    });
+    
+    return counts;
+}
+
+/**
+ * Check a luminaire against the facet filters
+ * @param {Object} luminaire - Luminaire record
+ * @param {Object} filters - Facet filters
+ * @param {string} ignore - Facet to leave out, if any
+ * @returns {boolean} - Whether the luminaire matches
+ */
+function matchesFilters(luminaire, filters, ignore = null) {
+    return Object.keys(FACET_TESTS).every(facet => facet === ignore || FACET_TESTS[facet](luminaire, filters));
+}
+
+/**
+ * Check a value against an optional {min, max} range
+ * @param {number} value - Value to check
+ * @param {Object} range - Range with optional min and max
+ * @returns {boolean} - Whether the value is in range (always true without limits)
+ */
+function isInRange(value, range) {
+    const min = range && Number.isFinite(range.min) ? range.min : null;
+    const max = range && Number.isFinite(range.max) ? range.max : null;
+    
+    if (min === null && max === null) {
+        return true;
+    }
+    
+    return Number.isFinite(value) && (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Luminous efficacy of a luminaire, derived from flux and power when not given
+ * @param {Object} luminaire - Luminaire record
+ * @returns {number} - Efficacy in lm/W, or null if unknown
+ */
+function getEfficacy(luminaire) {
+    if (luminaire.efficacy > 0) {
+        return luminaire.efficacy;
+    }
+    
+    return luminaire.wattage > 0 ? luminaire.luminousFlux / luminaire.wattage : null;
+}
+
+/**
+ * Overall size of a luminaire, treating round luminaires as square
+ * @param {Object} luminaire - Luminaire record
+ * @returns {Object} - {length, width, height} in meters, null where unknown
+ */
+function getLuminaireSize(luminaire) {
+    const dimensions = luminaire.dimensions || {};
+    const known = value => Number.isFinite(value) ? value : null;
+    
+    return {
+        length: known(dimensions.length !== undefined ? dimensions.length : dimensions.diameter),
+        width: known(dimensions.width !== undefined ? dimensions.width : dimensions.diameter),
+        height: known(dimensions.height)
+    };
+}
+
 /**
  * Load IES data for a luminaire
  * @param {string} id - Luminaire ID
@@ -221,6 +803,13 @@ export async function loadLuminaireIES(id) {
         throw new Error(`Luminaire with ID ${id} not found`);
     }
     
+    // Built-in luminaires without a file use photometry generated from their catalog data
+    if (!luminaire.iesFile) {
+        const generated = generatePhotometry(luminaire);
+        loadedPhotometry.set(id, generated.photometric);
+        return generated;
+    }
+    
     try {
         const response = await fetch(luminaire.iesFile);
         
@@ -229,22 +818,245 @@ export async function loadLuminaireIES(id) {
         }
         
         const iesData = await response.text();
-        return IESParser.parse(iesData);
+        const parsed = IESParser.parse(iesData);
+        
+        loadedPhotometry.set(id, parsed.photometric);
+        
+        return parsed;
     } catch (error) {
         console.error('Error loading IES file:', error);
         throw error;
     }
 }
 
+/**
+ * Get photometry already available for a luminaire without loading anything
+ * @param {Object} luminaire - Luminaire record
+ * @returns {Object} - Parsed photometric data or null
+ */
+export function getAvailablePhotometry(luminaire) {
+    if (luminaire.photometry) {
+        return luminaire.photometry;
+    }
+    
+    if (!loadedPhotometry.has(luminaire.id) && !luminaire.iesFile && getLuminaire(luminaire.id)) {
+        loadedPhotometry.set(luminaire.id, generatePhotometry(luminaire).photometric);
+    }
+    
+    return loadedPhotometry.get(luminaire.id) || null;
+}
+
+/**
+ * Get photometry for a luminaire, loading its IES file if needed
+ * @param {Object} luminaire - Luminaire record
+ * @returns {Promise} - Promise resolving to parsed photometric data
+ */
+export async function getLuminairePhotometry(luminaire) {
+    const available = getAvailablePhotometry(luminaire);
+    
+    if (available) {
+        return available;
+    }
+    
+    const data = await loadLuminaireIES(luminaire.id);
+    return data.photometric;
+}
+
+/**
+ * Rank luminaires by how well they could replace a reference luminaire.
+ * The score combines the shape of the candela distribution (normalized to
+ * the same flux, with the candidate also tried rotated by 90°), lumen output,
+ * CCT and CRI, and physical size.
+ * @param {Object} reference - Luminaire to find alternatives for
+ * @param {Object} options - Search options:
+ *   candidates: luminaires to rank (default the whole catalog),
+ *   limit: number of results (default 5)
+ * @returns {Promise} - Promise resolving to results {luminaire, score, scores, rotation, differences}
+ *   best first, where score is 0-100, scores holds the 0-1 component scores (null when unknown)
+ *   and differences describes the main differences, most important first
+ */
+export async function findEquivalentLuminaires(reference, { candidates = getAllLuminaires(), limit = 5 } = {}) {
+    const referencePhotometry = await getLuminairePhotometry(reference).catch(() => null);
+    const results = [];
+    
+    for (const luminaire of candidates) {
+        if (luminaire.id === reference.id || !(luminaire.luminousFlux > 0)) {
+            continue;
+        }
+        
+        const photometry = referencePhotometry ? await getLuminairePhotometry(luminaire).catch(() => null) : null;
+        results.push(scoreEquivalence(reference, referencePhotometry, luminaire, photometry));
+    }
+    
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Score one candidate against a reference luminaire
+ * @param {Object} reference - Reference luminaire
+ * @param {Object} referencePhotometry - Its photometric data, or null
+ * @param {Object} luminaire - Candidate luminaire
+ * @param {Object} photometry - Its photometric data, or null
+ * @returns {Object} - Result {luminaire, score, scores, rotation, differences}
+ */
+function scoreEquivalence(reference, referencePhotometry, luminaire, photometry) {
+    const differences = [];
+    const note = (weight, score, text) => differences.push({ impact: weight * (1 - score), text: text });
+    const percent = ratio => `${Math.round(Math.abs(ratio - 1) * 100)}%`;
+    
+    // Ratios score 1 when equal and 0 at double or half
+    const ratioScore = ratio => Math.max(0, 1 - Math.abs(Math.log(ratio)) / Math.LN2);
+    
+    const scores = { distribution: null, output: null, color: null, size: null };
+    let rotation = 0;
+    
+    if (referencePhotometry && photometry) {
+        const straight = calculateDistributionDifference(referencePhotometry, photometry);
+        const turned = calculateDistributionDifference(referencePhotometry, photometry, 90);
+        const difference = Math.min(straight, turned);
+        
+        rotation = turned < straight ? 90 : 0;
+        scores.distribution = Math.max(0, 1 - difference);
+        
+        if (difference > 0.15) {
+            const beams = reference.beamAngle && luminaire.beamAngle && reference.beamAngle !== luminaire.beamAngle ?
+                ` (beam ${luminaire.beamAngle}° vs ${reference.beamAngle}°)` : '';
+            note(EQUIVALENCE_WEIGHTS.distribution, scores.distribution,
+                `Different light distribution${beams}, ${Math.round(difference * 100)}% deviation`);
+        }
+        
+        if (rotation === 90) {
+            differences.push({ impact: 0, text: 'Closest match when rotated by 90°' });
+        }
+    }
+    
+    const outputRatio = luminaire.luminousFlux / reference.luminousFlux;
+    scores.output = ratioScore(outputRatio);
+    
+    if (Math.abs(outputRatio - 1) > 0.05) {
+        note(EQUIVALENCE_WEIGHTS.output, scores.output,
+            `${percent(outputRatio)} ${outputRatio > 1 ? 'more' : 'less'} light ` +
+            `(${luminaire.luminousFlux.toLocaleString()} vs ${reference.luminousFlux.toLocaleString()} lm)`);
+    }
+    
+    // CCT within 1500 K, and CRI no lower than specified
+    const colorScores = [];
+    
+    if (reference.colorTemperature && luminaire.colorTemperature) {
+        const cctScore = Math.max(0, 1 - Math.abs(luminaire.colorTemperature - reference.colorTemperature) / 1500);
+        colorScores.push(cctScore);
+        
+        if (luminaire.colorTemperature !== reference.colorTemperature) {
+            note(EQUIVALENCE_WEIGHTS.color, cctScore,
+                `${luminaire.colorTemperature} K instead of ${reference.colorTemperature} K`);
+        }
+    }
+    
+    if (reference.cri && luminaire.cri) {
+        const criScore = luminaire.cri >= reference.cri ? 1 : Math.max(0, 1 - (reference.cri - luminaire.cri) / 20);
+        colorScores.push(criScore);
+        
+        if (luminaire.cri < reference.cri) {
+            note(EQUIVALENCE_WEIGHTS.color, criScore, `CRI ${luminaire.cri} instead of ${reference.cri}`);
+        }
+    }
+    
+    if (colorScores.length > 0) {
+        scores.color = colorScores.reduce((total, score) => total + score, 0) / colorScores.length;
+    }
+    
+    // Size from the dimensions both luminaires give
+    const referenceSize = getLuminaireSize(reference);
+    const size = getLuminaireSize(luminaire);
+    const sizeKeys = ['length', 'width', 'height'].filter(key => referenceSize[key] > 0 && size[key] > 0);
+    
+    if (sizeKeys.length > 0) {
+        scores.size = sizeKeys.reduce((total, key) => total + ratioScore(size[key] / referenceSize[key]), 0) /
+            sizeKeys.length;
+        
+        const format = dimensions => sizeKeys.map(key => dimensions[key]).join(' × ');
+        
+        if (scores.size < 0.9) {
+            note(EQUIVALENCE_WEIGHTS.size, scores.size,
+                `Size ${format(size)} m vs ${format(referenceSize)} m (${sizeKeys.join(' × ')})`);
+        }
+    }
+    
+    // Power is not scored, but matters to anyone swapping fixtures
+    if (luminaire.wattage > 0 && reference.wattage > 0 && Math.abs(luminaire.wattage / reference.wattage - 1) > 0.1) {
+        differences.push({
+            impact: 0,
+            text: `Uses ${Math.round(Math.abs(luminaire.wattage - reference.wattage) * 10) / 10} W ` +
+                `${luminaire.wattage > reference.wattage ? 'more' : 'less'} (${luminaire.wattage} vs ${reference.wattage} W)`
+        });
+    }
+    
+    // Components that cannot be compared leave the weighting to the others
+    const known = Object.keys(scores).filter(key => scores[key] !== null);
+    const totalWeight = known.reduce((total, key) => total + EQUIVALENCE_WEIGHTS[key], 0);
+    const score = totalWeight > 0 ?
+        known.reduce((total, key) => total + EQUIVALENCE_WEIGHTS[key] * scores[key], 0) / totalWeight : 0;
+    
+    return {
+        luminaire: luminaire,
+        score: Math.round(score * 100),
+        scores: scores,
+        rotation: rotation,
+        differences: differences
+            .sort((a, b) => b.impact - a.impact)
+            .map(difference => difference.text)
+    };
+}
+
 /**
  * Create luminaire library UI
  * @param {HTMLElement} container - Container element for the library UI
  * @param {Function} onSelect - Callback when luminaire is selected
+ * @param {Function} onChange - Callback when the custom catalog changes
+ * @param {Function} getCalculationParams - Returns the current calculation parameters,
+ *   used to compare luminaires in the current room
  */
-export function createLuminaireLibraryUI(container, onSelect) {
-    // Create category filter
-    const categories = getAllCategories();
+export function createLuminaireLibraryUI(container, onSelect, onChange = () => {}, getCalculationParams = null) {
+    // Catalog actions
+    const toolbar = document.createElement('div');
+    toolbar.className = 'library-toolbar';
+    toolbar.innerHTML = `
+        <button class="btn-primary" data-action="new">New Luminaire</button>
+        <button class="btn-secondary" data-action="import">Import Catalog</button>
+        <button class="btn-secondary" data-action="export">Export Catalog</button>
+        <button class="btn-secondary" data-action="import-manufacturer"
+            title="Select a CSV or JSON product list with its IES/LDT files, or a zip archive">Import Manufacturer Catalog</button>
+        <button class="btn-secondary" data-action="compare" disabled
+            title="Tick ${MIN_COMPARED}-${MAX_COMPARED} luminaires to compare">Compare</button>
+    `;
+    container.appendChild(toolbar);
+    
+    const status = document.createElement('div');
+    status.className = 'library-status';
+    container.appendChild(status);
+    
+    const editorPanel = document.createElement('div');
+    editorPanel.className = 'luminaire-editor';
+    container.appendChild(editorPanel);
+    
+    const comparisonPanel = document.createElement('div');
+    comparisonPanel.className = 'luminaire-comparison';
+    container.appendChild(comparisonPanel);
+    
+    const alternativesPanel = document.createElement('div');
+    alternativesPanel.className = 'luminaire-alternatives';
+    container.appendChild(alternativesPanel);
     
+    // Luminaires ticked for comparison, by ID
+    const compared = new Set();
+    const compareButton = toolbar.querySelector('[data-action="compare"]');
+    
+    const updateCompareButton = () => {
+        compareButton.textContent = compared.size > 0 ? `Compare (${compared.size})` : 'Compare';
+        compareButton.disabled = compared.size < MIN_COMPARED;
+    };
+    
+    // Create category filter
     const categoryFilter = document.createElement('div');
     categoryFilter.className = 'category-filter';
     
@@ -254,19 +1066,6 @@ export function createLuminaireLibraryUI(container, onSelect) {
     
     const categorySelect = document.createElement('select');
     categorySelect.id = 'category-select';
-    
-    const allOption = document.createElement('option');
-    allOption.value = 'all';
-    allOption.textContent = 'All Categories';
-    categorySelect.appendChild(allOption);
-    
-    categories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
-        categorySelect.appendChild(option);
-    });
-    
     categoryFilter.appendChild(categorySelect);
     container.appendChild(categoryFilter);
     
@@ -282,37 +1081,351 @@ export function createLuminaireLibraryUI(container, onSelect) {
     searchBox.appendChild(searchInput);
     container.appendChild(searchBox);
     
+    // Faceted filters and sorting
+    const facets = document.createElement('div');
+    facets.className = 'library-facets';
+    facets.innerHTML = `
+        <div class="facet-header">
+            <label for="luminaire-sort">Sort by:</label>
+            <select id="luminaire-sort">
+                ${Object.keys(SORT_OPTIONS).map(key => `<option value="${key}">${SORT_OPTIONS[key]}</option>`).join('')}
+            </select>
+            <span class="facet-result-count"></span>
+            <button type="button" class="btn-secondary facet-reset">Clear Filters</button>
+        </div>
+        <div class="facet-groups">
+            <fieldset class="facet-group">
+                <legend>Mounting Type</legend>
+                <div class="facet-options" data-facet="types"></div>
+            </fieldset>
+            <fieldset class="facet-group">
+                <legend>CCT</legend>
+                <div class="facet-options" data-facet="cct"></div>
+            </fieldset>
+            <fieldset class="facet-group">
+                <legend>Output and Power</legend>
+                ${createRangeInputs('lumens', 'Lumens (lm)', true)}
+                ${createRangeInputs('wattage', 'Power (W)', true)}
+                ${createRangeInputs('efficacy', 'Efficacy min (lm/W)', false)}
+            </fieldset>
+            <fieldset class="facet-group">
+                <legend>Light Quality</legend>
+                ${createRangeInputs('cri', 'CRI min', false)}
+                ${createRangeInputs('beamAngle', 'Beam angle (°)', true)}
+            </fieldset>
+            <fieldset class="facet-group">
+                <legend>Maximum Size (m)</legend>
+                <div class="facet-range">
+                    <input type="number" step="any" min="0" data-dimension="length" placeholder="Length" aria-label="Maximum length">
+                    <input type="number" step="any" min="0" data-dimension="width" placeholder="Width" aria-label="Maximum width">
+                    <input type="number" step="any" min="0" data-dimension="height" placeholder="Height" aria-label="Maximum height">
+                </div>
+            </fieldset>
+        </div>
+    `;
+    container.appendChild(facets);
+    
+    const sortSelect = facets.querySelector('#luminaire-sort');
+    const resultCount = facets.querySelector('.facet-result-count');
+    
     // Create luminaire grid
     const luminaireGrid = document.createElement('div');
     luminaireGrid.className = 'luminaire-grid';
     container.appendChild(luminaireGrid);
     
-    // Populate grid with all luminaires initially
-    populateLuminaireGrid(luminaireGrid, standardLuminaires, onSelect);
+    const showStatus = (message, errors = []) => {
+        status.innerHTML = '';
+        status.textContent = message;
+        
+        if (errors.length > 0) {
+            const list = document.createElement('ul');
+            
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                list.appendChild(item);
+            });
+            
+            status.appendChild(list);
+        }
+    };
     
-    // Set up event listeners
-    categorySelect.addEventListener('change', () => {
-        const category = categorySelect.value;
-        const query = searchInput.value.trim();
+    // Current filters as set in the controls
+    const readFilters = () => {
+        const number = selector => {
+            const input = facets.querySelector(selector);
+            return input && input.value !== '' ? parseFloat(input.value) : null;
+        };
+        const range = facet => ({
+            min: number(`[data-range="${facet}"][data-bound="min"]`),
+            max: number(`[data-range="${facet}"][data-bound="max"]`)
+        });
+        const checked = facet => Array.from(facets.querySelectorAll(`[data-facet="${facet}"] input:checked`))
+            .map(input => input.value);
+        
+        const dimensions = {};
+        ['length', 'width', 'height'].forEach(key => {
+            dimensions[key] = number(`[data-dimension="${key}"]`);
+        });
+        
+        return {
+            category: categorySelect.value || 'all',
+            query: searchInput.value.trim(),
+            types: checked('types'),
+            cct: checked('cct').map(Number),
+            lumens: range('lumens'),
+            wattage: range('wattage'),
+            efficacy: range('efficacy'),
+            cri: range('cri'),
+            beamAngle: range('beamAngle'),
+            dimensions: dimensions
+        };
+    };
+    
+    // Rebuild the facet counts and grid, keeping the current filters
+    const refresh = () => {
+        const luminaires = getAllLuminaires();
+        const filters = readFilters();
+        const counts = getFacetCounts(luminaires, filters);
+        
+        categorySelect.innerHTML = '<option value="all">All Categories</option>';
+        
+        getAllCategories().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = `${category.charAt(0).toUpperCase() + category.slice(1)} (${counts.category[category] || 0})`;
+            categorySelect.appendChild(option);
+        });
+        
+        categorySelect.value = Array.from(categorySelect.options).some(option => option.value === filters.category) ?
+            filters.category : 'all';
+        
+        renderFacetOptions(facets.querySelector('[data-facet="types"]'), counts.types, filters.types,
+            type => MOUNTING_TYPES[type] || type);
+        renderFacetOptions(facets.querySelector('[data-facet="cct"]'), counts.cct, filters.cct.map(String),
+            cct => `${cct} K`);
+        
+        // Show the values on offer as placeholders
+        Object.keys(RANGE_FACETS).forEach(facet => {
+            const { min, max } = counts[facet];
+            
+            facets.querySelectorAll(`[data-range="${facet}"]`).forEach(input => {
+                const value = input.dataset.bound === 'min' ? min : max;
+                input.placeholder = value === null ? '-' : String(Math.round(value * 10) / 10);
+            });
+        });
+        
+        // Forget compared luminaires that were deleted
+        Array.from(compared).filter(id => !luminaires.some(luminaire => luminaire.id === id))
+            .forEach(id => compared.delete(id));
+        updateCompareButton();
+        
+        const shown = filterLuminaires(luminaireGrid, luminaires, { ...filters, category: categorySelect.value },
+            sortSelect.value, actions);
+        resultCount.textContent = `${shown} of ${luminaires.length} luminaires`;
+    };
+    
+    const catalogChanged = message => {
+        showStatus(message);
+        refresh();
+        onChange();
+    };
+    
+    const openEditor = luminaire => {
+        openLuminaireEditor(editorPanel, luminaire, saved => {
+            catalogChanged(`Saved "${saved.name}"`);
+        });
+    };
+    
+    const actions = {
+        onSelect: onSelect,
+        
+        onEdit: openEditor,
+        
+        onDuplicate(luminaire) {
+            const copy = duplicateLuminaire(luminaire.id);
+            
+            if (copy) {
+                catalogChanged(`Created "${copy.name}"`);
+                openEditor(copy);
+            } else {
+                showStatus(`"${luminaire.name}" could not be duplicated`);
+            }
+        },
+        
+        async onFindAlternatives(luminaire) {
+            alternativesPanel.innerHTML = '';
+            alternativesPanel.textContent = `Finding alternatives to "${luminaire.name}"...`;
+            alternativesPanel.scrollIntoView({ block: 'nearest' });
+            
+            try {
+                const results = await findEquivalentLuminaires(luminaire);
+                
+                renderAlternatives(alternativesPanel, luminaire, results, {
+                    onSelect: onSelect,
+                    onCompare(alternative) {
+                        compared.clear();
+                        compared.add(luminaire.id);
+                        compared.add(alternative.id);
+                        refresh();
+                        createComparisonView(comparisonPanel, [luminaire, alternative], getCalculationParams, () => {});
+                    }
+                });
+            } catch (error) {
+                console.error('Error finding alternatives:', error);
+                alternativesPanel.textContent = `Error finding alternatives: ${error.message}`;
+            }
+        },
         
-        filterLuminaires(luminaireGrid, category, query, onSelect);
+        isCompared: luminaire => compared.has(luminaire.id),
+        
+        onCompare(luminaire, checked) {
+            if (checked && compared.size >= MAX_COMPARED) {
+                showStatus(`Up to ${MAX_COMPARED} luminaires can be compared at once`);
+                return false;
+            }
+            
+            if (checked) {
+                compared.add(luminaire.id);
+            } else {
+                compared.delete(luminaire.id);
+            }
+            
+            updateCompareButton();
+            return true;
+        },
+        
+        onDelete(luminaire) {
+            if (!confirm(`Delete "${luminaire.name}" from the catalog?`)) {
+                return;
+            }
+            
+            if (deleteCustomLuminaire(luminaire.id)) {
+                catalogChanged(`Deleted "${luminaire.name}"`);
+            } else {
+                showStatus(`"${luminaire.name}" could not be deleted`);
+            }
+        }
+    };
+    
+    toolbar.querySelector('[data-action="new"]').addEventListener('click', () => openEditor(null));
+    
+    compareButton.addEventListener('click', () => {
+        const luminaires = Array.from(compared).map(id => getLuminaire(id)).filter(Boolean);
+        createComparisonView(comparisonPanel, luminaires, getCalculationParams, () => {});
+    });
+    
+    toolbar.querySelector('[data-action="export"]').addEventListener('click', () => {
+        downloadFile(exportCustomCatalog(), 'calqlux-luminaire-catalog.json', 'application/json');
     });
     
-    searchInput.addEventListener('input', () => {
-        const category = categorySelect.value;
-        const query = searchInput.value.trim();
+    toolbar.querySelector('[data-action="import"]').addEventListener('click', () => {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json';
+        
+        fileInput.addEventListener('change', async () => {
+            if (fileInput.files.length === 0) {
+                return;
+            }
+            
+            const file = fileInput.files[0];
+            
+            try {
+                const summary = importCustomCatalog(await file.text());
+                
+                showStatus(
+                    `Imported "${file.name}": ${summary.added} added, ${summary.updated} updated` +
+                        (summary.errors.length > 0 ? `, ${summary.errors.length} skipped` : ''),
+                    summary.errors
+                );
+                refresh();
+                onChange();
+            } catch (error) {
+                console.error('Error importing catalog:', error);
+                showStatus(`Error importing "${file.name}": ${error.message}`);
+            }
+        });
+        
+        fileInput.click();
+    });
+    
+    toolbar.querySelector('[data-action="import-manufacturer"]').addEventListener('click', () => {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,.json,.ies,.ldt,.zip';
+        fileInput.multiple = true;
+        
+        fileInput.addEventListener('change', async () => {
+            if (fileInput.files.length === 0) {
+                return;
+            }
+            
+            showStatus('Importing manufacturer catalog...');
+            
+            try {
+                const result = await importManufacturerCatalog(Array.from(fileInput.files));
+                const errors = result.report.filter(entry => entry.severity === 'error').length;
+                
+                // One line per row or file that needs attention
+                const lines = result.report.map(entry => {
+                    const where = entry.row !== null ? `Row ${entry.row}` : 'File';
+                    const product = entry.product ? ` (${entry.product})` : '';
+                    return `${where}${product}: ${entry.severity === 'error' ? 'Skipped - ' : ''}${entry.message}`;
+                });
+                
+                if (result.luminaires.length > 0 && !result.saved) {
+                    showStatus('The imported luminaires could not be saved', lines);
+                    return;
+                }
+                
+                showStatus(
+                    `Imported ${result.luminaires.length - result.updated} new and ${result.updated} updated luminaires` +
+                        (errors > 0 ? `, ${errors} skipped` : ''),
+                    lines
+                );
+                refresh();
+                onChange();
+            } catch (error) {
+                console.error('Error importing manufacturer catalog:', error);
+                showStatus(`Error importing manufacturer catalog: ${error.message}`);
+            }
+        });
         
-        filterLuminaires(luminaireGrid, category, query, onSelect);
+        fileInput.click();
     });
+    
+    // Set up event listeners
+    categorySelect.addEventListener('change', refresh);
+    searchInput.addEventListener('input', refresh);
+    sortSelect.addEventListener('change', refresh);
+    facets.querySelector('.facet-groups').addEventListener('input', refresh);
+    
+    facets.querySelector('.facet-reset').addEventListener('click', () => {
+        facets.querySelectorAll('.facet-groups input').forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = false;
+            } else {
+                input.value = '';
+            }
+        });
+        categorySelect.value = 'all';
+        searchInput.value = '';
+        refresh();
+    });
+    
+    // Populate grid with all luminaires initially
+    refresh();
 }
 
 /**
  * Populate luminaire grid with filtered luminaires
  * @param {HTMLElement} grid - Grid container element
  * @param {Array} luminaires - Array of luminaires to display
- * @param {Function} onSelect - Callback when luminaire is selected
+ * @param {Object} actions - Card callbacks {onSelect, onEdit, onDuplicate, onDelete,
+ *   onFindAlternatives, isCompared, onCompare}
  */
-function populateLuminaireGrid(grid, luminaires, onSelect) {
+function populateLuminaireGrid(grid, luminaires, actions) {
     grid.innerHTML = '';
     
     if (luminaires.length === 0) {
@@ -328,31 +1441,107 @@ function populateLuminaireGrid(grid, luminaires, onSelect) {
         card.className = 'luminaire-card';
         card.dataset.id = luminaire.id;
         
-        const thumbnail = document.createElement('img');
-        thumbnail.src = luminaire.thumbnail;
-        thumbnail.alt = luminaire.name;
-        card.appendChild(thumbnail);
+        // Thumbnails are optional, so drop the image rather than show a broken one
+        if (luminaire.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = luminaire.thumbnail;
+            thumbnail.alt = luminaire.name;
+            thumbnail.addEventListener('error', () => thumbnail.remove());
+            card.appendChild(thumbnail);
+        }
         
         const cardContent = document.createElement('div');
         cardContent.className = 'card-content';
         
         const title = document.createElement('h3');
         title.textContent = luminaire.name;
+        
+        if (isCustomLuminaire(luminaire)) {
+            const badge = document.createElement('span');
+            badge.className = 'custom-badge';
+            badge.textContent = 'custom';
+            title.appendChild(badge);
+        }
+        
         cardContent.appendChild(title);
         
         const specs = document.createElement('div');
         specs.className = 'specs';
         
-        specs.innerHTML = `
-            <div><span>Power:</span> ${luminaire.wattage}W</div>
-            <div><span>Output:</span> ${luminaire.luminousFlux.toLocaleString()} lm</div>
-            <div><span>Efficacy:</span> ${luminaire.efficacy} lm/W</div>
-            <div><span>CCT:</span> ${luminaire.colorTemperature}K</div>
-        `;
+        const specRows = [
+            ['Power:', `${luminaire.wattage}W`],
+            ['Output:', `${luminaire.luminousFlux.toLocaleString()} lm`],
+            ['Efficacy:', `${luminaire.efficacy} lm/W`],
+            ['CCT:', luminaire.colorTemperature ? `${luminaire.colorTemperature}K` : '-']
+        ];
+        
+        if (Number.isFinite(luminaire.price)) {
+            specRows.push(['Price:', luminaire.price.toLocaleString()]);
+        }
+        
+        // Built as text so values from imported catalogs cannot add markup
+        specRows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            const labelEl = document.createElement('span');
+            labelEl.textContent = label;
+            row.append(labelEl, ` ${value}`);
+            specs.appendChild(row);
+        });
         
         cardContent.appendChild(specs);
+        
+        // Photometric summary, filled in once the candela data is available
+        const photometricSummary = document.createElement('div');
+        photometricSummary.className = 'photometric-summary';
+        photometricSummary.textContent = 'Loading photometry...';
+        cardContent.appendChild(photometricSummary);
+        
+        renderPhotometricSummary(photometricSummary, luminaire);
+        
         card.appendChild(cardContent);
         
+        // Standard luminaires are read-only, but can be duplicated into the custom catalog
+        const cardActions = document.createElement('div');
+        cardActions.className = 'card-actions';
+        
+        const buttons = isCustomLuminaire(luminaire) ?
+            [['Edit', actions.onEdit], ['Duplicate', actions.onDuplicate], ['Delete', actions.onDelete]] :
+            [['Duplicate', actions.onDuplicate]];
+        
+        buttons.push(['Find Alternatives', actions.onFindAlternatives]);
+        
+        buttons.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.className = 'btn-secondary';
+            button.textContent = label;
+            button.addEventListener('click', event => {
+                event.stopPropagation();
+                action(luminaire);
+            });
+            cardActions.appendChild(button);
+        });
+        
+        // Tick box for the comparison; onCompare refuses more than it can compare
+        const compareLabel = document.createElement('label');
+        compareLabel.className = 'compare-toggle';
+        
+        const compareBox = document.createElement('input');
+        compareBox.type = 'checkbox';
+        compareBox.checked = actions.isCompared(luminaire);
+        compareBox.addEventListener('click', event => event.stopPropagation());
+        compareBox.addEventListener('change', () => {
+            if (!actions.onCompare(luminaire, compareBox.checked)) {
+                compareBox.checked = false;
+            }
+        });
+        
+        compareLabel.addEventListener('click', event => event.stopPropagation());
+        compareLabel.appendChild(compareBox);
+        compareLabel.appendChild(document.createTextNode(' Compare'));
+        cardActions.appendChild(compareLabel);
+        
+        card.appendChild(cardActions);
+        
         const selectBtn = document.createElement('button');
         selectBtn.className = 'btn-primary select-luminaire';
         selectBtn.textContent = 'Select';
@@ -360,7 +1549,7 @@ function populateLuminaireGrid(grid, luminaires, onSelect) {
         
         // Add event listener
         card.addEventListener('click', () => {
-            onSelect(luminaire);
+            actions.onSelect(luminaire);
         });
         
         grid.appendChild(card);
@@ -368,32 +1557,477 @@ function populateLuminaireGrid(grid, luminaires, onSelect) {
 }
 
 /**
- * Filter luminaires based on category and search query
- * @param {HTMLElement} grid - Grid container element
- * @param {string} category - Category to filter by ('all' for all categories)
- * @param {string} query - Search query
- * @param {Function} onSelect - Callback when luminaire is selected
+ * Render the zonal lumen summary of a luminaire on its card
+ * @param {HTMLElement} container - Summary element on the card
+ * @param {Object} luminaire - Luminaire record
  */
-function filterLuminaires(grid, category, query, onSelect) {
-    let filteredLuminaires = standardLuminaires;
+async function renderPhotometricSummary(container, luminaire) {
+    let photometry;
+    let analysis;
+    
+    try {
+        photometry = await getLuminairePhotometry(luminaire);
+        analysis = analyzePhotometry(photometry);
+    } catch (error) {
+        console.error('Error analyzing photometry:', error);
+        container.textContent = 'Photometry not available';
+        return;
+    }
+    
+    const zones = analysis.zonalLumens;
+    const percent = value => `${Math.round(value * 100)}%`;
+    
+    container.innerHTML = `
+        <table class="zonal-lumens">
+            <tr><th>Zone</th><th>Lumens</th><th>% Luminaire</th></tr>
+            ${Object.keys(zones).map(zone => `
+                <tr>
+                    <td>${zone}°</td>
+                    <td>${zones[zone].toLocaleString()}</td>
+                    <td>${analysis.luminaireLumens > 0 ? percent(zones[zone] / analysis.luminaireLumens) : '-'}</td>
+                </tr>
+            `).join('')}
+        </table>
+        <div><span>Efficiency:</span> ${analysis.efficiency !== null ? analysis.efficiency + '%' : 'Absolute photometry'}</div>
+        <div><span>Beam / Field:</span> ${analysis.beamAngle}° / ${analysis.fieldAngle}°</div>
+        <div><span>Down / Up:</span> ${percent(analysis.downwardFraction)} / ${percent(analysis.upwardFraction)}</div>
+    `;
+    
+    // Flag catalog values that disagree with the file
+    const warnings = compareWithCatalog(luminaire, analysis);
     
-    // Filter by category
-    if (category !== 'all') {
-        filteredLuminaires = filteredLuminaires.filter(luminaire => 
-            luminaire.category === category
-        );
+    if (warnings.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'catalog-warning';
+        warning.textContent = warnings.join('. ');
+        container.appendChild(warning);
     }
     
-    // Filter by search query
-    if (query) {
-        const lowercaseQuery = query.toLowerCase();
+    renderDistributionCharts(container, luminaire, photometry);
+}
+
+/**
+ * Show the alternatives found for a luminaire
+ * @param {HTMLElement} panel - Alternatives container
+ * @param {Object} reference - Luminaire the alternatives replace
+ * @param {Array} results - Results of findEquivalentLuminaires
+ * @param {Object} callbacks - {onSelect, onCompare} called with the alternative
+ */
+function renderAlternatives(panel, reference, results, callbacks) {
+    panel.innerHTML = '';
+    
+    const header = document.createElement('div');
+    header.className = 'alternatives-header';
+    
+    const title = document.createElement('h3');
+    title.textContent = `Alternatives to "${reference.name}"`;
+    header.appendChild(title);
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'btn-secondary';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => {
+        panel.innerHTML = '';
+    });
+    header.appendChild(closeBtn);
+    
+    panel.appendChild(header);
+    
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'no-results';
+        empty.textContent = 'No other luminaires to compare with';
+        panel.appendChild(empty);
+        return;
+    }
+    
+    const list = document.createElement('ol');
+    list.className = 'alternatives-list';
+    
+    results.forEach(result => {
+        const item = document.createElement('li');
+        
+        const name = document.createElement('div');
+        name.className = 'alternative-name';
+        name.innerHTML = `<span class="alternative-score">${result.score}%</span> `;
+        name.appendChild(document.createTextNode(result.luminaire.name));
+        item.appendChild(name);
+        
+        const differences = document.createElement('ul');
+        differences.className = 'alternative-differences';
+        
+        (result.differences.length > 0 ? result.differences : ['No significant differences']).forEach(text => {
+            const difference = document.createElement('li');
+            difference.textContent = text;
+            differences.appendChild(difference);
+        });
+        
+        item.appendChild(differences);
+        
+        [['Select', callbacks.onSelect], ['Compare', callbacks.onCompare]].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-secondary';
+            button.textContent = label;
+            button.addEventListener('click', () => action(result.luminaire));
+            item.appendChild(button);
+        });
+        
+        list.appendChild(item);
+    });
+    
+    panel.appendChild(list);
+}
+
+/**
+ * Render the polar candela plot and cone diagram of a luminaire on its card
+ * @param {HTMLElement} container - Summary element on the card
+ * @param {Object} luminaire - Luminaire record
+ * @param {Object} photometry - Parsed photometric data
+ */
+function renderDistributionCharts(container, luminaire, photometry) {
+    const charts = document.createElement('div');
+    charts.className = 'distribution-charts';
+    
+    const diagrams = [
+        { name: 'polar', render: renderPolarCandelaPlot, createSVG: createPolarCandelaSVG, width: 220, height: 220 },
+        { name: 'cone', render: renderConeDiagram, createSVG: createConeDiagramSVG, width: 220, height: 160 }
+    ];
+    
+    diagrams.forEach(diagram => {
+        const figure = document.createElement('div');
+        figure.className = 'distribution-chart';
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = diagram.width;
+        canvas.height = diagram.height;
+        figure.appendChild(canvas);
+        
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'btn-secondary download-svg';
+        downloadBtn.textContent = 'SVG';
+        downloadBtn.title = `Download the ${diagram.name} diagram as SVG`;
+        figure.appendChild(downloadBtn);
         
-        filteredLuminaires = filteredLuminaires.filter(luminaire => 
-            luminaire.name.toLowerCase().includes(lowercaseQuery) || 
-            luminaire.description.toLowerCase().includes(lowercaseQuery)
-        );
+        // Don't select the luminaire when downloading
+        downloadBtn.addEventListener('click', event => {
+            event.stopPropagation();
+            
+            downloadFile(
+                diagram.createSVG(photometry, { title: luminaire.name }),
+                `${getFileBaseName(luminaire)}_${diagram.name}.svg`,
+                'image/svg+xml'
+            );
+        });
+        
+        charts.appendChild(figure);
+        
+        // Draw once the canvas is laid out so it picks up its displayed size
+        requestAnimationFrame(() => diagram.render(photometry, canvas));
+    });
+    
+    container.appendChild(charts);
+    
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn-secondary export-ies';
+    exportBtn.textContent = 'Export IES';
+    container.appendChild(exportBtn);
+    
+    exportBtn.addEventListener('click', event => {
+        event.stopPropagation();
+        
+        try {
+            downloadFile(
+                exportLuminaireIES(luminaire, photometry),
+                `${getFileBaseName(luminaire)}.ies`,
+                'text/plain'
+            );
+        } catch (error) {
+            console.error('Error exporting IES file:', error);
+        }
+    });
+}
+
+/**
+ * Write a luminaire's photometry as an IES LM-63-2019 file
+ * @param {Object} luminaire - Luminaire record
+ * @param {Object} photometry - Parsed photometric data
+ * @returns {string} - IES file content
+ */
+export function exportLuminaireIES(luminaire, photometry) {
+    const keywords = {
+        LUMINAIRE: luminaire.name
+    };
+    
+    if (luminaire.manufacturer) {
+        keywords.MANUFAC = luminaire.manufacturer;
     }
     
+    if (luminaire.catalogNumber) {
+        keywords.LUMCAT = luminaire.catalogNumber;
+    }
+    
+    return IESWriter.write(photometry, { keywords: keywords });
+}
+
+/**
+ * File name for downloads of a luminaire's data
+ * @param {Object} luminaire - Luminaire record
+ * @returns {string} - File name without extension
+ */
+function getFileBaseName(luminaire) {
+    return luminaire.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+}
+
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} fileName - File name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the form for creating or editing a custom luminaire
+ * @param {HTMLElement} panel - Editor container
+ * @param {Object} luminaire - Custom luminaire to edit, or null for a new one
+ * @param {Function} onSave - Callback with the saved record
+ */
+function openLuminaireEditor(panel, luminaire, onSave) {
+    const record = luminaire || {};
+    const dimensions = record.dimensions || {};
+    const value = field => field === null || field === undefined ? '' : field;
+    
+    const fields = [
+        { name: 'name', label: 'Name', type: 'text', value: record.name },
+        { name: 'description', label: 'Description', type: 'text', value: record.description },
+        { name: 'manufacturer', label: 'Manufacturer', type: 'text', value: record.manufacturer },
+        { name: 'catalogNumber', label: 'Catalog Number', type: 'text', value: record.catalogNumber },
+        { name: 'category', label: 'Category', type: 'text', value: record.category || 'custom' },
+        { name: 'type', label: 'Mounting Type', type: 'select', value: record.type || 'custom' },
+        { name: 'wattage', label: 'Power (W)', type: 'number', value: record.wattage },
+        { name: 'luminousFlux', label: 'Luminous Flux (lm)', type: 'number', value: record.luminousFlux },
+        { name: 'lampLumens', label: 'Installed Lamp Lumens (lm)', type: 'number', value: record.lampLumens },
+        { name: 'colorTemperature', label: 'CCT (K)', type: 'number', value: record.colorTemperature },
+        { name: 'cri', label: 'CRI', type: 'number', value: record.cri },
+        { name: 'beamAngle', label: 'Beam Angle (°)', type: 'number', value: record.beamAngle },
+        { name: 'price', label: 'Unit Price', type: 'number', value: record.price },
+        { name: 'length', label: 'Length (m)', type: 'number', value: dimensions.length },
+        { name: 'width', label: 'Width (m)', type: 'number', value: dimensions.width },
+        { name: 'height', label: 'Height (m)', type: 'number', value: dimensions.height },
+        { name: 'diameter', label: 'Diameter (m)', type: 'number', value: dimensions.diameter }
+    ];
+    
+    panel.innerHTML = `
+        <form class="luminaire-edit-form">
+            <h3>${luminaire ? 'Edit Luminaire' : 'New Luminaire'}</h3>
+            <div class="form-grid">
+                ${fields.map(field => `
+                    <div class="form-group">
+                        <label for="luminaire-edit-${field.name}">${field.label}</label>
+                        ${field.type === 'select' ? `
+                            <select id="luminaire-edit-${field.name}">
+                                ${Object.keys(MOUNTING_TYPES).map(type =>
+                                    `<option value="${type}">${MOUNTING_TYPES[type]}</option>`).join('')}
+                            </select>
+                        ` : `
+                            <input type="${field.type}" id="luminaire-edit-${field.name}"
+                                ${field.type === 'number' ? 'step="any" min="0"' : ''}>
+                        `}
+                    </div>
+                `).join('')}
+                <div class="form-group">
+                    <label for="luminaire-edit-photometry">Photometry (IES/LDT)</label>
+                    <input type="file" id="luminaire-edit-photometry" accept=".ies,.ldt">
+                    <div class="photometry-attachment"></div>
+                </div>
+            </div>
+            <div class="editor-errors"></div>
+            <div class="form-actions">
+                <button type="submit" class="btn-primary">Save</button>
+                <button type="button" class="btn-secondary cancel-edit">Cancel</button>
+            </div>
+        </form>
+    `;
+    
+    const form = panel.querySelector('form');
+    const input = name => form.querySelector(`#luminaire-edit-${name}`);
+    
+    // Values are assigned rather than templated so quotes in names survive
+    fields.forEach(field => {
+        input(field.name).value = value(field.value);
+    });
+    
+    // Attached photometry can be kept, replaced by a file or removed
+    let photometry = record.photometry || null;
+    let fileName = record.fileName || null;
+    
+    const attachment = form.querySelector('.photometry-attachment');
+    
+    const showAttachment = () => {
+        attachment.innerHTML = '';
+        
+        if (!photometry) {
+            attachment.textContent = 'None (generated from the fields above)';
+            return;
+        }
+        
+        attachment.textContent = `Attached: ${fileName || 'photometric data'} `;
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-secondary';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            photometry = null;
+            fileName = null;
+            showAttachment();
+        });
+        attachment.appendChild(removeBtn);
+    };
+    
+    showAttachment();
+    
+    const errorsEl = form.querySelector('.editor-errors');
+    
+    input('photometry').addEventListener('change', async event => {
+        const file = event.target.files[0];
+        
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const parser = /\.ldt$/i.test(file.name) ? LDTParser : IESParser;
+            photometry = parser.parse(await file.text()).photometric;
+            fileName = file.name;
+            errorsEl.textContent = '';
+        } catch (error) {
+            console.error('Error parsing photometric file:', error);
+            errorsEl.textContent = `Error parsing "${file.name}": ${error.message}`;
+        }
+        
+        showAttachment();
+    });
+    
+    form.querySelector('.cancel-edit').addEventListener('click', () => {
+        panel.innerHTML = '';
+    });
+    
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        
+        const values = {};
+        fields.forEach(field => {
+            values[field.name] = input(field.name).value;
+        });
+        
+        const edited = createCustomLuminaire({
+            ...values,
+            dimensions: {
+                length: values.length,
+                width: values.width,
+                height: values.height,
+                diameter: values.diameter
+            },
+            photometry: photometry,
+            fileName: fileName
+        }, luminaire);
+        
+        const errors = validateLuminaire(edited);
+        
+        if (errors.length > 0) {
+            errorsEl.textContent = errors.join('. ');
+            return;
+        }
+        
+        if (!saveCustomLuminaire(edited)) {
+            errorsEl.textContent = 'The luminaire could not be saved (storage may be full)';
+            return;
+        }
+        
+        panel.innerHTML = '';
+        onSave(edited);
+    });
+    
+    panel.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Filter and sort luminaires into the grid
+ * @param {HTMLElement} grid - Grid container element
+ * @param {Array} luminaires - All luminaires
+ * @param {Object} filters - Facet filters (see filterLuminaireList)
+ * @param {string} sortBy - Key of SORT_OPTIONS
+ * @param {Object} actions - Card callbacks (see populateLuminaireGrid)
+ * @returns {number} - Number of luminaires shown
+ */
+function filterLuminaires(grid, luminaires, filters, sortBy, actions) {
+    const filteredLuminaires = sortLuminaires(filterLuminaireList(luminaires, filters), sortBy);
+    
     // Update grid
-    populateLuminaireGrid(grid, filteredLuminaires, onSelect);
+    populateLuminaireGrid(grid, filteredLuminaires, actions);
+    
+    return filteredLuminaires.length;
+}
+
+/**
+ * Markup for a facet's number inputs
+ * @param {string} facet - Range facet name
+ * @param {string} label - Label text
+ * @param {boolean} withMax - Whether the facet has a maximum as well as a minimum
+ * @returns {string} - HTML
+ */
+function createRangeInputs(facet, label, withMax) {
+    return `
+        <div class="facet-range">
+            <label>${label}</label>
+            <input type="number" step="any" min="0" data-range="${facet}" data-bound="min" aria-label="${label} minimum">
+            ${withMax ? `<input type="number" step="any" min="0" data-range="${facet}" data-bound="max" aria-label="${label} maximum">` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Rebuild the checkboxes of a list facet with their counts
+ * @param {HTMLElement} container - Options container
+ * @param {Object} counts - Luminaire count by value
+ * @param {Array} selected - Checked values
+ * @param {Function} getLabel - Display label for a value
+ */
+function renderFacetOptions(container, counts, selected, getLabel) {
+    // Checked values stay visible even when nothing else matches them
+    const values = Array.from(new Set([...Object.keys(counts), ...selected]))
+        .sort((a, b) => (parseFloat(a) - parseFloat(b)) || String(a).localeCompare(String(b)));
+    
+    container.innerHTML = '';
+    
+    values.forEach(value => {
+        const label = document.createElement('label');
+        label.className = 'facet-option';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = selected.includes(value);
+        
+        const count = counts[value] || 0;
+        label.classList.toggle('empty', count === 0);
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${getLabel(value)} (${count})`));
+        container.appendChild(label);
+    });
 }
\ No newline at end of file
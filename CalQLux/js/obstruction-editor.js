@@ -0,0 +1,170 @@
+/**
+ * CalQLux - Obstruction Editor Module
+ * Table of the boxes and partition panels placed in the room
+ */
+
+import { OBSTRUCTION_TYPES } from './calculations/obstructions.js';
+
+// Starting sizes of new obstructions in meters and percent
+const NEW_OBSTRUCTIONS = {
+    box: { length: 2.4, width: 1, height: 2.5, reflectance: 30 },
+    panel: { length: 3, width: 0, height: 1.8, reflectance: 50 }
+};
+
+// Editable fields in table order: [field, label, step]
+const FIELDS = [
+    ['x', 'X (m)', 0.1],
+    ['y', 'Y (m)', 0.1],
+    ['length', 'Length (m)', 0.1],
+    ['width', 'Width (m)', 0.1],
+    ['height', 'Height (m)', 0.1],
+    ['elevation', 'Base (m)', 0.1],
+    ['rotation', 'Rotation (°)', 15],
+    ['reflectance', 'Refl. (%)', 1]
+];
+
+/**
+ * Create the obstruction editor
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - {getRoom, obstructions, onChange} where getRoom returns the room
+ *   {length, width} in meters and onChange is called with the obstructions after every edit
+ * @returns {Object} - Editor {getObstructions, setObstructions}
+ */
+export function createObstructionEditor(container, options = {}) {
+    const { getRoom, onChange = () => {} } = options;
+    
+    let obstructions = (options.obstructions || []).map(obstruction => ({ ...obstruction }));
+    
+    container.innerHTML = `
+        <table class="obstruction-table">
+            <thead>
+                <tr>
+                    <th>Type</th>
+                    ${FIELDS.map(([, label]) => `<th>${label}</th>`).join('')}
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <p class="layout-hint obstruction-empty">No obstructions. Racking, columns and partitions block light and reflect it.</p>
+        <div class="layout-actions">
+            <button type="button" class="btn-secondary" data-add="box">Add Box</button>
+            <button type="button" class="btn-secondary" data-add="panel">Add Panel</button>
+        </div>
+    `;
+    
+    const table = container.querySelector('.obstruction-table');
+    const body = table.querySelector('tbody');
+    const empty = container.querySelector('.obstruction-empty');
+    
+    const changed = () => {
+        onChange(getObstructions());
+    };
+    
+    function render() {
+        const typeOptions = (selected) => Object.entries(OBSTRUCTION_TYPES).map(([value, type]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${type.label}</option>`
+        ).join('');
+        
+        body.innerHTML = '';
+        
+        obstructions.forEach(obstruction => {
+            const row = document.createElement('tr');
+            const thickness = (OBSTRUCTION_TYPES[obstruction.type] || OBSTRUCTION_TYPES.box).thickness;
+            
+            row.innerHTML = `
+                <td><select data-field="type">${typeOptions(obstruction.type)}</select></td>
+                ${FIELDS.map(([field, , step]) => {
+                    const value = field === 'width' && thickness !== null ? thickness : obstruction[field];
+                    const disabled = field === 'width' && thickness !== null ? 'disabled' : '';
+                    
+                    return `<td><input type="number" data-field="${field}" step="${step}" value="${value}" ${disabled}></td>`;
+                }).join('')}
+                <td><button type="button" class="btn-secondary" data-action="remove">Remove</button></td>
+            `;
+            
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.dataset.field;
+                    const value = parseFloat(input.value);
+                    
+                    if (field === 'type') {
+                        obstruction.type = input.value;
+                        
+                        // Panels keep no width of their own
+                        if (!(obstruction.width > 0)) {
+                            obstruction.width = NEW_OBSTRUCTIONS.box.width;
+                        }
+                        render();
+                    } else if (Number.isFinite(value)) {
+                        obstruction[field] = value;
+                    }
+                    
+                    changed();
+                });
+            });
+            
+            row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                obstructions = obstructions.filter(item => item !== obstruction);
+                render();
+                changed();
+            });
+            
+            body.appendChild(row);
+        });
+        
+        table.style.display = obstructions.length > 0 ? '' : 'none';
+        empty.style.display = obstructions.length > 0 ? 'none' : '';
+    }
+    
+    container.querySelectorAll('[data-add]').forEach(button => {
+        button.addEventListener('click', () => {
+            const room = getRoom();
+            const type = button.dataset.add;
+            
+            obstructions.push({
+                id: createObstructionId(),
+                type: type,
+                x: Math.round(room.length * 5) / 10,
+                y: Math.round(room.width * 5) / 10,
+                elevation: 0,
+                rotation: 0,
+                ...NEW_OBSTRUCTIONS[type]
+            });
+            
+            render();
+            changed();
+        });
+    });
+    
+    /**
+     * Get a copy of the obstructions
+     * @returns {Array} - Obstructions {id, type, x, y, length, width, height, elevation, rotation, reflectance}
+     */
+    function getObstructions() {
+        return obstructions.map(obstruction => ({ ...obstruction }));
+    }
+    
+    /**
+     * Replace the obstructions
+     * @param {Array} list - Obstructions {id, type, x, y, length, width, height, elevation, rotation, reflectance}
+     */
+    function setObstructions(list) {
+        obstructions = list.map(obstruction => ({ ...obstruction, id: obstruction.id || createObstructionId() }));
+        render();
+    }
+    
+    const createObstructionId = () => {
+        let index = obstructions.length + 1;
+        
+        while (obstructions.some(obstruction => obstruction.id === `O${index}`)) {
+            index++;
+        }
+        
+        return `O${index}`;
+    };
+    
+    render();
+    
+    return { getObstructions, setObstructions };
+}
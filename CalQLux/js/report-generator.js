@@ -3,148 +3,15 @@
  * Generates detailed lighting reports with compliance analysis
  */
 
-/**
- * Standards for compliance checking
- */
-const lightingStandards = {
-    offices: {
-        name: 'Office Spaces',
-        standards: [
-            {
-                name: 'EN 12464-1 (Europe)',
-                requirements: {
-                    avgIlluminance: 500, // lux
-                    uniformity: 0.6,     // min/avg ratio
-                    ugr: 19,             // max UGR
-                    cri: 80              // min CRI
-                }
-            },
-            {
-                name: 'IES Handbook (North America)',
-                requirements: {
-                    avgIlluminance: 500, // lux
-                    uniformity: 0.7,     // min/avg ratio
-                    vcp: 70,             // min VCP
-                    cri: 80              // min CRI
-                }
-            }
-        ]
-    },
-    industrial: {
-        name: 'Industrial Areas',
-        standards: [
-            {
-                name: 'EN 12464-1 (Europe)',
-                requirements: {
-                    avgIlluminance: 300, // lux
-                    uniformity: 0.5,     // min/avg ratio
-                    ugr: 25,             // max UGR
-                    cri: 80              // min CRI
-                }
-            },
-            {
-                name: 'IES Handbook (North America)',
-                requirements: {
-                    avgIlluminance: 300, // lux
-                    uniformity: 0.6,     // min/avg ratio
-                    cri: 70              // min CRI
-                }
-            }
-        ]
-    },
-    educational: {
-        name: 'Educational Facilities',
-        standards: [
-            {
-                name: 'EN 12464-1 (Europe)',
-                requirements: {
-                    avgIlluminance: 300, // lux
-                    uniformity: 0.6,     // min/avg ratio
-                    ugr: 19,             // max UGR
-                    cri: 80              // min CRI
-                }
-            },
-            {
-                name: 'IES Handbook (North America)',
-                requirements: {
-                    avgIlluminance: 400, // lux
-                    uniformity: 0.7,     // min/avg ratio
-                    cri: 80              // min CRI
-                }
-            }
-        ]
-    },
-    retail: {
-        name: 'Retail Spaces',
-        standards: [
-            {
-                name: 'EN 12464-1 (Europe)',
-                requirements: {
-                    avgIlluminance: 300, // lux
-                    uniformity: 0.4,     // min/avg ratio
-                    ugr: 22,             // max UGR
-                    cri: 80              // min CRI
-                }
-            },
-            {
-                name: 'IES Handbook (North America)',
-                requirements: {
-                    avgIlluminance: 500, // lux
-                    uniformity: 0.6,     // min/avg ratio
-                    cri: 80              // min CRI
-                }
-            }
-        ]
-    },
-    healthcare: {
-        name: 'Healthcare Facilities',
-        standards: [
-            {
-                name: 'EN 12464-1 (Europe)',
-                requirements: {
-                    avgIlluminance: 500, // lux
-                    uniformity: 0.6,     // min/avg ratio
-                    ugr: 19,             // max UGR
-                    cri: 90              // min CRI
-                }
-            },
-            {
-                name: 'IES Handbook (North America)',
-                requirements: {
-                    avgIlluminance: 500, // lux
-                    uniformity: 0.7,     // min/avg ratio
-                    cri: 90              // min CRI
-                }
-            }
-        ]
-    },
-    outdoor: {
-        name: 'Outdoor Areas',
-        standards: [
-            {
-                name: 'EN 13201 (Europe)',
-                requirements: {
-                    avgIlluminance: 20,  // lux
-                    uniformity: 0.4,     // min/avg ratio
-                    cri: 70              // min CRI
-                }
-            },
-            {
-                name: 'IES RP-8 (North America)',
-                requirements: {
-                    avgIlluminance: 20,  // lux
-                    uniformity: 0.3,     // min/avg ratio
-                    cri: 70              // min CRI
-                }
-            }
-        ]
-    }
-};
+import { getAvailablePhotometry } from './luminaire-library.js';
+import { createPolarCandelaSVG, createConeDiagramSVG } from './visualization/charts.js';
+import { LIGHTING_STANDARDS } from './calculations/standards.js';
 
 /**
  * Generate a comprehensive lighting report
  * @param {Object} project - Project data
- * @param {Object} calculationResults - Calculation results
+ * @param {Object} calculationResults - Calculation results. Task areas keep the requirements
+ *   they were calculated with, so calculate with the same spaceType parameter.
  * @param {string} spaceType - Space type for standards (e.g., 'offices', 'industrial')
  * @returns {Object} - Report data
  */
@@ -192,12 +59,12 @@ function analyzeCompliance(results, spaceType) {
     };
     
     // If space type isn't in our standards, return empty analysis
-    if (!lightingStandards[spaceType]) {
+    if (!LIGHTING_STANDARDS[spaceType]) {
         return compliance;
     }
     
-    const standards = lightingStandards[spaceType].standards;
-    compliance.spaceTypeName = lightingStandards[spaceType].name;
+    const standards = LIGHTING_STANDARDS[spaceType].standards;
+    compliance.spaceTypeName = LIGHTING_STANDARDS[spaceType].name;
     
     // Check each standard
     standards.forEach(standard => {
@@ -208,8 +75,33 @@ function analyzeCompliance(results, spaceType) {
             metrics: []
         };
         
+        // EN 12464-1 evaluates each task area, its immediate surrounding and the
+        // background against their own requirements instead of the whole room.
+        // The calculation sets those requirements, raised to the space type's
+        // minimum when it was given the space type.
+        const taskAreas = standard.name.startsWith('EN 12464-1') ? (results.taskAreas || []) : [];
+        
+        taskAreas.forEach(taskArea => {
+            taskArea.zones.forEach(zone => {
+                standardCompliance.metrics.push({
+                    name: `${taskArea.name}: ${zone.label} Em`,
+                    check: `${zone.zone} Em`,
+                    required: `≥ ${zone.required.average} lx`,
+                    actual: `${zone.average} lx`,
+                    compliant: zone.average >= zone.required.average
+                });
+                standardCompliance.metrics.push({
+                    name: `${taskArea.name}: ${zone.label} Uo`,
+                    check: `${zone.zone} Uo`,
+                    required: `≥ ${zone.required.uniformity}`,
+                    actual: zone.uniformity,
+                    compliant: parseFloat(zone.uniformity) >= zone.required.uniformity
+                });
+            });
+        });
+        
         // Check average illuminance
-        if (requirements.avgIlluminance) {
+        if (requirements.avgIlluminance && taskAreas.length === 0) {
             const avgIlluminanceCompliant = results.average >= requirements.avgIlluminance;
             standardCompliance.metrics.push({
                 name: 'Average Illuminance',
@@ -220,12 +112,12 @@ function analyzeCompliance(results, spaceType) {
         }
         
         // Check uniformity
-        if (requirements.uniformity) {
-            const uniformityCompliant = results.uniformity >= requirements.uniformity;
+        if (requirements.uniformity && taskAreas.length === 0) {
+            const uniformityCompliant = parseFloat(results.uniformity) >= requirements.uniformity;
             standardCompliance.metrics.push({
                 name: 'Uniformity (Min/Avg)',
                 required: `≥ ${requirements.uniformity}`,
-                actual: results.uniformity.toFixed(2),
+                actual: parseFloat(results.uniformity).toFixed(2),
                 compliant: uniformityCompliant
             });
         }
@@ -387,7 +279,22 @@ function generateRecommendations(report) {
             nonCompliantMetrics.forEach(metric => {
                 let recommendation = '';
                 
-                switch (metric.name) {
+                // Task area zone metrics are named after their area, so they match on the check
+                switch (metric.check || metric.name) {
+                    case 'task Em':
+                        recommendation = `Increase the task illuminance (${metric.name}) to meet ${standard.name} requirement of ${metric.required}. Consider placing luminaires over the task area, increasing luminaire output, or adding task lighting.`;
+                        break;
+                    case 'task Uo':
+                        recommendation = `Improve uniformity on the task area (${metric.name}) to meet ${standard.name} requirement of ${metric.required}. Consider centring luminaires on the task area, using luminaires with wider distribution, or removing shadows cast by obstructions.`;
+                        break;
+                    case 'surrounding Em':
+                    case 'background Em':
+                        recommendation = `Increase illuminance around the task area (${metric.name}) to meet ${standard.name} requirement of ${metric.required}. Consider extending the luminaire layout beyond the task area or using luminaires with wider distribution.`;
+                        break;
+                    case 'surrounding Uo':
+                    case 'background Uo':
+                        recommendation = `Improve uniformity around the task area (${metric.name}) to meet ${standard.name} requirement of ${metric.required}. Consider adjusting luminaire spacing so the area around the task is not left in darker bands.`;
+                        break;
                     case 'Average Illuminance':
                         recommendation = `Increase illuminance levels to meet ${standard.name} requirement of ${metric.required}. Consider adding more luminaires, increasing luminaire output, or changing luminaire distribution pattern.`;
                         break;
@@ -563,6 +470,10 @@ export function generateHTMLReport(report) {
                 .non-compliant {
                     color: #ff1744;
                 }
+                .radiosity-note {
+                    font-size: 14px;
+                    color: #666;
+                }
                 .recommendation {
                     background-color: #e3f2fd;
                     padding: 15px;
@@ -696,6 +607,7 @@ export function generateHTMLReport(report) {
     html += `
                     </tbody>
                 </table>
+                ${generateDistributionDiagrams(report)}
             </div>
             
             <div class="section">
@@ -714,7 +626,7 @@ export function generateHTMLReport(report) {
                         <div class="metric-name">Maximum Illuminance</div>
                     </div>
                     <div class="metric-card">
-                        <div class="metric-value">${report.calculationResults.uniformity.toFixed(2)}</div>
+                        <div class="metric-value">${parseFloat(report.calculationResults.uniformity).toFixed(2)}</div>
                         <div class="metric-name">Uniformity Ratio (Min/Avg)</div>
                     </div>
     `;
@@ -741,6 +653,7 @@ export function generateHTMLReport(report) {
     
     html += `
                 </div>
+                ${generateRadiosityNote(report.calculationResults.radiosity)}
             </div>
             
             <div class="section">
@@ -989,7 +902,7 @@ function generateSummaryTab(report) {
                     <div class="metric-name">Average Illuminance</div>
                 </div>
                 <div class="metric-card">
-                    <div class="metric-value">${report.calculationResults.uniformity.toFixed(2)}</div>
+                    <div class="metric-value">${parseFloat(report.calculationResults.uniformity).toFixed(2)}</div>
                     <div class="metric-name">Uniformity (Min/Avg)</div>
                 </div>
                 <div class="metric-card">
@@ -1001,6 +914,9 @@ function generateSummaryTab(report) {
                     <div class="metric-name">Fixture Count</div>
                 </div>
             </div>
+            ${generateRadiosityNote(report.calculationResults.radiosity)}
+            
+            ${generateDistributionDiagrams(report)}
             
             <h3>Compliance Summary</h3>
             <div class="compliance-summary">
@@ -1027,6 +943,54 @@ function generateSummaryTab(report) {
     `;
 }
 
+/**
+ * Generate the note on the inter-reflection solution, flagged when it did not converge
+ * @param {Object} radiosity - Solution {iterations, converged, residual, tolerance, patchCount}
+ * @returns {string} - HTML content, empty for results without a radiosity solution
+ */
+function generateRadiosityNote(radiosity) {
+    if (!radiosity) {
+        return '';
+    }
+    
+    const percent = value => Number.isFinite(value) ? `${(value * 100).toPrecision(2)}%` : '-';
+    
+    return `
+        <p class="radiosity-note ${radiosity.converged ? '' : 'non-compliant'}">
+            Inter-reflections ${radiosity.converged ? 'converged' : 'did not converge'} after
+            ${radiosity.iterations} iterations over ${radiosity.patchCount} patches
+            (change ${percent(radiosity.residual)}, tolerance ${percent(radiosity.tolerance)}).
+            ${radiosity.converged ? '' : 'Indirect illuminance may be too low.'}
+        </p>
+    `;
+}
+
+/**
+ * Generate polar candela and cone diagrams for the luminaires with photometry
+ * @param {Object} report - Report data
+ * @returns {string} - HTML content, empty when no photometry is available
+ */
+function generateDistributionDiagrams(report) {
+    const figures = report.luminaireInfo
+        .map(luminaire => ({ luminaire: luminaire, photometry: getAvailablePhotometry(luminaire) }))
+        .filter(item => item.photometry);
+    
+    if (figures.length === 0) {
+        return '';
+    }
+    
+    return `
+        <h3>Light Distribution</h3>
+        ${figures.map(item => `
+            <div class="distribution-diagrams">
+                <h4>${item.luminaire.name}</h4>
+                ${createPolarCandelaSVG(item.photometry, { width: 320, height: 320 })}
+                ${createConeDiagramSVG(item.photometry, { width: 320, height: 240 })}
+            </div>
+        `).join('')}
+    `;
+}
+
 /**
  * Generate compliance tab content
  * @param {Object} report - Report data
@@ -0,0 +1,178 @@
+/**
+ * CalQLux - Surface Editor Module
+ * Table of the calculation surfaces: walls, tilted planes and task areas
+ */
+
+import { SURFACE_PRESETS } from './calculations/surfaces.js';
+
+// Editable fields in table order: [field, label, step]
+const FIELDS = [
+    ['x', 'X (m)', 0.1],
+    ['y', 'Y (m)', 0.1],
+    ['z', 'Z (m)', 0.1],
+    ['length', 'Length (m)', 0.1],
+    ['width', 'Width (m)', 0.1],
+    ['rotation', 'Rotation (°)', 15],
+    ['tilt', 'Tilt (°)', 15],
+    ['spacing', 'Grid (m)', 0.05],
+    ['offset', 'Edge (m)', 0.05],
+    ['target', 'Target (lx)', 10],
+    ['minUniformity', 'Min Uo', 0.05]
+];
+
+/**
+ * Create the calculation surface editor
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - {getRoom, getWorkplaneHeight, surfaces, onChange} where getRoom
+ *   returns the room {length, width, height} and getWorkplaneHeight the work plane height,
+ *   both in meters, and onChange is called with the surfaces after every edit
+ * @returns {Object} - Editor {getSurfaces, setSurfaces}
+ */
+export function createSurfaceEditor(container, options = {}) {
+    const { getRoom, getWorkplaneHeight = () => 0.8, onChange = () => {} } = options;
+    
+    let surfaces = (options.surfaces || []).map(surface => ({ ...surface }));
+    
+    container.innerHTML = `
+        <div class="surface-table-container">
+            <table class="obstruction-table surface-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th title="Evaluate as an EN 12464-1 task area">Task</th>
+                        ${FIELDS.map(([, label]) => `<th>${label}</th>`).join('')}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+        <p class="layout-hint surface-empty">No calculation surfaces. Only the horizontal work plane is calculated.</p>
+        <p class="layout-hint">Tilt 0° faces up, 90° is vertical. Rotation turns the length axis; a surface faces to the right of it.</p>
+        <p class="layout-hint">Task areas also get a 0.5 m immediate surrounding and a 3 m background, evaluated on the horizontal plane at their height.</p>
+        <div class="layout-actions">
+            <button type="button" class="btn-secondary" data-add="task">Add Task Area</button>
+            <button type="button" class="btn-secondary" data-add="wall">Add Wall</button>
+            <button type="button" class="btn-secondary" data-add="tilted">Add Tilted Plane</button>
+        </div>
+    `;
+    
+    const table = container.querySelector('.surface-table');
+    const body = table.querySelector('tbody');
+    const empty = container.querySelector('.surface-empty');
+    
+    const changed = () => {
+        onChange(getSurfaces());
+    };
+    
+    function render() {
+        body.innerHTML = '';
+        
+        surfaces.forEach(surface => {
+            const row = document.createElement('tr');
+            
+            row.innerHTML = `
+                <td><input type="text" data-field="name"></td>
+                <td><input type="checkbox" data-field="task" ${surface.task ? 'checked' : ''}></td>
+                ${FIELDS.map(([field, , step]) =>
+                    `<td><input type="number" data-field="${field}" step="${step}" value="${surface[field]}"></td>`
+                ).join('')}
+                <td><button type="button" class="btn-secondary" data-action="remove">Remove</button></td>
+            `;
+            
+            // Set as a property so names need no escaping
+            row.querySelector('[data-field="name"]').value = surface.name;
+            
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.dataset.field;
+                    const value = parseFloat(input.value);
+                    
+                    if (field === 'name') {
+                        surface.name = input.value.trim() || surface.id;
+                    } else if (field === 'task') {
+                        surface.task = input.checked;
+                    } else if (Number.isFinite(value)) {
+                        surface[field] = value;
+                    }
+                    
+                    changed();
+                });
+            });
+            
+            row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                surfaces = surfaces.filter(item => item !== surface);
+                render();
+                changed();
+            });
+            
+            body.appendChild(row);
+        });
+        
+        table.style.display = surfaces.length > 0 ? '' : 'none';
+        empty.style.display = surfaces.length > 0 ? 'none' : '';
+    }
+    
+    container.querySelectorAll('[data-add]').forEach(button => {
+        button.addEventListener('click', () => {
+            const room = getRoom();
+            const preset = button.dataset.add;
+            const centre = { x: Math.round(room.length * 5) / 10, y: Math.round(room.width * 5) / 10 };
+            let position;
+            
+            if (preset === 'wall') {
+                // The wall at y = 0, facing into the room
+                position = { x: centre.x, y: 0, z: room.height / 2, length: room.length, width: room.height };
+            } else if (preset === 'tilted') {
+                position = { ...centre, z: getWorkplaneHeight() + 0.1 };
+            } else {
+                position = { ...centre, z: getWorkplaneHeight() };
+            }
+            
+            const id = createSurfaceId();
+            
+            surfaces.push({
+                id: id,
+                ...SURFACE_PRESETS[preset],
+                ...position,
+                name: `${SURFACE_PRESETS[preset].name} ${id}`
+            });
+            
+            render();
+            changed();
+        });
+    });
+    
+    /**
+     * Get a copy of the surfaces
+     * @returns {Array} - Surfaces {id, name, task, x, y, z, length, width, rotation, tilt, spacing,
+     *   offset, target, minUniformity}
+     */
+    function getSurfaces() {
+        return surfaces.map(surface => ({ ...surface }));
+    }
+    
+    /**
+     * Replace the surfaces
+     * @param {Array} list - Surfaces {id, name, task, x, y, z, length, width, rotation, tilt, spacing,
+     *   offset, target, minUniformity}
+     */
+    function setSurfaces(list) {
+        surfaces = list.map(surface => ({ ...surface, id: surface.id || createSurfaceId() }));
+        render();
+    }
+    
+    const createSurfaceId = () => {
+        let index = surfaces.length + 1;
+        
+        while (surfaces.some(surface => surface.id === `S${index}`)) {
+            index++;
+        }
+        
+        return `S${index}`;
+    };
+    
+    render();
+    
+    return { getSurfaces, setSurfaces };
+}
@@ -132,9 +132,6 @@ function initFormControls(appState) {
     // Initialize range inputs
     initRangeInputs();
     
-    // Initialize custom luminaire layout controls
-    initLuminaireLayoutControls();
-    
     // Initialize material reflectance controls
     initReflectanceControls();
 }
@@ -209,55 +206,6 @@ function initRangeInputs() {
     });
 }
 
-/**
- * Initialize luminaire layout controls
- */
-function initLuminaireLayoutControls() {
-    const layoutSelect = document.getElementById('luminaire-layout');
-    const rowsInput = document.getElementById('luminaire-rows');
-    const columnsInput = document.getElementById('luminaire-columns');
-    
-    if (layoutSelect && rowsInput && columnsInput) {
-        // Set initial state
-        const customLayout = layoutSelect.value === 'custom';
-        rowsInput.disabled = !customLayout;
-        columnsInput.disabled = !customLayout;
-        
-        // Update on change
-        layoutSelect.addEventListener('change', () => {
-            const custom = layoutSelect.value === 'custom';
-            rowsInput.disabled = !custom;
-            columnsInput.disabled = !custom;
-            
-            // Update values for preset layouts
-            if (!custom) {
-                switch (layoutSelect.value) {
-                    case 'single':
-                        rowsInput.value = 1;
-                        columnsInput.value = 1;
-                        break;
-                    case '2x2':
-                        rowsInput.value = 2;
-                        columnsInput.value = 2;
-                        break;
-                    case '3x3':
-                        rowsInput.value = 3;
-                        columnsInput.value = 3;
-                        break;
-                    case '3x4':
-                        rowsInput.value = 3;
-                        columnsInput.value = 4;
-                        break;
-                    case '4x4':
-                        rowsInput.value = 4;
-                        columnsInput.value = 4;
-                        break;
-                }
-            }
-        });
-    }
-}
-
 /**
  * Initialize reflectance controls with presets
  */
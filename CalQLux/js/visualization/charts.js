@@ -3,6 +3,8 @@
  * Functions for creating data visualizations for lighting results
  */
 
+import { calculatePlaneCurves, calculateLightCone } from '../calculations/photometry.js';
+
 /**
  * Initialize charts module
  * @param {Object} appState - Application state
@@ -31,8 +33,11 @@ export function renderIlluminanceHeatmap(illuminanceGrid, canvas, options = {})
         
         for (let y = 0; y < illuminanceGrid.length; y++) {
             for (let x = 0; x < illuminanceGrid[y].length; x++) {
-                min = Math.min(min, illuminanceGrid[y][x]);
-                max = Math.max(max, illuminanceGrid[y][x]);
+                // Points outside the room are null
+                if (illuminanceGrid[y][x] !== null) {
+                    min = Math.min(min, illuminanceGrid[y][x]);
+                    max = Math.max(max, illuminanceGrid[y][x]);
+                }
             }
         }
     }
@@ -52,6 +57,11 @@ export function renderIlluminanceHeatmap(illuminanceGrid, canvas, options = {})
     for (let y = 0; y < illuminanceGrid.length; y++) {
         for (let x = 0; x < illuminanceGrid[y].length; x++) {
             const value = illuminanceGrid[y][x];
+            
+            if (value === null) {
+                continue;
+            }
+            
             const color = getHeatmapColor(value, min, max);
             
             ctx.fillStyle = color;
@@ -88,6 +98,10 @@ export function renderIlluminanceHeatmap(illuminanceGrid, canvas, options = {})
         
         for (let y = 0; y < illuminanceGrid.length; y++) {
             for (let x = 0; x < illuminanceGrid[y].length; x++) {
+                if (illuminanceGrid[y][x] === null) {
+                    continue;
+                }
+                
                 const value = Math.round(illuminanceGrid[y][x]);
                 const centerX = x * cellWidth + cellWidth / 2;
                 const centerY = y * cellHeight + cellHeight / 2;
@@ -176,8 +190,11 @@ export function renderIsolines(illuminanceGrid, canvas, options = {}) {
         
         for (let y = 0; y < illuminanceGrid.length; y++) {
             for (let x = 0; x < illuminanceGrid[y].length; x++) {
-                min = Math.min(min, illuminanceGrid[y][x]);
-                max = Math.max(max, illuminanceGrid[y][x]);
+                // Points outside the room are null
+                if (illuminanceGrid[y][x] !== null) {
+                    min = Math.min(min, illuminanceGrid[y][x]);
+                    max = Math.max(max, illuminanceGrid[y][x]);
+                }
             }
         }
     }
@@ -223,6 +240,11 @@ export function renderIsolines(illuminanceGrid, canvas, options = {}) {
                 const z3 = illuminanceGrid[y + 1][x + 1];
                 const z4 = illuminanceGrid[y + 1][x];
                 
+                // Cells reaching outside the room have no contour
+                if (z1 === null || z2 === null || z3 === null || z4 === null) {
+                    continue;
+                }
+                
                 // Check if contour passes through this cell
                 if ((z1 <= level && level <= z2) || (z2 <= level && level <= z1) || 
                     (z2 <= level && level <= z3) || (z3 <= level && level <= z2) || 
@@ -280,8 +302,11 @@ export function renderIlluminanceHistogram(illuminanceGrid, canvas, options = {}
         
         for (let y = 0; y < illuminanceGrid.length; y++) {
             for (let x = 0; x < illuminanceGrid[y].length; x++) {
-                min = Math.min(min, illuminanceGrid[y][x]);
-                max = Math.max(max, illuminanceGrid[y][x]);
+                // Points outside the room are null
+                if (illuminanceGrid[y][x] !== null) {
+                    min = Math.min(min, illuminanceGrid[y][x]);
+                    max = Math.max(max, illuminanceGrid[y][x]);
+                }
             }
         }
     }
@@ -304,6 +329,11 @@ export function renderIlluminanceHistogram(illuminanceGrid, canvas, options = {}
     for (let y = 0; y < illuminanceGrid.length; y++) {
         for (let x = 0; x < illuminanceGrid[y].length; x++) {
             const value = illuminanceGrid[y][x];
+            
+            if (value === null) {
+                continue;
+            }
+            
             const binIndex = Math.min(binCount - 1, Math.floor((value - min) / binSize));
             bins[binIndex]++;
         }
@@ -450,4 +480,490 @@ export function createColorScale(container, min, max, options = {}) {
         
         container.appendChild(labelsContainer);
     }
+}
+
+/**
+ * Colors for the C-planes in polar plots
+ */
+const PLANE_COLORS = {
+    0: '#2962ff',
+    90: '#eb3b3b',
+    180: '#2ecc71',
+    270: '#f39c12'
+};
+
+/**
+ * Colors for the luminaires in comparison plots
+ */
+const COMPARISON_COLORS = ['#2196f3', '#ff9800', '#4caf50', '#f44336'];
+
+/**
+ * Render a polar candela plot to a canvas
+ * @param {Object} photometry - Parsed photometric data
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Object} options - Rendering options (planes, title)
+ */
+export function renderPolarCandelaPlot(photometry, canvas, options = {}) {
+    // Set canvas dimensions
+    canvas.width = canvas.clientWidth || canvas.width;
+    canvas.height = canvas.clientHeight || canvas.height;
+    
+    const shapes = layoutPolarCandelaPlot(photometry, canvas.width, canvas.height, options);
+    drawShapesToCanvas(canvas.getContext('2d'), shapes, canvas.width, canvas.height);
+}
+
+/**
+ * Create a polar candela plot as SVG markup
+ * @param {Object} photometry - Parsed photometric data
+ * @param {Object} options - Rendering options (width, height, planes, title)
+ * @returns {string} - SVG document
+ */
+export function createPolarCandelaSVG(photometry, options = {}) {
+    const width = options.width || 400;
+    const height = options.height || 400;
+    
+    return shapesToSVG(layoutPolarCandelaPlot(photometry, width, height, options), width, height);
+}
+
+/**
+ * Render polar curves of several luminaires on one plot
+ * @param {Array} series - Luminaires to overlay {photometry, label}
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Object} options - Rendering options (title)
+ */
+export function renderPolarComparisonPlot(series, canvas, options = {}) {
+    // Set canvas dimensions
+    canvas.width = canvas.clientWidth || canvas.width;
+    canvas.height = canvas.clientHeight || canvas.height;
+    
+    const shapes = layoutPolarComparisonPlot(series, canvas.width, canvas.height, options);
+    drawShapesToCanvas(canvas.getContext('2d'), shapes, canvas.width, canvas.height);
+}
+
+/**
+ * Create an overlaid polar plot of several luminaires as SVG markup
+ * @param {Array} series - Luminaires to overlay {photometry, label}
+ * @param {Object} options - Rendering options (width, height, title)
+ * @returns {string} - SVG document
+ */
+export function createPolarComparisonSVG(series, options = {}) {
+    const width = options.width || 400;
+    const height = options.height || 440;
+    
+    return shapesToSVG(layoutPolarComparisonPlot(series, width, height, options), width, height);
+}
+
+/**
+ * Render a cone-of-light diagram to a canvas
+ * @param {Object} photometry - Parsed photometric data
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Object} options - Rendering options (heights in meters, title)
+ */
+export function renderConeDiagram(photometry, canvas, options = {}) {
+    // Set canvas dimensions
+    canvas.width = canvas.clientWidth || canvas.width;
+    canvas.height = canvas.clientHeight || canvas.height;
+    
+    const shapes = layoutConeDiagram(photometry, canvas.width, canvas.height, options);
+    drawShapesToCanvas(canvas.getContext('2d'), shapes, canvas.width, canvas.height);
+}
+
+/**
+ * Create a cone-of-light diagram as SVG markup
+ * @param {Object} photometry - Parsed photometric data
+ * @param {Object} options - Rendering options (width, height, heights in meters, title)
+ * @returns {string} - SVG document
+ */
+export function createConeDiagramSVG(photometry, options = {}) {
+    const width = options.width || 400;
+    const height = options.height || 300;
+    
+    return shapesToSVG(layoutConeDiagram(photometry, width, height, options), width, height);
+}
+
+/**
+ * Lay out a polar candela plot. Nadir points down; C0 and C90 are drawn on
+ * the right half and C180 and C270 on the left, as in catalog polar curves.
+ * @param {Object} photometry - Parsed photometric data
+ * @param {number} width - Drawing width in pixels
+ * @param {number} height - Drawing height in pixels
+ * @param {Object} options - Rendering options
+ * @returns {Array} - Shapes to draw
+ */
+function layoutPolarCandelaPlot(photometry, width, height, options) {
+    const planes = options.planes || [0, 90, 180, 270];
+    const curves = calculatePlaneCurves(photometry, planes);
+    const shapes = [];
+    
+    const titleHeight = options.title ? 20 : 0;
+    const legendHeight = 20;
+    const radius = Math.max(10, Math.min(width, height - titleHeight - legendHeight) / 2 - 20);
+    const centerX = width / 2;
+    const centerY = titleHeight + (height - titleHeight - legendHeight) / 2;
+    
+    // Round the scale up to a tidy number of candelas
+    const peak = Math.max(1, ...curves.map(curve => Math.max(...curve.values)));
+    const scaleMax = niceCeiling(peak);
+    
+    if (options.title) {
+        shapes.push({ type: 'text', x: width / 2, y: 4, text: options.title, size: 14, align: 'center', baseline: 'top' });
+    }
+    
+    layoutPolarGrid(shapes, centerX, centerY, radius, scaleMax);
+    
+    // One curve per plane, each on its own half of the diagram
+    curves.forEach(curve => {
+        const plane = ((curve.plane % 360) + 360) % 360;
+        
+        shapes.push({
+            type: 'line',
+            points: getPolarPoints(curve, centerX, centerY, radius, scaleMax),
+            stroke: PLANE_COLORS[plane] || '#333',
+            width: 2
+        });
+    });
+    
+    // Legend along the bottom
+    const legendWidth = 60;
+    let legendX = width / 2 - curves.length * legendWidth / 2;
+    const legendY = height - legendHeight / 2;
+    
+    curves.forEach(curve => {
+        const plane = ((curve.plane % 360) + 360) % 360;
+        
+        shapes.push({ type: 'line', points: [[legendX, legendY], [legendX + 16, legendY]], stroke: PLANE_COLORS[plane] || '#333', width: 2 });
+        shapes.push({ type: 'text', x: legendX + 20, y: legendY, text: `C${plane}`, size: 10, align: 'left', baseline: 'middle' });
+        legendX += legendWidth;
+    });
+    
+    shapes.push({ type: 'text', x: width - 4, y: height - 4, text: 'cd', size: 10, color: '#666', align: 'right', baseline: 'bottom' });
+    
+    return shapes;
+}
+
+/**
+ * Lay out overlaid polar curves of several luminaires. Each luminaire has
+ * its own color, with the C0-C180 plane solid and the C90-C270 plane dashed.
+ * @param {Array} series - Luminaires to overlay {photometry, label}
+ * @param {number} width - Drawing width in pixels
+ * @param {number} height - Drawing height in pixels
+ * @param {Object} options - Rendering options
+ * @returns {Array} - Shapes to draw
+ */
+function layoutPolarComparisonPlot(series, width, height, options) {
+    const curves = series.map(item => calculatePlaneCurves(item.photometry, [0, 180, 90, 270]));
+    const shapes = [];
+    
+    const titleHeight = options.title ? 20 : 0;
+    const legendRows = Math.ceil(series.length / 2) + 1;
+    const legendHeight = legendRows * 16 + 4;
+    const radius = Math.max(10, Math.min(width, height - titleHeight - legendHeight) / 2 - 20);
+    const centerX = width / 2;
+    const centerY = titleHeight + (height - titleHeight - legendHeight) / 2;
+    
+    // One scale for all luminaires so their intensities compare directly
+    const peak = Math.max(1, ...curves.flat().map(curve => Math.max(...curve.values)));
+    const scaleMax = niceCeiling(peak);
+    
+    if (options.title) {
+        shapes.push({ type: 'text', x: width / 2, y: 4, text: options.title, size: 14, align: 'center', baseline: 'top' });
+    }
+    
+    layoutPolarGrid(shapes, centerX, centerY, radius, scaleMax);
+    
+    curves.forEach((planeCurves, index) => {
+        const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+        
+        planeCurves.forEach(curve => {
+            shapes.push({
+                type: 'line',
+                points: getPolarPoints(curve, centerX, centerY, radius, scaleMax),
+                stroke: color,
+                width: 2,
+                dash: curve.plane % 180 === 0 ? null : [6, 4]
+            });
+        });
+    });
+    
+    // Legend: one entry per luminaire in two columns, then the line styles
+    const top = height - legendHeight + 4;
+    const columnWidth = width / 2;
+    const maxLabel = Math.max(8, Math.floor((columnWidth - 40) / 6));
+    
+    series.forEach((item, index) => {
+        const x = (index % 2) * columnWidth + 10;
+        const y = top + Math.floor(index / 2) * 16 + 8;
+        const label = item.label.length > maxLabel ? `${item.label.slice(0, maxLabel - 1)}…` : item.label;
+        
+        shapes.push({ type: 'line', points: [[x, y], [x + 16, y]], stroke: COMPARISON_COLORS[index % COMPARISON_COLORS.length], width: 2 });
+        shapes.push({ type: 'text', x: x + 20, y: y, text: label, size: 10, align: 'left', baseline: 'middle' });
+    });
+    
+    const styleY = top + (legendRows - 1) * 16 + 8;
+    
+    shapes.push({ type: 'line', points: [[10, styleY], [26, styleY]], stroke: '#666', width: 2 });
+    shapes.push({ type: 'text', x: 30, y: styleY, text: 'C0-C180', size: 10, color: '#666', align: 'left', baseline: 'middle' });
+    shapes.push({ type: 'line', points: [[90, styleY], [106, styleY]], stroke: '#666', width: 2, dash: [6, 4] });
+    shapes.push({ type: 'text', x: 110, y: styleY, text: 'C90-C270', size: 10, color: '#666', align: 'left', baseline: 'middle' });
+    shapes.push({ type: 'text', x: width - 4, y: height - 4, text: 'cd', size: 10, color: '#666', align: 'right', baseline: 'bottom' });
+    
+    return shapes;
+}
+
+/**
+ * Add the intensity rings and angle spokes of a polar plot
+ * @param {Array} shapes - Shapes to add to
+ * @param {number} centerX - Plot center x in pixels
+ * @param {number} centerY - Plot center y in pixels
+ * @param {number} radius - Plot radius in pixels
+ * @param {number} scaleMax - Intensity at the outer ring in candelas
+ */
+function layoutPolarGrid(shapes, centerX, centerY, radius, scaleMax) {
+    const rings = 4;
+    
+    // Intensity rings with labels along the vertical axis
+    for (let i = 1; i <= rings; i++) {
+        const r = radius * i / rings;
+        
+        shapes.push({ type: 'circle', x: centerX, y: centerY, r: r, stroke: '#ccc', width: 1 });
+        shapes.push({
+            type: 'text',
+            x: centerX + 3,
+            y: centerY + r - 2,
+            text: `${Math.round(scaleMax * i / rings)}`,
+            size: 9,
+            color: '#666',
+            align: 'left',
+            baseline: 'bottom'
+        });
+    }
+    
+    // Angle spokes every 30° on both sides of nadir
+    for (let angle = 0; angle <= 180; angle += 30) {
+        const rad = angle * Math.PI / 180;
+        
+        [1, -1].forEach(side => {
+            const x = centerX + side * radius * Math.sin(rad);
+            const y = centerY + radius * Math.cos(rad);
+            
+            shapes.push({ type: 'line', points: [[centerX, centerY], [x, y]], stroke: '#ddd', width: 1 });
+            
+            if (side === 1 || (angle > 0 && angle < 180)) {
+                shapes.push({
+                    type: 'text',
+                    x: centerX + side * (radius + 10) * Math.sin(rad),
+                    y: centerY + (radius + 10) * Math.cos(rad),
+                    text: `${angle}°`,
+                    size: 9,
+                    color: '#666',
+                    align: 'center',
+                    baseline: 'middle'
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Points of a plane curve in a polar plot. Planes below C180 are drawn on
+ * the right half and the rest on the left.
+ * @param {Object} curve - Plane curve {plane, angles, values}
+ * @param {number} centerX - Plot center x in pixels
+ * @param {number} centerY - Plot center y in pixels
+ * @param {number} radius - Plot radius in pixels
+ * @param {number} scaleMax - Intensity at the outer ring in candelas
+ * @returns {Array} - Points [x, y]
+ */
+function getPolarPoints(curve, centerX, centerY, radius, scaleMax) {
+    const plane = ((curve.plane % 360) + 360) % 360;
+    const side = plane < 180 ? 1 : -1;
+    
+    return curve.angles.map((angle, i) => {
+        const r = radius * curve.values[i] / scaleMax;
+        const rad = angle * Math.PI / 180;
+        return [centerX + side * r * Math.sin(rad), centerY + r * Math.cos(rad)];
+    });
+}
+
+/**
+ * Lay out a cone-of-light diagram with beam diameter and centre-beam
+ * illuminance at each distance
+ * @param {Object} photometry - Parsed photometric data
+ * @param {number} width - Drawing width in pixels
+ * @param {number} height - Drawing height in pixels
+ * @param {Object} options - Rendering options
+ * @returns {Array} - Shapes to draw
+ */
+function layoutConeDiagram(photometry, width, height, options) {
+    const cone = calculateLightCone(photometry, options.heights);
+    const shapes = [];
+    
+    const top = options.title ? 40 : 20;
+    const bottom = height - 10;
+    const maxHeight = Math.max(...cone.levels.map(level => level.height));
+    
+    if (options.title) {
+        shapes.push({ type: 'text', x: width / 2, y: 4, text: options.title, size: 14, align: 'center', baseline: 'top' });
+    }
+    
+    shapes.push({
+        type: 'text',
+        x: width / 2,
+        y: top - 4,
+        text: `Beam angle ${cone.beamAngle}° · ${Math.round(cone.centerIntensity)} cd`,
+        size: 10,
+        color: '#666',
+        align: 'center',
+        baseline: 'bottom'
+    });
+    
+    if (cone.beamAngle <= 0) {
+        shapes.push({ type: 'text', x: width / 2, y: height / 2, text: 'No downward beam', size: 12, align: 'center', baseline: 'middle' });
+        return shapes;
+    }
+    
+    // The cone is drawn in the middle third, leaving room for labels on either side.
+    // Very wide beams are clipped to that column.
+    const apexX = width / 2;
+    const verticalScale = (bottom - top) / maxHeight;
+    const halfColumn = width / 6;
+    const slope = Math.min(Math.tan(Math.min(cone.beamAngle, 179) / 2 * Math.PI / 180),
+        halfColumn / (bottom - top));
+    
+    shapes.push({
+        type: 'polygon',
+        points: [[apexX, top], [apexX + slope * (bottom - top), bottom], [apexX - slope * (bottom - top), bottom]],
+        fill: 'rgba(241, 196, 15, 0.35)',
+        stroke: '#f1c40f',
+        width: 1
+    });
+    
+    cone.levels.forEach(level => {
+        const y = top + level.height * verticalScale;
+        const halfWidth = slope * (y - top);
+        
+        shapes.push({ type: 'line', points: [[apexX - halfWidth, y], [apexX + halfWidth, y]], stroke: '#333', width: 1 });
+        shapes.push({
+            type: 'text',
+            x: apexX - halfColumn - 6,
+            y: y,
+            text: `${level.height} m`,
+            size: 10,
+            align: 'right',
+            baseline: 'middle'
+        });
+        shapes.push({
+            type: 'text',
+            x: apexX + halfColumn + 6,
+            y: y,
+            text: `Ø ${Number.isFinite(level.diameter) ? level.diameter.toFixed(2) + ' m' : '-'} · ${Math.round(level.illuminance)} lx`,
+            size: 10,
+            align: 'left',
+            baseline: 'middle'
+        });
+    });
+    
+    return shapes;
+}
+
+/**
+ * Draw laid-out shapes to a canvas context
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} shapes - Shapes from a layout function
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawShapesToCanvas(ctx, shapes, width, height) {
+    ctx.clearRect(0, 0, width, height);
+    
+    shapes.forEach(shape => {
+        ctx.lineWidth = shape.width || 1;
+        ctx.strokeStyle = shape.stroke || '#333';
+        ctx.setLineDash(shape.dash || []);
+        
+        switch (shape.type) {
+            case 'circle':
+                ctx.beginPath();
+                ctx.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            case 'line':
+            case 'polygon':
+                ctx.beginPath();
+                shape.points.forEach(([x, y], i) => {
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                
+                if (shape.type === 'polygon') {
+                    ctx.closePath();
+                    ctx.fillStyle = shape.fill;
+                    ctx.fill();
+                }
+                
+                ctx.stroke();
+                break;
+            case 'text':
+                ctx.fillStyle = shape.color || '#333';
+                ctx.font = `${shape.size || 12}px Arial`;
+                ctx.textAlign = shape.align || 'left';
+                ctx.textBaseline = shape.baseline || 'alphabetic';
+                ctx.fillText(shape.text, shape.x, shape.y);
+                break;
+        }
+    });
+}
+
+/**
+ * Convert laid-out shapes to an SVG document
+ * @param {Array} shapes - Shapes from a layout function
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @returns {string} - SVG markup
+ */
+function shapesToSVG(shapes, width, height) {
+    const anchors = { left: 'start', center: 'middle', right: 'end' };
+    const baselines = { top: 'hanging', middle: 'central', bottom: 'text-after-edge', alphabetic: 'auto' };
+    const round = value => Math.round(value * 10) / 10;
+    const points = list => list.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    
+    const elements = shapes.map(shape => {
+        const dash = shape.dash ? ` stroke-dasharray="${shape.dash.join(' ')}"` : '';
+        const stroke = `stroke="${shape.stroke || '#333'}" stroke-width="${shape.width || 1}"${dash}`;
+        
+        switch (shape.type) {
+            case 'circle':
+                return `<circle cx="${round(shape.x)}" cy="${round(shape.y)}" r="${round(shape.r)}" fill="none" ${stroke}/>`;
+            case 'line':
+                return `<polyline points="${points(shape.points)}" fill="none" ${stroke}/>`;
+            case 'polygon':
+                return `<polygon points="${points(shape.points)}" fill="${shape.fill}" ${stroke}/>`;
+            case 'text':
+                return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-family="Arial" ` +
+                    `font-size="${shape.size || 12}" fill="${shape.color || '#333'}" ` +
+                    `text-anchor="${anchors[shape.align || 'left']}" ` +
+                    `dominant-baseline="${baselines[shape.baseline || 'alphabetic']}">${escape(shape.text)}</text>`;
+            default:
+                return '';
+        }
+    });
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+        `viewBox="0 0 ${width} ${height}">\n${elements.join('\n')}\n</svg>`;
+}
+
+/**
+ * Round a value up to 1, 2 or 5 times a power of ten
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function niceCeiling(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+    
+    return step * magnitude;
 }
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Functions for creating diagrams and 3D visualizations
  */
 
+import { getObstructionBoxes } from '../calculations/obstructions.js';
+
 /**
  * Initialize diagrams module
  * @param {Object} appState - Application state
@@ -72,8 +74,11 @@ function drawSimple3DVisualization(ctx, width, height, illuminanceGrid, roomConf
     
     for (let y = 0; y < gridHeight; y++) {
         for (let x = 0; x < gridWidth; x++) {
-            min = Math.min(min, illuminanceGrid[y][x]);
-            max = Math.max(max, illuminanceGrid[y][x]);
+            // Points outside the room are null
+            if (illuminanceGrid[y][x] !== null) {
+                min = Math.min(min, illuminanceGrid[y][x]);
+                max = Math.max(max, illuminanceGrid[y][x]);
+            }
         }
     }
     
@@ -91,6 +96,11 @@ function drawSimple3DVisualization(ctx, width, height, illuminanceGrid, roomConf
         for (let x = 0; x < gridWidth; x++) {
             // Get illuminance value and calculate height
             const value = illuminanceGrid[y][x];
+            
+            if (value === null) {
+                continue;
+            }
+            
             const normalizedValue = (value - min) / (max - min);
             const barHeight = normalizedValue * maxBarHeight;
             
@@ -209,8 +219,10 @@ function drawLegend(ctx, width, height, min, max) {
  * Render room layout with luminaires
  * @param {HTMLCanvasElement} canvas - Canvas element
  * @param {Object} roomConfig - Room configuration
- * @param {Array} luminaires - Array of luminaires
- * @param {Object} options - Rendering options
+ * @param {Array} luminaires - Array of luminaires {x, y, type, rotation, aim, label}
+ * @param {Object} options - Rendering options (showGrid, gridSpacing, showCoordinates,
+ *   showLegend, selectedId)
+ * @returns {Object} - Transform {scale, offsetX, offsetY} from room meters to canvas pixels
  */
 export function renderRoomLayout(canvas, roomConfig, luminaires, options = {}) {
     const ctx = canvas.getContext('2d');
@@ -230,16 +242,42 @@ export function renderRoomLayout(canvas, roomConfig, luminaires, options = {}) {
     const offsetX = (canvas.width - roomConfig.length * scale) / 2;
     const offsetY = (canvas.height - roomConfig.width * scale) / 2;
     
-    // Draw room outline
+    // Draw room outline; shaped rooms give their floor plan (outline and cores) in meters
+    const outline = roomConfig.outline || [
+        { x: 0, y: 0 },
+        { x: roomConfig.length, y: 0 },
+        { x: roomConfig.length, y: roomConfig.width },
+        { x: 0, y: roomConfig.width }
+    ];
+    const traceRoom = () => {
+        ctx.beginPath();
+        
+        [outline, ...(roomConfig.holes || [])].forEach(ring => {
+            ring.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(offsetX + point.x * scale, offsetY + point.y * scale);
+                } else {
+                    ctx.lineTo(offsetX + point.x * scale, offsetY + point.y * scale);
+                }
+            });
+            ctx.closePath();
+        });
+    };
+    
+    traceRoom();
     ctx.fillStyle = '#f5f5f5';
-    ctx.fillRect(offsetX, offsetY, roomConfig.length * scale, roomConfig.width * scale);
+    ctx.fill('evenodd');
     
     ctx.strokeStyle = '#333';
     ctx.lineWidth = 2;
-    ctx.strokeRect(offsetX, offsetY, roomConfig.length * scale, roomConfig.width * scale);
+    ctx.stroke();
     
-    // Draw grid
+    // Draw grid, inside the floor plan only
     if (options.showGrid) {
+        ctx.save();
+        traceRoom();
+        ctx.clip('evenodd');
+        
         const gridSpacing = options.gridSpacing || 1; // meters
         
         ctx.strokeStyle = '#ddd';
@@ -260,11 +298,18 @@ export function renderRoomLayout(canvas, roomConfig, luminaires, options = {}) {
             ctx.lineTo(offsetX + roomConfig.length * scale, offsetY + y * scale);
             ctx.stroke();
         }
+        
+        ctx.restore();
     }
     
+    // Draw obstructions (meters, as in the room model) under the luminaires
+    getObstructionBoxes(roomConfig.obstructions).forEach(box => {
+        drawObstruction(ctx, box, offsetX, offsetY, scale);
+    });
+    
     // Draw luminaires
     luminaires.forEach((luminaire) => {
-        drawLuminaire(ctx, luminaire, offsetX, offsetY, scale);
+        drawLuminaire(ctx, luminaire, offsetX, offsetY, scale, luminaire.id !== undefined && luminaire.id === options.selectedId);
     });
     
     // Draw coordinate system
@@ -276,6 +321,44 @@ export function renderRoomLayout(canvas, roomConfig, luminaires, options = {}) {
     if (options.showLegend) {
         drawLuminaireLegend(ctx, canvas.width, canvas.height, luminaires);
     }
+    
+    return { scale, offsetX, offsetY };
+}
+
+/**
+ * Draw the footprint of an obstruction on the canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} box - Box from getObstructionBoxes
+ * @param {number} offsetX - X offset
+ * @param {number} offsetY - Y offset
+ * @param {number} scale - Scale factor
+ */
+function drawObstruction(ctx, box, offsetX, offsetY, scale) {
+    ctx.save();
+    ctx.translate(offsetX + box.x * scale, offsetY + box.y * scale);
+    ctx.rotate(Math.atan2(box.sin, box.cos));
+    
+    // Panels are drawn at least 2 px thick so they stay visible
+    const length = 2 * box.halfLength * scale;
+    const width = Math.max(2 * box.halfWidth * scale, 2);
+    
+    ctx.fillStyle = 'rgba(120, 120, 120, 0.6)';
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.fillRect(-length / 2, -width / 2, length, width);
+    ctx.strokeRect(-length / 2, -width / 2, length, width);
+    
+    // Cross the boxes; panels are too thin
+    if (width > 6) {
+        ctx.beginPath();
+        ctx.moveTo(-length / 2, -width / 2);
+        ctx.lineTo(length / 2, width / 2);
+        ctx.moveTo(-length / 2, width / 2);
+        ctx.lineTo(length / 2, -width / 2);
+        ctx.stroke();
+    }
+    
+    ctx.restore();
 }
 
 /**
@@ -285,8 +368,9 @@ export function renderRoomLayout(canvas, roomConfig, luminaires, options = {}) {
  * @param {number} offsetX - X offset
  * @param {number} offsetY - Y offset
  * @param {number} scale - Scale factor
+ * @param {boolean} selected - Whether to highlight the luminaire
  */
-function drawLuminaire(ctx, luminaire, offsetX, offsetY, scale) {
+function drawLuminaire(ctx, luminaire, offsetX, offsetY, scale, selected = false) {
     // Calculate position
     const x = offsetX + luminaire.x * scale;
     const y = offsetY + luminaire.y * scale;
@@ -327,29 +411,66 @@ function drawLuminaire(ctx, luminaire, offsetX, offsetY, scale) {
             shape = 'circle';
     }
     
-    // Draw luminaire
+    // Aimed luminaires show a dashed line to their aim point
+    if (luminaire.aim) {
+        ctx.strokeStyle = '#f39c12';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(offsetX + luminaire.aim.x * scale, offsetY + luminaire.aim.y * scale);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.beginPath();
+        ctx.arc(offsetX + luminaire.aim.x * scale, offsetY + luminaire.aim.y * scale, 3, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    if (selected) {
+        ctx.strokeStyle = '#2196f3';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, size / 2 + 6, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    // Draw luminaire, turned to its rotation with a tick towards its C0 plane
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate((luminaire.rotation || 0) * Math.PI / 180);
+    
     ctx.fillStyle = '#ffcc00';
     ctx.strokeStyle = '#333';
     ctx.lineWidth = 1;
     
     if (shape === 'circle') {
         ctx.beginPath();
-        ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+        ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
         ctx.fill();
         ctx.stroke();
     } else if (shape === 'rectangle') {
-        ctx.fillRect(x - size / 2, y - size / 2, size, size / 1.5);
-        ctx.strokeRect(x - size / 2, y - size / 2, size, size / 1.5);
+        ctx.fillRect(-size / 2, -size / 3, size, size / 1.5);
+        ctx.strokeRect(-size / 2, -size / 3, size, size / 1.5);
     } else if (shape === 'triangle') {
         ctx.beginPath();
-        ctx.moveTo(x, y - size / 2);
-        ctx.lineTo(x + size / 2, y + size / 2);
-        ctx.lineTo(x - size / 2, y + size / 2);
+        ctx.moveTo(size / 2, 0);
+        ctx.lineTo(-size / 2, size / 2);
+        ctx.lineTo(-size / 2, -size / 2);
         ctx.closePath();
         ctx.fill();
         ctx.stroke();
     }
     
+    if (luminaire.rotation !== undefined) {
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(size / 2 + 4, 0);
+        ctx.stroke();
+    }
+    
+    ctx.restore();
+    
     // Draw label if specified
     if (luminaire.label) {
         ctx.fillStyle = '#333';
@@ -3,6 +3,15 @@
  * Visualization Modules Entry Point
  */
 
+export {
+    renderPolarCandelaPlot,
+    createPolarCandelaSVG,
+    renderPolarComparisonPlot,
+    createPolarComparisonSVG,
+    renderConeDiagram,
+    createConeDiagramSVG
+} from './charts.js';
+
 /**
  * Initialize charts module
  * @param {Object} appState - Application state
@@ -40,8 +49,11 @@ export function renderIlluminanceHeatmap(illuminanceGrid, canvas, options = {})
         
         for (let y = 0; y < illuminanceGrid.length; y++) {
             for (let x = 0; x < illuminanceGrid[y].length; x++) {
-                min = Math.min(min, illuminanceGrid[y][x]);
-                max = Math.max(max, illuminanceGrid[y][x]);
+                // Points outside the room are null
+                if (illuminanceGrid[y][x] !== null) {
+                    min = Math.min(min, illuminanceGrid[y][x]);
+                    max = Math.max(max, illuminanceGrid[y][x]);
+                }
             }
         }
     }
@@ -61,6 +73,11 @@ export function renderIlluminanceHeatmap(illuminanceGrid, canvas, options = {})
     for (let y = 0; y < illuminanceGrid.length; y++) {
         for (let x = 0; x < illuminanceGrid[y].length; x++) {
             const value = illuminanceGrid[y][x];
+            
+            if (value === null) {
+                continue;
+            }
+            
             const color = getHeatmapColor(value, min, max);
             
             ctx.fillStyle = color;
@@ -97,6 +114,10 @@ export function renderIlluminanceHeatmap(illuminanceGrid, canvas, options = {})
         
         for (let y = 0; y < illuminanceGrid.length; y++) {
             for (let x = 0; x < illuminanceGrid[y].length; x++) {
+                if (illuminanceGrid[y][x] === null) {
+                    continue;
+                }
+                
                 const value = Math.round(illuminanceGrid[y][x]);
                 const centerX = x * cellWidth + cellWidth / 2;
                 const centerY = y * cellHeight + cellHeight / 2;
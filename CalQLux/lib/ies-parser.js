@@ -1,8 +1,28 @@
 /**
  * CalQLux - IES File Parser
- * Parses IES photometric data files (LM-63 format)
+ * Parses IES photometric data files (LM-63-1986, 1991, 1995, 2002 and 2019)
  */
 
+/**
+ * Error thrown when an IES file is truncated or malformed
+ */
+class IESParseError extends Error {
+    /**
+     * @param {string} message - Error description
+     * @param {number} line - 1-based line number where the problem was found
+     * @param {string} code - Machine-readable error code
+     */
+    constructor(message, line, code) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'IESParseError';
+        this.line = line;
+        this.code = code;
+    }
+}
+
+// Expanded photometric webs, cached per parsed data object
+const expandedWebs = new WeakMap();
+
 class IESParser {
     /**
      * Parse an IES file string
@@ -10,23 +30,28 @@ class IESParser {
      * @returns {Object} - Parsed photometric data
      */
     static parse(iesContent) {
-        // Split content into lines
-        const lines = iesContent.split(/\r?\n/);
+        if (typeof iesContent !== 'string' || iesContent.trim() === '') {
+            throw new IESParseError('IES file is empty', 0, 'EMPTY_FILE');
+        }
+        
+        // Split content into lines (strip a byte order mark if present)
+        const lines = iesContent.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
         
         // Parse header information
         const header = this.parseHeader(lines);
         
+        // Everything after the TILT= line is a stream of numbers
+        const reader = this.createTokenReader(lines, header.endLine + 1);
+        
         // Parse tilt information if present
-        let lineIndex = header.endLine;
-        const tiltInfo = this.parseTilt(lines, lineIndex);
-        lineIndex = tiltInfo.endLine;
+        const tiltInfo = this.parseTilt(lines[header.endLine], header.endLine, reader);
         
         // Parse photometric data
-        const photometricData = this.parsePhotometricData(lines, lineIndex);
+        const photometricData = this.parsePhotometricData(reader, header.data);
         
         return {
             header: header.data,
-            tilt: tiltInfo.data,
+            tilt: tiltInfo,
             photometric: photometricData
         };
     }
@@ -34,243 +59,360 @@ class IESParser {
     /**
      * Parse IES file header
      * @param {Array} lines - IES file lines
-     * @returns {Object} - Header data and end line index
+     * @returns {Object} - Header data and index of the TILT= line
      */
     static parseHeader(lines) {
         const headerData = {
             keywords: {},
-            format: null
+            text: [],
+            format: null,
+            version: '1986'
         };
         
         let lineIndex = 0;
         
-        // Check if file starts with IESNA header
-        if (lines[0].includes('IESNA:')) {
-            headerData.format = lines[0].trim();
+        // Skip leading blank lines
+        while (lineIndex < lines.length && lines[lineIndex].trim() === '') {
             lineIndex++;
         }
         
-        // Parse keywords
+        // LM-63-1986 files have no format line, later versions identify themselves
+        const formatLine = (lines[lineIndex] || '').trim();
+        const version = this.detectVersion(formatLine);
+        
+        if (version) {
+            headerData.format = formatLine;
+            headerData.version = version;
+            lineIndex++;
+        }
+        
+        let lastKeyword = null;
+        
+        // Parse keywords (or free-form text for 1986 files)
         while (lineIndex < lines.length) {
             const line = lines[lineIndex].trim();
             
             // End of keywords section
-            if (line === 'TILT=NONE' || line.startsWith('TILT=')) {
-                break;
+            if (/^TILT\s*=/i.test(line)) {
+                return {
+                    data: headerData,
+                    endLine: lineIndex
+                };
             }
             
-            // Parse keyword
-            if (line.startsWith('[') && line.includes(']')) {
-                const keyMatch = line.match(/\[(.*?)\]/);
-                if (keyMatch && keyMatch[1]) {
-                    const key = keyMatch[1];
-                    const value = line.substring(line.indexOf(']') + 1).trim();
+            const keyMatch = line.match(/^\[([^\]]+)\]\s*(.*)$/);
+            
+            if (keyMatch) {
+                const key = keyMatch[1].trim().toUpperCase();
+                const value = keyMatch[2].trim();
+                
+                if (key === 'MORE' && lastKeyword) {
+                    // Continuation of the previous keyword
+                    headerData.keywords[lastKeyword] += '\n' + value;
+                } else if (headerData.keywords[key] !== undefined) {
+                    // Repeated keywords are kept in order
+                    headerData.keywords[key] += '\n' + value;
+                    lastKeyword = key;
+                } else {
                     headerData.keywords[key] = value;
+                    lastKeyword = key;
                 }
+            } else if (line !== '') {
+                headerData.text.push(line);
             }
             
             lineIndex++;
         }
         
-        return {
-            data: headerData,
-            endLine: lineIndex
+        throw new IESParseError('Missing TILT= line after the header', lines.length, 'MISSING_TILT');
+    }
+    
+    /**
+     * Identify the LM-63 version from the first line of the file
+     * @param {string} formatLine - First non-blank line
+     * @returns {string|null} - Version year or null for LM-63-1986 files
+     */
+    static detectVersion(formatLine) {
+        const line = formatLine.toUpperCase().replace(/\s+/g, '');
+        
+        if (line.startsWith('IESNA91')) {
+            return '1991';
+        }
+        
+        const match = line.match(/^IES(?:NA)?:LM-63-(\d{4})/);
+        
+        if (match) {
+            return match[1];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Create a reader over the numeric part of the file.
+     * Values may be separated by any whitespace (or commas) and span lines.
+     * @param {Array} lines - IES file lines
+     * @param {number} startLine - Index of the first line to read
+     * @returns {Object} - Reader with readNumber, readInteger and readNumbers
+     */
+    static createTokenReader(lines, startLine) {
+        const tokens = [];
+        
+        for (let i = startLine; i < lines.length; i++) {
+            lines[i].split(/[\s,]+/).filter(Boolean).forEach(text => {
+                tokens.push({ text: text, line: i + 1 });
+            });
+        }
+        
+        let position = 0;
+        
+        const reader = {
+            readNumber(label) {
+                if (position >= tokens.length) {
+                    throw new IESParseError(
+                        `Unexpected end of file while reading ${label}`,
+                        lines.length,
+                        'UNEXPECTED_EOF'
+                    );
+                }
+                
+                const token = tokens[position++];
+                const value = Number(token.text);
+                
+                if (!Number.isFinite(value)) {
+                    throw new IESParseError(
+                        `Invalid number "${token.text}" for ${label}`,
+                        token.line,
+                        'INVALID_NUMBER'
+                    );
+                }
+                
+                return value;
+            },
+            
+            readInteger(label) {
+                const line = reader.currentLine();
+                const value = reader.readNumber(label);
+                
+                if (!Number.isInteger(value)) {
+                    throw new IESParseError(`Expected an integer for ${label}, got ${value}`, line, 'INVALID_VALUE');
+                }
+                
+                return value;
+            },
+            
+            readNumbers(count, label) {
+                const values = [];
+                
+                for (let i = 0; i < count; i++) {
+                    values.push(reader.readNumber(label));
+                }
+                
+                return values;
+            },
+            
+            currentLine() {
+                return position < tokens.length ? tokens[position].line : lines.length;
+            },
+            
+            remaining() {
+                return tokens.length - position;
+            }
         };
+        
+        return reader;
     }
     
     /**
      * Parse tilt information
-     * @param {Array} lines - IES file lines
-     * @param {number} startLine - Starting line index
-     * @returns {Object} - Tilt data and end line index
+     * @param {string} tiltLine - The TILT= line
+     * @param {number} lineIndex - Index of the TILT= line
+     * @param {Object} reader - Token reader positioned after the TILT= line
+     * @returns {Object} - Tilt data
      */
-    static parseTilt(lines, startLine) {
-        const tiltLine = lines[startLine].trim();
-        let lineIndex = startLine + 1;
+    static parseTilt(tiltLine, lineIndex, reader) {
+        const value = tiltLine.trim().replace(/^TILT\s*=\s*/i, '');
         
         const tiltData = {
             type: 'NONE',
             angles: []
         };
         
-        if (tiltLine === 'TILT=NONE') {
-            tiltData.type = 'NONE';
-        } else if (tiltLine === 'TILT=INCLUDE') {
-            tiltData.type = 'INCLUDE';
-            
-            // Parse included tilt data
-            // Implementation depends on format version
-            // For demonstration, we'll skip parsing details
-            
-            // Skip ahead to photometric data
-            lineIndex += 10; // Approximate - would need to count properly in real implementation
-        } else if (tiltLine.startsWith('TILT=FILE')) {
+        if (value.toUpperCase() === 'NONE') {
+            return tiltData;
+        }
+        
+        if (value.toUpperCase() !== 'INCLUDE') {
+            // Tilt data lives in a separate file
             tiltData.type = 'FILE';
-            tiltData.file = tiltLine.substring(10).trim();
+            tiltData.file = value;
+            return tiltData;
         }
         
-        return {
-            data: tiltData,
-            endLine: lineIndex
-        };
+        tiltData.type = 'INCLUDE';
+        
+        // Lamp-to-luminaire geometry (1 = horizontal base-up, 2 = horizontal, 3 = vertical base-up)
+        const geometryLine = reader.currentLine();
+        tiltData.lampToLuminaireGeometry = reader.readInteger('lamp-to-luminaire geometry');
+        
+        if (tiltData.lampToLuminaireGeometry < 1 || tiltData.lampToLuminaireGeometry > 3) {
+            throw new IESParseError(
+                `Lamp-to-luminaire geometry must be 1, 2 or 3, got ${tiltData.lampToLuminaireGeometry}`,
+                geometryLine,
+                'INVALID_VALUE'
+            );
+        }
+        
+        const countLine = reader.currentLine();
+        const pairCount = reader.readInteger('number of tilt angles');
+        
+        if (pairCount < 1) {
+            throw new IESParseError(`Number of tilt angles must be positive, got ${pairCount}`, countLine, 'INVALID_VALUE');
+        }
+        
+        tiltData.angles = reader.readNumbers(pairCount, 'tilt angles');
+        tiltData.multipliers = reader.readNumbers(pairCount, 'tilt multiplying factors');
+        
+        this.checkAscending(tiltData.angles, 'Tilt angles', countLine);
+        
+        return tiltData;
     }
     
     /**
      * Parse photometric data
-     * @param {Array} lines - IES file lines
-     * @param {number} startLine - Starting line index
+     * @param {Object} reader - Token reader positioned at the lamp data line
+     * @param {Object} header - Parsed header data
      * @returns {Object} - Photometric data
      */
-    static parsePhotometricData(lines, startLine) {
-        let lineIndex = startLine;
+    static parsePhotometricData(reader, header) {
         const data = {};
         
-        // Read lamp and luminaire data line
-        const lampLine = lines[lineIndex++].trim().split(/\s+/).filter(Boolean);
-        
-        data.lampCount = parseInt(lampLine[0], 10);
-        data.lumensPerLamp = parseFloat(lampLine[1]);
-        data.candleMultiplier = parseFloat(lampLine[2]);
-        data.angleCount = parseInt(lampLine[3], 10);
-        data.horizontalAngles = parseInt(lampLine[4], 10);
-        data.photometricType = parseInt(lampLine[5], 10);
-        data.unitType = parseInt(lampLine[6], 10);
-        data.width = parseFloat(lampLine[7]);
-        data.length = parseFloat(lampLine[8]);
-        data.height = parseFloat(lampLine[9]);
-        
-        // Read ballast factor line
-        const ballastLine = lines[lineIndex++].trim().split(/\s+/).filter(Boolean);
-        data.ballastFactor = parseFloat(ballastLine[0]);
-        data.ballastLampFactor = parseFloat(ballastLine[1] || '1.0');
-        data.inputWatts = parseFloat(ballastLine[2] || '0');
-        
-        // Read vertical angle increments
-        const verticalAngles = [];
-        let angleValuesLine = '';
-        
-        while (verticalAngles.length < data.angleCount) {
-            angleValuesLine += ' ' + lines[lineIndex++].trim();
-            const angles = angleValuesLine.trim().split(/\s+/).filter(Boolean).map(parseFloat);
-            
-            verticalAngles.push(...angles);
-            
-            // Check if we've read all angles
-            if (verticalAngles.length >= data.angleCount) {
-                break;
-            }
+        // Lamp and luminaire data line
+        const lampLine = reader.currentLine();
+        
+        data.lampCount = reader.readInteger('number of lamps');
+        data.lumensPerLamp = reader.readNumber('lumens per lamp');
+        data.candleMultiplier = reader.readNumber('candela multiplier');
+        data.angleCount = reader.readInteger('number of vertical angles');
+        data.horizontalAngleCount = reader.readInteger('number of horizontal angles');
+        data.photometricType = reader.readInteger('photometric type');
+        data.unitType = reader.readInteger('units type');
+        data.width = reader.readNumber('luminaire width');
+        data.length = reader.readNumber('luminaire length');
+        data.height = reader.readNumber('luminaire height');
+        
+        if (data.angleCount < 1 || data.horizontalAngleCount < 1) {
+            throw new IESParseError(
+                `Angle counts must be positive, got ${data.angleCount} vertical and ${data.horizontalAngleCount} horizontal`,
+                lampLine,
+                'INVALID_VALUE'
+            );
         }
         
-        data.verticalAngles = verticalAngles;
+        if (data.photometricType < 1 || data.photometricType > 3) {
+            throw new IESParseError(`Photometric type must be 1, 2 or 3, got ${data.photometricType}`, lampLine, 'INVALID_VALUE');
+        }
         
-        // Read horizontal angle increments
-        const horizontalAngles = [];
-        angleValuesLine = '';
+        if (data.unitType !== 1 && data.unitType !== 2) {
+            throw new IESParseError(`Units type must be 1 or 2, got ${data.unitType}`, lampLine, 'INVALID_VALUE');
+        }
         
-        while (horizontalAngles.length < data.horizontalAngles) {
-            angleValuesLine += ' ' + lines[lineIndex++].trim();
-            const angles = angleValuesLine.trim().split(/\s+/).filter(Boolean).map(parseFloat);
-            
-            horizontalAngles.push(...angles);
-            
-            // Check if we've read all angles
-            if (horizontalAngles.length >= data.horizontalAngles) {
-                break;
-            }
+        // Ballast factor line. The second field was the ballast-lamp photometric
+        // factor up to LM-63-2002 and is the file generation type in LM-63-2019.
+        data.ballastFactor = reader.readNumber('ballast factor');
+        
+        if (header.version === '2019') {
+            data.fileGenerationType = reader.readNumber('file generation type');
+            data.ballastLampFactor = 1;
+        } else {
+            data.ballastLampFactor = reader.readNumber('ballast-lamp photometric factor');
         }
         
-        data.horizontalAngles = horizontalAngles;
+        data.inputWatts = reader.readNumber('input watts');
         
-        // Read candela values
-        const candela = [];
+        // Angle lists
+        const verticalLine = reader.currentLine();
+        data.verticalAngles = reader.readNumbers(data.angleCount, 'vertical angles');
+        this.checkAscending(data.verticalAngles, 'Vertical angles', verticalLine);
         
-        // For each horizontal angle
-        for (let h = 0; h < data.horizontalAngles; h++) {
-            const horizontalSet = [];
-            
-            // Read all vertical angles for this horizontal angle
-            let candelaLine = '';
-            const verticalSet = [];
-            
-            while (verticalSet.length < data.angleCount) {
-                candelaLine += ' ' + lines[lineIndex++].trim();
-                const values = candelaLine.trim().split(/\s+/).filter(Boolean).map(parseFloat);
-                
-                verticalSet.push(...values);
-                
-                // Check if we've read all values
-                if (verticalSet.length >= data.angleCount) {
-                    break;
-                }
-            }
-            
-            horizontalSet.push(...verticalSet);
-            candela.push(horizontalSet);
-        }
+        const horizontalLine = reader.currentLine();
+        data.horizontalAngles = reader.readNumbers(data.horizontalAngleCount, 'horizontal angles');
+        this.checkAscending(data.horizontalAngles, 'Horizontal angles', horizontalLine);
+        
+        // Candela values, one set of vertical values per horizontal angle
+        data.candela = [];
         
-        data.candela = candela;
+        for (let h = 0; h < data.horizontalAngleCount; h++) {
+            data.candela.push(reader.readNumbers(
+                data.angleCount,
+                `candela values for horizontal angle ${data.horizontalAngles[h]}`
+            ));
+        }
         
         return data;
     }
     
+    /**
+     * Ensure a list of angles is in ascending order
+     * @param {Array} angles - Angle values
+     * @param {string} label - Name used in the error message
+     * @param {number} line - Line where the list starts
+     */
+    static checkAscending(angles, label, line) {
+        for (let i = 1; i < angles.length; i++) {
+            if (angles[i] <= angles[i - 1]) {
+                throw new IESParseError(
+                    `${label} must be in ascending order (${angles[i - 1]} followed by ${angles[i]})`,
+                    line,
+                    'INVALID_VALUE'
+                );
+            }
+        }
+    }
+    
     /**
      * Get intensity at specified angles
+     * Angles are in the file's own coordinate system: for Type C the vertical angle is
+     * measured from nadir and the horizontal angle from the C0 plane, for Type A and B
+     * both are measured from the beam axis.
      * @param {Object} photometricData - Parsed photometric data
      * @param {number} verticalAngle - Vertical angle in degrees
      * @param {number} horizontalAngle - Horizontal angle in degrees
      * @returns {number} - Intensity in candelas
      */
     static getIntensityAtAngle(photometricData, verticalAngle, horizontalAngle) {
-        // Normalize angles
-        while (horizontalAngle < 0) horizontalAngle += 360;
-        while (horizontalAngle >= 360) horizontalAngle -= 360;
-        
-        // Clamp vertical angle
-        verticalAngle = Math.max(0, Math.min(180, verticalAngle));
-        
-        // Find nearest vertical angles
-        let lowerVIndex = 0;
-        let upperVIndex = photometricData.verticalAngles.length - 1;
-        
-        for (let i = 0; i < photometricData.verticalAngles.length - 1; i++) {
-            if (verticalAngle >= photometricData.verticalAngles[i] && 
-                verticalAngle <= photometricData.verticalAngles[i + 1]) {
-                lowerVIndex = i;
-                upperVIndex = i + 1;
-                break;
-            }
+        const web = this.getFullWeb(photometricData);
+        
+        // Type C webs cover the full circle, so wrap into 0-360
+        if (web.photometricType === 1) {
+            horizontalAngle = ((horizontalAngle % 360) + 360) % 360;
         }
         
-        // Find nearest horizontal angles
-        let lowerHIndex = 0;
-        let upperHIndex = photometricData.horizontalAngles.length - 1;
+        const vIndex = this.findInterval(web.verticalAngles, verticalAngle);
+        const hIndex = this.findInterval(web.horizontalAngles, horizontalAngle);
         
-        for (let i = 0; i < photometricData.horizontalAngles.length - 1; i++) {
-            if (horizontalAngle >= photometricData.horizontalAngles[i] && 
-                horizontalAngle <= photometricData.horizontalAngles[i + 1]) {
-                lowerHIndex = i;
-                upperHIndex = i + 1;
-                break;
-            }
+        // No light outside the measured range
+        if (vIndex === -1 || hIndex === -1) {
+            return 0;
         }
         
-        // Interpolate intensity
-        // This is a simplified bilinear interpolation
+        const upperVIndex = Math.min(vIndex + 1, web.verticalAngles.length - 1);
+        const upperHIndex = Math.min(hIndex + 1, web.horizontalAngles.length - 1);
+        
+        const lowerV = web.verticalAngles[vIndex];
+        const upperV = web.verticalAngles[upperVIndex];
+        const lowerH = web.horizontalAngles[hIndex];
+        const upperH = web.horizontalAngles[upperHIndex];
         
         // Get the four surrounding intensity values
-        const i1 = photometricData.candela[lowerHIndex][lowerVIndex];
-        const i2 = photometricData.candela[lowerHIndex][upperVIndex];
-        const i3 = photometricData.candela[upperHIndex][lowerVIndex];
-        const i4 = photometricData.candela[upperHIndex][upperVIndex];
+        const i1 = web.candela[hIndex][vIndex];
+        const i2 = web.candela[hIndex][upperVIndex];
+        const i3 = web.candela[upperHIndex][vIndex];
+        const i4 = web.candela[upperHIndex][upperVIndex];
         
         // Calculate weights for bilinear interpolation
-        const vDelta = photometricData.verticalAngles[upperVIndex] - photometricData.verticalAngles[lowerVIndex];
-        const hDelta = photometricData.horizontalAngles[upperHIndex] - photometricData.horizontalAngles[lowerHIndex];
-        
-        const vRatio = vDelta > 0 ? 
-            (verticalAngle - photometricData.verticalAngles[lowerVIndex]) / vDelta : 0;
-        const hRatio = hDelta > 0 ? 
-            (horizontalAngle - photometricData.horizontalAngles[lowerHIndex]) / hDelta : 0;
+        const vRatio = upperV > lowerV ? (verticalAngle - lowerV) / (upperV - lowerV) : 0;
+        const hRatio = upperH > lowerH ? (horizontalAngle - lowerH) / (upperH - lowerH) : 0;
         
         // Bilinear interpolation
         const intensity = 
@@ -281,7 +423,224 @@ class IESParser {
         
         return intensity;
     }
+    
+    /**
+     * Get intensity in a direction given in luminaire coordinates
+     * (x along the C0 plane, y along the C90 plane, z up; the beam axis points to -z)
+     * @param {Object} photometricData - Parsed photometric data
+     * @param {Object} direction - Unit direction vector {x, y, z}
+     * @returns {number} - Intensity in candelas
+     */
+    static getIntensityInDirection(photometricData, direction) {
+        const toDegrees = 180 / Math.PI;
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        
+        let verticalAngle;
+        let horizontalAngle;
+        
+        switch (photometricData.photometricType) {
+            case 3: // Type A: polar axis along the luminaire's x axis
+                horizontalAngle = Math.asin(clamp(direction.x)) * toDegrees;
+                verticalAngle = Math.atan2(direction.y, -direction.z) * toDegrees;
+                break;
+            case 2: // Type B: polar axis along the luminaire's y axis
+                verticalAngle = Math.asin(clamp(direction.y)) * toDegrees;
+                horizontalAngle = Math.atan2(direction.x, -direction.z) * toDegrees;
+                break;
+            default: // Type C: polar axis is the vertical axis
+                verticalAngle = Math.acos(clamp(-direction.z)) * toDegrees;
+                horizontalAngle = Math.atan2(direction.y, direction.x) * toDegrees;
+        }
+        
+        return this.getIntensityAtAngle(photometricData, verticalAngle, horizontalAngle);
+    }
+    
+    /**
+     * Detect the lateral symmetry of a candela table from its horizontal angles
+     * @param {Object} photometricData - Parsed photometric data
+     * @returns {string} - 'rotational', 'quadrant', 'plane-0-180', 'plane-90-270',
+     *                     'lateral' (Type A/B mirrored about H = 0) or 'none'
+     */
+    static getSymmetry(photometricData) {
+        const angles = photometricData.horizontalAngles;
+        const first = angles[0];
+        const last = angles[angles.length - 1];
+        
+        if (photometricData.photometricType === 2 || photometricData.photometricType === 3) {
+            return first === 0 ? 'lateral' : 'none';
+        }
+        
+        if (angles.length === 1) {
+            return 'rotational';
+        }
+        
+        if (first === 0 && last === 90) {
+            return 'quadrant';
+        }
+        
+        if (first === 0 && last === 180) {
+            return 'plane-0-180';
+        }
+        
+        if (first === 90 && last === 270) {
+            return 'plane-90-270';
+        }
+        
+        return 'none';
+    }
+    
+    /**
+     * Expand a (possibly symmetric) candela table to the full photometric web.
+     * The parsed arrays are left untouched and the result is cached per object.
+     * @param {Object} photometricData - Parsed photometric data
+     * @returns {Object} - Web {photometricType, symmetry, verticalAngles, horizontalAngles, candela}
+     */
+    static getFullWeb(photometricData) {
+        const cached = expandedWebs.get(photometricData);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        const symmetry = this.getSymmetry(photometricData);
+        const web = photometricData.photometricType === 2 || photometricData.photometricType === 3 ?
+            this.expandTypeABWeb(photometricData, symmetry) :
+            this.expandTypeCWeb(photometricData, symmetry);
+        
+        expandedWebs.set(photometricData, web);
+        
+        return web;
+    }
+    
+    /**
+     * Expand a Type C table to horizontal angles covering 0-360 (with wrap-around)
+     * @param {Object} photometricData - Parsed photometric data
+     * @param {string} symmetry - Detected symmetry
+     * @returns {Object} - Expanded web
+     */
+    static expandTypeCWeb(photometricData, symmetry) {
+        const planes = new Map();
+        
+        // Planes are keyed by angle in 0-360; mirrored copies never override measured ones
+        const addPlane = (angle, values) => {
+            const key = Math.round((((angle % 360) + 360) % 360) * 1e6) / 1e6;
+            
+            if (!planes.has(key)) {
+                planes.set(key, values);
+            }
+        };
+        
+        photometricData.horizontalAngles.forEach((angle, h) => {
+            addPlane(angle, photometricData.candela[h]);
+        });
+        
+        photometricData.horizontalAngles.forEach((angle, h) => {
+            const values = photometricData.candela[h];
+            
+            switch (symmetry) {
+                case 'rotational':
+                    addPlane(0, values);
+                    break;
+                case 'quadrant':
+                    addPlane(180 - angle, values);
+                    addPlane(180 + angle, values);
+                    addPlane(360 - angle, values);
+                    break;
+                case 'plane-0-180':
+                    addPlane(360 - angle, values);
+                    break;
+                case 'plane-90-270':
+                    addPlane(180 - angle, values);
+                    break;
+            }
+        });
+        
+        const entries = Array.from(planes.entries()).sort((a, b) => a[0] - b[0]);
+        
+        // Repeat the first plane after 360° (and the last before 0°) so
+        // interpolation wraps around between the last plane and C0
+        const first = entries[0];
+        const last = entries[entries.length - 1];
+        
+        if (first[0] > 0) {
+            entries.unshift([last[0] - 360, last[1]]);
+        }
+        
+        entries.push([first[0] + 360, first[1]]);
+        
+        return {
+            photometricType: 1,
+            symmetry: symmetry,
+            verticalAngles: photometricData.verticalAngles,
+            horizontalAngles: entries.map(entry => entry[0]),
+            candela: entries.map(entry => entry[1])
+        };
+    }
+    
+    /**
+     * Expand a Type A or B table mirrored about H = 0 (and V = 0) to -90..90
+     * @param {Object} photometricData - Parsed photometric data
+     * @param {string} symmetry - Detected symmetry
+     * @returns {Object} - Expanded web
+     */
+    static expandTypeABWeb(photometricData, symmetry) {
+        let verticalAngles = photometricData.verticalAngles;
+        let horizontalAngles = photometricData.horizontalAngles;
+        let candela = photometricData.candela;
+        
+        // Vertical angles starting at 0 describe a distribution symmetric about V = 0
+        if (verticalAngles[0] === 0 && verticalAngles.length > 1) {
+            const mirrorRow = row => [...row.slice(1).reverse(), ...row];
+            
+            verticalAngles = [...verticalAngles.slice(1).reverse().map(angle => -angle), ...verticalAngles];
+            candela = candela.map(mirrorRow);
+        }
+        
+        if (symmetry === 'lateral' && horizontalAngles.length > 1) {
+            horizontalAngles = [...horizontalAngles.slice(1).reverse().map(angle => -angle), ...horizontalAngles];
+            candela = [...candela.slice(1).reverse(), ...candela];
+        }
+        
+        return {
+            photometricType: photometricData.photometricType,
+            symmetry: symmetry,
+            verticalAngles: verticalAngles,
+            horizontalAngles: horizontalAngles,
+            candela: candela
+        };
+    }
+    
+    /**
+     * Find the interval of a sorted angle list that contains a value
+     * @param {Array} angles - Ascending angles
+     * @param {number} value - Angle to locate
+     * @returns {number} - Index of the lower bound, or -1 if outside the list
+     */
+    static findInterval(angles, value) {
+        const tolerance = 1e-9;
+        
+        if (value < angles[0] - tolerance || value > angles[angles.length - 1] + tolerance) {
+            return -1;
+        }
+        
+        // Binary search for the last angle not greater than the value
+        let low = 0;
+        let high = angles.length - 1;
+        
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            
+            if (angles[middle] <= value) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        
+        return value >= angles[high] ? high : low;
+    }
 }
 
 // Make the parser available globally
-window.IESParser = IESParser;
\ No newline at end of file
+window.IESParser = IESParser;
+window.IESParseError = IESParseError;
\ No newline at end of file
@@ -0,0 +1,257 @@
+/**
+ * CalQLux - IES File Writer
+ * Serializes photometric data to IES LM-63-2019 files
+ * (requires lib/ies-parser.js for symmetry detection and web expansion)
+ */
+
+class IESWriter {
+    /**
+     * Maximum length of a line in an LM-63-2019 file
+     */
+    static MAX_LINE_LENGTH = 256;
+    
+    /**
+     * Number of values written per line in the numeric part of the file
+     */
+    static VALUES_PER_LINE = 10;
+    
+    /**
+     * Keywords LM-63-2019 requires in every file, written first
+     */
+    static REQUIRED_KEYWORDS = ['TEST', 'TESTLAB', 'ISSUEDATE', 'MANUFAC'];
+    
+    /**
+     * File generation type for data of unknown origin
+     */
+    static UNDEFINED_GENERATION_TYPE = 1.00001;
+    
+    /**
+     * Write photometric data as an IES LM-63-2019 file
+     * @param {Object} data - Parsed file {header, tilt, photometric} or bare photometric data
+     * @param {Object} options - Writer options:
+     *   keywords: extra or replacement keywords,
+     *   applyMultipliers: fold the candela multiplier and ballast factor into the values,
+     *   fileGenerationType: LM-63-2019 file generation type,
+     *   decimals: decimal places kept in the numeric data (default 4)
+     * @returns {string} - IES file content with CRLF line endings
+     */
+    static write(data, options = {}) {
+        const photometric = data.photometric || data;
+        const header = data.photometric ? data.header : null;
+        const tilt = data.photometric ? data.tilt : null;
+        const decimals = options.decimals !== undefined ? options.decimals : 4;
+        
+        if (!photometric.candela || !photometric.verticalAngles || !photometric.horizontalAngles) {
+            throw new Error('Photometric data has no candela table to write');
+        }
+        
+        const lines = ['IES:LM-63-2019'];
+        const notes = [];
+        
+        // Keywords: required ones first, then the rest in their original order
+        const keywords = { ...(header ? header.keywords : {}), ...(options.keywords || {}) };
+        
+        this.REQUIRED_KEYWORDS.forEach(key => {
+            lines.push(...this.formatKeyword(key, keywords[key] || ''));
+        });
+        
+        Object.keys(keywords).forEach(key => {
+            if (!this.REQUIRED_KEYWORDS.includes(key)) {
+                lines.push(...this.formatKeyword(key, keywords[key]));
+            }
+        });
+        
+        // LM-63-1986 free text has no place in later versions, so keep it as [OTHER]
+        if (header && header.text.length > 0) {
+            lines.push(...this.formatKeyword('OTHER', header.text.join('\n')));
+        }
+        
+        // External tilt files were dropped in LM-63-2019
+        if (tilt && tilt.type === 'FILE') {
+            notes.push(`Tilt data file ${tilt.file} was not included`);
+        }
+        
+        if (notes.length > 0) {
+            lines.push(...this.formatKeyword('OTHER', notes.join('\n')));
+        }
+        
+        lines.push(...this.formatTilt(tilt, decimals));
+        
+        // LM-63-2019 has no ballast-lamp factor, so it is always folded into the values
+        let valueScale = photometric.ballastLampFactor || 1;
+        let candleMultiplier = photometric.candleMultiplier || 1;
+        let ballastFactor = photometric.ballastFactor || 1;
+        
+        if (options.applyMultipliers) {
+            valueScale *= candleMultiplier * ballastFactor;
+            candleMultiplier = 1;
+            ballastFactor = 1;
+        }
+        
+        const web = this.getWritableWeb(photometric);
+        const format = value => this.formatNumber(value, decimals);
+        
+        lines.push([
+            photometric.lampCount,
+            format(photometric.lumensPerLamp),
+            format(candleMultiplier),
+            web.verticalAngles.length,
+            web.horizontalAngles.length,
+            photometric.photometricType,
+            photometric.unitType,
+            format(photometric.width),
+            format(photometric.length),
+            format(photometric.height)
+        ].join(' '));
+        
+        const generationType = options.fileGenerationType ||
+            photometric.fileGenerationType ||
+            this.UNDEFINED_GENERATION_TYPE;
+        
+        lines.push([
+            format(ballastFactor),
+            generationType.toFixed(5),
+            format(photometric.inputWatts)
+        ].join(' '));
+        
+        lines.push(...this.formatValues(web.verticalAngles, decimals));
+        lines.push(...this.formatValues(web.horizontalAngles, decimals));
+        
+        web.candela.forEach(values => {
+            lines.push(...this.formatValues(values.map(value => value * valueScale), decimals));
+        });
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Format a keyword, continuing multi-line and long values on [MORE] lines
+     * @param {string} key - Keyword without brackets
+     * @param {string} value - Keyword value, lines separated by \n
+     * @returns {Array} - File lines
+     */
+    static formatKeyword(key, value) {
+        const lines = [];
+        
+        String(value).split('\n').forEach((text, index) => {
+            const prefix = index === 0 ? `[${key.toUpperCase()}]` : '[MORE]';
+            const room = this.MAX_LINE_LENGTH - prefix.length - 1;
+            let rest = text.trim();
+            
+            // Break long values at the last space that fits
+            while (rest.length > room) {
+                let split = rest.lastIndexOf(' ', room);
+                
+                if (split <= 0) {
+                    split = room;
+                }
+                
+                lines.push(`${lines.length === 0 ? prefix : '[MORE]'} ${rest.slice(0, split).trim()}`);
+                rest = rest.slice(split).trim();
+            }
+            
+            lines.push(`${lines.length === 0 ? prefix : '[MORE]'} ${rest}`.trimEnd());
+        });
+        
+        return lines;
+    }
+    
+    /**
+     * Format the TILT= line and any included tilt table
+     * @param {Object} tilt - Parsed tilt data
+     * @param {number} decimals - Decimal places to keep
+     * @returns {Array} - File lines
+     */
+    static formatTilt(tilt, decimals) {
+        if (!tilt || tilt.type !== 'INCLUDE') {
+            return ['TILT=NONE'];
+        }
+        
+        return [
+            'TILT=INCLUDE',
+            String(tilt.lampToLuminaireGeometry),
+            String(tilt.angles.length),
+            ...this.formatValues(tilt.angles, decimals),
+            ...this.formatValues(tilt.multipliers, decimals)
+        ];
+    }
+    
+    /**
+     * Get the angles and candela table to write, normalized to a symmetry
+     * encoding LM-63-2019 accepts. Type C tables must start at 0° (or 90° for
+     * symmetry about the 90-270 plane) and end at 0°, 90°, 180° or 360°.
+     * @param {Object} photometric - Parsed photometric data
+     * @returns {Object} - Web {verticalAngles, horizontalAngles, candela}
+     */
+    static getWritableWeb(photometric) {
+        const table = {
+            verticalAngles: photometric.verticalAngles,
+            horizontalAngles: photometric.horizontalAngles,
+            candela: photometric.candela
+        };
+        
+        if (photometric.photometricType !== 1) {
+            return table;
+        }
+        
+        const angles = photometric.horizontalAngles;
+        const first = angles[0];
+        const last = angles[angles.length - 1];
+        
+        const valid = (first === 0 && [0, 90, 180, 360].includes(last)) ||
+            (first === 90 && last === 270);
+        
+        if (valid) {
+            return table;
+        }
+        
+        // Anything else is written as the full 0-360 web, interpolating the
+        // C0 and C360 planes when they were not measured
+        const web = IESParser.getFullWeb(photometric);
+        const horizontalAngles = web.horizontalAngles.filter(angle => angle > 0 && angle < 360);
+        
+        horizontalAngles.unshift(0);
+        horizontalAngles.push(360);
+        
+        return {
+            verticalAngles: web.verticalAngles,
+            horizontalAngles: horizontalAngles,
+            candela: horizontalAngles.map(horizontal => web.verticalAngles.map(vertical =>
+                IESParser.getIntensityAtAngle(photometric, vertical, horizontal)))
+        };
+    }
+    
+    /**
+     * Format a list of numbers over as many lines as needed
+     * @param {Array} values - Numbers to write
+     * @param {number} decimals - Decimal places to keep
+     * @returns {Array} - File lines
+     */
+    static formatValues(values, decimals) {
+        const lines = [];
+        
+        for (let i = 0; i < values.length; i += this.VALUES_PER_LINE) {
+            lines.push(values.slice(i, i + this.VALUES_PER_LINE)
+                .map(value => this.formatNumber(value, decimals))
+                .join(' '));
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * Format a number without exponent notation or trailing zeros
+     * @param {number} value - Number to format
+     * @param {number} decimals - Decimal places to keep
+     * @returns {string} - Formatted number
+     */
+    static formatNumber(value, decimals) {
+        const text = Number(value).toFixed(decimals);
+        const trimmed = text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+        
+        return trimmed === '-0' ? '0' : trimmed;
+    }
+}
+
+// Make the writer available globally
+window.IESWriter = IESWriter;
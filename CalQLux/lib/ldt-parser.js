@@ -0,0 +1,335 @@
+/**
+ * CalQLux - LDT File Parser
+ * Parses EULUMDAT photometric data files into the same structure as IESParser
+ * (requires lib/ies-parser.js for IESParseError)
+ */
+
+class LDTParser {
+    /**
+     * Parse an EULUMDAT file string
+     * @param {string} ldtContent - LDT file content as string
+     * @returns {Object} - Parsed photometric data {header, tilt, photometric, ldt}
+     */
+    static parse(ldtContent) {
+        if (typeof ldtContent !== 'string' || ldtContent.trim() === '') {
+            throw new IESParseError('LDT file is empty', 0, 'EMPTY_FILE');
+        }
+        
+        const lines = ldtContent.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        const reader = this.createLineReader(lines);
+        
+        // Lines 1-25: identification, geometry and general data
+        const ldt = {
+            company: reader.readText('company identification'),
+            typeIndicator: reader.readInteger('type indicator'),
+            symmetry: reader.readInteger('symmetry indicator'),
+            cPlaneCount: reader.readInteger('number of C-planes'),
+            cPlaneDistance: reader.readNumber('distance between C-planes'),
+            gammaCount: reader.readInteger('number of intensities per C-plane'),
+            gammaDistance: reader.readNumber('distance between intensities'),
+            reportNumber: reader.readText('measurement report number'),
+            luminaireName: reader.readText('luminaire name'),
+            luminaireNumber: reader.readText('luminaire number'),
+            fileName: reader.readText('file name'),
+            dateUser: reader.readText('date/user'),
+            luminaireDimensions: {
+                length: reader.readNumber('length of luminaire'),
+                width: reader.readNumber('width of luminaire'),
+                height: reader.readNumber('height of luminaire')
+            },
+            luminousArea: {
+                length: reader.readNumber('length of luminous area'),
+                width: reader.readNumber('width of luminous area'),
+                heightC0: reader.readNumber('height of luminous area C0'),
+                heightC90: reader.readNumber('height of luminous area C90'),
+                heightC180: reader.readNumber('height of luminous area C180'),
+                heightC270: reader.readNumber('height of luminous area C270')
+            },
+            downwardFluxFraction: reader.readNumber('downward flux fraction'),
+            lightOutputRatio: reader.readNumber('light output ratio'),
+            conversionFactor: reader.readNumber('conversion factor'),
+            tiltAngle: reader.readNumber('measurement tilt angle'),
+            lampSets: []
+        };
+        
+        // Fixed header lines: Isym is on line 3, Mc on line 4
+        if (ldt.symmetry < 0 || ldt.symmetry > 4) {
+            throw new IESParseError(`Symmetry indicator must be 0-4, got ${ldt.symmetry}`, 3, 'INVALID_VALUE');
+        }
+        
+        if (ldt.cPlaneCount < 1 || ldt.gammaCount < 1) {
+            throw new IESParseError(
+                `Angle counts must be positive, got ${ldt.cPlaneCount} C-planes and ${ldt.gammaCount} intensities`,
+                4,
+                'INVALID_VALUE'
+            );
+        }
+        
+        // Half and quarter symmetries need C-planes that split evenly
+        const divisor = ldt.symmetry === 2 ? 2 : (ldt.symmetry >= 3 ? 4 : 1);
+        
+        if (ldt.cPlaneCount % divisor !== 0) {
+            throw new IESParseError(
+                `Number of C-planes must be a multiple of ${divisor} for symmetry indicator ${ldt.symmetry}`,
+                4,
+                'INVALID_VALUE'
+            );
+        }
+        
+        // Line 26: lamp sets, six lines per set
+        const setCountLine = reader.currentLine();
+        const setCount = reader.readInteger('number of lamp sets');
+        
+        if (setCount < 1) {
+            throw new IESParseError(`Number of lamp sets must be positive, got ${setCount}`, setCountLine, 'INVALID_VALUE');
+        }
+        
+        for (let i = 0; i < setCount; i++) {
+            const label = `lamp set ${i + 1}`;
+            
+            ldt.lampSets.push({
+                count: reader.readInteger(`number of lamps in ${label}`),
+                type: reader.readText(`type of lamps in ${label}`),
+                flux: reader.readNumber(`luminous flux of ${label}`),
+                colorTemperature: reader.readText(`color temperature of ${label}`),
+                colorRendering: reader.readText(`color rendering of ${label}`),
+                wattage: reader.readNumber(`wattage of ${label}`)
+            });
+        }
+        
+        // Line 27: direct ratios for the standard room indices
+        ldt.directRatios = {
+            roomIndices: [0.60, 0.80, 1.00, 1.25, 1.50, 2.00, 2.50, 3.00, 4.00, 5.00],
+            values: reader.readNumbers(10, 'direct ratios')
+        };
+        
+        // Lines 28-29: C-plane and gamma angles
+        const cAngles = reader.readNumbers(ldt.cPlaneCount, 'C-plane angles');
+        const gammaLine = reader.currentLine();
+        const gammaAngles = reader.readNumbers(ldt.gammaCount, 'gamma angles');
+        
+        IESParser.checkAscending(gammaAngles, 'Gamma angles', gammaLine);
+        
+        // Line 30: intensities (cd/klm) for the C-planes the symmetry requires
+        const storedPlanes = this.getStoredPlanes(ldt.symmetry, ldt.cPlaneCount);
+        const planeData = new Map();
+        
+        storedPlanes.forEach(index => {
+            planeData.set(index, reader.readNumbers(ldt.gammaCount, `intensities for C${cAngles[index]}`));
+        });
+        
+        // Absolute photometry is indicated by a negative lamp count
+        const lampSet = ldt.lampSets[0];
+        const absolute = lampSet.count < 0;
+        const lampCount = Math.abs(lampSet.count) || 1;
+        
+        // cd/klm to cd for the first (standard) lamp set
+        const scale = ldt.conversionFactor * lampSet.flux / 1000;
+        const planes = this.toHorizontalPlanes(ldt.symmetry, cAngles, planeData);
+        
+        const luminousArea = ldt.luminousArea;
+        const circular = luminousArea.width === 0;
+        const areaHeight = Math.max(
+            luminousArea.heightC0, luminousArea.heightC90,
+            luminousArea.heightC180, luminousArea.heightC270
+        );
+        
+        const photometric = {
+            lampCount: lampCount,
+            lumensPerLamp: absolute ? -1 : lampSet.flux / lampCount,
+            candleMultiplier: 1,
+            angleCount: ldt.gammaCount,
+            horizontalAngleCount: planes.angles.length,
+            photometricType: 1,
+            unitType: 2,
+            // Circular openings use negative dimensions as in LM-63
+            width: circular ? -luminousArea.length / 1000 : luminousArea.width / 1000,
+            length: circular ? -luminousArea.length / 1000 : luminousArea.length / 1000,
+            height: areaHeight / 1000,
+            ballastFactor: 1,
+            ballastLampFactor: 1,
+            inputWatts: lampSet.wattage,
+            verticalAngles: gammaAngles,
+            horizontalAngles: planes.angles,
+            candela: planes.values.map(values => values.map(value => value * scale))
+        };
+        
+        return {
+            header: {
+                keywords: {
+                    TEST: ldt.reportNumber,
+                    MANUFAC: ldt.company,
+                    LUMINAIRE: ldt.luminaireName,
+                    LUMCAT: ldt.luminaireNumber,
+                    ISSUEDATE: ldt.dateUser,
+                    LAMP: lampSet.type
+                },
+                text: [],
+                format: 'EULUMDAT',
+                version: null
+            },
+            tilt: {
+                type: 'NONE',
+                angles: []
+            },
+            photometric: photometric,
+            ldt: ldt
+        };
+    }
+    
+    /**
+     * Get the indices of the C-planes stored in the file (Mc1..Mc2 in the specification)
+     * @param {number} symmetry - Symmetry indicator (Isym)
+     * @param {number} cPlaneCount - Number of C-planes in 360° (Mc)
+     * @returns {Array} - Zero-based C-plane indices in file order
+     */
+    static getStoredPlanes(symmetry, cPlaneCount) {
+        let first;
+        let count;
+        
+        switch (symmetry) {
+            case 0: // No symmetry
+                first = 0;
+                count = cPlaneCount;
+                break;
+            case 1: // Symmetry about the vertical axis
+                first = 0;
+                count = 1;
+                break;
+            case 2: // Symmetry to the C0-C180 plane
+                first = 0;
+                count = cPlaneCount / 2 + 1;
+                break;
+            case 3: // Symmetry to the C90-C270 plane, stored from C270 through C0 to C90
+                first = 3 * cPlaneCount / 4;
+                count = cPlaneCount / 2 + 1;
+                break;
+            case 4: // Symmetry to the C0-C180 and C90-C270 planes
+                first = 0;
+                count = cPlaneCount / 4 + 1;
+                break;
+        }
+        
+        const indices = [];
+        
+        for (let i = 0; i < count; i++) {
+            indices.push((first + i) % cPlaneCount);
+        }
+        
+        return indices;
+    }
+    
+    /**
+     * Convert stored C-planes to ascending IES horizontal angles
+     * @param {number} symmetry - Symmetry indicator (Isym)
+     * @param {Array} cAngles - All C-plane angles
+     * @param {Map} planeData - Intensities by C-plane index
+     * @returns {Object} - Horizontal angles and intensities {angles, values}
+     */
+    static toHorizontalPlanes(symmetry, cAngles, planeData) {
+        const entries = Array.from(planeData.entries()).map(([index, values]) => ({
+            angle: cAngles[index],
+            values: values
+        }));
+        
+        if (symmetry === 3) {
+            // Mirror C270..C90 onto C90..C270, the half LM-63 uses for this symmetry
+            entries.forEach(entry => {
+                entry.angle = ((180 - entry.angle) % 360 + 360) % 360;
+            });
+        }
+        
+        entries.sort((a, b) => a.angle - b.angle);
+        
+        // Close a full web so interpolation can wrap from C345 back to C0
+        if (symmetry === 0 && entries.length > 1 && entries[entries.length - 1].angle < 360) {
+            entries.push({ angle: 360, values: entries[0].values });
+        }
+        
+        return {
+            angles: entries.map(entry => entry.angle),
+            values: entries.map(entry => entry.values)
+        };
+    }
+    
+    /**
+     * Create a line-oriented reader. The fixed header is one field per line,
+     * while the numeric tables may be spread over lines in any way.
+     * @param {Array} lines - LDT file lines
+     * @returns {Object} - Reader with readText, readNumber, readInteger and readNumbers
+     */
+    static createLineReader(lines) {
+        let lineIndex = 0;
+        let pending = [];
+        
+        // Decimal commas are common in European files
+        const toNumber = (text, label, line) => {
+            const value = Number(text.replace(',', '.'));
+            
+            if (text === '' || !Number.isFinite(value)) {
+                throw new IESParseError(`Invalid number "${text}" for ${label}`, line, 'INVALID_NUMBER');
+            }
+            
+            return value;
+        };
+        
+        const reader = {
+            readText(label) {
+                if (pending.length > 0) {
+                    throw new IESParseError(`Unexpected values before ${label}`, lineIndex, 'INVALID_VALUE');
+                }
+                
+                if (lineIndex >= lines.length) {
+                    throw new IESParseError(`Unexpected end of file while reading ${label}`, lines.length, 'UNEXPECTED_EOF');
+                }
+                
+                return lines[lineIndex++].trim();
+            },
+            
+            readNumber(label) {
+                // Skip blank lines between values
+                while (pending.length === 0) {
+                    if (lineIndex >= lines.length) {
+                        throw new IESParseError(`Unexpected end of file while reading ${label}`, lines.length, 'UNEXPECTED_EOF');
+                    }
+                    
+                    pending = lines[lineIndex++].trim().split(/\s+/).filter(Boolean)
+                        .map(text => ({ text: text, line: lineIndex }));
+                }
+                
+                const token = pending.shift();
+                return toNumber(token.text, label, token.line);
+            },
+            
+            readInteger(label) {
+                const line = reader.currentLine();
+                const value = reader.readNumber(label);
+                
+                if (!Number.isInteger(value)) {
+                    throw new IESParseError(`Expected an integer for ${label}, got ${value}`, line, 'INVALID_VALUE');
+                }
+                
+                return value;
+            },
+            
+            readNumbers(count, label) {
+                const values = [];
+                
+                for (let i = 0; i < count; i++) {
+                    values.push(reader.readNumber(label));
+                }
+                
+                return values;
+            },
+            
+            currentLine() {
+                return pending.length > 0 ? pending[0].line : lineIndex + 1;
+            }
+        };
+        
+        return reader;
+    }
+}
+
+// Make the parser available globally
+window.LDTParser = LDTParser;